@@ -17,6 +17,9 @@ export const DEFAULT_SESSION = 'default';
 /** Default max sessions */
 export const DEFAULT_MAX_SESSIONS = 10;
 
+/** Default time (ms) an interrupted execution gets before a hard kill */
+export const DEFAULT_INTERRUPT_GRACE_PERIOD = 1000;
+
 /** Supported languages */
 export const SUPPORTED_LANGUAGES = [
   'javascript',
@@ -31,7 +34,7 @@ export const SUPPORTED_LANGUAGES = [
 export const DEFAULT_FEATURES = {
   execute: true,
   executeStream: true,
-  interrupt: false, // Limited in browser
+  interrupt: true,
   complete: true,
   inspect: true,
   hover: true,
@@ -7,7 +7,7 @@
  */
 
 // Interface
-export { BaseExecutor } from './interface.js';
+export { BaseExecutor, streamExecution } from './interface.js';
 
 // Registry
 export { ExecutorRegistry, createExecutorRegistry } from './registry.js';
@@ -30,11 +30,13 @@ import { CssExecutor } from './css.js';
 
 /**
  * Create a registry with default executors registered
+ * @param {import('./javascript.js').JavaScriptExecutorOptions} [options] - Options
+ *   of the JavaScript executor
  * @returns {ExecutorRegistry}
  */
-export function createDefaultExecutorRegistry() {
+export function createDefaultExecutorRegistry(options) {
   const registry = new ExecutorRegistry();
-  registry.register(new JavaScriptExecutor());
+  registry.register(new JavaScriptExecutor(options));
   registry.register(new HtmlExecutor());
   registry.register(new CssExecutor());
   return registry;
@@ -7,8 +7,12 @@
  * @module execute/interface
  */
 
+import { ConsoleCapture } from '../session/console-capture.js';
+import { routeOutput } from '../session/execution-router.js';
+
 /**
  * @typedef {import('../session/context/interface.js').ExecutionContext} ExecutionContext
+ * @typedef {import('../session/context/interface.js').LogEntry} LogEntry
  * @typedef {import('../types/execution.js').ExecuteOptions} ExecuteOptions
  * @typedef {import('../types/execution.js').ExecutionResult} ExecutionResult
  * @typedef {import('../types/streaming.js').StreamEvent} StreamEvent
@@ -19,6 +23,13 @@
  * @property {readonly string[]} languages - Language identifiers this executor handles
  * @property {function(string, ExecutionContext, ExecuteOptions=): Promise<ExecutionResult>} execute - Execute code
  * @property {function(string, ExecutionContext, ExecuteOptions=): AsyncGenerator<StreamEvent>} [executeStream] - Execute with streaming
+ * @property {function(LogEntry): FormattedLogEntry} [formatLogEntry] - Format console output for streaming
+ */
+
+/**
+ * @typedef {Object} FormattedLogEntry
+ * @property {'stdout' | 'stderr'} stream - Stream the entry belongs to
+ * @property {string} text - Formatted line (without trailing newline)
  */
 
 /**
@@ -48,7 +59,8 @@ export class BaseExecutor {
 
   /**
    * Execute code with streaming output
-   * Default implementation wraps execute() result
+   * Default implementation runs execute() and streams console output,
+   * display() calls and assets as the context reports them
    *
    * @param {string} code - Code to execute
    * @param {ExecutionContext} context - Execution context
@@ -56,89 +68,200 @@ export class BaseExecutor {
    * @returns {AsyncGenerator<StreamEvent>}
    */
   async *executeStream(code, context, options = {}) {
-    const execId = options.execId || `exec-${Date.now()}`;
-    const timestamp = new Date().toISOString();
-
-    // Start event
-    yield /** @type {import('../types/streaming.js').StartEvent} */ ({
-      type: 'start',
-      execId,
-      timestamp,
-    });
+    yield* streamExecution(this, code, context, options);
+  }
 
-    try {
-      // Execute
-      const result = await this.execute(code, context, options);
-
-      // Stream stdout
-      if (result.stdout) {
-        yield /** @type {import('../types/streaming.js').StdoutEvent} */ ({
-          type: 'stdout',
-          content: result.stdout,
-          accumulated: result.stdout,
-        });
-      }
+  /**
+   * Format a captured console entry as a line of output
+   * @param {LogEntry} entry
+   * @returns {FormattedLogEntry}
+   */
+  formatLogEntry(entry) {
+    const { stdout, stderr } = ConsoleCapture.toOutput([entry]);
+    return entry.type === 'error' || entry.type === 'warn'
+      ? { stream: 'stderr', text: stderr }
+      : { stream: 'stdout', text: stdout };
+  }
+
+  /**
+   * Check if this executor supports a language
+   * @param {string} language
+   * @returns {boolean}
+   */
+  supports(language) {
+    return this.languages.includes(language.toLowerCase());
+  }
+}
+
+/**
+ * Stream an execution: run `executor.execute()` and yield output events
+ * while it runs, using the context's output handler when it has one.
+ * Contexts without one get their output emitted once execution finishes.
+ *
+ * @param {Executor} executor - Executor to run
+ * @param {string} code - Code to execute
+ * @param {ExecutionContext} context - Execution context
+ * @param {ExecuteOptions} [options] - Execution options
+ * @returns {AsyncGenerator<StreamEvent>}
+ */
+export async function* streamExecution(executor, code, context, options = {}) {
+  const execId = options.execId || `exec-${Date.now()}`;
+
+  // Start event
+  yield /** @type {import('../types/streaming.js').StartEvent} */ ({
+    type: 'start',
+    execId,
+    timestamp: new Date().toISOString(),
+  });
+
+  /** @type {StreamEvent[]} */
+  const queue = [];
+  /** @type {(() => void) | null} */
+  let wake = null;
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  let stdout = '';
+  let stderr = '';
+  let displayCount = 0;
+  let assetCount = 0;
+
+  // Listen for this execution's live output
+  const stopListening = routeOutput(context, options.execId || '', (event) => {
+    if (event.type === 'log') {
+      const { stream, text } = executor.formatLogEntry
+        ? executor.formatLogEntry(event.entry)
+        : BaseExecutor.prototype.formatLogEntry(event.entry);
+      const content = `${text}\n`;
 
-      // Stream stderr
-      if (result.stderr) {
-        yield /** @type {import('../types/streaming.js').StderrEvent} */ ({
-          type: 'stderr',
-          content: result.stderr,
-          accumulated: result.stderr,
-        });
+      if (stream === 'stderr') {
+        stderr += content;
+        queue.push({ type: 'stderr', content, accumulated: stderr });
+      } else {
+        stdout += content;
+        queue.push({ type: 'stdout', content, accumulated: stdout });
       }
+    } else if (event.type === 'display') {
+      displayCount++;
+      queue.push(toDisplayEvent(event.display));
+    } else if (event.type === 'asset') {
+      assetCount++;
+      queue.push(toAssetEvent(event.asset));
+    }
+
+    notify();
+  });
 
-      // Stream display data
-      for (const display of result.displayData) {
-        yield /** @type {import('../types/streaming.js').DisplayEvent} */ ({
-          type: 'display',
-          data: display.data,
-          metadata: display.metadata,
-        });
+  /** @type {ExecutionResult | undefined} */
+  let result;
+  /** @type {*} */
+  let error;
+  let done = false;
+
+  Promise.resolve()
+    .then(() => executor.execute(code, context, options))
+    .then(
+      (r) => {
+        result = r;
+      },
+      (e) => {
+        error = e;
       }
+    )
+    .finally(() => {
+      done = true;
+      notify();
+    });
 
-      // Stream assets
-      for (const asset of result.assets) {
-        yield /** @type {import('../types/streaming.js').AssetEvent} */ ({
-          type: 'asset',
-          path: asset.path,
-          url: asset.url,
-          mimeType: asset.mimeType,
-          assetType: asset.assetType,
-        });
+  try {
+    while (true) {
+      while (queue.length > 0) {
+        yield /** @type {StreamEvent} */ (queue.shift());
       }
+      if (done) break;
+      await new Promise((resolve) => {
+        wake = resolve;
+      });
+    }
+  } finally {
+    stopListening();
+  }
 
-      // Result event
-      yield /** @type {import('../types/streaming.js').ResultEvent} */ ({
-        type: 'result',
-        result,
+  if (error !== undefined || !result) {
+    // Error event
+    yield /** @type {import('../types/streaming.js').ErrorEvent} */ ({
+      type: 'error',
+      error: {
+        type: error instanceof Error ? error.name : 'Error',
+        message: error instanceof Error ? error.message : String(error),
+        traceback: error instanceof Error && error.stack ? error.stack.split('\n') : undefined,
+      },
+    });
+  } else {
+    // Output that was not streamed live (e.g. executor summaries)
+    if (result.stdout && !stdout) {
+      yield /** @type {import('../types/streaming.js').StdoutEvent} */ ({
+        type: 'stdout',
+        content: result.stdout,
+        accumulated: result.stdout,
       });
-    } catch (error) {
-      // Error event
-      yield /** @type {import('../types/streaming.js').ErrorEvent} */ ({
-        type: 'error',
-        error: {
-          type: error instanceof Error ? error.name : 'Error',
-          message: error instanceof Error ? error.message : String(error),
-          traceback: error instanceof Error && error.stack ? error.stack.split('\n') : undefined,
-        },
+    }
+
+    if (result.stderr && !stderr) {
+      yield /** @type {import('../types/streaming.js').StderrEvent} */ ({
+        type: 'stderr',
+        content: result.stderr,
+        accumulated: result.stderr,
       });
     }
 
-    // Done event
-    yield /** @type {import('../types/streaming.js').DoneEvent} */ ({
-      type: 'done',
+    for (const display of result.displayData.slice(displayCount)) {
+      yield toDisplayEvent(display);
+    }
+
+    for (const asset of result.assets.slice(assetCount)) {
+      yield toAssetEvent(asset);
+    }
+
+    // Result event
+    yield /** @type {import('../types/streaming.js').ResultEvent} */ ({
+      type: 'result',
+      result,
     });
   }
 
-  /**
-   * Check if this executor supports a language
-   * @param {string} language
-   * @returns {boolean}
-   */
-  supports(language) {
-    return this.languages.includes(language.toLowerCase());
-  }
+  // Done event
+  yield /** @type {import('../types/streaming.js').DoneEvent} */ ({
+    type: 'done',
+  });
 }
 
-export {};
+/**
+ * @param {import('../types/execution.js').DisplayData} display
+ * @returns {import('../types/streaming.js').DisplayEvent}
+ */
+function toDisplayEvent(display) {
+  return {
+    type: 'display',
+    data: display.data,
+    metadata: display.metadata,
+  };
+}
+
+/**
+ * @param {import('../types/execution.js').Asset} asset
+ * @returns {import('../types/streaming.js').AssetEvent}
+ */
+function toAssetEvent(asset) {
+  return {
+    type: 'asset',
+    path: asset.path,
+    url: asset.url,
+    mimeType: asset.mimeType,
+    assetType: asset.assetType,
+  };
+}
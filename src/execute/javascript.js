@@ -8,9 +8,13 @@
  */
 
 import { BaseExecutor } from './interface.js';
-import { transformForPersistence } from '../transform/persistence.js';
-import { wrapWithLastExpression } from '../transform/async.js';
+import { getPersistenceEdits } from '../transform/persistence.js';
+import { getWrapperEdits } from '../transform/async.js';
+import { getHistoryEdits } from '../transform/history.js';
 import { extractDeclaredVariables } from '../transform/extract.js';
+import { extractImports, getImportedNames, createImportLoader } from '../transform/imports.js';
+import { findSyntaxError } from '../transform/parse.js';
+import { CellSourceMap } from '../transform/source-map.js';
 
 /**
  * @typedef {import('../session/context/interface.js').ExecutionContext} ExecutionContext
@@ -20,6 +24,27 @@ import { extractDeclaredVariables } from '../transform/extract.js';
  * @typedef {import('../types/execution.js').DisplayData} DisplayData
  */
 
+/** Source maps kept for mapping stack frames of earlier cells */
+const MAX_SOURCE_MAPS = 100;
+
+/** Position of a cell frame in a stack trace (`name.js:line:column`) */
+const CELL_LOCATION = /(mrmd-cell-\d+\.js):(\d+):(\d+)/;
+
+/** Source map stage whose output is the cell body without imports */
+const BODY_STAGE = 1;
+
+/** Number of cells executed, for unique cell source URLs */
+let cellCount = 0;
+
+/**
+ * A cell being executed, for mapping error positions
+ * @typedef {Object} CellInfo
+ * @property {string} url - Source URL of the cell code
+ * @property {CellSourceMap} map - Map from the executed code to the cell
+ * @property {number} [offset] - Source offset to report instead of the
+ *   stack position (failed import declarations)
+ */
+
 /**
  * Format a value for display as a string
  * @param {*} value
@@ -57,6 +82,29 @@ function formatValue(value, maxLength = 1000) {
   return str;
 }
 
+/**
+ * Check if a value is an Error, including errors created in another realm
+ * (iframe, worker) where `instanceof Error` is false
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isErrorLike(error) {
+  return (
+    error instanceof Error ||
+    (error !== null &&
+      typeof error === 'object' &&
+      typeof error.name === 'string' &&
+      typeof error.message === 'string')
+  );
+}
+
+/**
+ * @typedef {Object} JavaScriptExecutorOptions
+ * @property {boolean} [strictConst=false] - Keep `const` semantics across
+ *   cells: re-running a declaration replaces a constant, but assigning to it
+ *   from other code throws `TypeError: Assignment to constant variable.`
+ */
+
 /**
  * JavaScript executor
  */
@@ -64,6 +112,28 @@ export class JavaScriptExecutor extends BaseExecutor {
   /** @type {readonly string[]} */
   languages = ['javascript', 'js', 'ecmascript', 'es'];
 
+  /** @type {boolean} */
+  #strictConst;
+
+  /** @type {Map<string, CellSourceMap>} */
+  #sourceMaps = new Map();
+
+  /**
+   * @param {JavaScriptExecutorOptions} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.#strictConst = options.strictConst ?? false;
+  }
+
+  /**
+   * Whether top-level constants are read-only across cells
+   * @returns {boolean}
+   */
+  get strictConst() {
+    return this.#strictConst;
+  }
+
   /**
    * Execute JavaScript code
    * @param {string} code - Code to execute
@@ -74,33 +144,72 @@ export class JavaScriptExecutor extends BaseExecutor {
   async execute(code, context, options = {}) {
     const startTime = performance.now();
 
+    // Each transform is recorded so error positions map back to the cell
+    const map = new CellSourceMap(code);
+    const url = `mrmd-cell-${++cellCount}.js`;
+
+    // Pull static imports out of the cell; they are loaded separately
+    const { imports, edits: importEdits } = extractImports(code);
+    const body = map.apply(importEdits);
+
     // Extract and track declared variables
-    const declaredVars = extractDeclaredVariables(code);
+    const declaredVars = [...getImportedNames(imports), ...extractDeclaredVariables(body)];
     for (const varName of declaredVars) {
       context.trackVariable(varName);
     }
 
-    // Transform code for persistence (const/let → var)
-    const transformed = transformForPersistence(code);
+    // Transform code for persistence (declarations → global bindings)
+    const transformed = map.apply(getPersistenceEdits(body, { strictConst: this.#strictConst }));
 
     // Wrap to capture last expression value and support async
-    const wrapped = wrapWithLastExpression(transformed);
+    let wrapped = map.apply(getWrapperEdits(transformed));
+
+    // Record the cell in In/Out and the `_` names
+    if (options.executionCount !== undefined) {
+      wrapped = map.apply(
+        getHistoryEdits(wrapped, { executionCount: options.executionCount, source: code })
+      );
+    }
+    this.#rememberSourceMap(url, map);
+
+    // Contexts that can stop busy code (vm) get the time that is left
+    const deadline = options.timeout ? startTime + options.timeout : 0;
+    const timeLeft = () => (deadline ? Math.max(1, Math.ceil(deadline - performance.now())) : undefined);
 
     try {
-      // Execute in context (pass execId for input() support)
-      const rawResult = await context.execute(wrapped, { execId: options.execId });
+      // Load imports first so their bindings exist when the cell runs. Each
+      // declaration loads on its own, so a failure points at its line.
+      for (const declaration of imports) {
+        const loaded = await context.execute(createImportLoader([declaration], options.importMap), {
+          execId: options.execId,
+          signal: options.signal,
+          timeout: timeLeft(),
+        });
+        if (loaded.error) {
+          const cell = { url, map, offset: declaration.start };
+          return this.#formatResult(loaded, context, performance.now() - startTime, cell);
+        }
+      }
+
+      // Execute in context (pass execId for input() support, signal for interrupt).
+      // The source URL names the cell's frames in stack traces.
+      const rawResult = await context.execute(`${wrapped}\n//# sourceURL=${url}`, {
+        execId: options.execId,
+        signal: options.signal,
+        timeout: timeLeft(),
+      });
       const duration = performance.now() - startTime;
 
       // Format result
-      return this.#formatResult(rawResult, context, duration, options);
+      return this.#formatResult(rawResult, context, duration, { url, map });
     } catch (error) {
       const duration = performance.now() - startTime;
 
       return {
         success: false,
         stdout: '',
-        stderr: error instanceof Error ? `${error.name}: ${error.message}` : String(error),
-        error: this.#formatError(error),
+        stderr: isErrorLike(error) ? `${error.name}: ${error.message}` : String(error),
+        error: this.#formatError(error, { url, map }),
         displayData: [],
         assets: [],
         executionCount: 0,
@@ -109,34 +218,48 @@ export class JavaScriptExecutor extends BaseExecutor {
     }
   }
 
+  /**
+   * Format a captured console entry as a line of output
+   * @param {import('../session/context/interface.js').LogEntry} entry
+   * @returns {import('./interface.js').FormattedLogEntry}
+   */
+  formatLogEntry(entry) {
+    const text = entry.args.map((arg) => formatValue(arg) ?? '').join(' ');
+
+    if (entry.type === 'error') {
+      return { stream: 'stderr', text: `Error: ${text}` };
+    }
+    if (entry.type === 'warn') {
+      return { stream: 'stderr', text: `Warning: ${text}` };
+    }
+    return { stream: 'stdout', text };
+  }
+
   /**
    * Format raw execution result to MRP ExecutionResult
    * @param {import('../session/context/interface.js').RawExecutionResult} raw
    * @param {ExecutionContext} context
    * @param {number} duration
-   * @param {ExecuteOptions} options
+   * @param {CellInfo} cell
    * @returns {ExecutionResult}
    */
-  #formatResult(raw, context, duration, options) {
+  #formatResult(raw, context, duration, cell) {
     // Separate logs into stdout/stderr
-    const stdout = raw.logs
-      .filter((log) => log.type === 'log' || log.type === 'info')
-      .map((log) => log.args.map((arg) => formatValue(arg) ?? '').join(' '))
+    const lines = raw.logs.map((log) => this.formatLogEntry(log));
+    const stdout = lines
+      .filter((line) => line.stream === 'stdout')
+      .map((line) => line.text)
       .join('\n');
-
-    const stderr = raw.logs
-      .filter((log) => log.type === 'error' || log.type === 'warn')
-      .map((log) => {
-        const prefix = log.type === 'error' ? 'Error: ' : 'Warning: ';
-        return prefix + log.args.map((arg) => formatValue(arg) ?? '').join(' ');
-      })
+    const stderr = lines
+      .filter((line) => line.stream === 'stderr')
+      .map((line) => line.text)
       .join('\n');
 
     // Format error if present
     /** @type {ExecutionError | undefined} */
     let error;
     if (raw.error) {
-      error = this.#formatError(raw.error);
+      error = this.#formatError(raw.error, cell);
     }
 
     // Get display data from context
@@ -158,40 +281,121 @@ export class JavaScriptExecutor extends BaseExecutor {
   }
 
   /**
-   * Format an error
+   * Rewrite a stack trace for the cell: positions in cell code are mapped
+   * back to the cell source, frames in code added by the transforms are
+   * dropped, and so are the runtime frames below the outermost cell frame.
+   *
+   * @param {Error} error
+   * @param {string} url - Source URL of the executed cell
+   * @returns {{ traceback: string[], position: import('../transform/source-map.js').SourcePosition | null, mapped: boolean }}
+   *   Traceback lines, the innermost position in the executed cell, and
+   *   whether the stack has frames in any cell
+   */
+  #mapStack(error, url) {
+    const lines = typeof error.stack === 'string' ? error.stack.split('\n') : [];
+
+    // V8 starts the stack with the message; other engines only list frames
+    let firstFrame = lines.findIndex((line) => /^\s+at\s/.test(line));
+    if (firstFrame === -1) firstFrame = lines.length;
+    const header = lines[0]?.startsWith(error.name) ? lines.slice(0, firstFrame) : [];
+    const frames = header.length > 0 ? lines.slice(firstFrame) : lines.filter(Boolean);
+
+    /** @type {string[]} */
+    const kept = [];
+    let outermost = -1;
+    /** @type {import('../transform/source-map.js').SourcePosition | null} */
+    let position = null;
+
+    for (const frame of frames) {
+      const match = frame.match(CELL_LOCATION);
+      const map = match && this.#sourceMaps.get(match[1]);
+      if (!match || !map) {
+        kept.push(frame);
+        continue;
+      }
+
+      const original = map.originalPosition(Number(match[2]), Number(match[3]));
+      if (!original) continue;
+
+      if (match[1] === url && !position) position = original;
+      kept.push(frame.replace(CELL_LOCATION, `$1:${original.line}:${original.column}`));
+      outermost = kept.length;
+    }
+
+    return {
+      traceback: [
+        ...(header.length > 0 ? header : [`${error.name}: ${error.message}`]),
+        ...(outermost === -1 ? kept : kept.slice(0, outermost)),
+      ],
+      position,
+      mapped: outermost !== -1,
+    };
+  }
+
+  /**
+   * Keep a cell's source map, dropping the oldest beyond the limit
+   * @param {string} url
+   * @param {CellSourceMap} map
+   */
+  #rememberSourceMap(url, map) {
+    this.#sourceMaps.set(url, map);
+    if (this.#sourceMaps.size > MAX_SOURCE_MAPS) {
+      this.#sourceMaps.delete(this.#sourceMaps.keys().next().value);
+    }
+  }
+
+  /**
+   * Format an error, mapping its position back to the cell source
    * @param {*} error
+   * @param {CellInfo} cell
    * @returns {ExecutionError}
    */
-  #formatError(error) {
-    if (error instanceof Error) {
-      /** @type {ExecutionError} */
-      const formatted = {
-        type: error.name,
-        message: error.message,
-        traceback: error.stack?.split('\n'),
+  #formatError(error, cell) {
+    if (!isErrorLike(error)) {
+      return {
+        type: 'Error',
+        message: String(error),
       };
+    }
+
+    /** @type {ExecutionError} */
+    const formatted = {
+      type: error.name,
+      message: error.message,
+    };
 
-      // Try to extract line/column from stack
-      const lineMatch = error.stack?.match(/:(\d+):(\d+)/);
-      if (lineMatch) {
-        formatted.line = parseInt(lineMatch[1], 10);
-        formatted.column = parseInt(lineMatch[2], 10);
+    const { traceback, position, mapped } = this.#mapStack(error, cell.url);
+    let location = position;
+
+    if (cell.offset !== undefined) {
+      location = cell.map.positionAt(cell.offset);
+    } else if (!mapped && error.name === 'SyntaxError') {
+      // Engines report parse errors of eval code without a position, so
+      // locate the error in the cell body (after import extraction)
+      const found = findSyntaxError(cell.map.codeAt(BODY_STAGE));
+      if (found) {
+        location = cell.map.positionAt(cell.map.originalOffset(found.offset, BODY_STAGE).offset);
+        // The remaining frames belong to the runtime
+        traceback.splice(1);
       }
+    }
 
-      return formatted;
+    formatted.traceback = traceback;
+    if (location) {
+      formatted.line = location.line;
+      formatted.column = location.column;
+      formatted.excerpt = cell.map.codeFrame(location.line, location.column);
     }
 
-    return {
-      type: 'Error',
-      message: String(error),
-    };
+    return formatted;
   }
 }
 
 /**
  * Create a JavaScript executor
+ * @param {JavaScriptExecutorOptions} [options]
  * @returns {JavaScriptExecutor}
  */
-export function createJavaScriptExecutor() {
-  return new JavaScriptExecutor();
+export function createJavaScriptExecutor(options) {
+  return new JavaScriptExecutor(options);
 }
@@ -7,6 +7,8 @@
  * @module execute/registry
  */
 
+import { streamExecution } from './interface.js';
+
 /**
  * @typedef {import('./interface.js').Executor} Executor
  * @typedef {import('../session/context/interface.js').ExecutionContext} ExecutionContext
@@ -160,58 +162,7 @@ export class ExecutorRegistry {
       yield* executor.executeStream(code, context, options);
     } else {
       // Fall back to non-streaming execution wrapped in events
-      const execId = options.execId || `exec-${Date.now()}`;
-
-      yield /** @type {import('../types/streaming.js').StartEvent} */ ({
-        type: 'start',
-        execId,
-        timestamp: new Date().toISOString(),
-      });
-
-      try {
-        const result = await executor.execute(code, context, options);
-
-        if (result.stdout) {
-          yield /** @type {import('../types/streaming.js').StdoutEvent} */ ({
-            type: 'stdout',
-            content: result.stdout,
-            accumulated: result.stdout,
-          });
-        }
-
-        if (result.stderr) {
-          yield /** @type {import('../types/streaming.js').StderrEvent} */ ({
-            type: 'stderr',
-            content: result.stderr,
-            accumulated: result.stderr,
-          });
-        }
-
-        for (const display of result.displayData) {
-          yield /** @type {import('../types/streaming.js').DisplayEvent} */ ({
-            type: 'display',
-            data: display.data,
-            metadata: display.metadata,
-          });
-        }
-
-        yield /** @type {import('../types/streaming.js').ResultEvent} */ ({
-          type: 'result',
-          result,
-        });
-      } catch (error) {
-        yield /** @type {import('../types/streaming.js').ErrorEvent} */ ({
-          type: 'error',
-          error: {
-            type: error instanceof Error ? error.name : 'Error',
-            message: error instanceof Error ? error.message : String(error),
-          },
-        });
-      }
-
-      yield /** @type {import('../types/streaming.js').DoneEvent} */ ({
-        type: 'done',
-      });
+      yield* streamExecution(executor, code, context, options);
     }
   }
 
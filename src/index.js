@@ -25,30 +25,60 @@ export {
   createSession,
   SessionManager,
   createSessionManager,
+  DependencyGraph,
+  analyzeCell,
+  RUNTIME_EVENT_TYPES,
+  SnapshotStore,
+  createSnapshotStore,
+  serializeVariable,
+  SNAPSHOT_VERSION,
 } from './session/index.js';
 
 // Context Infrastructure (Phase 1)
 export {
   ConsoleCapture,
   createConsoleCapture,
+  InterruptTracker,
+  defineKeyboardInterrupt,
+  isInterruptError,
+  KEYBOARD_INTERRUPT,
+  TIMEOUT_ERROR,
+  CANCELLED_ERROR,
   IframeContext,
   createIframeContext,
   MainContext,
   createMainContext,
+  WorkerContext,
+  createWorkerContext,
+  NodeVmContext,
+  createNodeVmContext,
 } from './session/index.js';
 
 // Transforms
 export {
   transformForPersistence,
+  getPersistenceEdits,
   wrapForAsync,
   wrapWithLastExpression,
+  getWrapperEdits,
   extractDeclaredVariables,
+  extractReferencedNames,
+  extractAssignedNames,
+  wrapWithHistory,
+  getHistoryEdits,
+  HISTORY_GLOBALS,
+  extractImports,
+  getImportedNames,
+  resolveImportSpecifier,
+  createImportLoader,
+  CellSourceMap,
 } from './transform/index.js';
 
 // Executors (Phase 3)
 export {
   // Base
   BaseExecutor,
+  streamExecution,
   // Registry
   ExecutorRegistry,
   createExecutorRegistry,
@@ -105,6 +135,10 @@ export {
   getChildren,
   getMethods,
   getAttributes,
+  // Language service fallback
+  LanguageServiceClient,
+  createLanguageServiceClient,
+  mergeCompletions,
 } from './lsp/index.js';
 
 // Analysis Features (Phase 5)
@@ -122,6 +156,18 @@ export {
 // MRP Runtime (Phase 6)
 export { MrpRuntime, createRuntime } from './runtime.js';
 
+// MRP over HTTP
+export {
+  createMrpHandler,
+  createNodeListener,
+  toWireResult,
+  formatServerSentEvent,
+  readServerSentEvents,
+  SSE_CONTENT_TYPE,
+} from './server/index.js';
+export { RemoteRuntime, RemoteSession, createRemoteRuntime } from './remote/index.js';
+export { PortRuntime, exposeRuntime, connectRuntime } from './remote/index.js';
+
 // Client Utilities (Phase 7)
 export {
   HtmlRenderer,
@@ -0,0 +1,461 @@
+/**
+ * Language Service Fallback
+ *
+ * Client for a static language server (e.g. typescript-language-server
+ * behind a WebSocket bridge), spoken to with LSP JSON-RPC over a WebSocket.
+ * The runtime asks it about code that has not run yet: its completions are
+ * merged with the runtime's, and hover and inspection fall back to it when
+ * the runtime finds nothing. Everything it answers is tagged `source: 'lsp'`.
+ *
+ * Each session is one in-memory document holding the code of the latest
+ * request, so the server sees the current cell only.
+ *
+ * @module lsp/fallback
+ */
+
+/**
+ * @typedef {import('../types/completion.js').CompletionItem} CompletionItem
+ * @typedef {import('../types/completion.js').CompletionKind} CompletionKind
+ * @typedef {import('../types/completion.js').CompletionResult} CompletionResult
+ * @typedef {import('../types/inspection.js').HoverResult} HoverResult
+ * @typedef {import('../types/inspection.js').InspectResult} InspectResult
+ * @typedef {import('../types/inspection.js').InspectOptions} InspectOptions
+ */
+
+/**
+ * @typedef {Object} LanguageServiceOptions
+ * @property {string} url - WebSocket URL of the language server
+ * @property {typeof WebSocket} [WebSocket] - WebSocket implementation
+ *   (defaults to the global one)
+ * @property {number} [timeout=2000] - Give up on a request after this many
+ *   milliseconds
+ */
+
+/**
+ * Document a request is about
+ * @typedef {Object} LanguageServiceDocument
+ * @property {string} id - Document identifier (the session ID)
+ * @property {string} language - Language of the code
+ */
+
+/** Default request time limit in milliseconds */
+const DEFAULT_TIMEOUT = 2000;
+
+/** Completion kinds of the LSP CompletionItemKind values (1-based) */
+const COMPLETION_KINDS = /** @type {CompletionKind[]} */ ([
+  'value', 'method', 'function', 'class', 'field', 'variable', 'class',
+  'class', 'module', 'property', 'value', 'value', 'class', 'keyword',
+  'snippet', 'value', 'module', 'variable', 'module', 'constant',
+  'constant', 'class', 'property', 'keyword', 'class',
+]);
+
+/** File extensions of document URIs */
+const EXTENSIONS = /** @type {Record<string, string>} */ ({
+  javascript: 'js',
+  typescript: 'ts',
+  html: 'html',
+  css: 'css',
+});
+
+/** Sort priority of language service completions (after runtime ones) */
+const LSP_SORT_PRIORITY = 70;
+
+// ============================================================================
+// Conversions
+// ============================================================================
+
+/**
+ * Convert a code offset to an LSP position
+ * @param {string} code
+ * @param {number} offset
+ * @returns {{ line: number, character: number }}
+ */
+function toPosition(code, offset) {
+  const lines = code.slice(0, offset).split('\n');
+  return { line: lines.length - 1, character: /** @type {string} */ (lines.at(-1)).length };
+}
+
+/**
+ * Convert an LSP position to a code offset
+ * @param {string} code
+ * @param {{ line: number, character: number }} position
+ * @returns {number}
+ */
+function toOffset(code, position) {
+  let offset = 0;
+  for (let line = 0; line < position.line; line++) {
+    const end = code.indexOf('\n', offset);
+    if (end === -1) return code.length;
+    offset = end + 1;
+  }
+  return Math.min(offset + position.character, code.length);
+}
+
+/**
+ * Get the text of LSP documentation or hover contents
+ * @param {*} contents - string, MarkupContent, MarkedString or an array of them
+ * @returns {string}
+ */
+function toText(contents) {
+  if (contents == null) return '';
+  if (typeof contents === 'string') return contents;
+  if (Array.isArray(contents)) return contents.map(toText).filter(Boolean).join('\n\n');
+  if (contents.language !== undefined) return `\`\`\`${contents.language}\n${contents.value}\n\`\`\``;
+  return contents.value ?? '';
+}
+
+/**
+ * Split hover markdown into its first code block and the rest
+ * @param {string} text
+ * @returns {{ signature?: string, documentation?: string }}
+ */
+function splitHoverText(text) {
+  const match = text.match(/```[\w-]*\n([\s\S]*?)\n?```/);
+  const signature = match?.[1].trim();
+  const documentation = (match ? text.replace(match[0], '') : text).trim();
+  return {
+    ...(signature ? { signature } : {}),
+    ...(documentation ? { documentation } : {}),
+  };
+}
+
+/**
+ * Convert an LSP completion item
+ * @param {*} item
+ * @returns {CompletionItem}
+ */
+function toCompletionItem(item) {
+  /** @type {CompletionItem} */
+  const converted = {
+    label: item.label,
+    kind: COMPLETION_KINDS[(item.kind ?? 1) - 1] ?? 'value',
+    sortPriority: LSP_SORT_PRIORITY,
+    source: 'lsp',
+  };
+  const insertText = item.textEdit?.newText ?? item.insertText;
+  if (insertText && insertText !== item.label) converted.insertText = insertText;
+  if (item.detail) converted.detail = item.detail;
+  const documentation = toText(item.documentation);
+  if (documentation) converted.documentation = documentation;
+  return converted;
+}
+
+/**
+ * Add language service completions to a runtime result. Labels the runtime
+ * already offers are skipped.
+ * @param {CompletionResult} result
+ * @param {CompletionItem[]} items
+ * @returns {CompletionResult}
+ */
+export function mergeCompletions(result, items) {
+  const labels = new Set(result.matches.map((match) => match.label));
+  const added = items.filter((item) => !labels.has(item.label));
+  if (added.length === 0) return result;
+
+  return {
+    ...result,
+    matches: [...result.matches, ...added],
+    source: result.matches.length === 0 ? 'lsp' : result.source,
+  };
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * LSP client over a WebSocket. Connects on the first request and
+ * reconnects after the connection drops.
+ */
+export class LanguageServiceClient {
+  /** @type {string} */
+  #url;
+
+  /** @type {typeof WebSocket | undefined} */
+  #WebSocket;
+
+  /** @type {number} */
+  #timeout;
+
+  /** @type {WebSocket | null} */
+  #socket = null;
+
+  /** @type {Promise<WebSocket> | null} */
+  #connecting = null;
+
+  /** @type {number} */
+  #nextId = 1;
+
+  /** @type {Map<number, { resolve: (value: *) => void, reject: (error: Error) => void }>} */
+  #pending = new Map();
+
+  /** @type {Map<string, number>} Document URI → version */
+  #documents = new Map();
+
+  /**
+   * @param {LanguageServiceOptions} options
+   */
+  constructor(options) {
+    this.#url = options.url;
+    this.#WebSocket = options.WebSocket ?? globalThis.WebSocket;
+    this.#timeout = options.timeout ?? DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * WebSocket URL of the language server
+   * @returns {string}
+   */
+  get url() {
+    return this.#url;
+  }
+
+  // ============================================================================
+  // Connection
+  // ============================================================================
+
+  /**
+   * Open the connection and initialize the server
+   * @returns {Promise<WebSocket>}
+   */
+  #connect() {
+    if (this.#connecting) return this.#connecting;
+    if (!this.#WebSocket) {
+      return Promise.reject(new Error('WebSocket is not available for the language service'));
+    }
+
+    const socket = new this.#WebSocket(this.#url);
+    this.#socket = socket;
+    this.#connecting = new Promise((resolve, reject) => {
+      socket.addEventListener('open', () => resolve(socket), { once: true });
+      socket.addEventListener('error', () => reject(new Error(`Could not connect to ${this.#url}`)), { once: true });
+    }).then(async () => {
+      await this.#request('initialize', {
+        processId: null,
+        clientInfo: { name: 'mrmd-js' },
+        rootUri: null,
+        capabilities: {
+          textDocument: {
+            completion: { completionItem: { documentationFormat: ['markdown', 'plaintext'] } },
+            hover: { contentFormat: ['markdown', 'plaintext'] },
+          },
+        },
+      });
+      this.#notify('initialized', {});
+      return socket;
+    });
+
+    socket.addEventListener('message', (event) => this.#receive(event.data));
+    socket.addEventListener('close', () => this.#disconnected(socket));
+    this.#connecting.catch(() => this.#disconnected(socket));
+    return this.#connecting;
+  }
+
+  /**
+   * Forget a connection that closed or failed
+   * @param {WebSocket} socket
+   */
+  #disconnected(socket) {
+    if (this.#socket !== socket) return;
+    this.#socket = null;
+    this.#connecting = null;
+    this.#documents.clear();
+    for (const request of this.#pending.values()) {
+      request.reject(new Error('The language service connection was closed'));
+    }
+    this.#pending.clear();
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {string} data
+   */
+  #receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message.id !== undefined && message.method !== undefined) {
+      // Server request (configuration, progress): nothing to offer
+      this.#send({ jsonrpc: '2.0', id: message.id, result: null });
+      return;
+    }
+
+    const request = this.#pending.get(message.id);
+    if (!request) return;
+    this.#pending.delete(message.id);
+    if (message.error) request.reject(new Error(message.error.message));
+    else request.resolve(message.result);
+  }
+
+  /**
+   * @param {Object} message
+   */
+  #send(message) {
+    this.#socket?.send(JSON.stringify(message));
+  }
+
+  /**
+   * Send a request and wait for its result
+   * @param {string} method
+   * @param {Object} params
+   * @returns {Promise<*>}
+   */
+  #request(method, params) {
+    const id = this.#nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.#pending.delete(id);
+        reject(new Error(`Language service request '${method}' timed out`));
+      }, this.#timeout);
+      this.#pending.set(id, {
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      this.#send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * @param {string} method
+   * @param {Object} params
+   */
+  #notify(method, params) {
+    this.#send({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Open or update the document of a request
+   * @param {LanguageServiceDocument} document
+   * @param {string} code
+   * @returns {Promise<string>} Document URI
+   */
+  async #sync(document, code) {
+    await this.#connect();
+
+    const extension = EXTENSIONS[document.language] ?? document.language;
+    const uri = `file:///mrmd/${encodeURIComponent(document.id)}.${extension}`;
+    const version = (this.#documents.get(uri) ?? 0) + 1;
+    this.#documents.set(uri, version);
+
+    if (version === 1) {
+      this.#notify('textDocument/didOpen', {
+        textDocument: { uri, languageId: document.language, version, text: code },
+      });
+    } else {
+      this.#notify('textDocument/didChange', {
+        textDocument: { uri, version },
+        contentChanges: [{ text: code }],
+      });
+    }
+    return uri;
+  }
+
+  /**
+   * Ask for hover contents
+   * @param {string} code
+   * @param {number} cursor
+   * @param {LanguageServiceDocument} document
+   * @returns {Promise<{ name?: string, signature?: string, documentation?: string } | null>}
+   */
+  async #hover(code, cursor, document) {
+    const uri = await this.#sync(document, code);
+    const hover = await this.#request('textDocument/hover', {
+      textDocument: { uri },
+      position: toPosition(code, cursor),
+    });
+    const text = toText(hover?.contents);
+    if (!text) return null;
+
+    const range = hover.range;
+    const name = range ? code.slice(toOffset(code, range.start), toOffset(code, range.end)) : undefined;
+    return { ...(name ? { name } : {}), ...splitHoverText(text) };
+  }
+
+  // ============================================================================
+  // Requests
+  // ============================================================================
+
+  /**
+   * Get completions at the cursor
+   * @param {string} code
+   * @param {number} cursor
+   * @param {LanguageServiceDocument} document
+   * @returns {Promise<CompletionItem[]>}
+   */
+  async complete(code, cursor, document) {
+    const uri = await this.#sync(document, code);
+    const completions = await this.#request('textDocument/completion', {
+      textDocument: { uri },
+      position: toPosition(code, cursor),
+    });
+    const items = Array.isArray(completions) ? completions : (completions?.items ?? []);
+    return items.map(toCompletionItem);
+  }
+
+  /**
+   * Get hover information at the cursor
+   * @param {string} code
+   * @param {number} cursor
+   * @param {LanguageServiceDocument} document
+   * @returns {Promise<HoverResult>}
+   */
+  async hover(code, cursor, document) {
+    const hover = await this.#hover(code, cursor, document);
+    if (!hover) return { found: false, source: 'lsp' };
+
+    /** @type {HoverResult} */
+    const result = { found: true, source: 'lsp' };
+    if (hover.name) result.name = hover.name;
+    if (hover.signature) result.signature = hover.signature;
+    if (hover.documentation) result.documentation = hover.documentation;
+    return result;
+  }
+
+  /**
+   * Get inspection information at the cursor (from the hover contents)
+   * @param {string} code
+   * @param {number} cursor
+   * @param {LanguageServiceDocument} document
+   * @param {InspectOptions} [options]
+   * @returns {Promise<InspectResult>}
+   */
+  async inspect(code, cursor, document, options = {}) {
+    const hover = await this.#hover(code, cursor, document);
+    if (!hover) return { found: false, source: 'lsp' };
+
+    /** @type {InspectResult} */
+    const result = { found: true, source: 'lsp' };
+    if (hover.name) result.name = hover.name;
+    if (hover.signature) result.signature = hover.signature;
+    if (hover.documentation && (options.detail ?? 0) >= 1) result.docstring = hover.documentation;
+    return result;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    const socket = this.#socket;
+    if (!socket) return;
+    this.#disconnected(socket);
+    socket.close();
+  }
+}
+
+/**
+ * Create a language service client
+ * @param {LanguageServiceOptions} options
+ * @returns {LanguageServiceClient}
+ */
+export function createLanguageServiceClient(options) {
+  return new LanguageServiceClient(options);
+}
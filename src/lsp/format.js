@@ -173,11 +173,13 @@ export function getTypeName(value) {
 
   const type = typeof value;
   if (type === 'object') {
+    // Generator objects and the like have no constructor function
     const constructor = value.constructor;
-    if (constructor && constructor.name !== 'Object') {
+    if (typeof constructor === 'function' && constructor.name) {
       return constructor.name;
     }
-    return 'Object';
+    const tag = value[Symbol.toStringTag];
+    return typeof tag === 'string' && tag ? tag : 'Object';
   }
 
   return type;
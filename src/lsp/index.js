@@ -3,7 +3,7 @@
  *
  * Language Server Protocol-like features for JavaScript runtime.
  * These provide completions, hover, inspection, and variable listing
- * based on live runtime values.
+ * based on live runtime values, with a language server as a fallback.
  *
  * @module lsp
  */
@@ -53,3 +53,6 @@ export {
   getMethods,
   getAttributes,
 } from './variables.js';
+
+// Language service fallback
+export { LanguageServiceClient, createLanguageServiceClient, mergeCompletions } from './fallback.js';
@@ -0,0 +1,12 @@
+/**
+ * Remote Runtimes
+ *
+ * MRP clients for runtimes served over HTTP or a MessagePort, and routing
+ * of languages to them.
+ * @module remote
+ */
+
+export { RemoteRuntime, RemoteSession, createRemoteRuntime } from './runtime.js';
+export { LanguageRouter } from './router.js';
+export { PortRuntime, exposeRuntime, connectRuntime } from './port.js';
+export { toWireResult, toWireEvent } from './wire.js';
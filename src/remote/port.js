@@ -0,0 +1,779 @@
+/**
+ * MessagePort Bridge
+ *
+ * Runs a runtime in one frame or worker and uses it from another:
+ * {@link exposeRuntime} serves an {@link MrpRuntime} on a MessagePort, and
+ * {@link connectRuntime} returns a {@link PortRuntime} with the same API on
+ * the other end. Methods return promises, streamed executions are async
+ * generators, and runtime events and stale cells are forwarded.
+ *
+ * Values cross the port in the wire format shared with the HTTP server
+ * (see remote/wire): execution results carry `resultString`, formatted like
+ * the LSP views, but no raw `result`, and sessions are sent as their info
+ * (wrapped in a {@link RemoteSession} on the other end).
+ *
+ * Messages:
+ * - `call` / `return` / `throw`: method calls
+ * - `stream` / `event` / `end` / `throw` / `cancel`: streamed executions
+ * - `dispatch`: runtime events; `stale`: stale cells
+ *
+ * @module remote/port
+ */
+
+import { RUNTIME_EVENT_TYPES, createEvent } from '../session/events.js';
+import { generateExecId } from '../session/session.js';
+import { toWireResult, toWireEvent } from './wire.js';
+import { RemoteSession } from './runtime.js';
+
+/**
+ * @typedef {import('../runtime.js').MrpRuntime} MrpRuntime
+ * @typedef {import('../types/capabilities.js').Capabilities} Capabilities
+ * @typedef {import('../types/session.js').SessionInfo} SessionInfo
+ * @typedef {import('../types/session.js').CreateSessionOptions} CreateSessionOptions
+ * @typedef {import('../types/session.js').SessionSnapshot} SessionSnapshot
+ * @typedef {import('../types/session.js').RestoreReport} RestoreReport
+ * @typedef {import('../types/session.js').ForkReport} ForkReport
+ * @typedef {import('../types/session.js').TransferOptions} TransferOptions
+ * @typedef {import('../types/session.js').StaleEvent} StaleEvent
+ * @typedef {import('../types/execution.js').ExecuteOptions} ExecuteOptions
+ * @typedef {import('../types/execution.js').ExecutionResult} ExecutionResult
+ * @typedef {import('../types/execution.js').RerunResult} RerunResult
+ * @typedef {import('../types/execution.js').Asset} Asset
+ * @typedef {import('../types/streaming.js').StreamEvent} StreamEvent
+ * @typedef {import('../types/completion.js').CompleteOptions} CompleteOptions
+ * @typedef {import('../types/completion.js').CompletionResult} CompletionResult
+ * @typedef {import('../types/inspection.js').InspectOptions} InspectOptions
+ * @typedef {import('../types/inspection.js').InspectResult} InspectResult
+ * @typedef {import('../types/inspection.js').HoverResult} HoverResult
+ * @typedef {import('../types/variables.js').VariableFilter} VariableFilter
+ * @typedef {import('../types/variables.js').VariableInfo} VariableInfo
+ * @typedef {import('../types/variables.js').VariableDetailOptions} VariableDetailOptions
+ * @typedef {import('../types/variables.js').VariableDetail} VariableDetail
+ * @typedef {import('../types/analysis.js').IsCompleteResult} IsCompleteResult
+ * @typedef {import('../types/analysis.js').FormatResult} FormatResult
+ */
+
+/**
+ * The end of a message channel (a MessagePort, or a worker)
+ * @typedef {Object} RuntimePort
+ * @property {(message: *) => void} postMessage
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} addEventListener
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} removeEventListener
+ * @property {() => void} [start] - Start receiving (MessagePort)
+ */
+
+/**
+ * Error sent across the port
+ * @typedef {Object} PortError
+ * @property {string} name
+ * @property {string} message
+ */
+
+/** Runtime methods callable through a port */
+const METHODS = new Set([
+  'getCapabilities',
+  'listSessions',
+  'createSession',
+  'getSession',
+  'getOrCreateSession',
+  'destroySession',
+  'resetSession',
+  'pinSession',
+  'unpinSession',
+  'restoreSession',
+  'forkSession',
+  'transferVariable',
+  'execute',
+  'sendInput',
+  'interrupt',
+  'runStale',
+  'complete',
+  'hover',
+  'inspect',
+  'listVariables',
+  'getVariable',
+  'isComplete',
+  'format',
+  'createAsset',
+  'getAsset',
+  'getAssetInfo',
+  'listAssets',
+  'removeAsset',
+  'clearAssets',
+  'registerLanguageAlias',
+  'getImportMap',
+  'addImports',
+]);
+
+/** Methods returning a session */
+const SESSION_METHODS = new Set(['createSession', 'getSession', 'getOrCreateSession']);
+
+/** Methods returning a session with a report */
+const SESSION_REPORT_METHODS = new Set(['restoreSession', 'forkSession']);
+
+/**
+ * @param {*} error
+ * @returns {PortError}
+ */
+function serializeError(error) {
+  return error instanceof Error
+    ? { name: error.name, message: error.message }
+    : { name: 'Error', message: String(error) };
+}
+
+/**
+ * @param {PortError} error
+ * @returns {Error}
+ */
+function deserializeError(error) {
+  return Object.assign(new Error(error.message), { name: error.name });
+}
+
+/**
+ * Convert a method's return value for the port
+ * @param {string} method
+ * @param {*} value
+ * @returns {Promise<*>}
+ */
+async function toPortValue(method, value) {
+  if (SESSION_METHODS.has(method)) {
+    return value ? value.getInfo() : value;
+  }
+  if (SESSION_REPORT_METHODS.has(method)) {
+    return { ...value, session: await value.session.getInfo() };
+  }
+  if (method === 'execute') {
+    return toWireResult(value);
+  }
+  if (method === 'runStale') {
+    return value.map((/** @type {RerunResult} */ entry) => ({ ...entry, result: toWireResult(entry.result) }));
+  }
+  return value;
+}
+
+// ============================================================================
+// Host
+// ============================================================================
+
+/**
+ * Serve a runtime on a port
+ * @param {MrpRuntime} runtime
+ * @param {RuntimePort} port
+ * @returns {() => void} Stops serving (cancels running streams)
+ *
+ * @example
+ * // In the iframe hosting the runtime
+ * window.addEventListener('message', (event) => {
+ *   if (event.data === 'mrmd-connect') exposeRuntime(runtime, event.ports[0]);
+ * });
+ */
+export function exposeRuntime(runtime, port) {
+  /** @type {Map<number, { events: AsyncGenerator<StreamEvent>, session?: string, execId: string }>} */
+  const streams = new Map();
+
+  /**
+   * @param {number} id
+   * @param {string} method
+   * @param {*[]} args
+   */
+  const call = async (id, method, args) => {
+    try {
+      if (!METHODS.has(method)) {
+        throw new Error(`Unknown runtime method '${method}'`);
+      }
+      const value = await /** @type {*} */ (runtime)[method](...args);
+      port.postMessage({ type: 'return', id, value: await toPortValue(method, value) });
+    } catch (error) {
+      port.postMessage({ type: 'throw', id, error: serializeError(error) });
+    }
+  };
+
+  /**
+   * @param {number} id
+   * @param {string} code
+   * @param {ExecuteOptions} [options]
+   */
+  const stream = async (id, code, options = {}) => {
+    const execId = options.execId ?? generateExecId();
+    const entry = { events: runtime.executeStream(code, { ...options, execId }), session: options.session, execId };
+    streams.set(id, entry);
+    try {
+      for await (const event of entry.events) {
+        if (streams.has(id)) port.postMessage({ type: 'event', id, event: toWireEvent(event) });
+      }
+      port.postMessage({ type: 'end', id });
+    } catch (error) {
+      port.postMessage({ type: 'throw', id, error: serializeError(error) });
+    } finally {
+      streams.delete(id);
+    }
+  };
+
+  /**
+   * Stop a stream, interrupting its execution
+   * @param {number} id
+   */
+  const cancel = (id) => {
+    const entry = streams.get(id);
+    if (!entry) return;
+    streams.delete(id);
+    runtime.interrupt(entry.session ?? 'default', entry.execId);
+    entry.events.return(undefined);
+  };
+
+  /** @param {MessageEvent} event */
+  const onMessage = (event) => {
+    const message = event.data;
+    switch (message?.type) {
+      case 'call':
+        call(message.id, message.method, message.args);
+        break;
+      case 'stream':
+        stream(message.id, ...message.args);
+        break;
+      case 'cancel':
+        cancel(message.id);
+        break;
+    }
+  };
+
+  /** @param {Event} event */
+  const onRuntimeEvent = (event) => {
+    const { result, saved: _saved, ...detail } = /** @type {CustomEvent} */ (event).detail;
+    port.postMessage({
+      type: 'dispatch',
+      eventType: event.type,
+      detail: result ? { ...detail, result: toWireResult(result) } : detail,
+    });
+  };
+
+  port.addEventListener('message', onMessage);
+  port.start?.();
+  for (const type of RUNTIME_EVENT_TYPES) {
+    runtime.addEventListener(type, onRuntimeEvent);
+  }
+  const stopStale = runtime.onStale((event) => port.postMessage({ type: 'stale', event }));
+
+  return () => {
+    port.removeEventListener('message', onMessage);
+    for (const type of RUNTIME_EVENT_TYPES) {
+      runtime.removeEventListener(type, onRuntimeEvent);
+    }
+    stopStale();
+    for (const id of Array.from(streams.keys())) {
+      cancel(id);
+    }
+  };
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Runtime served on the other end of a port with {@link exposeRuntime}.
+ * Dispatches the runtime's events.
+ */
+export class PortRuntime extends EventTarget {
+  /** @type {RuntimePort} */
+  #port;
+
+  /** @type {number} */
+  #nextId = 1;
+
+  /** @type {Map<number, { resolve: (value: *) => void, reject: (error: Error) => void }>} */
+  #calls = new Map();
+
+  /** @type {Map<number, (message: *) => void>} */
+  #streams = new Map();
+
+  /** @type {Set<(event: StaleEvent) => void>} */
+  #staleListeners = new Set();
+
+  /** @type {(event: MessageEvent) => void} */
+  #onMessage;
+
+  /**
+   * @param {RuntimePort} port
+   */
+  constructor(port) {
+    super();
+    this.#port = port;
+    this.#onMessage = (event) => this.#receive(event.data);
+    port.addEventListener('message', this.#onMessage);
+    port.start?.();
+  }
+
+  /**
+   * Handle a message from the host
+   * @param {*} message
+   */
+  #receive(message) {
+    switch (message?.type) {
+      case 'return':
+      case 'throw': {
+        const call = this.#calls.get(message.id);
+        if (call) {
+          this.#calls.delete(message.id);
+          if (message.type === 'return') call.resolve(message.value);
+          else call.reject(deserializeError(message.error));
+          return;
+        }
+        this.#streams.get(message.id)?.(message);
+        break;
+      }
+      case 'event':
+      case 'end':
+        this.#streams.get(message.id)?.(message);
+        break;
+      case 'dispatch':
+        this.dispatchEvent(createEvent(message.eventType, message.detail));
+        break;
+      case 'stale':
+        for (const listener of this.#staleListeners) {
+          listener(message.event);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Call a runtime method on the host
+   * @param {string} method
+   * @param {...*} args
+   * @returns {Promise<*>}
+   */
+  #call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = this.#nextId++;
+      this.#calls.set(id, { resolve, reject });
+      this.#port.postMessage({ type: 'call', id, method, args });
+    });
+  }
+
+  /**
+   * Wrap session info from the host
+   * @param {SessionInfo | undefined} info
+   * @returns {RemoteSession | undefined}
+   */
+  #session(info) {
+    return info ? new RemoteSession(/** @type {*} */ (this), info) : undefined;
+  }
+
+  // ============================================================================
+  // Capabilities and Sessions
+  // ============================================================================
+
+  /**
+   * @returns {Promise<Capabilities>}
+   */
+  getCapabilities() {
+    return this.#call('getCapabilities');
+  }
+
+  /**
+   * @returns {Promise<SessionInfo[]>}
+   */
+  listSessions() {
+    return this.#call('listSessions');
+  }
+
+  /**
+   * @param {CreateSessionOptions} [options]
+   * @returns {Promise<RemoteSession>}
+   */
+  async createSession(options) {
+    return /** @type {RemoteSession} */ (this.#session(await this.#call('createSession', options)));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<RemoteSession | undefined>}
+   */
+  async getSession(id) {
+    return this.#session(await this.#call('getSession', id));
+  }
+
+  /**
+   * @param {string} id
+   * @param {CreateSessionOptions} [options]
+   * @returns {Promise<RemoteSession>}
+   */
+  async getOrCreateSession(id, options) {
+    return /** @type {RemoteSession} */ (this.#session(await this.#call('getOrCreateSession', id, options)));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  destroySession(id) {
+    return this.#call('destroySession', id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  resetSession(id) {
+    return this.#call('resetSession', id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  pinSession(id) {
+    return this.#call('pinSession', id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  unpinSession(id) {
+    return this.#call('unpinSession', id);
+  }
+
+  /**
+   * @param {SessionSnapshot} snapshot
+   * @param {CreateSessionOptions} [options]
+   * @returns {Promise<{ session: RemoteSession } & RestoreReport>}
+   */
+  async restoreSession(snapshot, options) {
+    const report = await this.#call('restoreSession', snapshot, options);
+    return { ...report, session: this.#session(report.session) };
+  }
+
+  /**
+   * @param {string} sourceId
+   * @param {CreateSessionOptions} [options]
+   * @returns {Promise<{ session: RemoteSession } & ForkReport>}
+   */
+  async forkSession(sourceId, options) {
+    const report = await this.#call('forkSession', sourceId, options);
+    return { ...report, session: this.#session(report.session) };
+  }
+
+  /**
+   * @param {string} fromId
+   * @param {string} toId
+   * @param {string} name
+   * @param {TransferOptions} [options]
+   * @returns {Promise<void>}
+   */
+  transferVariable(fromId, toId, name, options) {
+    return this.#call('transferVariable', fromId, toId, name, options);
+  }
+
+  // ============================================================================
+  // Execution
+  // ============================================================================
+
+  /**
+   * Execute code. Aborting `signal` interrupts the execution.
+   * @param {string} code
+   * @param {ExecuteOptions} [options]
+   * @returns {Promise<ExecutionResult>}
+   */
+  async execute(code, options = {}) {
+    const { signal, ...rest } = options;
+    // Known up front, so aborting while the cell is queued cancels only it
+    const execId = rest.execId ?? generateExecId();
+    const onAbort = () => this.interrupt(rest.session ?? 'default', execId);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      return await this.#call('execute', code, { ...rest, execId });
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Execute code with streaming output. Ending the iteration early (or
+   * aborting `signal`) interrupts the execution.
+   * @param {string} code
+   * @param {ExecuteOptions} [options]
+   * @returns {AsyncGenerator<StreamEvent>}
+   */
+  async *executeStream(code, options = {}) {
+    const { signal, ...rest } = options;
+    const id = this.#nextId++;
+    /** @type {*[]} */
+    const queue = [];
+    /** @type {(() => void) | null} */
+    let wake = null;
+    let finished = false;
+
+    /** @param {*} message */
+    const push = (message) => {
+      queue.push(message);
+      wake?.();
+    };
+    const onAbort = () => push({ type: 'throw', error: { name: 'AbortError', message: 'Execution aborted' } });
+
+    this.#streams.set(id, push);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    this.#port.postMessage({ type: 'stream', id, args: [code, { ...rest, execId: rest.execId ?? generateExecId() }] });
+
+    try {
+      for (;;) {
+        while (queue.length === 0) {
+          await new Promise((resolve) => {
+            wake = () => resolve(undefined);
+          });
+        }
+        wake = null;
+
+        const message = queue.shift();
+        if (message.type === 'event') {
+          yield message.event;
+        } else if (message.type === 'end') {
+          finished = true;
+          return;
+        } else {
+          finished = message.error.name !== 'AbortError';
+          throw deserializeError(message.error);
+        }
+      }
+    } finally {
+      this.#streams.delete(id);
+      signal?.removeEventListener('abort', onAbort);
+      if (!finished) this.#port.postMessage({ type: 'cancel', id });
+    }
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {string} execId
+   * @param {string} text
+   * @returns {Promise<boolean>}
+   */
+  sendInput(sessionId, execId, text) {
+    return this.#call('sendInput', sessionId, execId, text);
+  }
+
+  /**
+   * @param {string} [sessionId]
+   * @param {string} [execId]
+   * @returns {Promise<boolean>}
+   */
+  interrupt(sessionId, execId) {
+    return this.#call('interrupt', sessionId, execId);
+  }
+
+  // ============================================================================
+  // Reactivity
+  // ============================================================================
+
+  /**
+   * Listen for cells becoming stale on the host runtime
+   * @param {(event: StaleEvent) => void} listener
+   * @returns {() => void} Removes the listener
+   */
+  onStale(listener) {
+    this.#staleListeners.add(listener);
+    return () => {
+      this.#staleListeners.delete(listener);
+    };
+  }
+
+  /**
+   * @param {string} [sessionId]
+   * @returns {Promise<RerunResult[]>}
+   */
+  runStale(sessionId) {
+    return this.#call('runStale', sessionId);
+  }
+
+  // ============================================================================
+  // LSP Features
+  // ============================================================================
+
+  /**
+   * @param {string} code
+   * @param {number} cursor
+   * @param {CompleteOptions} [options]
+   * @returns {Promise<CompletionResult>}
+   */
+  complete(code, cursor, options) {
+    return this.#call('complete', code, cursor, options);
+  }
+
+  /**
+   * @param {string} code
+   * @param {number} cursor
+   * @param {string} [sessionId]
+   * @returns {Promise<HoverResult>}
+   */
+  hover(code, cursor, sessionId) {
+    return this.#call('hover', code, cursor, sessionId);
+  }
+
+  /**
+   * @param {string} code
+   * @param {number} cursor
+   * @param {InspectOptions} [options]
+   * @returns {Promise<InspectResult>}
+   */
+  inspect(code, cursor, options) {
+    return this.#call('inspect', code, cursor, options);
+  }
+
+  /**
+   * @param {VariableFilter} [filter]
+   * @param {string} [sessionId]
+   * @returns {Promise<VariableInfo[]>}
+   */
+  listVariables(filter, sessionId) {
+    return this.#call('listVariables', filter, sessionId);
+  }
+
+  /**
+   * @param {string} name
+   * @param {VariableDetailOptions} [options]
+   * @returns {Promise<VariableDetail | null>}
+   */
+  getVariable(name, options) {
+    return this.#call('getVariable', name, options);
+  }
+
+  // ============================================================================
+  // Analysis
+  // ============================================================================
+
+  /**
+   * @param {string} code
+   * @param {string} [sessionId]
+   * @returns {Promise<IsCompleteResult>}
+   */
+  isComplete(code, sessionId) {
+    return this.#call('isComplete', code, sessionId);
+  }
+
+  /**
+   * @param {string} code
+   * @param {string} [sessionId]
+   * @returns {Promise<FormatResult>}
+   */
+  format(code, sessionId) {
+    return this.#call('format', code, sessionId);
+  }
+
+  // ============================================================================
+  // Assets
+  // ============================================================================
+
+  /**
+   * @param {Blob | string} content
+   * @param {string} mimeType
+   * @param {string} [name]
+   * @returns {Promise<Asset>}
+   */
+  createAsset(content, mimeType, name) {
+    return this.#call('createAsset', content, mimeType, name);
+  }
+
+  /**
+   * Get the blob URL of an asset. Blob URLs only resolve in the host's
+   * origin.
+   * @param {string} path
+   * @returns {Promise<string | null>}
+   */
+  getAsset(path) {
+    return this.#call('getAsset', path);
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<import('../runtime.js').StoredAsset | null>}
+   */
+  getAssetInfo(path) {
+    return this.#call('getAssetInfo', path);
+  }
+
+  /**
+   * @returns {Promise<Array<{ path: string } & import('../runtime.js').StoredAsset>>}
+   */
+  listAssets() {
+    return this.#call('listAssets');
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<boolean>}
+   */
+  removeAsset(path) {
+    return this.#call('removeAsset', path);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  clearAssets() {
+    return this.#call('clearAssets');
+  }
+
+  // ============================================================================
+  // Extensibility
+  // ============================================================================
+
+  /**
+   * @param {string} alias
+   * @param {string} language
+   * @returns {Promise<void>}
+   */
+  registerLanguageAlias(alias, language) {
+    return this.#call('registerLanguageAlias', alias, language);
+  }
+
+  /**
+   * @returns {Promise<import('../transform/imports.js').ImportMap>}
+   */
+  getImportMap() {
+    return this.#call('getImportMap');
+  }
+
+  /**
+   * @param {Record<string, string>} imports
+   * @returns {Promise<void>}
+   */
+  addImports(imports) {
+    return this.#call('addImports', imports);
+  }
+
+  // ============================================================================
+  // Lifecycle
+  // ============================================================================
+
+  /**
+   * Stop using the port. Pending calls fail and streams are cancelled; the
+   * host runtime keeps running.
+   */
+  destroy() {
+    this.#port.removeEventListener('message', this.#onMessage);
+    const closed = { name: 'Error', message: 'The runtime connection was closed' };
+    for (const call of this.#calls.values()) {
+      call.reject(deserializeError(closed));
+    }
+    this.#calls.clear();
+    for (const push of this.#streams.values()) {
+      push({ type: 'throw', error: closed });
+    }
+  }
+}
+
+/**
+ * Connect to a runtime served on a port with {@link exposeRuntime}
+ * @param {RuntimePort} port
+ * @returns {PortRuntime}
+ *
+ * @example
+ * const { port1, port2 } = new MessageChannel();
+ * iframe.contentWindow.postMessage('mrmd-connect', '*', [port2]);
+ * const runtime = connectRuntime(port1);
+ * const result = await runtime.execute('1 + 1');
+ */
+export function connectRuntime(port) {
+  return new PortRuntime(port);
+}
@@ -0,0 +1,119 @@
+/**
+ * Language Router
+ *
+ * Keeps track of the languages an {@link MrpRuntime} hands to other
+ * runtimes (typically a {@link RemoteRuntime} for Python or R) and of the
+ * sessions living on them. A session belongs to exactly one backend: the
+ * runtime it was created on.
+ *
+ * @module remote/router
+ */
+
+/**
+ * @typedef {import('../runtime.js').MrpRuntime} MrpRuntime
+ * @typedef {import('./runtime.js').RemoteRuntime} RemoteRuntime
+ */
+
+/**
+ * Runtime that languages can be routed to. Anything with the API of
+ * {@link RemoteRuntime}, including another MrpRuntime.
+ * @typedef {RemoteRuntime | MrpRuntime} LanguageBackend
+ */
+
+/**
+ * @typedef {Object} LanguageRoute
+ * @property {string} language - Routed language (aliases resolve to it)
+ * @property {LanguageBackend} backend
+ */
+
+/**
+ * Languages and sessions of the backends a runtime routes to
+ */
+export class LanguageRouter {
+  /** @type {Map<string, LanguageRoute>} Language or alias → route */
+  #routes = new Map();
+
+  /** @type {Map<string, LanguageBackend>} Session ID → backend */
+  #sessions = new Map();
+
+  /**
+   * Route a language and its aliases to a backend
+   * @param {string} language
+   * @param {LanguageBackend} backend
+   * @param {string[]} [aliases]
+   */
+  route(language, backend, aliases = []) {
+    /** @type {LanguageRoute} */
+    const route = { language: language.toLowerCase(), backend };
+    for (const name of [language, ...aliases]) {
+      this.#routes.set(name.toLowerCase(), route);
+    }
+  }
+
+  /**
+   * Stop routing a language and its aliases. Sessions already created on
+   * its backend stay routed to it.
+   * @param {string} language
+   * @returns {boolean} Whether the language was routed
+   */
+  unroute(language) {
+    const route = this.#routes.get(language.toLowerCase());
+    if (!route) return false;
+
+    for (const [name, candidate] of this.#routes) {
+      if (candidate === route) this.#routes.delete(name);
+    }
+    return true;
+  }
+
+  /**
+   * Get the route of a language
+   * @param {string} language - Language or alias
+   * @returns {LanguageRoute | undefined}
+   */
+  get(language) {
+    return this.#routes.get(language.toLowerCase());
+  }
+
+  /**
+   * Get the routed languages and aliases
+   * @returns {string[]}
+   */
+  languages() {
+    return Array.from(this.#routes.keys()).sort();
+  }
+
+  /**
+   * Get the sessions living on backends
+   * @returns {Array<[string, LanguageBackend]>} Session ID and backend pairs
+   */
+  sessions() {
+    return Array.from(this.#sessions);
+  }
+
+  /**
+   * Record that a session lives on a backend
+   * @param {string} sessionId
+   * @param {LanguageBackend} backend
+   */
+  claim(sessionId, backend) {
+    this.#sessions.set(sessionId, backend);
+  }
+
+  /**
+   * Forget a session
+   * @param {string} sessionId
+   */
+  release(sessionId) {
+    this.#sessions.delete(sessionId);
+  }
+
+  /**
+   * Get the backend a session lives on
+   * @param {string} sessionId
+   * @returns {LanguageBackend | undefined} Undefined for local sessions
+   */
+  owner(sessionId) {
+    return this.#sessions.get(sessionId);
+  }
+}
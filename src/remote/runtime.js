@@ -0,0 +1,577 @@
+/**
+ * Remote Runtime
+ *
+ * An MRP client with the API of {@link MrpRuntime}, backed by any MRP server
+ * (mrmd-python, or mrmd-js served with server/http) over HTTP. Methods that
+ * are synchronous on a local runtime return promises here, and execution
+ * results have no raw `result` value (only `resultString`).
+ *
+ * Features that only exist locally (events, pinning, snapshots, variable
+ * transfer, executor registration, local assets) are not available.
+ *
+ * @module remote/runtime
+ */
+
+import { readServerSentEvents } from '../server/sse.js';
+
+/**
+ * @typedef {import('../runtime.js').MrpRuntime} MrpRuntime
+ * @typedef {import('../types/capabilities.js').Capabilities} Capabilities
+ * @typedef {import('../types/session.js').SessionInfo} SessionInfo
+ * @typedef {import('../types/session.js').CreateSessionOptions} CreateSessionOptions
+ * @typedef {import('../types/execution.js').ExecuteOptions} ExecuteOptions
+ * @typedef {import('../types/execution.js').ExecutionResult} ExecutionResult
+ * @typedef {import('../types/streaming.js').StreamEvent} StreamEvent
+ * @typedef {import('../types/completion.js').CompleteOptions} CompleteOptions
+ * @typedef {import('../types/completion.js').CompletionResult} CompletionResult
+ * @typedef {import('../types/inspection.js').InspectOptions} InspectOptions
+ * @typedef {import('../types/inspection.js').InspectResult} InspectResult
+ * @typedef {import('../types/inspection.js').HoverResult} HoverResult
+ * @typedef {import('../types/variables.js').VariableFilter} VariableFilter
+ * @typedef {import('../types/variables.js').VariableInfo} VariableInfo
+ * @typedef {import('../types/variables.js').VariableDetailOptions} VariableDetailOptions
+ * @typedef {import('../types/variables.js').VariableDetail} VariableDetail
+ * @typedef {import('../types/analysis.js').IsCompleteResult} IsCompleteResult
+ * @typedef {import('../types/analysis.js').FormatResult} FormatResult
+ */
+
+/**
+ * @typedef {Object} RemoteRuntimeOptions
+ * @property {string} url - Base URL of the MRP endpoints (e.g.
+ *   `http://localhost:8000/mrp/v1`)
+ * @property {Record<string, string>} [headers] - Extra headers sent with
+ *   every request (e.g. `Authorization`)
+ * @property {typeof fetch} [fetch] - Fetch implementation (defaults to the
+ *   global one)
+ */
+
+/**
+ * Runtime proxying the MRP endpoints of a remote server
+ *
+ * @example
+ * const python = new RemoteRuntime({ url: 'http://localhost:8000/mrp/v1' });
+ * const session = await python.createSession({ language: 'python' });
+ * const result = await session.execute('import math; math.pi');
+ * console.log(result.resultString); // "3.141592653589793"
+ */
+export class RemoteRuntime {
+  /** @type {string} */
+  #url;
+
+  /** @type {Record<string, string>} */
+  #headers;
+
+  /** @type {typeof fetch} */
+  #fetch;
+
+  /** @type {Set<AbortController>} Requests to abort on destroy */
+  #pending = new Set();
+
+  /**
+   * @param {RemoteRuntimeOptions} options
+   */
+  constructor(options) {
+    this.#url = options.url.replace(/\/+$/, '');
+    this.#headers = options.headers ?? {};
+    this.#fetch = options.fetch ?? ((input, init) => fetch(input, init));
+  }
+
+  /**
+   * Base URL of the MRP endpoints
+   * @returns {string}
+   */
+  get url() {
+    return this.#url;
+  }
+
+  /**
+   * Track a request so destroy() can abort it
+   * @param {AbortSignal} [signal] - Caller's signal, also aborting the request
+   * @returns {{ signal: AbortSignal, release: () => void }}
+   */
+  #track(signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal?.reason);
+    signal?.addEventListener('abort', abort, { once: true });
+    if (signal?.aborted) abort();
+    this.#pending.add(controller);
+
+    return {
+      signal: controller.signal,
+      release: () => {
+        signal?.removeEventListener('abort', abort);
+        this.#pending.delete(controller);
+      },
+    };
+  }
+
+  /**
+   * Send a request to the server
+   * @param {string} method
+   * @param {string} path
+   * @param {{ body?: Object, signal?: AbortSignal, optional?: boolean }} [options] -
+   *   `optional`: a 404 means the session or variable does not exist
+   * @returns {Promise<Response>} Successful response, or 404 for optional requests
+   * @throws {Error} On error statuses, with the server's message
+   */
+  async #request(method, path, options = {}) {
+    const { body, signal, optional = false } = options;
+    const response = await this.#fetch(`${this.#url}${path}`, {
+      method,
+      headers: body === undefined ? this.#headers : { 'Content-Type': 'application/json', ...this.#headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok && !(optional && response.status === 404)) {
+      const { error } = await response.json().catch(() => ({ error: response.statusText }));
+      throw new Error(`MRP ${method} ${path} failed (${response.status}): ${error}`);
+    }
+    return response;
+  }
+
+  /**
+   * Send a request and read its JSON response
+   * @param {string} method
+   * @param {string} path
+   * @param {{ body?: Object, signal?: AbortSignal, optional?: boolean }} [options]
+   * @returns {Promise<*>} Parsed body, or null for no content or not found
+   */
+  async #json(method, path, options = {}) {
+    const { signal, release } = this.#track(options.signal);
+    try {
+      const response = await this.#request(method, path, { ...options, signal });
+      return response.status === 404 || response.status === 204 ? null : await response.json();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Get the path of a session
+   * @param {string} id
+   * @returns {string}
+   */
+  #sessionPath(id) {
+    return `/sessions/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Get runtime capabilities (MRP GET /capabilities)
+   * @returns {Promise<Capabilities>}
+   */
+  async getCapabilities() {
+    return this.#json('GET', '/capabilities');
+  }
+
+  // ============================================================================
+  // Sessions
+  // ============================================================================
+
+  /**
+   * List all active sessions (MRP GET /sessions)
+   * @returns {Promise<SessionInfo[]>}
+   */
+  async listSessions() {
+    return this.#json('GET', '/sessions');
+  }
+
+  /**
+   * Create a new session (MRP POST /sessions). Only options that survive
+   * JSON are sent; mrmd-js servers accept `id`, `language`, `isolation`
+   * and `timeout`.
+   * @param {CreateSessionOptions} [options]
+   * @returns {Promise<RemoteSession>}
+   */
+  async createSession(options = {}) {
+    /** @type {SessionInfo} */
+    const info = await this.#json('POST', '/sessions', { body: options });
+    return new RemoteSession(this, info);
+  }
+
+  /**
+   * Get a session by ID (MRP GET /sessions/{id})
+   * @param {string} id
+   * @returns {Promise<RemoteSession | undefined>}
+   */
+  async getSession(id) {
+    /** @type {SessionInfo | null} */
+    const info = await this.#json('GET', this.#sessionPath(id), { optional: true });
+    return info ? new RemoteSession(this, info) : undefined;
+  }
+
+  /**
+   * Get or create a session
+   * @param {string} id
+   * @param {CreateSessionOptions} [options]
+   * @returns {Promise<RemoteSession>}
+   */
+  async getOrCreateSession(id, options = {}) {
+    return (await this.getSession(id)) ?? this.createSession({ ...options, id });
+  }
+
+  /**
+   * Destroy a session (MRP DELETE /sessions/{id})
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async destroySession(id) {
+    const { signal, release } = this.#track();
+    try {
+      const response = await this.#request('DELETE', this.#sessionPath(id), { signal, optional: true });
+      return response.ok;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Reset a session (MRP POST /sessions/{id}/reset)
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async resetSession(id) {
+    return (await this.#json('POST', `${this.#sessionPath(id)}/reset`, { body: {}, optional: true })) !== null;
+  }
+
+  // ============================================================================
+  // Execution
+  // ============================================================================
+
+  /**
+   * Execute code (MRP POST /execute)
+   * @param {string} code
+   * @param {ExecuteOptions} [options] - `signal` aborts the request
+   * @returns {Promise<ExecutionResult>}
+   */
+  async execute(code, options = {}) {
+    const { signal, ...rest } = options;
+    return this.#json('POST', '/execute', { body: { ...rest, code }, signal });
+  }
+
+  /**
+   * Execute code with streaming output (MRP POST /execute/stream). Ending
+   * the iteration early (or aborting `signal`) closes the connection, which
+   * interrupts the execution on servers that support it.
+   * @param {string} code
+   * @param {ExecuteOptions} [options]
+   * @returns {AsyncGenerator<StreamEvent>}
+   */
+  async *executeStream(code, options = {}) {
+    const { signal: callerSignal, ...rest } = options;
+    const { signal, release } = this.#track(callerSignal);
+    try {
+      const response = await this.#request('POST', '/execute/stream', { body: { ...rest, code }, signal });
+      if (!response.body) throw new Error('MRP POST /execute/stream failed: empty response');
+      yield* readServerSentEvents(response.body);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Send input to a waiting execution (MRP POST /input)
+   * @param {string} sessionId
+   * @param {string} execId
+   * @param {string} text
+   * @returns {Promise<boolean>}
+   */
+  async sendInput(sessionId, execId, text) {
+    const { accepted } = await this.#json('POST', '/input', { body: { session: sessionId, execId, text } });
+    return accepted;
+  }
+
+  /**
+   * Interrupt execution (MRP POST /interrupt)
+   * @param {string} [sessionId] - All sessions if not given
+   * @param {string} [execId]
+   * @returns {Promise<boolean>}
+   */
+  async interrupt(sessionId, execId) {
+    const { interrupted } = await this.#json('POST', '/interrupt', { body: { session: sessionId, execId } });
+    return interrupted;
+  }
+
+  // ============================================================================
+  // LSP Features
+  // ============================================================================
+
+  /**
+   * Get completions (MRP POST /complete)
+   * @param {string} code
+   * @param {number} cursor
+   * @param {CompleteOptions} [options]
+   * @returns {Promise<CompletionResult>}
+   */
+  async complete(code, cursor, options = {}) {
+    return this.#json('POST', '/complete', { body: { ...options, code, cursor } });
+  }
+
+  /**
+   * Get hover info (MRP POST /hover)
+   * @param {string} code
+   * @param {number} cursor
+   * @param {string} [sessionId='default']
+   * @returns {Promise<HoverResult>}
+   */
+  async hover(code, cursor, sessionId = 'default') {
+    return this.#json('POST', '/hover', { body: { session: sessionId, code, cursor } });
+  }
+
+  /**
+   * Get inspection info (MRP POST /inspect)
+   * @param {string} code
+   * @param {number} cursor
+   * @param {InspectOptions} [options]
+   * @returns {Promise<InspectResult>}
+   */
+  async inspect(code, cursor, options = {}) {
+    return this.#json('POST', '/inspect', { body: { ...options, code, cursor } });
+  }
+
+  /**
+   * List variables (MRP POST /variables)
+   * @param {VariableFilter} [filter]
+   * @param {string} [sessionId='default']
+   * @returns {Promise<VariableInfo[]>}
+   */
+  async listVariables(filter, sessionId = 'default') {
+    return this.#json('POST', '/variables', { body: { session: sessionId, filter } });
+  }
+
+  /**
+   * Get variable detail (MRP POST /variables/{name})
+   * @param {string} name
+   * @param {VariableDetailOptions} [options]
+   * @returns {Promise<VariableDetail | null>}
+   */
+  async getVariable(name, options = {}) {
+    return this.#json('POST', `/variables/${encodeURIComponent(name)}`, { body: options, optional: true });
+  }
+
+  // ============================================================================
+  // Analysis
+  // ============================================================================
+
+  /**
+   * Check if code is complete (MRP POST /is_complete)
+   * @param {string} code
+   * @param {string} [sessionId='default']
+   * @returns {Promise<IsCompleteResult>}
+   */
+  async isComplete(code, sessionId = 'default') {
+    return this.#json('POST', '/is_complete', { body: { session: sessionId, code } });
+  }
+
+  /**
+   * Format code (MRP POST /format)
+   * @param {string} code
+   * @param {string} [sessionId='default']
+   * @returns {Promise<FormatResult>}
+   */
+  async format(code, sessionId = 'default') {
+    return this.#json('POST', '/format', { body: { session: sessionId, code } });
+  }
+
+  // ============================================================================
+  // Assets
+  // ============================================================================
+
+  /**
+   * Get the URL of an asset on the server (MRP GET /assets/{path})
+   * @param {string} path
+   * @returns {string}
+   */
+  getAsset(path) {
+    return `${this.#url}/assets/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  // ============================================================================
+  // Cleanup
+  // ============================================================================
+
+  /**
+   * Abort all requests in flight, including streams. Sessions on the
+   * server are left running.
+   */
+  destroy() {
+    for (const controller of this.#pending) {
+      controller.abort();
+    }
+    this.#pending.clear();
+  }
+}
+
+/**
+ * Session on a remote MRP server, with the API of a local session for the
+ * MRP operations. Methods return promises.
+ */
+export class RemoteSession {
+  /** @type {RemoteRuntime} */
+  #runtime;
+
+  /** @type {SessionInfo} */
+  #info;
+
+  /**
+   * @param {RemoteRuntime} runtime
+   * @param {SessionInfo} info - Session info from the server
+   */
+  constructor(runtime, info) {
+    this.#runtime = runtime;
+    this.#info = info;
+  }
+
+  /**
+   * Session ID
+   * @returns {string}
+   */
+  get id() {
+    return this.#info.id;
+  }
+
+  /**
+   * Primary language
+   * @returns {string}
+   */
+  get language() {
+    return this.#info.language;
+  }
+
+  /**
+   * Execute code in this session
+   * @param {string} code
+   * @param {ExecuteOptions} [options]
+   * @returns {Promise<ExecutionResult>}
+   */
+  execute(code, options = {}) {
+    return this.#runtime.execute(code, { ...options, session: this.id });
+  }
+
+  /**
+   * Execute code in this session with streaming output
+   * @param {string} code
+   * @param {ExecuteOptions} [options]
+   * @returns {AsyncGenerator<StreamEvent>}
+   */
+  executeStream(code, options = {}) {
+    return this.#runtime.executeStream(code, { ...options, session: this.id });
+  }
+
+  /**
+   * Send input to a waiting execution
+   * @param {string} execId
+   * @param {string} text
+   * @returns {Promise<boolean>}
+   */
+  sendInput(execId, text) {
+    return this.#runtime.sendInput(this.id, execId, text);
+  }
+
+  /**
+   * Interrupt execution in this session
+   * @param {string} [execId]
+   * @returns {Promise<boolean>}
+   */
+  interrupt(execId) {
+    return this.#runtime.interrupt(this.id, execId);
+  }
+
+  /**
+   * @param {string} code
+   * @param {number} cursor
+   * @param {CompleteOptions} [options]
+   * @returns {Promise<CompletionResult>}
+   */
+  complete(code, cursor, options = {}) {
+    return this.#runtime.complete(code, cursor, { ...options, session: this.id });
+  }
+
+  /**
+   * @param {string} code
+   * @param {number} cursor
+   * @returns {Promise<HoverResult>}
+   */
+  hover(code, cursor) {
+    return this.#runtime.hover(code, cursor, this.id);
+  }
+
+  /**
+   * @param {string} code
+   * @param {number} cursor
+   * @param {InspectOptions} [options]
+   * @returns {Promise<InspectResult>}
+   */
+  inspect(code, cursor, options = {}) {
+    return this.#runtime.inspect(code, cursor, { ...options, session: this.id });
+  }
+
+  /**
+   * @param {VariableFilter} [filter]
+   * @returns {Promise<VariableInfo[]>}
+   */
+  listVariables(filter) {
+    return this.#runtime.listVariables(filter, this.id);
+  }
+
+  /**
+   * @param {string} name
+   * @param {VariableDetailOptions} [options]
+   * @returns {Promise<VariableDetail | null>}
+   */
+  getVariable(name, options = {}) {
+    return this.#runtime.getVariable(name, { ...options, session: this.id });
+  }
+
+  /**
+   * @param {string} code
+   * @returns {Promise<IsCompleteResult>}
+   */
+  isComplete(code) {
+    return this.#runtime.isComplete(code, this.id);
+  }
+
+  /**
+   * @param {string} code
+   * @returns {Promise<FormatResult>}
+   */
+  format(code) {
+    return this.#runtime.format(code, this.id);
+  }
+
+  /**
+   * Clear the session namespace
+   * @returns {Promise<boolean>}
+   */
+  reset() {
+    return this.#runtime.resetSession(this.id);
+  }
+
+  /**
+   * Destroy the session on the server
+   * @returns {Promise<boolean>}
+   */
+  destroy() {
+    return this.#runtime.destroySession(this.id);
+  }
+
+  /**
+   * Get up-to-date session info from the server
+   * @returns {Promise<SessionInfo>}
+   */
+  async getInfo() {
+    const session = await this.#runtime.getSession(this.id);
+    if (!session) throw new Error(`Session '${this.id}' not found`);
+    this.#info = session.#info;
+    return this.#info;
+  }
+}
+
+/**
+ * Create a remote runtime
+ * @param {RemoteRuntimeOptions} options
+ * @returns {RemoteRuntime}
+ */
+export function createRemoteRuntime(options) {
+  return new RemoteRuntime(options);
+}
@@ -0,0 +1,46 @@
+/**
+ * Wire Format
+ *
+ * Converts runtime values for transports that cannot carry live values:
+ * JSON over HTTP (server/http) and structured clones over a MessagePort
+ * (remote/port). Execution results leave out the raw `result` value and
+ * keep its display text, formatted like the LSP views (see lsp/format)
+ * when the executor did not provide one.
+ *
+ * @module remote/wire
+ */
+
+import { formatValue } from '../lsp/format.js';
+
+/**
+ * @typedef {import('../types/execution.js').ExecutionResult} ExecutionResult
+ * @typedef {import('../types/streaming.js').StreamEvent} StreamEvent
+ */
+
+/**
+ * Convert an execution result for the wire, dropping raw values
+ * @param {ExecutionResult} result
+ * @returns {Omit<ExecutionResult, 'result'>}
+ */
+export function toWireResult(result) {
+  const { result: value, rerun, ...wire } = result;
+  if (wire.resultString === undefined && value !== undefined) {
+    wire.resultString = formatValue(value);
+  }
+  if (rerun) {
+    return {
+      ...wire,
+      rerun: rerun.map((entry) => ({ ...entry, result: toWireResult(entry.result) })),
+    };
+  }
+  return wire;
+}
+
+/**
+ * Convert a stream event for the wire
+ * @param {StreamEvent} event
+ * @returns {StreamEvent}
+ */
+export function toWireEvent(event) {
+  return event.type === 'result' ? { ...event, result: toWireResult(event.result) } : event;
+}
@@ -8,6 +8,11 @@
  */
 
 import { SessionManager } from './session/manager.js';
+import { analyzeCell } from './session/dependencies.js';
+import { forwardEvents } from './session/events.js';
+import { LanguageRouter } from './remote/router.js';
+import { LanguageServiceClient, mergeCompletions } from './lsp/fallback.js';
+import { formatValueShort, getTypeName, getFunctionSource } from './lsp/format.js';
 import { createDefaultExecutorRegistry } from './execute/index.js';
 import { RUNTIME_NAME, RUNTIME_VERSION, DEFAULT_MAX_SESSIONS } from './constants.js';
 
@@ -20,6 +25,12 @@ import { RUNTIME_NAME, RUNTIME_VERSION, DEFAULT_MAX_SESSIONS } from './constants
  * @typedef {import('./types/session.js').IsolationMode} IsolationMode
  * @typedef {import('./types/execution.js').ExecuteOptions} ExecuteOptions
  * @typedef {import('./types/execution.js').ExecutionResult} ExecutionResult
+ * @typedef {import('./types/execution.js').RerunResult} RerunResult
+ * @typedef {import('./types/session.js').StaleEvent} StaleEvent
+ * @typedef {import('./types/session.js').SessionSnapshot} SessionSnapshot
+ * @typedef {import('./types/session.js').RestoreReport} RestoreReport
+ * @typedef {import('./types/session.js').ForkReport} ForkReport
+ * @typedef {import('./types/session.js').TransferOptions} TransferOptions
  * @typedef {import('./types/streaming.js').StreamEvent} StreamEvent
  * @typedef {import('./types/completion.js').CompleteOptions} CompleteOptions
  * @typedef {import('./types/completion.js').CompletionResult} CompletionResult
@@ -35,13 +46,48 @@ import { RUNTIME_NAME, RUNTIME_VERSION, DEFAULT_MAX_SESSIONS } from './constants
  * @typedef {import('./session/session.js').Session} Session
  * @typedef {import('./execute/registry.js').ExecutorRegistry} ExecutorRegistry
  * @typedef {import('./execute/interface.js').Executor} Executor
+ * @typedef {import('./transform/imports.js').ImportMap} ImportMap
+ * @typedef {import('./session/manager.js').EvictionPolicy} EvictionPolicy
+ * @typedef {import('./session/snapshot.js').SnapshotStore} SnapshotStore
+ * @typedef {import('./remote/router.js').LanguageBackend} LanguageBackend
+ * @typedef {import('./remote/runtime.js').RemoteSession} RemoteSession
+ * @typedef {import('./lsp/fallback.js').LanguageServiceOptions} LanguageServiceOptions
  */
 
 /**
  * @typedef {Object} MrpRuntimeOptions
  * @property {number} [maxSessions] - Maximum concurrent sessions
- * @property {IsolationMode} [defaultIsolation='iframe'] - Default isolation mode
+ * @property {EvictionPolicy} [eviction='error'] - What creating a session
+ *   does when `maxSessions` is reached: throw, or evict the least recently
+ *   active session that is not pinned or busy
+ * @property {number} [idleTimeout] - Evict sessions inactive for this many
+ *   milliseconds (checked in the background)
+ * @property {number} [sweepInterval] - How often to look for idle sessions,
+ *   in milliseconds (defaults to the idle timeout, at most one minute)
+ * @property {boolean | SnapshotStore} [snapshotOnEvict=false] - Snapshot
+ *   sessions before evicting them (on the `session:evicted` event); with a
+ *   store, the snapshot is also saved
+ * @property {IsolationMode} [defaultIsolation] - Default isolation mode
+ *   (`iframe` in a browser, `vm` under Node.js)
  * @property {boolean} [defaultAllowMainAccess=false] - Allow main window access by default
+ * @property {ImportMap} [importMap] - Import map for bare specifiers in `import` statements
+ * @property {number} [timeout] - Default per-execution time limit in
+ *   milliseconds for sessions created by the runtime
+ * @property {boolean} [strictConst=false] - Default `strictConst` of
+ *   sessions created by the runtime
+ * @property {ReactiveMode} [reactive='off'] - What to do with the cells that
+ *   depend on a cell run with a `cellId`
+ * @property {Record<string, LanguageBackend>} [routes] - Languages served by
+ *   other runtimes (see `routeLanguage`)
+ * @property {string | LanguageServiceOptions} [lspFallback] - Language
+ *   server (WebSocket URL) asked about code the runtime cannot answer for
+ */
+
+/**
+ * - `off`: nothing (the session still tracks dependencies)
+ * - `notify`: report them to `onStale` listeners
+ * - `run`: report them, then re-run them in order before returning
+ * @typedef {'off' | 'notify' | 'run'} ReactiveMode
  */
 
 /**
@@ -54,15 +100,41 @@ import { RUNTIME_NAME, RUNTIME_VERSION, DEFAULT_MAX_SESSIONS } from './constants
  */
 
 /**
- * Main MRP runtime for browser JavaScript
+ * Pick the isolation mode used when none is configured: iframes where there
+ * is a DOM, vm contexts under Node.js
+ * @returns {IsolationMode}
+ */
+function detectDefaultIsolation() {
+  const process = /** @type {*} */ (globalThis).process;
+  return typeof document === 'undefined' && typeof process?.versions?.node === 'string'
+    ? 'vm'
+    : 'iframe';
+}
+
+/**
+ * Main MRP runtime for browser JavaScript.
+ *
+ * Re-dispatches the session and execution events of all its sessions
+ * (see types/events).
+ *
+ * Languages can be routed to other runtimes (e.g. a RemoteRuntime for
+ * Python). Sessions of a routed language live on its runtime, and requests
+ * for them are forwarded there; those methods then return promises.
+ *
+ * With `lspFallback`, completions, hover and inspection of local sessions
+ * also ask a language server, and can return promises.
  *
  * @example
  * const runtime = new MrpRuntime();
  * const session = runtime.createSession({ language: 'javascript' });
  * const result = await session.execute('const x = 1 + 2; x');
  * console.log(result.resultString); // "3"
+ *
+ * runtime.addEventListener('status', (event) => {
+ *   console.log(event.detail.sessionId, event.detail.status); // 'busy' / 'idle'
+ * });
  */
-export class MrpRuntime {
+export class MrpRuntime extends EventTarget {
   /** @type {SessionManager} */
   #sessionManager;
 
@@ -75,21 +147,54 @@ export class MrpRuntime {
   /** @type {Map<string, StoredAsset>} */
   #assets = new Map();
 
+  /** @type {Set<(event: StaleEvent) => void>} */
+  #staleListeners = new Set();
+
+  /** @type {LanguageRouter} */
+  #router = new LanguageRouter();
+
+  /** @type {LanguageServiceClient | null} */
+  #languageService = null;
+
   /**
    * Create a new MRP runtime
    * @param {MrpRuntimeOptions} [options]
    */
   constructor(options = {}) {
+    super();
     this.#options = {
       maxSessions: options.maxSessions ?? DEFAULT_MAX_SESSIONS,
-      defaultIsolation: options.defaultIsolation ?? 'iframe',
+      eviction: options.eviction ?? 'error',
+      idleTimeout: options.idleTimeout,
+      sweepInterval: options.sweepInterval,
+      snapshotOnEvict: options.snapshotOnEvict ?? false,
+      defaultIsolation: options.defaultIsolation ?? detectDefaultIsolation(),
       defaultAllowMainAccess: options.defaultAllowMainAccess ?? false,
+      importMap: { imports: { ...options.importMap?.imports } },
+      timeout: options.timeout,
+      strictConst: options.strictConst ?? false,
+      reactive: options.reactive ?? 'off',
     };
 
     this.#executorRegistry = createDefaultExecutorRegistry();
     this.#sessionManager = new SessionManager({
       maxSessions: this.#options.maxSessions,
+      eviction: this.#options.eviction,
+      idleTimeout: this.#options.idleTimeout,
+      sweepInterval: this.#options.sweepInterval,
+      snapshotOnEvict: this.#options.snapshotOnEvict,
     });
+    forwardEvents(this.#sessionManager, this);
+
+    for (const [language, backend] of Object.entries(options.routes ?? {})) {
+      this.#router.route(language, backend);
+    }
+
+    if (options.lspFallback) {
+      this.#languageService = new LanguageServiceClient(
+        typeof options.lspFallback === 'string' ? { url: options.lspFallback } : options.lspFallback
+      );
+    }
   }
 
   // ============================================================================
@@ -104,8 +209,11 @@ export class MrpRuntime {
     return {
       runtime: RUNTIME_NAME,
       version: RUNTIME_VERSION,
-      languages: this.#executorRegistry.languages(),
+      languages: Array.from(
+        new Set([...this.#executorRegistry.languages(), ...this.#router.languages()])
+      ).sort(),
       features: this.#getFeatures(),
+      ...(this.#languageService ? { lspFallback: this.#languageService.url } : {}),
       defaultSession: 'default',
       maxSessions: this.#options.maxSessions ?? DEFAULT_MAX_SESSIONS,
       environment: this.#getEnvironment(),
@@ -151,34 +259,126 @@ export class MrpRuntime {
   // ============================================================================
 
   /**
-   * List all active sessions (MRP GET /sessions)
-   * @returns {SessionInfo[]}
+   * List all active sessions (MRP GET /sessions): the local ones, then the
+   * ones living on routed runtimes. Routed sessions carry their runtime as
+   * `backend`, a non-enumerable property left out when the list is
+   * serialized.
+   * @returns {SessionInfo[] | Promise<Array<SessionInfo & { backend?: LanguageBackend }>>}
+   *   A promise if any session lives on a routed runtime
    */
   listSessions() {
-    return this.#sessionManager.list();
+    const sessions = this.#sessionManager.list();
+    const backends = new Set(this.#router.sessions().map(([, backend]) => backend));
+    if (backends.size === 0) return sessions;
+
+    return Promise.all(
+      Array.from(backends, async (backend) =>
+        (await backend.listSessions())
+          .filter((info) => this.#router.owner(info.id) === backend)
+          .map((info) => Object.defineProperty({ ...info }, 'backend', { value: backend }))
+      )
+    ).then((routed) => [...sessions, ...routed.flat()]);
   }
 
   /**
-   * Create a new session (MRP POST /sessions)
+   * Create a new session (MRP POST /sessions). Sessions of a routed
+   * language are created on its runtime.
    * @param {CreateSessionOptions} [options]
-   * @returns {Session}
+   * @returns {Session | Promise<RemoteSession>}
+   * @throws {Error} If a variable in `imports` cannot be transferred (the
+   *   session is not created)
    */
   createSession(options = {}) {
+    const route = options.language === undefined ? undefined : this.#router.get(options.language);
+    if (route) {
+      return this.#createRoutedSession(route, options);
+    }
+    if (options.id !== undefined && this.#router.owner(options.id)) {
+      throw new Error(`Session with ID '${options.id}' already exists on a remote runtime`);
+    }
+
     const session = this.#sessionManager.create({
       ...options,
       isolation: options.isolation ?? this.#options.defaultIsolation,
       allowMainAccess: options.allowMainAccess ?? this.#options.defaultAllowMainAccess,
+      importMap: options.importMap ?? this.#options.importMap,
+      timeout: options.timeout ?? this.#options.timeout,
+      strictConst: options.strictConst ?? this.#options.strictConst,
       executorRegistry: this.#executorRegistry,
     });
+
+    try {
+      for (const { from, name, ...transfer } of options.imports ?? []) {
+        this.transferVariable(from, session.id, name, transfer);
+      }
+    } catch (error) {
+      this.#sessionManager.destroy(session.id);
+      throw error;
+    }
+    return session;
+  }
+
+  /**
+   * Create a session on the runtime of a routed language
+   * @param {import('./remote/router.js').LanguageRoute} route
+   * @param {CreateSessionOptions} options
+   * @returns {Promise<RemoteSession>}
+   */
+  async #createRoutedSession(route, options) {
+    if (options.id !== undefined && this.#sessionManager.get(options.id)) {
+      throw new Error(`Session with ID '${options.id}' already exists`);
+    }
+    const session = /** @type {RemoteSession} */ (
+      await route.backend.createSession({ ...options, language: route.language })
+    );
+    this.#router.claim(session.id, route.backend);
     return session;
   }
 
+  /**
+   * Find the runtime a request is forwarded to: the runtime of a routed
+   * language, or the runtime the session lives on
+   * @param {string | undefined} sessionId
+   * @param {string} [language] - Language of the request, if known
+   * @returns {{ backend: LanguageBackend, session: string, language?: string, unclaim: () => void } | null}
+   *   Null for requests handled locally; `language` is the routed language
+   *   an alias resolves to; `unclaim` gives back a session this request
+   *   claimed, for when the runtime fails to create it
+   * @throws {Error} If a routed language targets a local session
+   */
+  #routeRequest(sessionId, language) {
+    const route = language === undefined ? undefined : this.#router.get(language);
+    if (route) {
+      // Without a session, a routed language gets a session named after it
+      const session = sessionId ?? route.language;
+      if (this.#sessionManager.get(session)) {
+        throw new Error(`Session '${session}' is a local session; run ${language} in a session of its own`);
+      }
+      const previous = this.#router.owner(session);
+      this.#router.claim(session, route.backend);
+      const unclaim = () => {
+        if (previous === route.backend || this.#router.owner(session) !== route.backend) return;
+        if (previous) {
+          this.#router.claim(session, previous);
+        } else {
+          this.#router.release(session);
+        }
+      };
+      return { backend: route.backend, session, language: route.language, unclaim };
+    }
+
+    const backend = sessionId === undefined ? undefined : this.#router.owner(sessionId);
+    return backend && sessionId !== undefined ? { backend, session: sessionId, unclaim: () => {} } : null;
+  }
+
   /**
    * Get a session by ID (MRP GET /sessions/{id})
    * @param {string} id
-   * @returns {Session | undefined}
+   * @returns {Session | Promise<RemoteSession | undefined> | undefined}
    */
   getSession(id) {
+    const remote = this.#routeRequest(id);
+    if (remote) return /** @type {Promise<RemoteSession | undefined>} */ (remote.backend.getSession(id));
     return this.#sessionManager.get(id);
   }
 
@@ -186,9 +386,21 @@ export class MrpRuntime {
    * Get or create a session
    * @param {string} id
    * @param {CreateSessionOptions} [options]
-   * @returns {Session}
+   * @returns {Session | Promise<RemoteSession>}
    */
   getOrCreateSession(id, options = {}) {
+    const remote = this.#routeRequest(id, options.language);
+    if (remote) {
+      return /** @type {Promise<RemoteSession>} */ (
+        remote.backend
+          .getOrCreateSession(id, { ...options, language: remote.language ?? options.language })
+          .catch((error) => {
+            remote.unclaim();
+            throw error;
+          })
+      );
+    }
+
     const existing = this.#sessionManager.get(id);
     if (existing) return existing;
 
@@ -198,24 +410,206 @@ export class MrpRuntime {
   /**
    * Destroy a session (MRP DELETE /sessions/{id})
    * @param {string} id
-   * @returns {boolean}
+   * @returns {boolean | Promise<boolean>}
    */
   destroySession(id) {
+    const remote = this.#routeRequest(id);
+    if (remote) {
+      this.#router.release(id);
+      return remote.backend.destroySession(id);
+    }
     return this.#sessionManager.destroy(id);
   }
 
   /**
    * Reset a session (MRP POST /sessions/{id}/reset)
    * @param {string} id
-   * @returns {boolean}
+   * @returns {boolean | Promise<boolean>}
    */
   resetSession(id) {
+    const remote = this.#routeRequest(id);
+    if (remote) return remote.backend.resetSession(id);
+
     const session = this.#sessionManager.get(id);
     if (!session) return false;
     session.reset();
     return true;
   }
 
+  /**
+   * Protect a session from idle and LRU eviction
+   * @param {string} id
+   * @returns {boolean} Whether the session exists
+   */
+  pinSession(id) {
+    const session = this.#sessionManager.get(id);
+    if (!session) return false;
+    session.pinned = true;
+    return true;
+  }
+
+  /**
+   * Let a pinned session be evicted again
+   * @param {string} id
+   * @returns {boolean} Whether the session exists
+   */
+  unpinSession(id) {
+    const session = this.#sessionManager.get(id);
+    if (!session) return false;
+    session.pinned = false;
+    return true;
+  }
+
+  /**
+   * Create a session from a snapshot taken with `session.snapshot()`
+   * @param {SessionSnapshot} snapshot
+   * @param {CreateSessionOptions} [options] - Options for the new session;
+   *   the ID, language and isolation default to the snapshot's
+   * @returns {Promise<{ session: Session } & RestoreReport>}
+   *
+   * @example
+   * const { session, failed } = await runtime.restoreSession(snapshot);
+   * failed; // [{ name: 'el', reason: 'HTMLDivElement is not serializable (HTMLDivElement)' }]
+   */
+  async restoreSession(snapshot, options = {}) {
+    const session = this.createSession({
+      id: snapshot.sessionId,
+      language: snapshot.language,
+      isolation: snapshot.isolation,
+      ...options,
+    });
+
+    try {
+      const report = await session.restore(snapshot);
+      return { session, ...report };
+    } catch (error) {
+      this.destroySession(session.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an independent copy of a session: same variables (deep-copied),
+   * execution count and history. Variables that cannot be copied are
+   * rebuilt by re-running the recorded cells that declare them, in order;
+   * copied variables those cells touch get their copied values back.
+   * @param {string} sourceId - Session to copy
+   * @param {CreateSessionOptions} [options] - Options for the copy (a new
+   *   ID is generated if `id` is not given)
+   * @returns {Promise<{ session: Session } & ForkReport>}
+   * @throws {Error} If the source session does not exist
+   *
+   * @example
+   * const { session: sandbox, uncopied } = await runtime.forkSession('default', { id: 'try-it' });
+   * await sandbox.execute('data.length = 0'); // 'default' keeps its data
+   */
+  async forkSession(sourceId, options = {}) {
+    const source = this.#sessionManager.get(sourceId);
+    if (!source) {
+      throw new Error(`Session '${sourceId}' not found`);
+    }
+
+    const snapshot = source.snapshot();
+    // Without an ID of its own, the copy gets a new one, not the snapshot's
+    const { session, restored, failed } = await this.restoreSession(snapshot, { id: undefined, ...options });
+
+    // Re-run every cell declaring something that could not be copied, so
+    // each variable ends up with the value of its latest declaration
+    const missing = new Set(failed.map((variable) => variable.name));
+    /** @type {Set<string>} */
+    const replayed = new Set();
+    /** @type {Set<string>} */
+    const touched = new Set();
+    for (const entry of missing.size > 0 ? source.getHistory() : []) {
+      if (!entry.success) continue;
+
+      const { defines, reads } = analyzeCell(entry.code);
+      const declared = defines.filter((name) => missing.has(name));
+      if (declared.length === 0) continue;
+
+      const result = await session.execute(entry.code, {
+        language: entry.language,
+        storeHistory: false,
+      });
+      for (const name of declared) {
+        if (result.success) replayed.add(name);
+        else replayed.delete(name);
+      }
+      for (const name of [...defines, ...reads]) {
+        touched.add(name);
+      }
+    }
+
+    // The re-run cells may have reassigned or changed copied variables.
+    // Functions and classes they declared again from the same source are
+    // kept, so the instances made with them still match.
+    const context = session.getContext();
+    const overwritten = snapshot.variables.filter(
+      (variable) =>
+        touched.has(variable.name) &&
+        restored.includes(variable.name) &&
+        !('source' in variable && getFunctionSource(context.getVariable(variable.name)) === variable.source)
+    );
+    if (overwritten.length > 0) {
+      await session.restore({ ...snapshot, variables: overwritten });
+    }
+
+    return { session, copied: restored, uncopied: failed, replayed: Array.from(replayed) };
+  }
+
+  /**
+   * Copy or share a variable of one session with another. Cloned values
+   * are created in the target session's realm; shared references keep
+   * their original realm (`instanceof` checks against the target's
+   * built-ins fail for them).
+   * @param {string} fromId - Source session
+   * @param {string} toId - Target session
+   * @param {string} name - Variable in the source session
+   * @param {TransferOptions} [options]
+   * @throws {Error} If a session or the variable does not exist, or the
+   *   value cannot be transferred in the requested mode
+   *
+   * @example
+   * runtime.transferVariable('data', 'viz', 'summary');
+   * runtime.transferVariable('data', 'viz', 'rows', { mode: 'reference', as: 'data' });
+   */
+  transferVariable(fromId, toId, name, options = {}) {
+    const source = this.#sessionManager.get(fromId);
+    if (!source) throw new Error(`Session '${fromId}' not found`);
+    const target = this.#sessionManager.get(toId);
+    if (!target) throw new Error(`Session '${toId}' not found`);
+
+    const context = source.getContext();
+    if (!context.getTrackedVariables().has(name)) {
+      throw new Error(`Variable '${name}' not found in session '${fromId}'`);
+    }
+
+    const mode = options.mode ?? 'clone';
+    if (mode === 'reference') {
+      const worker = [source, target].find((session) => session.isolation === 'worker');
+      if (worker) {
+        throw new Error(
+          `Cannot share '${name}' by reference with worker session '${worker.id}'; ` +
+            "worker values live on another thread, use mode 'clone'"
+        );
+      }
+    }
+
+    const value = context.getVariable(name);
+    try {
+      target.setVariable(options.as ?? name, value, { clone: mode === 'clone' });
+    } catch (error) {
+      if (/** @type {*} */ (error)?.name !== 'DataCloneError') throw error;
+      throw new Error(
+        `Cannot transfer '${name}' from session '${fromId}': ` +
+          `${getTypeName(value)} is not cloneable (${formatValueShort(value)}). ` +
+          (source.isolation === 'worker' || target.isolation === 'worker'
+            ? 'Only structured-cloneable values can cross a worker boundary.'
+            : "Values with functions or DOM nodes can only be shared with mode 'reference'.")
+      );
+    }
+  }
+
   // ============================================================================
   // Execution (convenience methods using default session)
   // ============================================================================
@@ -227,8 +621,25 @@ export class MrpRuntime {
    * @returns {Promise<ExecutionResult>}
    */
   async execute(code, options = {}) {
-    const session = this.getOrCreateSession(options.session ?? 'default');
-    return session.execute(code, options);
+    const remote = this.#routeRequest(options.session, options.language);
+    if (remote) {
+      try {
+        return await remote.backend.execute(code, {
+          ...options,
+          session: remote.session,
+          language: remote.language ?? options.language,
+        });
+      } catch (error) {
+        remote.unclaim();
+        throw error;
+      }
+    }
+
+    const sessionId = options.session ?? 'default';
+    const session = this.getOrCreateSession(sessionId);
+    const result = await session.execute(code, options);
+    await this.#react(sessionId, options.cellId, result);
+    return result;
   }
 
   /**
@@ -238,8 +649,46 @@ export class MrpRuntime {
    * @returns {AsyncGenerator<StreamEvent>}
    */
   async *executeStream(code, options = {}) {
-    const session = this.getOrCreateSession(options.session ?? 'default');
-    yield* session.executeStream(code, options);
+    const remote = this.#routeRequest(options.session, options.language);
+    if (remote) {
+      let started = false;
+      try {
+        for await (const event of remote.backend.executeStream(code, {
+          ...options,
+          session: remote.session,
+          language: remote.language ?? options.language,
+        })) {
+          started = true;
+          yield event;
+        }
+      } catch (error) {
+        // Once the stream has started, the session exists on the runtime
+        if (!started) remote.unclaim();
+        throw error;
+      }
+      return;
+    }
+
+    const sessionId = options.session ?? 'default';
+    const session = this.getOrCreateSession(sessionId);
+    // The result is held back until the session stream has ended, so
+    // re-runs are not queued behind the execution that caused them
+    /** @type {StreamEvent[]} */
+    const held = [];
+    for await (const event of session.executeStream(code, options)) {
+      if (event.type === 'result' || held.length > 0) {
+        held.push(event);
+      } else {
+        yield event;
+      }
+    }
+
+    for (const event of held) {
+      if (event.type === 'result') {
+        await this.#react(sessionId, options.cellId, event.result);
+      }
+      yield event;
+    }
   }
 
   /**
@@ -247,9 +696,12 @@ export class MrpRuntime {
    * @param {string} sessionId
    * @param {string} execId
    * @param {string} text
-   * @returns {boolean}
+   * @returns {boolean | Promise<boolean>}
    */
   sendInput(sessionId, execId, text) {
+    const remote = this.#routeRequest(sessionId);
+    if (remote) return remote.backend.sendInput(sessionId, execId, text);
+
     const session = this.#sessionManager.get(sessionId);
     if (!session) return false;
     return session.sendInput(execId, text);
@@ -257,11 +709,15 @@ export class MrpRuntime {
 
   /**
    * Interrupt execution (MRP POST /interrupt)
-   * @param {string} [sessionId]
+   * @param {string} [sessionId] - All sessions, including those on routed
+   *   runtimes, if not given
    * @param {string} [execId]
-   * @returns {boolean}
+   * @returns {boolean | Promise<boolean>}
    */
   interrupt(sessionId, execId) {
+    const remote = this.#routeRequest(sessionId);
+    if (remote) return remote.backend.interrupt(sessionId, execId);
+
     if (sessionId) {
       const session = this.#sessionManager.get(sessionId);
       if (!session) return false;
@@ -269,7 +725,81 @@ export class MrpRuntime {
     }
 
     // Interrupt all sessions
-    return this.#sessionManager.interruptAll();
+    const interrupted = this.#sessionManager.interruptAll() > 0;
+    const routed = this.#router.sessions();
+    if (routed.length === 0) return interrupted;
+
+    return Promise.all(routed.map(([id, backend]) => backend.interrupt(id))).then(
+      (results) => interrupted || results.some(Boolean)
+    );
+  }
+
+  // ============================================================================
+  // Reactivity
+  // ============================================================================
+
+  /**
+   * Listen for cells becoming stale because a cell they depend on ran
+   * through the runtime (`reactive` mode `notify` or `run`)
+   * @param {(event: StaleEvent) => void} listener
+   * @returns {() => void} Removes the listener
+   *
+   * @example
+   * runtime.onStale(({ stale }) => stale.forEach(markCellOutdated));
+   */
+  onStale(listener) {
+    this.#staleListeners.add(listener);
+    return () => {
+      this.#staleListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Re-run the stale cells of a session in dependency order with the code
+   * they last ran with. Stops at the first cell that fails, leaving the
+   * rest stale.
+   * @param {string} [sessionId='default']
+   * @returns {Promise<RerunResult[]>}
+   */
+  async runStale(sessionId = 'default') {
+    const session = this.#sessionManager.get(sessionId);
+    if (!session) return [];
+
+    /** @type {RerunResult[]} */
+    const rerun = [];
+    for (const cellId of session.getStaleCells()) {
+      const cell = session.getCell(cellId);
+      if (!cell) continue;
+
+      const result = await session.execute(cell.code, { cellId, language: cell.language });
+      rerun.push({ cellId, result });
+      if (!result.success) break;
+    }
+    return rerun;
+  }
+
+  /**
+   * Handle the cells that depend on a cell that just ran
+   * @param {string} sessionId
+   * @param {string | undefined} cellId
+   * @param {ExecutionResult} result - Result of the cell; gets the re-run
+   *   results in `run` mode if it succeeded
+   */
+  async #react(sessionId, cellId, result) {
+    const session = this.#sessionManager.get(sessionId);
+    if (cellId === undefined || this.#options.reactive === 'off' || !session) return;
+
+    const stale = session.getDownstreamCells(cellId);
+    if (stale.length === 0) return;
+
+    for (const listener of this.#staleListeners) {
+      listener({ sessionId, cellId, stale });
+    }
+
+    // Downstream cells would only fail the same way
+    if (this.#options.reactive === 'run' && result.success) {
+      result.rerun = await this.runStale(sessionId);
+    }
   }
 
   // ============================================================================
@@ -281,11 +811,19 @@ export class MrpRuntime {
    * @param {string} code
    * @param {number} cursor
    * @param {CompleteOptions} [options]
-   * @returns {CompletionResult}
+   * @returns {CompletionResult | Promise<CompletionResult>}
    */
   complete(code, cursor, options = {}) {
+    const remote = this.#routeRequest(options.session);
+    if (remote) return remote.backend.complete(code, cursor, options);
+
     const session = this.getOrCreateSession(options.session ?? 'default');
-    return session.complete(code, cursor, options);
+    const result = session.complete(code, cursor, options);
+    if (result.matches.length > 0 || !this.#languageService) return result;
+
+    return this.#languageService
+      .complete(code, cursor, { id: session.id, language: session.language })
+      .then((items) => mergeCompletions(result, items), () => result);
   }
 
   /**
@@ -293,11 +831,19 @@ export class MrpRuntime {
    * @param {string} code
    * @param {number} cursor
    * @param {string} [sessionId='default']
-   * @returns {HoverResult}
+   * @returns {HoverResult | Promise<HoverResult>}
    */
   hover(code, cursor, sessionId = 'default') {
+    const remote = this.#routeRequest(sessionId);
+    if (remote) return remote.backend.hover(code, cursor, sessionId);
+
     const session = this.getOrCreateSession(sessionId);
-    return session.hover(code, cursor);
+    const result = session.hover(code, cursor);
+    if (result.found || !this.#languageService) return result;
+
+    return this.#languageService
+      .hover(code, cursor, { id: session.id, language: session.language })
+      .catch(() => result);
   }
 
   /**
@@ -305,20 +851,31 @@ export class MrpRuntime {
    * @param {string} code
    * @param {number} cursor
    * @param {InspectOptions} [options]
-   * @returns {InspectResult}
+   * @returns {InspectResult | Promise<InspectResult>}
    */
   inspect(code, cursor, options = {}) {
+    const remote = this.#routeRequest(options.session);
+    if (remote) return remote.backend.inspect(code, cursor, options);
+
     const session = this.getOrCreateSession(options.session ?? 'default');
-    return session.inspect(code, cursor, options);
+    const result = session.inspect(code, cursor, options);
+    if (result.found || !this.#languageService) return result;
+
+    return this.#languageService
+      .inspect(code, cursor, { id: session.id, language: session.language }, options)
+      .catch(() => result);
   }
 
   /**
    * List variables (MRP POST /variables)
    * @param {VariableFilter} [filter]
    * @param {string} [sessionId='default']
-   * @returns {VariableInfo[]}
+   * @returns {VariableInfo[] | Promise<VariableInfo[]>}
    */
   listVariables(filter, sessionId = 'default') {
+    const remote = this.#routeRequest(sessionId);
+    if (remote) return remote.backend.listVariables(filter, sessionId);
+
     const session = this.getOrCreateSession(sessionId);
     return session.listVariables(filter);
   }
@@ -327,9 +884,12 @@ export class MrpRuntime {
    * Get variable detail (MRP POST /variables/{name})
    * @param {string} name
    * @param {VariableDetailOptions} [options]
-   * @returns {VariableDetail | null}
+   * @returns {VariableDetail | null | Promise<VariableDetail | null>}
    */
   getVariable(name, options = {}) {
+    const remote = this.#routeRequest(options.session);
+    if (remote) return remote.backend.getVariable(name, options);
+
     const session = this.getOrCreateSession(options.session ?? 'default');
     return session.getVariable(name, options);
   }
@@ -342,9 +902,12 @@ export class MrpRuntime {
    * Check if code is complete (MRP POST /is_complete)
    * @param {string} code
    * @param {string} [sessionId='default']
-   * @returns {IsCompleteResult}
+   * @returns {IsCompleteResult | Promise<IsCompleteResult>}
    */
   isComplete(code, sessionId = 'default') {
+    const remote = this.#routeRequest(sessionId);
+    if (remote) return remote.backend.isComplete(code, sessionId);
+
     const session = this.getOrCreateSession(sessionId);
     return session.isComplete(code);
   }
@@ -356,6 +919,9 @@ export class MrpRuntime {
    * @returns {Promise<FormatResult>}
    */
   async format(code, sessionId = 'default') {
+    const remote = this.#routeRequest(sessionId);
+    if (remote) return remote.backend.format(code, sessionId);
+
     const session = this.getOrCreateSession(sessionId);
     return session.format(code);
   }
@@ -479,6 +1045,49 @@ export class MrpRuntime {
     this.#executorRegistry.registerAlias(alias, language);
   }
 
+  /**
+   * Serve a language with another runtime, such as a RemoteRuntime for
+   * Python. Sessions created with the language, and cells run in it, live
+   * on that runtime; cells run without a session go to a session named
+   * after the language.
+   * @param {string} language
+   * @param {LanguageBackend} backend
+   * @param {string[]} [aliases] - Other names of the language (e.g. `py`)
+   *
+   * @example
+   * runtime.routeLanguage('python', new RemoteRuntime({ url: 'http://localhost:8000/mrp/v1' }), ['py']);
+   * await runtime.execute('import sys; sys.version', { language: 'python' });
+   */
+  routeLanguage(language, backend, aliases) {
+    this.#router.route(language, backend, aliases);
+  }
+
+  /**
+   * Stop routing a language. Its existing sessions stay on its runtime.
+   * @param {string} language - Language or one of its aliases
+   * @returns {boolean} Whether the language was routed
+   */
+  unrouteLanguage(language) {
+    return this.#router.unroute(language);
+  }
+
+  /**
+   * Get the import map used to resolve bare specifiers in `import` statements
+   * @returns {ImportMap}
+   */
+  getImportMap() {
+    return this.#options.importMap;
+  }
+
+  /**
+   * Add entries to the import map. Applies to all sessions that use the
+   * runtime's import map, including existing ones.
+   * @param {Record<string, string>} imports - Specifier → URL
+   */
+  addImports(imports) {
+    Object.assign(this.#options.importMap.imports, imports);
+  }
+
   /**
    * Get the executor registry
    * @returns {ExecutorRegistry}
@@ -503,8 +1112,10 @@ export class MrpRuntime {
    * Destroy the runtime and clean up all resources
    */
   destroy() {
+    this.#sessionManager.stopIdleSweep();
     this.#sessionManager.destroyAll();
     this.clearAssets();
+    this.#languageService?.close();
   }
 }
 
@@ -0,0 +1,471 @@
+/**
+ * MRP over HTTP
+ *
+ * Serves the MRP endpoints of a runtime over HTTP, so other MRP clients can
+ * use mrmd-js like any other MRP server. The handler takes a Fetch API
+ * `Request` and returns a `Response`, which Deno, Bun, service workers and
+ * most edge platforms serve directly; {@link createNodeListener} adapts it
+ * to `http.createServer`.
+ *
+ * Bodies are JSON in the shapes of the runtime types. Execution results
+ * leave out the raw `result` value, which may not survive JSON; use
+ * `resultString`. `POST /execute/stream` responds with Server-Sent Events
+ * (see server/sse).
+ *
+ * @module server/http
+ */
+
+import { SSE_CONTENT_TYPE, formatServerSentEvent } from './sse.js';
+import { generateExecId } from '../session/session.js';
+import { toWireResult, toWireEvent } from '../remote/wire.js';
+
+/**
+ * @typedef {import('../runtime.js').MrpRuntime} MrpRuntime
+ * @typedef {import('../types/session.js').IsolationMode} IsolationMode
+ */
+
+/**
+ * @typedef {Object} MrpHandlerOptions
+ * @property {string} [basePath=''] - Path the endpoints are served under
+ *   (e.g. `/mrp/v1`)
+ * @property {boolean | string} [cors=false] - Allow cross-origin requests
+ *   from any origin (`true`) or from the given origin
+ * @property {IsolationMode[]} [isolation=['iframe', 'worker', 'vm']] -
+ *   Isolation modes clients may ask for when creating sessions. `'none'`
+ *   is left out by default, as it runs their code in the server itself.
+ */
+
+/**
+ * @callback MrpHandler
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+
+/**
+ * @callback RouteHandler
+ * @param {MrpRuntime} runtime
+ * @param {*} body - Parsed JSON body (`{}` for requests without one)
+ * @param {string} param - Decoded path parameter, if the route has one
+ * @param {MrpHandlerOptions} options - Options the handler was created with
+ * @returns {Promise<Response> | Response}
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} method
+ * @property {RegExp} pattern - Matched against the path below the base path
+ * @property {RouteHandler} handle
+ */
+
+/**
+ * Error answered with an HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & { status: number }}
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Create a JSON response
+ * @param {*} body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Get a string field of a request body
+ * @param {*} body
+ * @param {string} field
+ * @returns {string}
+ */
+function requireString(body, field) {
+  if (typeof body[field] !== 'string') {
+    throw httpError(400, `Missing '${field}': expected a string`);
+  }
+  return body[field];
+}
+
+/**
+ * Get the code and cursor of an LSP request body
+ * @param {*} body
+ * @returns {{ code: string, cursor: number }}
+ */
+function requireCodeAndCursor(body) {
+  const code = requireString(body, 'code');
+  if (!Number.isInteger(body.cursor)) {
+    throw httpError(400, "Missing 'cursor': expected an integer");
+  }
+  return { code, cursor: body.cursor };
+}
+
+/** Session options clients may set when creating a session */
+const SESSION_FIELDS = new Set(['id', 'language', 'isolation', 'timeout']);
+
+/** Isolation modes clients may ask for unless the handler allows others */
+const DEFAULT_ISOLATION = ['iframe', 'worker', 'vm'];
+
+/**
+ * Get the options of a session creation request. Fields that could hand
+ * a client more than a session (such as utilities or an executor) are
+ * rejected rather than dropped.
+ * @param {*} body
+ * @param {IsolationMode[]} allowedIsolation
+ * @returns {import('../types/session.js').CreateSessionOptions}
+ */
+function requireSessionOptions(body, allowedIsolation) {
+  const unknown = Object.keys(body).filter((field) => !SESSION_FIELDS.has(field));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unsupported session options: ${unknown.join(', ')}`);
+  }
+  for (const field of ['id', 'language']) {
+    if (body[field] !== undefined) requireString(body, field);
+  }
+  if (body.isolation !== undefined && !allowedIsolation.includes(body.isolation)) {
+    throw httpError(400, `Invalid 'isolation': expected one of ${allowedIsolation.join(', ')}`);
+  }
+  if (body.timeout !== undefined && !(typeof body.timeout === 'number' && body.timeout > 0)) {
+    throw httpError(400, "Invalid 'timeout': expected a positive number");
+  }
+  return body;
+}
+
+/**
+ * Stream an execution as Server-Sent Events. If the client goes away, the
+ * execution is interrupted.
+ * @param {MrpRuntime} runtime
+ * @param {string} code
+ * @param {Record<string, *>} options
+ * @returns {Response}
+ */
+function streamExecution(runtime, code, options) {
+  // Known up front, so a client leaving while the cell is queued cancels
+  // only its own execution
+  const execId = options.execId ?? generateExecId();
+  const events = runtime.executeStream(code, { ...options, execId });
+  const encoder = new TextEncoder();
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await events.next();
+      if (done) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(encoder.encode(formatServerSentEvent(toWireEvent(value))));
+    },
+    async cancel() {
+      runtime.interrupt(options.session ?? 'default', execId);
+      await events.return(undefined);
+    },
+  });
+
+  return new Response(body, {
+    headers: { 'Content-Type': SSE_CONTENT_TYPE, 'Cache-Control': 'no-cache' },
+  });
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/** @type {Route[]} */
+const ROUTES = [
+  {
+    method: 'GET',
+    pattern: /^\/capabilities$/,
+    handle: (runtime) => json(runtime.getCapabilities()),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sessions$/,
+    handle: async (runtime) => json(await runtime.listSessions()),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/sessions$/,
+    handle: async (runtime, body, _param, options) => {
+      const sessionOptions = requireSessionOptions(body, options.isolation ?? DEFAULT_ISOLATION);
+      try {
+        const session = await runtime.createSession(sessionOptions);
+        return json(await session.getInfo(), 201);
+      } catch (error) {
+        throw httpError(400, error instanceof Error ? error.message : String(error));
+      }
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sessions\/([^/]+)$/,
+    handle: async (runtime, _body, id) => {
+      const session = await runtime.getSession(id);
+      if (!session) throw httpError(404, `Session '${id}' not found`);
+      return json(await session.getInfo());
+    },
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/sessions\/([^/]+)$/,
+    handle: async (runtime, _body, id) => {
+      if (!(await runtime.destroySession(id))) throw httpError(404, `Session '${id}' not found`);
+      return new Response(null, { status: 204 });
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/sessions\/([^/]+)\/reset$/,
+    handle: async (runtime, _body, id) => {
+      if (!(await runtime.resetSession(id))) throw httpError(404, `Session '${id}' not found`);
+      const session = /** @type {*} */ (await runtime.getSession(id));
+      return json(await session.getInfo());
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/execute$/,
+    handle: async (runtime, body) => {
+      const { code, ...options } = body;
+      requireString(body, 'code');
+      return json(toWireResult(await runtime.execute(code, options)));
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/execute\/stream$/,
+    handle: (runtime, body) => {
+      const { code, ...options } = body;
+      requireString(body, 'code');
+      return streamExecution(runtime, code, options);
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/input$/,
+    handle: async (runtime, body) => {
+      const accepted = await runtime.sendInput(
+        body.session ?? 'default',
+        requireString(body, 'execId'),
+        requireString(body, 'text')
+      );
+      return json({ accepted });
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/interrupt$/,
+    handle: async (runtime, body) => json({ interrupted: await runtime.interrupt(body.session, body.execId) }),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/complete$/,
+    handle: async (runtime, body) => {
+      const { code, cursor } = requireCodeAndCursor(body);
+      return json(await runtime.complete(code, cursor, body));
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/inspect$/,
+    handle: async (runtime, body) => {
+      const { code, cursor } = requireCodeAndCursor(body);
+      return json(await runtime.inspect(code, cursor, body));
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/hover$/,
+    handle: async (runtime, body) => {
+      const { code, cursor } = requireCodeAndCursor(body);
+      return json(await runtime.hover(code, cursor, body.session));
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/variables$/,
+    handle: async (runtime, body) => json(await runtime.listVariables(body.filter, body.session)),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/variables\/(.+)$/,
+    handle: async (runtime, body, name) => {
+      const detail = await runtime.getVariable(name, body);
+      if (!detail) throw httpError(404, `Variable '${name}' not found`);
+      return json(detail);
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/is_complete$/,
+    handle: async (runtime, body) => json(await runtime.isComplete(requireString(body, 'code'), body.session)),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/format$/,
+    handle: async (runtime, body) => json(await runtime.format(requireString(body, 'code'), body.session)),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/assets\/(.+)$/,
+    handle: async (runtime, _body, path) => {
+      const url = runtime.getAsset(path);
+      if (!url) throw httpError(404, `Asset '${path}' not found`);
+      const asset = await fetch(url);
+      return new Response(asset.body, {
+        headers: { 'Content-Type': /** @type {*} */ (runtime.getAssetInfo(path)).mimeType },
+      });
+    },
+  },
+];
+
+// ============================================================================
+// Handler
+// ============================================================================
+
+/**
+ * Create a request handler serving the MRP endpoints of a runtime
+ * @param {MrpRuntime} runtime
+ * @param {MrpHandlerOptions} [options]
+ * @returns {MrpHandler}
+ *
+ * @example
+ * // Deno, Bun, or anything serving Fetch API handlers
+ * Deno.serve(createMrpHandler(createRuntime(), { basePath: '/mrp/v1' }));
+ */
+export function createMrpHandler(runtime, options = {}) {
+  const basePath = (options.basePath ?? '').replace(/\/+$/, '');
+  const origin = options.cors === true ? '*' : options.cors || null;
+
+  /**
+   * Add the CORS headers to a response
+   * @param {Response} response
+   * @returns {Response}
+   */
+  const withCors = (response) => {
+    if (origin) {
+      response.headers.set('Access-Control-Allow-Origin', origin);
+      if (origin !== '*') response.headers.append('Vary', 'Origin');
+    }
+    return response;
+  };
+
+  return async (request) => {
+    const { pathname } = new URL(request.url);
+    if (!pathname.startsWith(`${basePath}/`)) {
+      return withCors(json({ error: `Not found: ${pathname}` }, 404));
+    }
+    const path = pathname.slice(basePath.length);
+
+    if (request.method === 'OPTIONS' && origin) {
+      return withCors(
+        new Response(null, {
+          status: 204,
+          headers: {
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+            'Access-Control-Allow-Headers': 'Content-Type',
+          },
+        })
+      );
+    }
+
+    for (const route of ROUTES) {
+      const match = route.method === request.method ? path.match(route.pattern) : null;
+      if (match) return withCors(await handleRoute(runtime, route, request, match[1], options));
+    }
+    return withCors(json({ error: `Not found: ${request.method} ${path}` }, 404));
+  };
+}
+
+/**
+ * Run a route, answering errors with JSON
+ * @param {MrpRuntime} runtime
+ * @param {Route} route
+ * @param {Request} request
+ * @param {string | undefined} param - Path parameter, still encoded
+ * @param {MrpHandlerOptions} options
+ * @returns {Promise<Response>}
+ */
+async function handleRoute(runtime, route, request, param, options) {
+  try {
+    const text = request.method === 'POST' ? await request.text() : '';
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch {
+      throw httpError(400, 'Invalid JSON body');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Invalid JSON body: expected an object');
+    }
+
+    return await route.handle(runtime, body, param === undefined ? '' : decodeURIComponent(param), options);
+  } catch (error) {
+    const status = /** @type {*} */ (error)?.status ?? 500;
+    const message = error instanceof Error ? error.message : String(error);
+    return json({ error: message }, status);
+  }
+}
+
+// ============================================================================
+// Node.js
+// ============================================================================
+
+/**
+ * Create a listener for Node's `http.createServer` serving the MRP endpoints
+ * of a runtime
+ * @param {MrpRuntime} runtime
+ * @param {MrpHandlerOptions} [options]
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>}
+ *
+ * @example
+ * import { createServer } from 'node:http';
+ *
+ * createServer(createNodeListener(createRuntime())).listen(8000);
+ */
+export function createNodeListener(runtime, options) {
+  const handle = createMrpHandler(runtime, options);
+
+  return async (req, res) => {
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const method = req.method ?? 'GET';
+    const response = await handle(
+      new Request(`http://${req.headers.host ?? 'localhost'}${req.url ?? '/'}`, {
+        method,
+        headers: /** @type {Record<string, string>} */ (req.headers),
+        body: method === 'GET' || method === 'HEAD' ? undefined : new Blob(chunks),
+      })
+    );
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (!response.body) {
+      res.end();
+      return;
+    }
+
+    // Stop streaming (and interrupt the execution) if the client goes away
+    const reader = response.body.getReader();
+    res.on('close', () => {
+      if (!res.writableFinished) reader.cancel().catch(() => {});
+    });
+
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        res.write(value);
+      }
+    } catch {
+      // Cancelled
+    }
+    res.end();
+  };
+}
@@ -0,0 +1,10 @@
+/**
+ * MRP Server
+ *
+ * Serves a runtime's MRP endpoints over HTTP.
+ * @module server
+ */
+
+export { createMrpHandler, createNodeListener } from './http.js';
+export { toWireResult } from '../remote/wire.js';
+export { formatServerSentEvent, readServerSentEvents, SSE_CONTENT_TYPE } from './sse.js';
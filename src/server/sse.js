@@ -0,0 +1,87 @@
+/**
+ * Server-Sent Events
+ *
+ * Encoding of streaming execution events for `POST /execute/stream`. Each
+ * event is sent with its `type` as the SSE event name and its remaining
+ * fields as JSON data:
+ *
+ * ```
+ * event: stdout
+ * data: {"content":"hi\n","accumulated":"hi\n"}
+ * ```
+ *
+ * {@link readServerSentEvents} turns such a stream back into events.
+ *
+ * @module server/sse
+ */
+
+/**
+ * @typedef {import('../types/streaming.js').StreamEvent} StreamEvent
+ */
+
+/** Content type of event streams */
+export const SSE_CONTENT_TYPE = 'text/event-stream';
+
+/**
+ * Encode a stream event as a Server-Sent Event
+ * @param {StreamEvent} event
+ * @returns {string}
+ *
+ * @example
+ * formatServerSentEvent({ type: 'done' }); // 'event: done\ndata: {}\n\n'
+ */
+export function formatServerSentEvent(event) {
+  const { type, ...data } = event;
+  return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Read the stream events of a Server-Sent Events body
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<StreamEvent>}
+ *
+ * @example
+ * const response = await fetch(`${url}/execute/stream`, { method: 'POST', body });
+ * for await (const event of readServerSentEvents(response.body)) {
+ *   if (event.type === 'stdout') process.stdout.write(event.content);
+ * }
+ */
+export async function* readServerSentEvents(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let type = 'message';
+  /** @type {string[]} */
+  let data = [];
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+
+      // Complete lines only; the last one may still be arriving
+      const lines = buffer.split(/\r?\n/);
+      buffer = /** @type {string} */ (lines.pop());
+
+      for (const line of lines) {
+        if (line === '') {
+          if (data.length > 0) {
+            yield /** @type {StreamEvent} */ ({ type, ...JSON.parse(data.join('\n')) });
+          }
+          type = 'message';
+          data = [];
+          continue;
+        }
+        if (line.startsWith(':')) continue; // Comment
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') type = fieldValue;
+        else if (field === 'data') data.push(fieldValue);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
@@ -47,6 +47,9 @@ export class ConsoleCapture {
   /** @type {boolean} */
   #active = false;
 
+  /** @type {Set<(entry: LogEntry) => void>} */
+  #listeners = new Set();
+
   /**
    * @param {Window} context - The window context to capture console from
    */
@@ -72,28 +75,55 @@ export class ConsoleCapture {
 
     // Intercept methods
     console.log = (...args) => {
-      this.#queue.push({ type: 'log', args, timestamp: Date.now() });
+      this.#record({ type: 'log', args, timestamp: Date.now() });
       this.#originalConsole?.log?.(...args);
     };
 
     console.info = (...args) => {
-      this.#queue.push({ type: 'info', args, timestamp: Date.now() });
+      this.#record({ type: 'info', args, timestamp: Date.now() });
       this.#originalConsole?.info?.(...args);
     };
 
     console.warn = (...args) => {
-      this.#queue.push({ type: 'warn', args, timestamp: Date.now() });
+      this.#record({ type: 'warn', args, timestamp: Date.now() });
       this.#originalConsole?.warn?.(...args);
     };
 
     console.error = (...args) => {
-      this.#queue.push({ type: 'error', args, timestamp: Date.now() });
+      this.#record({ type: 'error', args, timestamp: Date.now() });
       this.#originalConsole?.error?.(...args);
     };
 
     this.#active = true;
   }
 
+  /**
+   * Queue a log entry and notify listeners
+   * @param {LogEntry} entry
+   */
+  #record(entry) {
+    this.#queue.push(entry);
+    for (const listener of this.#listeners) {
+      try {
+        listener(entry);
+      } catch {
+        // Listener errors must not break the user's console
+      }
+    }
+  }
+
+  /**
+   * Be notified of each log entry as it is captured
+   * @param {(entry: LogEntry) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => {
+      this.#listeners.delete(listener);
+    };
+  }
+
   /**
    * Stop capturing and restore original console
    */
@@ -8,11 +8,13 @@
  */
 
 import { ConsoleCapture } from '../console-capture.js';
+import { InterruptTracker, createInterruptError, isInterruptError } from '../interrupt.js';
 
 /**
  * @typedef {import('./interface.js').ExecutionContext} ExecutionContext
  * @typedef {import('./interface.js').RawExecutionResult} RawExecutionResult
  * @typedef {import('./interface.js').LogEntry} LogEntry
+ * @typedef {import('./interface.js').OutputHandler} OutputHandler
  */
 
 /**
@@ -35,8 +37,12 @@ import { ConsoleCapture } from '../console-capture.js';
  * @property {boolean} [allowMainAccess=true] - Allow access to main document
  * @property {Record<string, *>} [utilities] - Custom utilities to inject
  * @property {Partial<CSSStyleDeclaration>} [styles] - Styles for visible iframe
+ *   (property names in camelCase or kebab-case)
  */
 
+/** Styles of a visible iframe that `styles` can override */
+const VISIBLE_STYLES = { width: '100%', height: '100%', border: 'none', display: 'block' };
+
 /**
  * Iframe-based execution context
  * @implements {ExecutionContext}
@@ -54,6 +60,12 @@ export class IframeContext {
   /** @type {ConsoleCapture | null} */
   #consoleCapture = null;
 
+  /** @type {InterruptTracker | null} */
+  #interrupts = null;
+
+  /** @type {Set<(error: Error) => void>} */
+  #pendingExecutions = new Set();
+
   /** @type {IframeContextOptions} */
   #options;
 
@@ -63,8 +75,20 @@ export class IframeContext {
   /** @type {OnStdinRequestCallback | null} */
   #onStdinRequest = null;
 
-  /** @type {string} */
-  #currentExecId = '';
+  /** @type {OutputHandler | null} */
+  #onOutput = null;
+
+  /** @type {string[]} */
+  #execIds = [];
+
+  /**
+   * Execution that input() requests and output are attributed to: the
+   * most recently started one still running
+   * @returns {string}
+   */
+  get #currentExecId() {
+    return this.#execIds.at(-1) ?? '';
+  }
 
   /**
    * @param {IframeContextOptions} [options]
@@ -75,6 +99,43 @@ export class IframeContext {
       allowMainAccess: true,
       ...options,
     };
+
+    // Visible iframes are shown right away rather than on first use
+    if (this.#isVisible()) {
+      this.#initialize();
+    }
+  }
+
+  /**
+   * Whether the iframe is shown in a target element
+   * @returns {boolean}
+   */
+  #isVisible() {
+    return Boolean(this.#options.visible && this.#options.target);
+  }
+
+  /**
+   * Apply the iframe's styles: visible styles in a target, hidden otherwise
+   */
+  #applyStyles() {
+    const iframe = this.#iframe;
+    if (!iframe) return;
+
+    if (!this.#isVisible()) {
+      iframe.style.display = 'none';
+      return;
+    }
+
+    const styles = { ...VISIBLE_STYLES, ...this.#options.styles };
+    for (const [key, value] of Object.entries(styles)) {
+      if (value && typeof value === 'string') {
+        if (key.includes('-')) {
+          iframe.style.setProperty(key, value);
+        } else {
+          /** @type {*} */ (iframe.style)[key] = value;
+        }
+      }
+    }
   }
 
   /**
@@ -88,27 +149,9 @@ export class IframeContext {
     this.#iframe.sandbox.add('allow-scripts');
     this.#iframe.sandbox.add('allow-same-origin');
 
-    if (this.#options.visible && this.#options.target) {
-      // Visible mode
-      const styles = this.#options.styles || {};
-      this.#iframe.style.width = styles.width || '100%';
-      this.#iframe.style.height = styles.height || '100%';
-      this.#iframe.style.border = styles.border || 'none';
-      this.#iframe.style.display = 'block';
-
-      // Apply additional styles
-      for (const [key, value] of Object.entries(styles)) {
-        if (value && typeof value === 'string') {
-          this.#iframe.style.setProperty(key, value);
-        }
-      }
-
-      this.#options.target.appendChild(this.#iframe);
-    } else {
-      // Hidden mode
-      this.#iframe.style.display = 'none';
-      document.body.appendChild(this.#iframe);
-    }
+    this.#applyStyles();
+    const parent = this.#isVisible() ? this.#options.target : document.body;
+    /** @type {HTMLElement} */ (parent).appendChild(this.#iframe);
 
     // Get context
     this.#ctx = /** @type {Window} */ (this.#iframe.contentWindow);
@@ -118,6 +161,7 @@ export class IframeContext {
 
     // Set up console capture
     this.#consoleCapture = new ConsoleCapture(this.#ctx);
+    this.#consoleCapture.subscribe((entry) => this.#onOutput?.({ type: 'log', entry, execId: this.#currentExecId }));
     this.#consoleCapture.start();
 
     // Initialize tracking set in iframe
@@ -138,8 +182,12 @@ export class IframeContext {
       this.#ctx.mainWindow = window;
     }
 
+    // Interrupt tracking (timers, fetches, sleep and input)
+    this.#interrupts = new InterruptTracker(this.#ctx);
+    this.#interrupts.install();
+
     // Sleep helper
-    this.#ctx.sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    this.#ctx.sleep = (ms) => this.#interrupts?.sleep(ms);
 
     // Print helper
     this.#ctx.print = (...args) => {
@@ -169,11 +217,12 @@ export class IframeContext {
       };
 
       try {
-        const response = await self.#onStdinRequest(request);
+        const pending = self.#onStdinRequest(request);
+        const response = self.#interrupts ? await self.#interrupts.race(pending) : await pending;
         // Remove trailing newline if present (input() in Python strips it)
         return response.replace(/\n$/, '');
       } catch (error) {
-        // If cancelled, throw an error like Python's KeyboardInterrupt
+        if (isInterruptError(error)) throw error;
         throw new Error('Input cancelled');
       }
     };
@@ -200,7 +249,9 @@ export class IframeContext {
         }
       }
 
-      this.#ctx.__displayQueue__.push({ data: { [mimeType]: content }, metadata: {} });
+      const display = { data: { [mimeType]: content }, metadata: {} };
+      this.#ctx.__displayQueue__.push(display);
+      this.#onOutput?.({ type: 'display', display, execId: this.#currentExecId });
     };
 
     // Inject custom utilities
@@ -227,10 +278,26 @@ export class IframeContext {
     return this.#onStdinRequest;
   }
 
+  /**
+   * Set the handler that receives output as it is produced
+   * @param {OutputHandler | null} handler
+   */
+  setOutputHandler(handler) {
+    this.#onOutput = handler;
+  }
+
+  /**
+   * Get the current output handler
+   * @returns {OutputHandler | null}
+   */
+  getOutputHandler() {
+    return this.#onOutput;
+  }
+
   /**
    * Execute code in the iframe
    * @param {string} code - Already transformed/wrapped code from executor
-   * @param {{ execId?: string }} [options] - Execution options
+   * @param {{ execId?: string, signal?: AbortSignal }} [options] - Execution options
    * @returns {Promise<RawExecutionResult>}
    */
   async execute(code, options = {}) {
@@ -240,8 +307,24 @@ export class IframeContext {
       throw new Error('Context not initialized');
     }
 
-    // Set current execution ID for input() calls
-    this.#currentExecId = options.execId || '';
+    const ctx = this.#ctx;
+    const interrupts = this.#interrupts;
+
+    // Interrupt tracked work when the execution is aborted
+    const onAbort = () => this.interrupt();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Settled early if the context is killed
+    /** @type {(error: Error) => void} */
+    let rejectKilled = () => {};
+    const killed = new Promise((_, reject) => {
+      rejectKilled = reject;
+    });
+    this.#pendingExecutions.add(rejectKilled);
+
+    // Attribute input() calls and output to this execution
+    const execId = options.execId || '';
+    this.#execIds.push(execId);
 
     // Clear display queue
     this.#ctx.__displayQueue__ = [];
@@ -250,10 +333,11 @@ export class IframeContext {
     this.#consoleCapture?.clear();
 
     const startTime = performance.now();
+    interrupts?.begin();
 
     try {
       // Execute - code is already transformed/wrapped by the executor
-      const result = await this.#ctx.eval(code);
+      const result = await Promise.race([ctx.eval(code), killed]);
       const duration = performance.now() - startTime;
 
       // Get logs
@@ -271,12 +355,43 @@ export class IframeContext {
       return {
         result: undefined,
         logs,
-        error: error instanceof Error ? error : new Error(String(error)),
+        error: error instanceof Error || error instanceof ctx.Error ? error : new Error(String(error)),
         duration,
       };
     } finally {
-      // Clear current exec ID
-      this.#currentExecId = '';
+      interrupts?.end();
+      options.signal?.removeEventListener('abort', onAbort);
+      this.#pendingExecutions.delete(rejectKilled);
+
+      // Stop attributing to this execution, whichever finishes first
+      this.#execIds.splice(this.#execIds.lastIndexOf(execId), 1);
+    }
+  }
+
+  /**
+   * Interrupt the running execution: pending input(), sleep(), timers and
+   * fetches started by it reject with a KeyboardInterrupt. Code that is
+   * busy synchronously keeps running; use kill() for that.
+   */
+  interrupt() {
+    this.#interrupts?.interrupt();
+  }
+
+  /**
+   * Hard-kill the context: the iframe is thrown away and recreated, so
+   * everything it was running stops. All variables are lost.
+   */
+  kill() {
+    const pending = Array.from(this.#pendingExecutions);
+    this.#pendingExecutions.clear();
+
+    this.reset();
+
+    const error = createInterruptError(
+      'Execution interrupted; the context was restarted and all variables were lost'
+    );
+    for (const reject of pending) {
+      reject(error);
     }
   }
 
@@ -335,6 +450,39 @@ export class IframeContext {
     this.#trackedVars.add(name);
   }
 
+  /**
+   * Define and track global variables. Values are structured-cloned with
+   * the iframe's own structuredClone, so objects belong to its realm.
+   * @param {Record<string, *>} variables
+   * @param {import('./interface.js').SetVariablesOptions} [options]
+   */
+  setVariables(variables, options = {}) {
+    const ctx = /** @type {*} */ (this.getGlobal());
+    const clone =
+      options.clone === false
+        ? (/** @type {*} */ value) => value
+        : ctx.structuredClone
+          ? ctx.structuredClone.bind(ctx)
+          : structuredClone;
+    for (const [name, value] of Object.entries(variables)) {
+      ctx[name] = clone(value);
+      this.#trackedVars.add(name);
+    }
+  }
+
+  /**
+   * Delete and untrack a global variable
+   * @param {string} name
+   * @returns {boolean} Whether the variable was tracked
+   */
+  deleteVariable(name) {
+    if (!this.#trackedVars.delete(name)) return false;
+    if (this.#ctx) {
+      Reflect.deleteProperty(this.#ctx, name);
+    }
+    return true;
+  }
+
   /**
    * Get tracked variable names
    * @returns {Set<string>}
@@ -362,6 +510,8 @@ export class IframeContext {
   destroy() {
     this.#consoleCapture?.stop();
     this.#consoleCapture = null;
+    this.#interrupts?.uninstall();
+    this.#interrupts = null;
 
     if (this.#iframe) {
       this.#iframe.parentElement?.removeChild(this.#iframe);
@@ -388,6 +538,49 @@ export class IframeContext {
     return this.#iframe;
   }
 
+  /**
+   * Show the iframe in an element (also makes a hidden iframe visible).
+   * Browsers with `moveBefore` move it with its document intact; elsewhere
+   * re-inserting an iframe reloads it, so the context is reset and its
+   * variables are lost.
+   * @param {HTMLElement} target
+   * @returns {boolean} Whether the document and its variables were kept
+   */
+  moveTo(target) {
+    this.#options.visible = true;
+    this.#options.target = target;
+
+    const iframe = this.#iframe;
+    if (!iframe) {
+      this.#initialize();
+      return true;
+    }
+
+    const move = /** @type {*} */ (target).moveBefore;
+    if (typeof move === 'function') {
+      try {
+        move.call(target, iframe, null);
+        this.#applyStyles();
+        return true;
+      } catch {
+        // Not movable (e.g. another document); fall back to reloading
+      }
+    }
+
+    this.reset();
+    return false;
+  }
+
+  /**
+   * Update the styles of the visible iframe, e.g. its size
+   * @param {Partial<CSSStyleDeclaration>} styles - Styles to merge into the
+   *   current ones
+   */
+  setStyles(styles) {
+    this.#options.styles = { ...this.#options.styles, ...styles };
+    this.#applyStyles();
+  }
+
   /**
    * Get display data queue
    * @returns {Array<{data: Record<string, string>, metadata: Record<string, *>}>}
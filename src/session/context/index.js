@@ -7,6 +7,8 @@
 
 export { IframeContext, createIframeContext } from './iframe.js';
 export { MainContext, createMainContext } from './main.js';
+export { WorkerContext, createWorkerContext } from './worker.js';
+export { NodeVmContext, createNodeVmContext } from './vm.js';
 
 // Re-export interface types
 export * from './interface.js';
@@ -20,19 +20,51 @@
  * @property {number} duration - Duration in milliseconds
  */
 
+/**
+ * Output produced while code is running, delivered as it happens. `execId`
+ * names the execution it is attributed to; when several run at once, that
+ * is the most recently started one.
+ * @typedef {({ type: 'log', entry: LogEntry }
+ *   | { type: 'display', display: import('../../types/execution.js').DisplayData }
+ *   | { type: 'asset', asset: import('../../types/execution.js').Asset }) & { execId?: string }} OutputEvent
+ */
+
+/**
+ * @callback OutputHandler
+ * @param {OutputEvent} event
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} SetVariablesOptions
+ * @property {boolean} [clone=true] - Copy values into the context. Without
+ *   copying, the context shares the host's objects (iframe and main only;
+ *   values are always copied into a worker).
+ */
+
 /**
  * @typedef {Object} ExecutionContext
- * @property {(code: string) => Promise<RawExecutionResult>} execute - Execute code
+ * @property {(code: string, options?: { execId?: string, signal?: AbortSignal, timeout?: number }) => Promise<RawExecutionResult>} execute - Execute code
+ *   (contexts that can stop busy synchronous code honor `timeout`)
  * @property {() => Record<string, *>} getVariables - Get all user-defined variables
  * @property {(name: string) => *} getVariable - Get a specific variable
  * @property {(name: string) => boolean} hasVariable - Check if variable exists
  * @property {() => Window} getGlobal - Get the global object
  * @property {(name: string) => void} trackVariable - Track a declared variable
+ * @property {(variables: Record<string, *>, options?: SetVariablesOptions) => void} [setVariables] - Define
+ *   and track global variables; values are structured-cloned into the context
+ *   unless `clone` is false
+ * @property {(name: string) => boolean} [deleteVariable] - Delete and untrack
+ *   a global variable; returns whether it was tracked
  * @property {() => Set<string>} getTrackedVariables - Get tracked variable names
  * @property {() => void} reset - Clear all variables and state
  * @property {() => void} destroy - Cleanup and release resources
  * @property {() => boolean} isMainContext - Whether this is main window
  * @property {() => HTMLIFrameElement | null} getIframe - Get iframe if applicable
+ * @property {() => void} [interrupt] - Cancel pending input(), sleep(), timers and fetches
+ * @property {() => void} [kill] - Hard-stop running code by recreating the context (loses all variables)
+ * @property {(handler: OutputHandler | null) => void} [setOutputHandler] - Receive output as it is produced
+ * @property {() => OutputHandler | null} [getOutputHandler] - Get the current output handler
  */
 
 export {};
@@ -8,10 +8,13 @@
  */
 
 import { ConsoleCapture } from '../console-capture.js';
+import { InterruptTracker, isInterruptError } from '../interrupt.js';
+import { HISTORY_GLOBALS, OUTPUTS_KEY } from '../../transform/history.js';
 
 /**
  * @typedef {import('./interface.js').ExecutionContext} ExecutionContext
  * @typedef {import('./interface.js').RawExecutionResult} RawExecutionResult
+ * @typedef {import('./interface.js').OutputHandler} OutputHandler
  */
 
 /**
@@ -43,6 +46,12 @@ export class MainContext {
   /** @type {ConsoleCapture | null} */
   #consoleCapture = null;
 
+  /** @type {InterruptTracker | null} */
+  #interrupts = null;
+
+  /** @type {PropertyDescriptor | undefined} The page's own sleep(), put back on destroy */
+  #pageSleep;
+
   /** @type {MainContextOptions} */
   #options;
 
@@ -55,8 +64,20 @@ export class MainContext {
   /** @type {OnStdinRequestCallback | null} */
   #onStdinRequest = null;
 
-  /** @type {string} */
-  #currentExecId = '';
+  /** @type {OutputHandler | null} */
+  #onOutput = null;
+
+  /** @type {string[]} */
+  #execIds = [];
+
+  /**
+   * Execution that input() requests and output are attributed to: the
+   * most recently started one still running
+   * @returns {string}
+   */
+  get #currentExecId() {
+    return this.#execIds.at(-1) ?? '';
+  }
 
   /**
    * @param {MainContextOptions} [options]
@@ -76,6 +97,7 @@ export class MainContext {
 
     // Set up console capture
     this.#consoleCapture = new ConsoleCapture(window);
+    this.#consoleCapture.subscribe((entry) => this.#onOutput?.({ type: 'log', entry, execId: this.#currentExecId }));
     this.#consoleCapture.start();
 
     this.#initialized = true;
@@ -87,11 +109,14 @@ export class MainContext {
   #setupUtilities() {
     const self = this;
 
-    // Sleep helper (if not already defined)
-    if (!('sleep' in window)) {
-      /** @type {*} */ (window).sleep = (ms) =>
-        new Promise((resolve) => setTimeout(resolve, ms));
-    }
+    // Interrupt tracking - the window is shared with the host page, so
+    // only sleep() and input() are tracked, not the page's timers
+    this.#interrupts = new InterruptTracker(window, { patchGlobals: false });
+
+    // Sleep helper - replaces any sleep() the page defines, since only
+    // this one can be interrupted
+    this.#pageSleep = Object.getOwnPropertyDescriptor(window, 'sleep');
+    /** @type {*} */ (window).sleep = (ms) => self.#interrupts?.sleep(ms);
 
     // Print helper
     if (!('print' in window) || typeof window.print !== 'function') {
@@ -121,11 +146,12 @@ export class MainContext {
       };
 
       try {
-        const response = await self.#onStdinRequest(request);
+        const pending = self.#onStdinRequest(request);
+        const response = self.#interrupts ? await self.#interrupts.race(pending) : await pending;
         // Remove trailing newline if present (input() in Python strips it)
         return response.replace(/\n$/, '');
       } catch (error) {
-        // If cancelled, throw an error like Python's KeyboardInterrupt
+        if (isInterruptError(error)) throw error;
         throw new Error('Input cancelled');
       }
     };
@@ -152,7 +178,9 @@ export class MainContext {
         }
       }
 
-      this.#displayQueue.push({ data: { [mimeType]: content }, metadata: {} });
+      const display = { data: { [mimeType]: content }, metadata: {} };
+      this.#displayQueue.push(display);
+      this.#onOutput?.({ type: 'display', display, execId: this.#currentExecId });
     };
 
     // Inject custom utilities
@@ -179,17 +207,38 @@ export class MainContext {
     return this.#onStdinRequest;
   }
 
+  /**
+   * Set the handler that receives output as it is produced
+   * @param {OutputHandler | null} handler
+   */
+  setOutputHandler(handler) {
+    this.#onOutput = handler;
+  }
+
+  /**
+   * Get the current output handler
+   * @returns {OutputHandler | null}
+   */
+  getOutputHandler() {
+    return this.#onOutput;
+  }
+
   /**
    * Execute code in main context
    * @param {string} code - Already transformed/wrapped code from executor
-   * @param {{ execId?: string }} [options] - Execution options
+   * @param {{ execId?: string, signal?: AbortSignal }} [options] - Execution options
    * @returns {Promise<RawExecutionResult>}
    */
   async execute(code, options = {}) {
     this.#initialize();
 
-    // Set current execution ID for input() calls
-    this.#currentExecId = options.execId || '';
+    // Interrupt tracked work when the execution is aborted
+    const onAbort = () => this.interrupt();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Attribute input() calls and output to this execution
+    const execId = options.execId || '';
+    this.#execIds.push(execId);
 
     // Clear display queue
     this.#displayQueue = [];
@@ -198,6 +247,7 @@ export class MainContext {
     this.#consoleCapture?.clear();
 
     const startTime = performance.now();
+    this.#interrupts?.begin();
 
     try {
       // Execute - code is already transformed/wrapped by the executor
@@ -223,11 +273,22 @@ export class MainContext {
         duration,
       };
     } finally {
-      // Clear current exec ID
-      this.#currentExecId = '';
+      this.#interrupts?.end();
+      options.signal?.removeEventListener('abort', onAbort);
+
+      // Stop attributing to this execution, whichever finishes first
+      this.#execIds.splice(this.#execIds.lastIndexOf(execId), 1);
     }
   }
 
+  /**
+   * Interrupt the running execution: pending input() and sleep() calls
+   * reject with a KeyboardInterrupt. The main window cannot be killed.
+   */
+  interrupt() {
+    this.#interrupts?.interrupt();
+  }
+
   /**
    * Get all user-defined variables
    * @returns {Record<string, *>}
@@ -278,6 +339,30 @@ export class MainContext {
     this.#trackedVars.add(name);
   }
 
+  /**
+   * Define and track global variables (structured-cloned unless `clone` is
+   * false)
+   * @param {Record<string, *>} variables
+   * @param {import('./interface.js').SetVariablesOptions} [options]
+   */
+  setVariables(variables, options = {}) {
+    for (const [name, value] of Object.entries(variables)) {
+      /** @type {*} */ (window)[name] = options.clone === false ? value : structuredClone(value);
+      this.#trackedVars.add(name);
+    }
+  }
+
+  /**
+   * Delete and untrack a global variable
+   * @param {string} name
+   * @returns {boolean} Whether the variable was tracked
+   */
+  deleteVariable(name) {
+    if (!this.#trackedVars.delete(name)) return false;
+    Reflect.deleteProperty(window, name);
+    return true;
+  }
+
   /**
    * Get tracked variable names
    * @returns {Set<string>}
@@ -290,14 +375,15 @@ export class MainContext {
    * Reset the context
    */
   reset() {
-    // Delete tracked variables from window
-    for (const name of this.#trackedVars) {
+    // Delete tracked variables and output history from window
+    for (const name of [...this.#trackedVars, ...HISTORY_GLOBALS]) {
       try {
         delete /** @type {*} */ (window)[name];
       } catch {
         // Some properties can't be deleted
       }
     }
+    delete /** @type {*} */ (window)[Symbol.for(OUTPUTS_KEY)];
     this.#trackedVars = new Set();
     this.#displayQueue = [];
   }
@@ -315,9 +401,16 @@ export class MainContext {
     // Clean up utilities we added
     try {
       delete /** @type {*} */ (window).__mrmd_display__;
+      if (this.#pageSleep) {
+        Object.defineProperty(window, 'sleep', this.#pageSleep);
+      } else if (this.#initialized) {
+        delete /** @type {*} */ (window).sleep;
+      }
     } catch {
       // Ignore
     }
+    this.#pageSleep = undefined;
+    this.#interrupts = null;
 
     this.#initialized = false;
   }
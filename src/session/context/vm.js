@@ -0,0 +1,640 @@
+/**
+ * Node VM Execution Context
+ *
+ * Executes JavaScript in a `node:vm` context, so notebooks can run under
+ * Node.js (tests, CI) without a browser. Like an iframe, the context is a
+ * separate realm with its own globals; timers, fetch, URL, TextEncoder and
+ * other Web APIs that Node provides are shared from the host. There is no
+ * DOM.
+ *
+ * `node:vm` is loaded with `process.getBuiltinModule()` (Node 20.16+), so
+ * browser bundles never import it. `import()` in cells (and so static
+ * `import` statements) is handed to the host's `import()`, which resolves
+ * relative specifiers against the working directory.
+ *
+ * A time limit given to `execute()` also stops busy synchronous code, as
+ * does Ctrl+C in the terminal. `interrupt()` cannot: it only runs once the
+ * code yields.
+ *
+ * @module session/context/vm
+ */
+
+import { ConsoleCapture } from '../console-capture.js';
+import { tokenize } from '../../transform/parse.js';
+import { InterruptTracker, createInterruptError, isInterruptError } from '../interrupt.js';
+
+/**
+ * @typedef {import('./interface.js').ExecutionContext} ExecutionContext
+ * @typedef {import('./interface.js').RawExecutionResult} RawExecutionResult
+ * @typedef {import('./interface.js').OutputHandler} OutputHandler
+ * @typedef {import('./interface.js').SetVariablesOptions} SetVariablesOptions
+ */
+
+/**
+ * @typedef {Object} StdinRequest
+ * @property {string} prompt - Prompt text to display
+ * @property {boolean} password - Whether to hide input
+ * @property {string} execId - Execution ID for this request
+ */
+
+/**
+ * @callback OnStdinRequestCallback
+ * @param {StdinRequest} request - The stdin request
+ * @returns {Promise<string>} - Resolves with user input
+ */
+
+/**
+ * @typedef {Object} NodeVmContextOptions
+ * @property {Record<string, *>} [utilities] - Custom utilities to inject
+ * @property {string} [name] - Context name (shown in inspector tools)
+ * @property {typeof import('node:vm')} [vm] - The `node:vm` module (loaded
+ *   from the running Node.js if not given)
+ */
+
+/** Trailing `//# sourceURL=` comment added by the executor */
+const SOURCE_URL = /\/\/# sourceURL=(\S+)\s*$/;
+
+/**
+ * Context global standing in for `import(`. As long as `import`, so error
+ * columns stay the same.
+ */
+const HOST_IMPORT = '$mrmdI';
+
+/** Host globals shared with the context */
+const HOST_GLOBALS = [
+  'setTimeout',
+  'clearTimeout',
+  'setInterval',
+  'clearInterval',
+  'setImmediate',
+  'clearImmediate',
+  'queueMicrotask',
+  'structuredClone',
+  'AbortController',
+  'AbortSignal',
+  'EventTarget',
+  'Event',
+  'URL',
+  'URLSearchParams',
+  'TextEncoder',
+  'TextDecoder',
+  'atob',
+  'btoa',
+  'Blob',
+  'fetch',
+  'Headers',
+  'Request',
+  'Response',
+  'FormData',
+  'crypto',
+  'performance',
+];
+
+/**
+ * Load `node:vm` from the running Node.js
+ * @returns {typeof import('node:vm')}
+ * @throws {Error} Outside Node.js, or on Node.js before 20.16
+ */
+function loadVm() {
+  const process = /** @type {*} */ (globalThis).process;
+  const vm = process?.getBuiltinModule?.('node:vm');
+  if (!vm) {
+    throw new Error("The 'vm' isolation mode requires Node.js 20.16 or later");
+  }
+  return vm;
+}
+
+/**
+ * Point the `import(` calls of a script at the host import function. Vm
+ * scripts can only import with Node's experimental loaders.
+ * @param {string} code
+ * @returns {string}
+ */
+function redirectDynamicImports(code) {
+  if (!code.includes('import')) return code;
+
+  let tokens;
+  try {
+    tokens = tokenize(code);
+  } catch {
+    return code; // Left for the engine to report
+  }
+
+  /** @type {number[]} */
+  const starts = [];
+  /** @param {import('../../transform/parse.js').Token[]} list */
+  const collect = (list) => {
+    list.forEach((token, index) => {
+      token.expressions?.forEach(collect);
+      if (
+        token.type === 'name' &&
+        token.value === 'import' &&
+        list[index + 1]?.value === '(' &&
+        list[index - 1]?.value !== '.'
+      ) {
+        starts.push(token.start);
+      }
+    });
+  };
+  collect(tokens);
+
+  let redirected = code;
+  for (const start of starts) {
+    redirected = redirected.slice(0, start) + HOST_IMPORT + redirected.slice(start + HOST_IMPORT.length);
+  }
+  return redirected;
+}
+
+/**
+ * Import a module for a context, with relative specifiers resolved against
+ * the working directory
+ * @param {string} specifier
+ * @param {ImportCallOptions} [options]
+ * @returns {Promise<*>}
+ */
+function importFromHost(specifier, options) {
+  const process = /** @type {*} */ (globalThis).process;
+  const resolved = /^\.{0,2}\//.test(specifier)
+    ? new URL(specifier, `${process.getBuiltinModule('node:url').pathToFileURL(process.cwd())}/`).href
+    : specifier;
+  return import(resolved, options);
+}
+
+/**
+ * Let code run in a vm context import modules without Node's experimental
+ * loaders: the context gets the host import function, and code passed
+ * through the returned function calls it instead of `import(`
+ * @param {object} global - Global object of the context
+ * @returns {(code: string) => string} Redirects the imports of code
+ */
+export function enableHostImports(global) {
+  Object.defineProperty(global, HOST_IMPORT, { value: importFromHost });
+  return redirectDynamicImports;
+}
+
+/**
+ * Node.js `vm` execution context
+ * @implements {ExecutionContext}
+ */
+export class NodeVmContext {
+  /** @type {typeof import('node:vm') | null} */
+  #vm = null;
+
+  /** @type {import('node:vm').Context | null} Contextified sandbox */
+  #sandbox = null;
+
+  /** @type {* | null} The context's global object, with its built-ins */
+  #ctx = null;
+
+  /** @type {Set<string>} */
+  #trackedVars = new Set();
+
+  /** @type {ConsoleCapture | null} */
+  #consoleCapture = null;
+
+  /** @type {InterruptTracker | null} */
+  #interrupts = null;
+
+  /** @type {Set<(error: Error) => void>} */
+  #pendingExecutions = new Set();
+
+  /** @type {NodeVmContextOptions} */
+  #options;
+
+  /** @type {boolean} */
+  #initialized = false;
+
+  /** @type {Array<{data: Record<string, string>, metadata: Record<string, *>}>} */
+  #displayQueue = [];
+
+  /** @type {OnStdinRequestCallback | null} */
+  #onStdinRequest = null;
+
+  /** @type {OutputHandler | null} */
+  #onOutput = null;
+
+  /** @type {string[]} */
+  #execIds = [];
+
+  /**
+   * Execution that input() requests and output are attributed to: the
+   * most recently started one still running
+   * @returns {string}
+   */
+  get #currentExecId() {
+    return this.#execIds.at(-1) ?? '';
+  }
+
+  /**
+   * @param {NodeVmContextOptions} [options]
+   */
+  constructor(options = {}) {
+    this.#options = options;
+  }
+
+  /**
+   * Create the vm context
+   */
+  #initialize() {
+    if (this.#initialized) return;
+
+    this.#vm ??= this.#options.vm ?? loadVm();
+
+    /** @type {Record<string, *>} */
+    const sandbox = {};
+    for (const name of HOST_GLOBALS) {
+      if (name in globalThis) {
+        sandbox[name] = /** @type {*} */ (globalThis)[name];
+      }
+    }
+    // Output is captured, not echoed to the host's stdout
+    const noop = () => {};
+    sandbox.console = { log: noop, info: noop, warn: noop, error: noop, debug: noop };
+
+    this.#sandbox = this.#vm.createContext(sandbox, { name: this.#options.name });
+    // The sandbox object lacks the context's built-ins (Error, ...); its
+    // global does not
+    this.#ctx = this.#vm.runInContext('globalThis', this.#sandbox);
+    enableHostImports(this.#ctx);
+
+    // Set up utilities
+    this.#setupUtilities();
+
+    // Set up console capture
+    this.#consoleCapture = new ConsoleCapture(this.#ctx);
+    this.#consoleCapture.subscribe((entry) => this.#onOutput?.({ type: 'log', entry, execId: this.#currentExecId }));
+    this.#consoleCapture.start();
+
+    this.#initialized = true;
+  }
+
+  /**
+   * Set up utility functions in the context
+   */
+  #setupUtilities() {
+    const ctx = this.#ctx;
+
+    // Interrupt tracking (timers, fetches, sleep and input)
+    this.#interrupts = new InterruptTracker(ctx);
+    this.#interrupts.install();
+
+    // Sleep helper
+    ctx.sleep = (/** @type {number} */ ms) => this.#interrupts?.sleep(ms);
+
+    // Print helper
+    ctx.print = (/** @type {*[]} */ ...args) => {
+      ctx.console.log(...args);
+    };
+
+    // Input helper - requires a stdin handler, there is no prompt() to fall back to
+    ctx.input = async (prompt = '', options = {}) => {
+      if (prompt) {
+        ctx.console.log(prompt);
+      }
+
+      if (!this.#onStdinRequest) {
+        throw new ctx.Error('input() is not available: no stdin handler is set');
+      }
+
+      const request = {
+        prompt: prompt,
+        password: options.password ?? false,
+        execId: this.#currentExecId,
+      };
+
+      try {
+        const pending = this.#onStdinRequest(request);
+        const response = this.#interrupts ? await this.#interrupts.race(pending) : await pending;
+        // Remove trailing newline if present (input() in Python strips it)
+        return response.replace(/\n$/, '');
+      } catch (error) {
+        if (isInterruptError(error)) throw error;
+        throw new ctx.Error('Input cancelled');
+      }
+    };
+
+    // Display helper for rich output
+    ctx.display = (/** @type {*} */ data, mimeType = 'text/plain') => {
+      let content;
+      if (typeof data === 'string') {
+        content = data;
+      } else if (data && typeof data.outerHTML === 'string') {
+        // DOM-like objects (e.g. from a DOM implementation loaded in the cell)
+        content = data.outerHTML;
+        mimeType = 'text/html';
+      } else {
+        try {
+          content = JSON.stringify(data, null, 2);
+          mimeType = 'application/json';
+        } catch {
+          content = String(data);
+        }
+      }
+
+      const display = { data: { [mimeType]: content }, metadata: {} };
+      this.#displayQueue.push(display);
+      this.#onOutput?.({ type: 'display', display, execId: this.#currentExecId });
+    };
+
+    // Inject custom utilities
+    if (this.#options.utilities) {
+      for (const [key, value] of Object.entries(this.#options.utilities)) {
+        ctx[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Set the stdin request handler
+   * @param {OnStdinRequestCallback | null} handler
+   */
+  setStdinHandler(handler) {
+    this.#onStdinRequest = handler;
+  }
+
+  /**
+   * Get the current stdin request handler
+   * @returns {OnStdinRequestCallback | null}
+   */
+  getStdinHandler() {
+    return this.#onStdinRequest;
+  }
+
+  /**
+   * Set the handler that receives output as it is produced
+   * @param {OutputHandler | null} handler
+   */
+  setOutputHandler(handler) {
+    this.#onOutput = handler;
+  }
+
+  /**
+   * Get the current output handler
+   * @returns {OutputHandler | null}
+   */
+  getOutputHandler() {
+    return this.#onOutput;
+  }
+
+  /**
+   * Execute code in the vm context
+   * @param {string} code - Already transformed/wrapped code from executor
+   * @param {{ execId?: string, signal?: AbortSignal, timeout?: number }} [options] - Execution
+   *   options; `timeout` stops synchronous code running longer (milliseconds)
+   * @returns {Promise<RawExecutionResult>}
+   */
+  async execute(code, options = {}) {
+    this.#initialize();
+
+    const vm = /** @type {typeof import('node:vm')} */ (this.#vm);
+    const ctx = this.#ctx;
+    const interrupts = this.#interrupts;
+
+    // Interrupt tracked work when the execution is aborted
+    const onAbort = () => this.interrupt();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Settled early if the context is killed
+    /** @type {(error: Error) => void} */
+    let rejectKilled = () => {};
+    const killed = new Promise((_, reject) => {
+      rejectKilled = reject;
+    });
+    this.#pendingExecutions.add(rejectKilled);
+
+    // Attribute input() calls and output to this execution
+    const execId = options.execId || '';
+    this.#execIds.push(execId);
+
+    // Clear display queue
+    this.#displayQueue = [];
+
+    // Clear console capture
+    this.#consoleCapture?.clear();
+
+    const startTime = performance.now();
+    interrupts?.begin();
+
+    try {
+      // Execute - code is already transformed/wrapped by the executor.
+      // Scripts name their stack frames after the filename option rather
+      // than the sourceURL comment.
+      const running = vm.runInContext(
+        redirectDynamicImports(code),
+        /** @type {import('node:vm').Context} */ (this.#sandbox),
+        {
+          filename: code.match(SOURCE_URL)?.[1],
+          timeout: options.timeout || undefined,
+          breakOnSigint: true,
+        }
+      );
+      const result = await Promise.race([running, killed]);
+      const duration = performance.now() - startTime;
+
+      // Get logs
+      const logs = this.#consoleCapture?.flush() || [];
+
+      return {
+        result,
+        logs,
+        duration,
+      };
+    } catch (error) {
+      const duration = performance.now() - startTime;
+      const logs = this.#consoleCapture?.flush() || [];
+
+      return {
+        result: undefined,
+        logs,
+        error: error instanceof Error || error instanceof ctx.Error ? error : new Error(String(error)),
+        duration,
+      };
+    } finally {
+      interrupts?.end();
+      options.signal?.removeEventListener('abort', onAbort);
+      this.#pendingExecutions.delete(rejectKilled);
+
+      // Stop attributing to this execution, whichever finishes first
+      this.#execIds.splice(this.#execIds.lastIndexOf(execId), 1);
+    }
+  }
+
+  /**
+   * Interrupt the running execution: pending input(), sleep(), timers and
+   * fetches started by it reject with a KeyboardInterrupt. Code that is
+   * busy synchronously keeps running; use kill() for that.
+   */
+  interrupt() {
+    this.#interrupts?.interrupt();
+  }
+
+  /**
+   * Hard-kill the context: it is thrown away and recreated, and executions
+   * still waiting on it settle with a KeyboardInterrupt. All variables are
+   * lost.
+   */
+  kill() {
+    const pending = Array.from(this.#pendingExecutions);
+    this.#pendingExecutions.clear();
+
+    this.reset();
+
+    const error = createInterruptError(
+      'Execution interrupted; the context was restarted and all variables were lost'
+    );
+    for (const reject of pending) {
+      reject(error);
+    }
+  }
+
+  /**
+   * Get all user-defined variables
+   * @returns {Record<string, *>}
+   */
+  getVariables() {
+    if (!this.#ctx) return {};
+
+    /** @type {Record<string, *>} */
+    const vars = {};
+    for (const name of this.#trackedVars) {
+      try {
+        vars[name] = this.#ctx[name];
+      } catch {
+        // Skip inaccessible
+      }
+    }
+    return vars;
+  }
+
+  /**
+   * Get a specific variable
+   * @param {string} name
+   * @returns {*}
+   */
+  getVariable(name) {
+    if (!this.#ctx) return undefined;
+    return this.#ctx[name];
+  }
+
+  /**
+   * Check if variable exists
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasVariable(name) {
+    if (!this.#ctx) return false;
+    return name in this.#ctx;
+  }
+
+  /**
+   * Get the global object
+   * @returns {Window}
+   */
+  getGlobal() {
+    this.#initialize();
+    return this.#ctx;
+  }
+
+  /**
+   * Track a declared variable
+   * @param {string} name
+   */
+  trackVariable(name) {
+    this.#trackedVars.add(name);
+  }
+
+  /**
+   * Define and track global variables (structured-cloned unless `clone` is
+   * false). Node's structuredClone is shared with the context, so copies
+   * are built with the host's built-ins, like values from other host APIs.
+   * @param {Record<string, *>} variables
+   * @param {SetVariablesOptions} [options]
+   */
+  setVariables(variables, options = {}) {
+    const ctx = this.getGlobal();
+    for (const [name, value] of Object.entries(variables)) {
+      ctx[name] = options.clone === false ? value : structuredClone(value);
+      this.#trackedVars.add(name);
+    }
+  }
+
+  /**
+   * Delete and untrack a global variable
+   * @param {string} name
+   * @returns {boolean} Whether the variable was tracked
+   */
+  deleteVariable(name) {
+    if (!this.#trackedVars.delete(name)) return false;
+    if (this.#ctx) {
+      Reflect.deleteProperty(this.#ctx, name);
+    }
+    return true;
+  }
+
+  /**
+   * Get tracked variable names
+   * @returns {Set<string>}
+   */
+  getTrackedVariables() {
+    return this.#trackedVars;
+  }
+
+  /**
+   * Reset the context
+   */
+  reset() {
+    if (!this.#initialized) return;
+
+    // Destroy and reinitialize
+    this.destroy();
+    this.#trackedVars = new Set();
+    this.#initialize();
+  }
+
+  /**
+   * Destroy the context
+   */
+  destroy() {
+    this.#consoleCapture?.stop();
+    this.#consoleCapture = null;
+    this.#interrupts?.uninstall();
+    this.#interrupts = null;
+    this.#sandbox = null;
+    this.#ctx = null;
+    this.#displayQueue = [];
+    this.#initialized = false;
+  }
+
+  /**
+   * Check if this is main context
+   * @returns {boolean}
+   */
+  isMainContext() {
+    return false;
+  }
+
+  /**
+   * Get the iframe element
+   * @returns {null}
+   */
+  getIframe() {
+    return null;
+  }
+
+  /**
+   * Get display data queue
+   * @returns {Array<{data: Record<string, string>, metadata: Record<string, *>}>}
+   */
+  getDisplayQueue() {
+    return this.#displayQueue;
+  }
+}
+
+/**
+ * Create a Node.js vm context
+ * @param {NodeVmContextOptions} [options]
+ * @returns {NodeVmContext}
+ */
+export function createNodeVmContext(options) {
+  return new NodeVmContext(options);
+}
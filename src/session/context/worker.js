@@ -0,0 +1,985 @@
+/**
+ * Worker Execution Context
+ *
+ * Executes JavaScript in a dedicated Web Worker. Variables persist in the
+ * worker's global scope between executions, and CPU-heavy code runs off the
+ * main thread. Because the worker lives in another thread, everything is
+ * exchanged by message passing: the context keeps a local mirror of tracked
+ * variables so LSP features can keep reading values synchronously. After
+ * each execution the worker sends back the variables it may have changed:
+ * the ones it reassigned or mentions, or all of them if it calls a tracked
+ * function.
+ *
+ * @module session/context/worker
+ */
+
+import { createInterruptError } from '../interrupt.js';
+import { findFreeNames } from '../../transform/scope.js';
+
+/**
+ * @typedef {import('./interface.js').ExecutionContext} ExecutionContext
+ * @typedef {import('./interface.js').RawExecutionResult} RawExecutionResult
+ * @typedef {import('./interface.js').LogEntry} LogEntry
+ * @typedef {import('./interface.js').OutputHandler} OutputHandler
+ */
+
+/**
+ * @typedef {Object} StdinRequest
+ * @property {string} prompt - Prompt text to display
+ * @property {boolean} password - Whether to hide input
+ * @property {string} execId - Execution ID for this request
+ */
+
+/**
+ * @callback OnStdinRequestCallback
+ * @param {StdinRequest} request - The stdin request
+ * @returns {Promise<string>} - Resolves with user input
+ */
+
+/**
+ * @typedef {Object} WorkerContextOptions
+ * @property {Record<string, *>} [utilities] - Custom utilities to inject.
+ *   Functions are re-created in the worker from their source, so they
+ *   cannot close over main-thread state.
+ * @property {string} [name] - Worker name (shown in devtools)
+ */
+
+/**
+ * Marker used to describe values that cannot be structured-cloned
+ */
+const FUNCTION_MARKER = '__mrmd_function__';
+
+/**
+ * Marker used to describe instances of classes defined in the worker
+ */
+const INSTANCE_MARKER = '__mrmd_instance__';
+
+/**
+ * Worker bootstrap. This function is stringified and run inside the worker,
+ * so it must not reference anything from the enclosing module.
+ */
+function workerMain() {
+  const FUNCTION_MARKER = '__mrmd_function__';
+  const INSTANCE_MARKER = '__mrmd_instance__';
+
+  /** @type {Set<string>} */
+  const trackedVars = new Set();
+
+  /** @type {Map<string, *>} Tracked values as last sent to the main thread */
+  const sentValues = new Map();
+
+  /** @type {Map<number, { resolve: (text: string) => void, reject: (error: Error) => void }>} */
+  const pendingInputs = new Map();
+
+  let nextInputId = 0;
+
+  /**
+   * Executions running, most recently started last; input() requests and
+   * output are attributed to the last one
+   * @type {Array<{
+   *   execId: string,
+   *   stream: boolean,
+   *   logs: Array<{ type: string, args: Array<*>, timestamp: number }>,
+   *   displayQueue: Array<{ data: Record<string, string>, metadata: Record<string, *> }>
+   * }>}
+   */
+  const runs = [];
+  const currentExecId = () => runs.at(-1)?.execId ?? '';
+
+  // Interrupt tracking (timers, fetches, sleep and input)
+  class KeyboardInterrupt extends Error {
+    constructor(message = 'Execution interrupted') {
+      super(message);
+      this.name = 'KeyboardInterrupt';
+    }
+  }
+  self.KeyboardInterrupt = KeyboardInterrupt;
+
+  let running = 0;
+  const timeouts = new Set();
+  const intervals = new Set();
+  const fetches = new Set();
+  /** @type {Set<(error: Error) => void>} */
+  const pendingRejects = new Set();
+
+  const originalSetTimeout = self.setTimeout.bind(self);
+  const originalSetInterval = self.setInterval.bind(self);
+  const originalFetch = typeof self.fetch === 'function' ? self.fetch.bind(self) : null;
+
+  self.setTimeout = (handler, timeout, ...args) => {
+    const callback =
+      typeof handler === 'function'
+        ? (...callbackArgs) => {
+            timeouts.delete(id);
+            handler(...callbackArgs);
+          }
+        : handler;
+    const id = originalSetTimeout(callback, timeout, ...args);
+    if (running > 0) timeouts.add(id);
+    return id;
+  };
+
+  self.setInterval = (handler, timeout, ...args) => {
+    const id = originalSetInterval(handler, timeout, ...args);
+    if (running > 0) intervals.add(id);
+    return id;
+  };
+
+  if (originalFetch) {
+    self.fetch = (input, init = {}) => {
+      if (running === 0) return originalFetch(input, init);
+      const controller = new AbortController();
+      if (init.signal) {
+        if (init.signal.aborted) controller.abort(init.signal.reason);
+        init.signal.addEventListener('abort', () => controller.abort(init.signal.reason), { once: true });
+      }
+      fetches.add(controller);
+      const done = () => fetches.delete(controller);
+      const promise = originalFetch(input, { ...init, signal: controller.signal });
+      promise.then(done, done);
+      return promise;
+    };
+  }
+
+  /**
+   * Make a promise reject with KeyboardInterrupt on interrupt
+   * @param {Promise<*>} promise
+   * @returns {Promise<*>}
+   */
+  function interruptible(promise) {
+    return new Promise((resolve, reject) => {
+      pendingRejects.add(reject);
+      promise.then(
+        (value) => {
+          pendingRejects.delete(reject);
+          resolve(value);
+        },
+        (error) => {
+          pendingRejects.delete(reject);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  function interrupt() {
+    const error = new KeyboardInterrupt();
+    for (const id of timeouts) clearTimeout(id);
+    for (const id of intervals) clearInterval(id);
+    for (const controller of fetches) controller.abort(error);
+    for (const reject of pendingRejects) reject(error);
+    timeouts.clear();
+    intervals.clear();
+    fetches.clear();
+    pendingRejects.clear();
+  }
+
+  /**
+   * Whether an object has no prototype or a built-in one, which
+   * structured cloning keeps
+   * @param {object} value
+   * @returns {boolean}
+   */
+  function hasBuiltinPrototype(value) {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null) return true;
+    if (!Object.hasOwn(proto, 'constructor')) return false;
+    const { constructor } = proto;
+    return (
+      typeof constructor === 'function' &&
+      constructor.prototype === proto &&
+      Function.prototype.toString.call(constructor).includes('[native code]')
+    );
+  }
+
+  /**
+   * Whether a value is or holds an object with a custom prototype
+   * @param {*} value
+   * @param {Set<object>} [seen]
+   * @returns {boolean}
+   */
+  function holdsCustomPrototype(value, seen = new Set()) {
+    if (value === null || typeof value !== 'object' || seen.has(value)) return false;
+    seen.add(value);
+    if (!hasBuiltinPrototype(value)) return true;
+
+    const tag = Object.prototype.toString.call(value);
+    const children =
+      tag === '[object Map]'
+        ? Array.from(value).flat()
+        : tag === '[object Set]'
+          ? Array.from(value)
+          : ArrayBuffer.isView(value)
+            ? []
+            : Object.values(value);
+    return children.some((child) => holdsCustomPrototype(child, seen));
+  }
+
+  /**
+   * Convert a value into something postMessage can carry. Instances of
+   * user classes carry their constructor, so the main thread can tell
+   * them from plain objects.
+   * @param {*} value
+   * @param {number} [depth=0]
+   * @returns {*}
+   */
+  function toCloneable(value, depth = 0) {
+    if (typeof value === 'function') {
+      let source = '';
+      try {
+        source = Function.prototype.toString.call(value);
+      } catch {
+        // Native or revoked
+      }
+      return { [FUNCTION_MARKER]: true, name: value.name, source };
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'symbol' ? value.toString() : value;
+    }
+
+    if (!holdsCustomPrototype(value)) {
+      try {
+        return structuredClone(value);
+      } catch {
+        // Contains functions or other uncloneable members
+      }
+    }
+
+    if (depth > 5) return String(value);
+
+    if (Array.isArray(value)) {
+      return value.map((item) => toCloneable(item, depth + 1));
+    }
+
+    if (!hasBuiltinPrototype(value)) {
+      const proto = Object.getPrototypeOf(value);
+      const constructor = Object.hasOwn(proto, 'constructor') ? proto.constructor : undefined;
+      return {
+        [INSTANCE_MARKER]: true,
+        constructor: typeof constructor === 'function' ? toCloneable(constructor) : null,
+        value: toCloneable(Object.assign(Object.create(null), value), depth + 1),
+      };
+    }
+
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      try {
+        copy[key] = toCloneable(value[key], depth + 1);
+      } catch {
+        copy[key] = undefined;
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Serialize an error for the main thread
+   * @param {*} error
+   * @returns {{ name: string, message: string, stack?: string }}
+   */
+  function serializeError(error) {
+    if (error instanceof Error) {
+      return { name: error.name, message: error.message, stack: error.stack };
+    }
+    return { name: 'Error', message: String(error) };
+  }
+
+  /**
+   * Snapshot the tracked variables a cell may have changed: those it
+   * reassigned and those it mentions. A cell that calls a tracked
+   * function may have changed anything, so then all are sent.
+   * @param {string[] | undefined} names - Names the cell mentions (all
+   *   variables if unknown)
+   * @returns {Record<string, *>}
+   */
+  function snapshotVariables(names) {
+    const mentioned = new Set(names ?? trackedVars);
+    const all = names === undefined || names.some((name) => trackedVars.has(name) && typeof self[name] === 'function');
+
+    const vars = {};
+    for (const name of trackedVars) {
+      const value = self[name];
+      if (!all && !mentioned.has(name) && sentValues.has(name) && sentValues.get(name) === value) continue;
+      sentValues.set(name, value);
+      try {
+        vars[name] = toCloneable(value);
+      } catch {
+        // Skip inaccessible
+      }
+    }
+    return vars;
+  }
+
+  // Console capture
+  for (const type of ['log', 'info', 'warn', 'error']) {
+    const original = console[type].bind(console);
+    console[type] = (...args) => {
+      const run = runs.at(-1);
+      if (run) {
+        const entry = { type, args: args.map((arg) => toCloneable(arg)), timestamp: Date.now() };
+        run.logs.push(entry);
+        if (run.stream) {
+          self.postMessage({ type: 'output', event: { type: 'log', entry, execId: run.execId } });
+        }
+      }
+      original(...args);
+    };
+  }
+
+  // Sleep helper
+  self.sleep = (ms) => interruptible(new Promise((resolve) => self.setTimeout(resolve, ms)));
+
+  // Print helper
+  self.print = (...args) => {
+    console.log(...args);
+  };
+
+  // Input helper - asks the main thread for user input
+  self.input = (prompt = '', options = {}) => {
+    if (prompt) {
+      console.log(prompt);
+    }
+
+    return interruptible(
+      new Promise((resolve, reject) => {
+        const id = nextInputId++;
+        pendingInputs.set(id, { resolve, reject });
+        self.postMessage({
+          type: 'stdin_request',
+          id,
+          prompt,
+          password: options.password ?? false,
+          execId: currentExecId(),
+        });
+      })
+    );
+  };
+
+  // Display helper for rich output
+  self.display = (data, mimeType = 'text/plain') => {
+    let content;
+    if (typeof data === 'string') {
+      content = data;
+    } else {
+      try {
+        content = JSON.stringify(data, null, 2);
+        mimeType = 'application/json';
+      } catch {
+        content = String(data);
+      }
+    }
+
+    const run = runs.at(-1);
+    if (!run) return;
+    const display = { data: { [mimeType]: content }, metadata: {} };
+    run.displayQueue.push(display);
+    if (run.stream) {
+      self.postMessage({ type: 'output', event: { type: 'display', display, execId: run.execId } });
+    }
+  };
+
+  self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+      case 'utilities':
+        for (const [key, value] of Object.entries(message.utilities)) {
+          self[key] =
+            value && value[FUNCTION_MARKER] ? (0, eval)(`(${value.source})`) : value;
+        }
+        break;
+
+      case 'track':
+        trackedVars.add(message.name);
+        break;
+
+      case 'assign':
+        for (const [name, value] of Object.entries(message.variables)) {
+          self[name] = value;
+          trackedVars.add(name);
+          sentValues.set(name, value);
+        }
+        break;
+
+      case 'delete':
+        delete self[message.name];
+        trackedVars.delete(message.name);
+        sentValues.delete(message.name);
+        break;
+
+      case 'interrupt':
+        interrupt();
+        break;
+
+      case 'stdin_reply': {
+        const pending = pendingInputs.get(message.id);
+        if (!pending) break;
+        pendingInputs.delete(message.id);
+        if (message.error) {
+          pending.reject(new Error(message.error));
+        } else {
+          pending.resolve(message.text);
+        }
+        break;
+      }
+
+      case 'execute': {
+        const run = { execId: message.execId || '', stream: message.stream === true, logs: [], displayQueue: [] };
+        runs.push(run);
+
+        const startTime = performance.now();
+        let result;
+        let error;
+
+        running++;
+        try {
+          result = await (0, eval)(message.code);
+        } catch (e) {
+          error = serializeError(e);
+        }
+        running--;
+        if (running === 0) {
+          timeouts.clear();
+          intervals.clear();
+          fetches.clear();
+          pendingRejects.clear();
+        }
+
+        runs.splice(runs.indexOf(run), 1);
+
+        let cloned;
+        try {
+          cloned = toCloneable(result);
+        } catch {
+          cloned = String(result);
+        }
+
+        self.postMessage({
+          type: 'result',
+          id: message.id,
+          result: cloned,
+          error,
+          logs: run.logs,
+          displayData: run.displayQueue,
+          variables: snapshotVariables(message.names),
+          duration: performance.now() - startTime,
+        });
+        break;
+      }
+    }
+  };
+}
+
+/**
+ * Build the worker script source
+ * @returns {string}
+ */
+function createWorkerSource() {
+  return `(${workerMain.toString()})();`;
+}
+
+/**
+ * Revive a value received from the worker
+ * @param {*} value
+ * @param {number} [depth=0]
+ * @returns {*}
+ */
+function fromCloneable(value, depth = 0) {
+  if (value === null || typeof value !== 'object' || depth > 6) {
+    return value;
+  }
+
+  if (value[FUNCTION_MARKER]) {
+    return createFunctionStub(value.name, value.source);
+  }
+
+  if (value[INSTANCE_MARKER]) {
+    // Stand-in prototype, so the type name and class survive in the mirror
+    const proto = {};
+    if (value.constructor) {
+      const constructor = createFunctionStub(value.constructor.name, value.constructor.source);
+      constructor.prototype = proto;
+      Object.defineProperty(proto, 'constructor', { value: constructor });
+    }
+    return Object.assign(Object.create(proto), fromCloneable(value.value, depth + 1));
+  }
+
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      value[i] = fromCloneable(value[i], depth + 1);
+    }
+    return value;
+  }
+
+  if (Object.getPrototypeOf(value) === Object.prototype) {
+    for (const key of Object.keys(value)) {
+      value[key] = fromCloneable(value[key], depth + 1);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Create a stand-in for a function that lives in the worker.
+ * It reports the original name and source so hover/inspect stay useful.
+ * @param {string} name
+ * @param {string} source
+ * @returns {Function}
+ */
+function createFunctionStub(name, source) {
+  const stub = function () {
+    throw new Error(`${name || 'anonymous'} lives in a worker and cannot be called from the main thread`);
+  };
+  Object.defineProperty(stub, 'name', { value: name || '' });
+  Object.defineProperty(stub, 'toString', { value: () => source });
+  return stub;
+}
+
+/**
+ * Rebuild an Error received from the worker
+ * @param {{ name: string, message: string, stack?: string }} data
+ * @returns {Error}
+ */
+function reviveError(data) {
+  const error = new Error(data.message);
+  error.name = data.name;
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  return error;
+}
+
+/**
+ * Web Worker-based execution context
+ * @implements {ExecutionContext}
+ */
+export class WorkerContext {
+  /** @type {Worker | null} */
+  #worker = null;
+
+  /** @type {string | null} */
+  #workerUrl = null;
+
+  /** @type {Set<string>} */
+  #trackedVars = new Set();
+
+  /** @type {Record<string, *>} */
+  #variables = {};
+
+  /** @type {Array<{data: Record<string, string>, metadata: Record<string, *>}>} */
+  #displayQueue = [];
+
+  /** @type {Map<number, (raw: RawExecutionResult) => void>} */
+  #pendingExecutions = new Map();
+
+  /** @type {number} */
+  #nextRequestId = 0;
+
+  /** @type {WorkerContextOptions} */
+  #options;
+
+  /** @type {boolean} */
+  #initialized = false;
+
+  /** @type {OnStdinRequestCallback | null} */
+  #onStdinRequest = null;
+
+  /** @type {OutputHandler | null} */
+  #onOutput = null;
+
+  /**
+   * @param {WorkerContextOptions} [options]
+   */
+  constructor(options = {}) {
+    this.#options = options;
+  }
+
+  /**
+   * Initialize the worker
+   */
+  #initialize() {
+    if (this.#initialized) return;
+
+    if (typeof Worker === 'undefined') {
+      throw new Error('Web Workers are not available in this environment');
+    }
+
+    const blob = new Blob([createWorkerSource()], { type: 'text/javascript' });
+    this.#workerUrl = URL.createObjectURL(blob);
+    this.#worker = new Worker(this.#workerUrl, { name: this.#options.name });
+
+    this.#worker.onmessage = (event) => this.#handleMessage(event.data);
+    this.#worker.onerror = (event) => {
+      event.preventDefault?.();
+      this.#settleAll(new Error(event.message || 'Worker error'));
+    };
+
+    // Set up utilities
+    if (this.#options.utilities) {
+      const utilities = {};
+      for (const [key, value] of Object.entries(this.#options.utilities)) {
+        utilities[key] =
+          typeof value === 'function'
+            ? { [FUNCTION_MARKER]: true, name: value.name, source: value.toString() }
+            : value;
+      }
+      this.#worker.postMessage({ type: 'utilities', utilities });
+    }
+
+    this.#initialized = true;
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {*} message
+   */
+  #handleMessage(message) {
+    switch (message.type) {
+      case 'result': {
+        const resolve = this.#pendingExecutions.get(message.id);
+        if (!resolve) return;
+        this.#pendingExecutions.delete(message.id);
+
+        // Only the variables the execution may have changed are sent
+        for (const [name, value] of Object.entries(message.variables)) {
+          if (this.#trackedVars.has(name)) {
+            this.#variables[name] = fromCloneable(value);
+          }
+        }
+        this.#displayQueue = message.displayData;
+
+        resolve({
+          result: fromCloneable(message.result),
+          logs: message.logs.map((log) => ({
+            ...log,
+            args: log.args.map((arg) => fromCloneable(arg)),
+          })),
+          error: message.error ? reviveError(message.error) : undefined,
+          duration: message.duration,
+        });
+        break;
+      }
+
+      case 'stdin_request':
+        this.#handleStdinRequest(message);
+        break;
+
+      case 'output': {
+        const { event } = message;
+        if (event.type === 'log') {
+          event.entry.args = event.entry.args.map((arg) => fromCloneable(arg));
+        }
+        this.#onOutput?.(event);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Forward an input() request from the worker to the stdin handler
+   * @param {{ id: number, prompt: string, password: boolean, execId: string }} message
+   */
+  async #handleStdinRequest(message) {
+    const worker = this.#worker;
+    if (!worker) return;
+
+    try {
+      let text;
+      if (this.#onStdinRequest) {
+        text = await this.#onStdinRequest({
+          prompt: message.prompt,
+          password: message.password,
+          execId: message.execId,
+        });
+        // Remove trailing newline if present (input() in Python strips it)
+        text = text.replace(/\n$/, '');
+      } else {
+        // If no stdin handler is set, fall back to browser prompt()
+        text = globalThis.prompt?.(message.prompt) ?? '';
+      }
+      worker.postMessage({ type: 'stdin_reply', id: message.id, text });
+    } catch {
+      worker.postMessage({ type: 'stdin_reply', id: message.id, error: 'Input cancelled' });
+    }
+  }
+
+  /**
+   * Settle all pending executions with an error
+   * @param {Error} error
+   */
+  #settleAll(error) {
+    for (const resolve of this.#pendingExecutions.values()) {
+      resolve({ result: undefined, logs: [], error, duration: 0 });
+    }
+    this.#pendingExecutions.clear();
+  }
+
+  /**
+   * Set the stdin request handler
+   * @param {OnStdinRequestCallback | null} handler
+   */
+  setStdinHandler(handler) {
+    this.#onStdinRequest = handler;
+  }
+
+  /**
+   * Get the current stdin request handler
+   * @returns {OnStdinRequestCallback | null}
+   */
+  getStdinHandler() {
+    return this.#onStdinRequest;
+  }
+
+  /**
+   * Set the handler that receives output as it is produced
+   * @param {OutputHandler | null} handler
+   */
+  setOutputHandler(handler) {
+    this.#onOutput = handler;
+  }
+
+  /**
+   * Get the current output handler
+   * @returns {OutputHandler | null}
+   */
+  getOutputHandler() {
+    return this.#onOutput;
+  }
+
+  /**
+   * Execute code in the worker
+   * @param {string} code - Already transformed/wrapped code from executor
+   * @param {{ execId?: string, signal?: AbortSignal }} [options] - Execution options
+   * @returns {Promise<RawExecutionResult>}
+   */
+  async execute(code, options = {}) {
+    this.#initialize();
+
+    const worker = /** @type {Worker} */ (this.#worker);
+    const id = this.#nextRequestId++;
+
+    // Clear display queue
+    this.#displayQueue = [];
+
+    // Variables the code mentions; the worker sends back those and the
+    // ones it reassigned
+    let names;
+    try {
+      const { reads, assigns } = findFreeNames(code);
+      names = [...reads, ...assigns];
+    } catch {
+      // Not tokenizable; the worker sends every variable
+    }
+
+    // Interrupt tracked work when the execution is aborted
+    const onAbort = () => this.interrupt();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await new Promise((resolve) => {
+        this.#pendingExecutions.set(id, resolve);
+        worker.postMessage({
+          type: 'execute',
+          id,
+          code,
+          names,
+          execId: options.execId || '',
+          stream: this.#onOutput !== null,
+        });
+      });
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Interrupt the running execution: pending input(), sleep(), timers and
+   * fetches in the worker reject with a KeyboardInterrupt. A worker that is
+   * busy synchronously cannot see the request; use kill() for that.
+   */
+  interrupt() {
+    this.#worker?.postMessage({ type: 'interrupt' });
+  }
+
+  /**
+   * Hard-kill the context: the worker is terminated, so everything it was
+   * running stops. All variables are lost.
+   */
+  kill() {
+    this.#shutdown(
+      createInterruptError(
+        'Execution interrupted; the context was restarted and all variables were lost'
+      )
+    );
+  }
+
+  /**
+   * Get all user-defined variables (mirrored from the worker)
+   * @returns {Record<string, *>}
+   */
+  getVariables() {
+    return { ...this.#variables };
+  }
+
+  /**
+   * Get a specific variable (mirrored from the worker)
+   * @param {string} name
+   * @returns {*}
+   */
+  getVariable(name) {
+    return this.#variables[name];
+  }
+
+  /**
+   * Check if variable exists
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasVariable(name) {
+    return name in this.#variables;
+  }
+
+  /**
+   * Get the global object. Workers have no shared global, so this returns
+   * the variable mirror backed by the main thread's builtins.
+   * @returns {*}
+   */
+  getGlobal() {
+    return Object.assign(Object.create(globalThis), this.#variables);
+  }
+
+  /**
+   * Track a declared variable
+   * @param {string} name
+   */
+  trackVariable(name) {
+    this.#initialize();
+    this.#trackedVars.add(name);
+    /** @type {Worker} */ (this.#worker).postMessage({ type: 'track', name });
+  }
+
+  /**
+   * Define and track global variables. Values are always structured-cloned
+   * into the worker by postMessage, so `clone: false` has no effect.
+   * @param {Record<string, *>} variables
+   * @param {import('./interface.js').SetVariablesOptions} [options]
+   */
+  setVariables(variables, options) {
+    this.#initialize();
+    /** @type {Worker} */ (this.#worker).postMessage({ type: 'assign', variables });
+    for (const [name, value] of Object.entries(variables)) {
+      this.#trackedVars.add(name);
+      this.#variables[name] = structuredClone(value);
+    }
+  }
+
+  /**
+   * Delete and untrack a global variable
+   * @param {string} name
+   * @returns {boolean} Whether the variable was tracked
+   */
+  deleteVariable(name) {
+    if (!this.#trackedVars.delete(name)) return false;
+    this.#worker?.postMessage({ type: 'delete', name });
+    delete this.#variables[name];
+    return true;
+  }
+
+  /**
+   * Get tracked variable names
+   * @returns {Set<string>}
+   */
+  getTrackedVariables() {
+    return this.#trackedVars;
+  }
+
+  /**
+   * Terminate the worker immediately, even if it is stuck in a loop.
+   * Pending executions settle with an error and the namespace is lost;
+   * the next execution starts a fresh worker.
+   */
+  terminate() {
+    this.#shutdown(new Error('Worker terminated'));
+  }
+
+  /**
+   * Terminate the worker and settle pending executions
+   * @param {Error} error
+   */
+  #shutdown(error) {
+    if (!this.#worker) return;
+
+    this.#worker.terminate();
+    this.#worker = null;
+
+    if (this.#workerUrl) {
+      URL.revokeObjectURL(this.#workerUrl);
+      this.#workerUrl = null;
+    }
+
+    this.#settleAll(error);
+    this.#trackedVars = new Set();
+    this.#variables = {};
+    this.#initialized = false;
+  }
+
+  /**
+   * Reset the context
+   */
+  reset() {
+    this.terminate();
+    this.#trackedVars = new Set();
+    this.#displayQueue = [];
+  }
+
+  /**
+   * Destroy the context
+   */
+  destroy() {
+    this.terminate();
+    this.#displayQueue = [];
+  }
+
+  /**
+   * Check if this is main context
+   * @returns {boolean}
+   */
+  isMainContext() {
+    return false;
+  }
+
+  /**
+   * Get the iframe element
+   * @returns {null}
+   */
+  getIframe() {
+    return null;
+  }
+
+  /**
+   * Get the underlying worker
+   * @returns {Worker | null}
+   */
+  getWorker() {
+    return this.#worker;
+  }
+
+  /**
+   * Get display data queue
+   * @returns {Array<{data: Record<string, string>, metadata: Record<string, *>}>}
+   */
+  getDisplayQueue() {
+    return this.#displayQueue;
+  }
+}
+
+/**
+ * Create a worker context
+ * @param {WorkerContextOptions} [options]
+ * @returns {WorkerContext}
+ */
+export function createWorkerContext(options) {
+  return new WorkerContext(options);
+}
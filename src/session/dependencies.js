@@ -0,0 +1,219 @@
+/**
+ * Cell Dependency Graph
+ *
+ * Records which top-level names each cell defines and which names it reads,
+ * so the cells affected by re-running one can be found and re-run in order.
+ * A name read by a cell comes from the cell that most recently ran a
+ * definition of it.
+ *
+ * @module session/dependencies
+ */
+
+import { extractDeclaredVariables, extractReferencedNames, extractAssignedNames } from '../transform/extract.js';
+import { extractImports, getImportedNames } from '../transform/imports.js';
+import { applyEdits } from '../transform/parse.js';
+
+/**
+ * @typedef {import('../types/session.js').CellDependencies} CellDependencies
+ * @typedef {import('../types/session.js').DependencyGraphInfo} DependencyGraphInfo
+ */
+
+/**
+ * A recorded cell
+ * @typedef {Object} CellRecord
+ * @property {string} cellId
+ * @property {string} code - Source of the last run
+ * @property {string} language
+ * @property {string[]} defines - Names the cell declares or assigns in the session scope
+ * @property {string[]} reads - Names the cell refers to
+ * @property {number} run - Order of the cell's last run
+ */
+
+/**
+ * Get the names a JavaScript cell defines and reads. A cell defines the
+ * names it declares or imports, and the names its top level assigns
+ * (`price = 20`), which replace the value other cells read.
+ * @param {string} code
+ * @returns {{ defines: string[], reads: string[] }}
+ */
+export function analyzeCell(code) {
+  const { imports, edits } = extractImports(code);
+  const body = applyEdits(code, edits);
+  const defines = [
+    ...new Set([...getImportedNames(imports), ...extractDeclaredVariables(body), ...extractAssignedNames(body)]),
+  ];
+  const reads = extractReferencedNames(body).filter((name) => !defines.includes(name));
+  return { defines, reads };
+}
+
+/**
+ * Dependency graph of the cells run in a session
+ */
+export class DependencyGraph {
+  /** @type {Map<string, CellRecord>} In registration order */
+  #cells = new Map();
+
+  /** @type {number} */
+  #runs = 0;
+
+  /**
+   * Record a run of a cell, replacing what was recorded for it before
+   * @param {string} cellId
+   * @param {string} code
+   * @param {string} language
+   * @returns {CellRecord}
+   */
+  update(cellId, code, language) {
+    /** @type {CellRecord} */
+    const record = { cellId, code, language, ...analyzeCell(code), run: ++this.#runs };
+    this.#cells.set(cellId, record);
+    return record;
+  }
+
+  /**
+   * Forget a cell
+   * @param {string} cellId
+   * @returns {boolean} Whether the cell was recorded
+   */
+  remove(cellId) {
+    return this.#cells.delete(cellId);
+  }
+
+  /**
+   * Forget all cells
+   */
+  clear() {
+    this.#cells.clear();
+  }
+
+  /**
+   * @param {string} cellId
+   * @returns {CellRecord | undefined}
+   */
+  get(cellId) {
+    return this.#cells.get(cellId);
+  }
+
+  /**
+   * Get the cells whose definitions a cell reads
+   * @param {string} cellId
+   * @returns {string[]} Cell IDs in registration order
+   */
+  getDependencies(cellId) {
+    const record = this.#cells.get(cellId);
+    if (!record) return [];
+
+    const ids = new Set(
+      record.reads.map((name) => this.#definer(name)).filter((id) => id && id !== cellId)
+    );
+    return this.#inRegistrationOrder(ids);
+  }
+
+  /**
+   * Get the cells that read a cell's definitions
+   * @param {string} cellId
+   * @returns {string[]} Cell IDs in registration order
+   */
+  getDependents(cellId) {
+    const record = this.#cells.get(cellId);
+    if (!record) return [];
+
+    const defined = record.defines.filter((name) => this.#definer(name) === cellId);
+    return Array.from(this.#cells.values())
+      .filter((other) => other.cellId !== cellId && other.reads.some((name) => defined.includes(name)))
+      .map((other) => other.cellId);
+  }
+
+  /**
+   * Get every cell that depends on a cell, directly or through other cells
+   * @param {string} cellId
+   * @returns {string[]} Cell IDs in execution order (see {@link sort})
+   */
+  getDownstream(cellId) {
+    /** @type {Set<string>} */
+    const found = new Set();
+    const pending = [cellId];
+
+    while (pending.length > 0) {
+      for (const dependent of this.getDependents(/** @type {string} */ (pending.pop()))) {
+        if (dependent !== cellId && !found.has(dependent)) {
+          found.add(dependent);
+          pending.push(dependent);
+        }
+      }
+    }
+
+    return this.sort(found);
+  }
+
+  /**
+   * Order cells so every cell comes after the cells it depends on. Cells
+   * that do not depend on each other keep their registration order; cycles
+   * are broken at the earliest registered cell.
+   *
+   * @param {Iterable<string>} cellIds
+   * @returns {string[]}
+   */
+  sort(cellIds) {
+    const remaining = new Set(this.#inRegistrationOrder(new Set(cellIds)));
+    /** @type {string[]} */
+    const sorted = [];
+
+    while (remaining.size > 0) {
+      const ready =
+        Array.from(remaining).find((id) =>
+          this.getDependencies(id).every((dependency) => !remaining.has(dependency))
+        ) ?? /** @type {string} */ (remaining.values().next().value);
+      remaining.delete(ready);
+      sorted.push(ready);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Describe the graph
+   * @param {Set<string>} [stale] - Cells to mark as stale
+   * @returns {DependencyGraphInfo}
+   */
+  toJSON(stale = new Set()) {
+    return {
+      cells: Array.from(this.#cells.values()).map(
+        (record) =>
+          /** @type {CellDependencies} */ ({
+            cellId: record.cellId,
+            language: record.language,
+            defines: [...record.defines],
+            reads: [...record.reads],
+            dependsOn: this.getDependencies(record.cellId),
+            dependents: this.getDependents(record.cellId),
+            stale: stale.has(record.cellId),
+          })
+      ),
+    };
+  }
+
+  /**
+   * Get the cell that most recently ran a definition of a name
+   * @param {string} name
+   * @returns {string | undefined}
+   */
+  #definer(name) {
+    /** @type {CellRecord | undefined} */
+    let latest;
+    for (const record of this.#cells.values()) {
+      if (record.defines.includes(name) && (!latest || record.run > latest.run)) {
+        latest = record;
+      }
+    }
+    return latest?.cellId;
+  }
+
+  /**
+   * @param {Set<string>} ids
+   * @returns {string[]}
+   */
+  #inRegistrationOrder(ids) {
+    return Array.from(this.#cells.keys()).filter((id) => ids.has(id));
+  }
+}
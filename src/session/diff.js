@@ -0,0 +1,147 @@
+/**
+ * Variable Diff
+ *
+ * Compares the session namespace before and after an execution to report
+ * which variables a cell added, changed or removed. A variable counts as
+ * changed when its preview differs or it holds a different value;
+ * different objects with equal contents (as in the main-thread mirror of a
+ * worker, rebuilt after every execution) are compared structurally.
+ * Objects mutated in place are only seen as changed if their preview
+ * changes (e.g. an array's length).
+ *
+ * @module session/diff
+ */
+
+import { formatValueShort, getTypeName, getFunctionSource } from '../lsp/format.js';
+
+/**
+ * @typedef {import('../types/variables.js').VariableChange} VariableChange
+ * @typedef {import('../types/variables.js').VariableDiff} VariableDiff
+ */
+
+/**
+ * Namespace captured before an execution
+ * @typedef {Object} NamespaceCapture
+ * @property {Record<string, *>} values - Variable values
+ * @property {Record<string, string>} previews - Previews at capture time
+ */
+
+/**
+ * Capture a namespace to diff against later
+ * @param {Record<string, *>} variables
+ * @returns {NamespaceCapture}
+ */
+export function captureNamespace(variables) {
+  /** @type {Record<string, string>} */
+  const previews = {};
+  for (const [name, value] of Object.entries(variables)) {
+    previews[name] = formatValueShort(value);
+  }
+  return { values: variables, previews };
+}
+
+/**
+ * Diff a captured namespace against the current variables
+ * @param {NamespaceCapture} before
+ * @param {Record<string, *>} variables
+ * @returns {VariableDiff}
+ *
+ * @example
+ * const before = captureNamespace({ a: 1, b: 2 });
+ * diffNamespace(before, { a: 1, b: 3, c: 'x' });
+ * // { added: [{ name: 'c', type: 'string', after: '"x"' }],
+ * //   changed: [{ name: 'b', type: 'number', before: '2', after: '3' }],
+ * //   removed: [] }
+ */
+export function diffNamespace(before, variables) {
+  /** @type {VariableDiff} */
+  const diff = { added: [], changed: [], removed: [] };
+
+  for (const name of Object.keys(variables).sort()) {
+    const value = variables[name];
+    const after = formatValueShort(value);
+
+    if (!(name in before.previews)) {
+      diff.added.push({ name, type: getTypeName(value), after });
+    } else if (after !== before.previews[name] || !isEqual(before.values[name], value)) {
+      diff.changed.push({ name, type: getTypeName(value), before: before.previews[name], after });
+    }
+  }
+
+  for (const name of Object.keys(before.previews).sort()) {
+    if (!(name in variables)) {
+      diff.removed.push({
+        name,
+        type: getTypeName(before.values[name]),
+        before: before.previews[name],
+      });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Compare two values structurally. Works across realms (iframe values),
+ * so types are compared by tag rather than with `instanceof`.
+ * @param {*} a
+ * @param {*} b
+ * @param {WeakMap<object, object>} [seen] - Pairs already being compared
+ * @returns {boolean}
+ */
+function isEqual(a, b, seen = new WeakMap()) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== typeof b || a === null || b === null) return false;
+  if (typeof a === 'function') {
+    const source = getFunctionSource(a);
+    return source !== undefined && source === getFunctionSource(b);
+  }
+  if (typeof a !== 'object') return false;
+
+  const tag = Object.prototype.toString.call(a);
+  if (tag !== Object.prototype.toString.call(b) || getTypeName(a) !== getTypeName(b)) {
+    return false;
+  }
+
+  // Cycles: assume equal while the pair is being compared
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+
+  switch (tag) {
+    case '[object Date]':
+      return a.getTime() === b.getTime();
+    case '[object RegExp]':
+      return String(a) === String(b);
+    case '[object Map]':
+      return (
+        a.size === b.size &&
+        Array.from(a).every(([key, value]) => b.has(key) && isEqual(value, b.get(key), seen))
+      );
+    case '[object Set]':
+      return a.size === b.size && Array.from(a).every((item) => b.has(item));
+    case '[object ArrayBuffer]':
+      return bytesEqual(new Uint8Array(a), new Uint8Array(b));
+  }
+
+  if (ArrayBuffer.isView(a)) {
+    return bytesEqual(
+      new Uint8Array(a.buffer, a.byteOffset, a.byteLength),
+      new Uint8Array(b.buffer, b.byteOffset, b.byteLength)
+    );
+  }
+
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key], seen))
+  );
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
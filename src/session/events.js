@@ -0,0 +1,63 @@
+/**
+ * Session Events
+ *
+ * Sessions, the session manager and the runtime are EventTargets. Sessions
+ * dispatch their own events; the manager re-dispatches them along with
+ * `session:created`, and the runtime re-dispatches the manager's, so a
+ * single listener on the runtime sees everything.
+ *
+ * @module session/events
+ */
+
+/**
+ * @typedef {import('../types/events.js').RuntimeEventType} RuntimeEventType
+ */
+
+/** @type {readonly RuntimeEventType[]} */
+export const RUNTIME_EVENT_TYPES = [
+  'session:created',
+  'session:reset',
+  'session:evicted',
+  'session:destroyed',
+  'execution:queued',
+  'execution:started',
+  'execution:finished',
+  'execution:errored',
+  'execution:interrupted',
+  'execution:cancelled',
+  'status',
+];
+
+/**
+ * Create an event carrying a detail object
+ * @param {RuntimeEventType} type
+ * @param {Object} detail
+ * @returns {CustomEvent}
+ */
+export function createEvent(type, detail) {
+  return new CustomEvent(type, { detail });
+}
+
+/**
+ * Re-dispatch the runtime events of one target on another
+ * @param {EventTarget} source
+ * @param {EventTarget} target
+ * @returns {() => void} Stops forwarding
+ */
+export function forwardEvents(source, target) {
+  /** @param {Event} event */
+  const forward = (event) => {
+    target.dispatchEvent(
+      createEvent(/** @type {RuntimeEventType} */ (event.type), /** @type {CustomEvent} */ (event).detail)
+    );
+  };
+
+  for (const type of RUNTIME_EVENT_TYPES) {
+    source.addEventListener(type, forward);
+  }
+  return () => {
+    for (const type of RUNTIME_EVENT_TYPES) {
+      source.removeEventListener(type, forward);
+    }
+  };
+}
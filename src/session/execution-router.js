@@ -0,0 +1,162 @@
+/**
+ * Execution Router
+ *
+ * Contexts have a single output handler and a single stdin handler. When
+ * several executions run at once, each one listens through a router that
+ * owns those slots and delivers events to the execution named by their
+ * `execId`, so executions can stop listening in any order.
+ * @module session/execution-router
+ */
+
+/**
+ * @typedef {import('./context/interface.js').ExecutionContext} ExecutionContext
+ * @typedef {import('./context/interface.js').OutputEvent} OutputEvent
+ * @typedef {import('./context/interface.js').OutputHandler} OutputHandler
+ */
+
+/**
+ * @typedef {Object} StdinRequest
+ * @property {string} prompt - Prompt text to display
+ * @property {boolean} password - Whether to hide input
+ * @property {string} execId - Execution that asked for input
+ */
+
+/**
+ * @callback StdinHandler
+ * @param {StdinRequest} request
+ * @returns {Promise<string>}
+ */
+
+/**
+ * Listeners for one handler slot of a context, keyed by execId
+ * @template {Function} H
+ */
+class Route {
+  /** @type {Map<string, Set<H>>} */
+  #listeners = new Map();
+
+  /** @type {H | null} */
+  #previous = null;
+
+  /** @type {H} */
+  #handler;
+
+  /** @type {() => H | null} */
+  #get;
+
+  /** @type {(handler: H | null) => void} */
+  #set;
+
+  /**
+   * @param {() => H | null} get - Read the context's handler
+   * @param {(handler: H | null) => void} set - Replace the context's handler
+   * @param {(listeners: Set<H> | undefined, previous: H | null, event: *) => *} dispatch - Deliver
+   *   an event to the listeners of its execution
+   */
+  constructor(get, set, dispatch) {
+    this.#get = get;
+    this.#set = set;
+    this.#handler = /** @type {*} */ (
+      (/** @type {*} */ event) => dispatch(this.#listeners.get(event.execId ?? ''), this.#previous, event)
+    );
+  }
+
+  /**
+   * Listen for events of one execution
+   * @param {string} execId
+   * @param {H} listener
+   * @returns {() => void} Stop listening
+   */
+  add(execId, listener) {
+    if (this.#listeners.size === 0) {
+      // Whatever was installed before keeps receiving every event
+      this.#previous = this.#get();
+      this.#set(this.#handler);
+    }
+
+    let listeners = this.#listeners.get(execId);
+    if (!listeners) {
+      listeners = new Set();
+      this.#listeners.set(execId, listeners);
+    }
+    listeners.add(listener);
+
+    return () => {
+      if (!listeners.delete(listener)) return;
+      if (listeners.size === 0 && this.#listeners.get(execId) === listeners) {
+        this.#listeners.delete(execId);
+      }
+      if (this.#listeners.size === 0) {
+        // Only hand the slot back if nobody replaced the router meanwhile
+        if (this.#get() === this.#handler) {
+          this.#set(this.#previous);
+        }
+        this.#previous = null;
+      }
+    };
+  }
+}
+
+/** @type {WeakMap<ExecutionContext, Route<OutputHandler>>} */
+const outputRoutes = new WeakMap();
+
+/** @type {WeakMap<ExecutionContext, Route<StdinHandler>>} */
+const stdinRoutes = new WeakMap();
+
+/**
+ * Receive the output of one execution as the context produces it.
+ * Events without an execId belong to executions started without one.
+ * @param {ExecutionContext} context
+ * @param {string} execId - Execution to listen to
+ * @param {OutputHandler} handler
+ * @returns {() => void} Stop listening
+ */
+export function routeOutput(context, execId, handler) {
+  if (!context.setOutputHandler) return () => {};
+
+  let route = outputRoutes.get(context);
+  if (!route) {
+    route = new Route(
+      () => context.getOutputHandler?.() ?? null,
+      (h) => context.setOutputHandler?.(h),
+      (listeners, previous, /** @type {OutputEvent} */ event) => {
+        previous?.(event);
+        for (const listener of listeners ?? []) {
+          listener(event);
+        }
+      }
+    );
+    outputRoutes.set(context, route);
+  }
+
+  return route.add(execId, handler);
+}
+
+/**
+ * Answer the input() requests of one execution. Requests from other
+ * executions go to the handler installed before, if any.
+ * @param {ExecutionContext & { setStdinHandler?: (handler: StdinHandler | null) => void, getStdinHandler?: () => StdinHandler | null }} context
+ * @param {string} execId - Execution to answer
+ * @param {StdinHandler} handler
+ * @returns {() => void} Stop answering
+ */
+export function routeStdin(context, execId, handler) {
+  if (!context.setStdinHandler) return () => {};
+
+  let route = stdinRoutes.get(context);
+  if (!route) {
+    route = new Route(
+      () => context.getStdinHandler?.() ?? null,
+      (h) => context.setStdinHandler?.(h),
+      (listeners, previous, /** @type {StdinRequest} */ request) => {
+        const [listener] = listeners ?? [];
+        if (listener) return listener(request);
+        if (previous) return previous(request);
+        return Promise.reject(new Error(`No input handler for execution ${request.execId}`));
+      }
+    );
+    stdinRoutes.set(context, route);
+  }
+
+  return route.add(execId, handler);
+}
@@ -8,9 +8,27 @@
 // Session classes
 export { Session, createSession } from './session.js';
 export { SessionManager, createSessionManager } from './manager.js';
+export { DependencyGraph, analyzeCell } from './dependencies.js';
+export { RUNTIME_EVENT_TYPES } from './events.js';
+export {
+  SnapshotStore,
+  createSnapshotStore,
+  serializeVariable,
+  SNAPSHOT_VERSION,
+} from './snapshot.js';
 
 // Context infrastructure
 export { ConsoleCapture, createConsoleCapture } from './console-capture.js';
+export {
+  InterruptTracker,
+  defineKeyboardInterrupt,
+  isInterruptError,
+  KEYBOARD_INTERRUPT,
+  TIMEOUT_ERROR,
+  CANCELLED_ERROR,
+} from './interrupt.js';
 export { IframeContext, createIframeContext } from './context/iframe.js';
 export { MainContext, createMainContext } from './context/main.js';
+export { WorkerContext, createWorkerContext } from './context/worker.js';
+export { NodeVmContext, createNodeVmContext } from './context/vm.js';
 export * from './context/interface.js';
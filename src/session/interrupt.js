@@ -0,0 +1,266 @@
+/**
+ * Interrupt Support
+ *
+ * Tracks interruptible work started by code running in a context (timers,
+ * fetches, sleep() and input() calls) so that an interrupt can cancel it
+ * with a KeyboardInterrupt error, like Ctrl+C in a Python REPL.
+ *
+ * @module session/interrupt
+ */
+
+/** Name given to interrupt errors */
+export const KEYBOARD_INTERRUPT = 'KeyboardInterrupt';
+
+/** Name given to errors of executions that exceeded their timeout */
+export const TIMEOUT_ERROR = 'TimeoutError';
+
+/** Name given to errors of queued executions cancelled before they started */
+export const CANCELLED_ERROR = 'CancelledError';
+
+/** Default interrupt message */
+const INTERRUPT_MESSAGE = 'Execution interrupted';
+
+/**
+ * Define a KeyboardInterrupt error class in a global scope.
+ * The class extends the scope's own Error so that `instanceof Error`
+ * works for code running in that realm.
+ *
+ * @param {*} global - Global object of the realm (window, iframe window)
+ * @returns {new (message?: string) => Error}
+ */
+export function defineKeyboardInterrupt(global) {
+  const BaseError = global.Error ?? Error;
+
+  class KeyboardInterrupt extends BaseError {
+    /**
+     * @param {string} [message]
+     */
+    constructor(message = INTERRUPT_MESSAGE) {
+      super(message);
+      this.name = KEYBOARD_INTERRUPT;
+    }
+  }
+
+  global.KeyboardInterrupt = KeyboardInterrupt;
+  return KeyboardInterrupt;
+}
+
+/**
+ * Create a KeyboardInterrupt-style error outside of any context realm
+ * @param {string} [message]
+ * @returns {Error}
+ */
+export function createInterruptError(message = INTERRUPT_MESSAGE) {
+  const error = new Error(message);
+  error.name = KEYBOARD_INTERRUPT;
+  return error;
+}
+
+/**
+ * @typedef {Object} InterruptTrackerOptions
+ * @property {boolean} [patchGlobals=true] - Wrap setTimeout/setInterval/fetch
+ *   on the global so timers and requests started during an execution can be
+ *   cancelled. Disable for globals shared with the host page.
+ */
+
+/**
+ * Tracks cancellable work in one realm
+ */
+export class InterruptTracker {
+  /** @type {*} */
+  #global;
+
+  /** @type {InterruptTrackerOptions} */
+  #options;
+
+  /** @type {new (message?: string) => Error} */
+  #KeyboardInterrupt;
+
+  /** @type {Record<string, Function> | null} */
+  #originals = null;
+
+  /** @type {number} */
+  #active = 0;
+
+  /** @type {Set<*>} */
+  #timeouts = new Set();
+
+  /** @type {Set<*>} */
+  #intervals = new Set();
+
+  /** @type {Set<AbortController>} */
+  #fetches = new Set();
+
+  /** @type {Set<(error: Error) => void>} */
+  #pending = new Set();
+
+  /**
+   * @param {*} global - Global object to track
+   * @param {InterruptTrackerOptions} [options]
+   */
+  constructor(global, options = {}) {
+    this.#global = global;
+    this.#options = { patchGlobals: true, ...options };
+    this.#KeyboardInterrupt = defineKeyboardInterrupt(global);
+  }
+
+  /**
+   * Wrap timer and fetch functions on the global
+   */
+  install() {
+    if (!this.#options.patchGlobals || this.#originals) return;
+
+    const global = this.#global;
+    const tracker = this;
+    const originals = {
+      setTimeout: global.setTimeout,
+      setInterval: global.setInterval,
+      fetch: global.fetch,
+    };
+    this.#originals = originals;
+
+    global.setTimeout = function (handler, timeout, ...args) {
+      const callback =
+        typeof handler === 'function'
+          ? (...callbackArgs) => {
+              tracker.#timeouts.delete(id);
+              handler(...callbackArgs);
+            }
+          : handler;
+      const id = originals.setTimeout.call(global, callback, timeout, ...args);
+      if (tracker.#active > 0) tracker.#timeouts.add(id);
+      return id;
+    };
+
+    global.setInterval = function (handler, timeout, ...args) {
+      const id = originals.setInterval.call(global, handler, timeout, ...args);
+      if (tracker.#active > 0) tracker.#intervals.add(id);
+      return id;
+    };
+
+    if (typeof originals.fetch === 'function') {
+      global.fetch = function (input, init = {}) {
+        if (tracker.#active === 0) {
+          return originals.fetch.call(global, input, init);
+        }
+
+        const controller = new global.AbortController();
+        const userSignal = init.signal;
+        if (userSignal) {
+          if (userSignal.aborted) controller.abort(userSignal.reason);
+          userSignal.addEventListener('abort', () => controller.abort(userSignal.reason), {
+            once: true,
+          });
+        }
+
+        tracker.#fetches.add(controller);
+        const done = () => tracker.#fetches.delete(controller);
+        const promise = originals.fetch.call(global, input, { ...init, signal: controller.signal });
+        promise.then(done, done);
+        return promise;
+      };
+    }
+  }
+
+  /**
+   * Restore the original global functions
+   */
+  uninstall() {
+    if (!this.#originals) return;
+    for (const [name, fn] of Object.entries(this.#originals)) {
+      if (fn) this.#global[name] = fn;
+    }
+    this.#originals = null;
+  }
+
+  /**
+   * Mark the start of an execution
+   */
+  begin() {
+    this.#active++;
+  }
+
+  /**
+   * Mark the end of an execution. Once no execution is running, timers and
+   * requests it left behind are considered background work and are no
+   * longer cancelled by later interrupts.
+   */
+  end() {
+    this.#active = Math.max(0, this.#active - 1);
+    if (this.#active === 0) {
+      this.#timeouts.clear();
+      this.#intervals.clear();
+      this.#fetches.clear();
+      this.#pending.clear();
+    }
+  }
+
+  /**
+   * Make a promise interruptible: it rejects with KeyboardInterrupt
+   * if an interrupt happens before it settles.
+   * @template T
+   * @param {Promise<T>} promise
+   * @returns {Promise<T>}
+   */
+  race(promise) {
+    return new Promise((resolve, reject) => {
+      this.#pending.add(reject);
+      promise.then(
+        (value) => {
+          this.#pending.delete(reject);
+          resolve(value);
+        },
+        (error) => {
+          this.#pending.delete(reject);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Interruptible sleep
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return this.race(new Promise((resolve) => this.#global.setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Create a KeyboardInterrupt error in the tracked realm
+   * @param {string} [message]
+   * @returns {Error}
+   */
+  createError(message) {
+    return new this.#KeyboardInterrupt(message);
+  }
+
+  /**
+   * Cancel all tracked work with a KeyboardInterrupt
+   */
+  interrupt() {
+    const error = this.createError();
+    const clearTimeout = this.#global.clearTimeout;
+    const clearInterval = this.#global.clearInterval;
+
+    for (const id of this.#timeouts) clearTimeout.call(this.#global, id);
+    for (const id of this.#intervals) clearInterval.call(this.#global, id);
+    for (const controller of this.#fetches) controller.abort(error);
+    for (const reject of this.#pending) reject(error);
+
+    this.#timeouts.clear();
+    this.#intervals.clear();
+    this.#fetches.clear();
+    this.#pending.clear();
+  }
+}
+
+/**
+ * Check whether an error is a KeyboardInterrupt (from any realm)
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isInterruptError(error) {
+  return error != null && typeof error === 'object' && error.name === KEYBOARD_INTERRUPT;
+}
@@ -2,16 +2,22 @@
  * Session Manager
  *
  * Manages multiple sessions, handles creation/destruction,
- * and enforces limits.
+ * and enforces limits. Sessions can be reclaimed when idle or evicted
+ * least-recently-used first to make room; pinned and busy sessions are
+ * never evicted.
  *
  * @module session/manager
  */
 
 import { Session } from './session.js';
+import { createEvent, forwardEvents } from './events.js';
 
 /**
  * @typedef {import('../types/session.js').SessionInfo} SessionInfo
  * @typedef {import('../types/session.js').CreateSessionOptions} CreateSessionOptions
+ * @typedef {import('../types/events.js').SessionEventDetail} SessionEventDetail
+ * @typedef {import('../types/events.js').EvictionReason} EvictionReason
+ * @typedef {import('./snapshot.js').SnapshotStore} SnapshotStore
  */
 
 /**
@@ -20,8 +26,25 @@ import { Session } from './session.js';
  * @property {string} [defaultLanguage='javascript'] - Default language for new sessions
  * @property {import('../types/session.js').IsolationMode} [defaultIsolation='iframe'] - Default isolation mode
  * @property {boolean} [defaultAllowMainAccess=false] - Default main access setting
+ * @property {EvictionPolicy} [eviction='error'] - What `create()` does when
+ *   `maxSessions` is reached
+ * @property {number} [idleTimeout=0] - Evict sessions inactive for this many
+ *   milliseconds (0 disables the idle sweep)
+ * @property {number} [sweepInterval] - How often to look for idle sessions,
+ *   in milliseconds (defaults to the idle timeout, at most one minute)
+ * @property {boolean | SnapshotStore} [snapshotOnEvict=false] - Snapshot
+ *   sessions before evicting them; with a store, the snapshot is also saved
  */
 
+/**
+ * - `error`: throw
+ * - `lru`: evict the least recently active session that is not pinned or busy
+ * @typedef {'error' | 'lru'} EvictionPolicy
+ */
+
+/** Longest default interval between idle sweeps */
+const MAX_SWEEP_INTERVAL = 60_000;
+
 /**
  * Generate a unique session ID
  * @returns {string}
@@ -31,26 +54,38 @@ function generateSessionId() {
 }
 
 /**
- * Session Manager - manages multiple execution sessions
+ * Session Manager - manages multiple execution sessions.
+ *
+ * Dispatches `session:created` and `session:evicted`, and re-dispatches the
+ * events of its sessions.
  */
-export class SessionManager {
+export class SessionManager extends EventTarget {
   /** @type {Map<string, Session>} */
   #sessions = new Map();
 
   /** @type {SessionManagerOptions} */
   #options;
 
+  /** @type {ReturnType<typeof setInterval> | null} */
+  #sweepTimer = null;
+
   /**
    * @param {SessionManagerOptions} [options]
    */
   constructor(options = {}) {
+    super();
     this.#options = {
       maxSessions: 10,
       defaultLanguage: 'javascript',
       defaultIsolation: 'iframe',
       defaultAllowMainAccess: false,
+      eviction: 'error',
+      idleTimeout: 0,
+      snapshotOnEvict: false,
       ...options,
     };
+
+    this.startIdleSweep();
   }
 
   // ============================================================================
@@ -61,17 +96,9 @@ export class SessionManager {
    * Create a new session
    * @param {CreateSessionOptions} [options]
    * @returns {Session}
-   * @throws {Error} If max sessions reached
+   * @throws {Error} If max sessions reached and none can be evicted
    */
   create(options = {}) {
-    // Check limits
-    if (this.#sessions.size >= this.#options.maxSessions) {
-      throw new Error(
-        `Maximum sessions (${this.#options.maxSessions}) reached. ` +
-          'Destroy existing sessions before creating new ones.'
-      );
-    }
-
     // Generate ID if not provided
     const id = options.id || generateSessionId();
 
@@ -80,12 +107,35 @@ export class SessionManager {
       throw new Error(`Session with ID '${id}' already exists`);
     }
 
+    // Check limits
+    if (this.#sessions.size >= this.#options.maxSessions) {
+      const [oldest] = this.#options.eviction === 'lru' ? this.#evictable() : [];
+      if (!oldest) {
+        throw new Error(
+          `Maximum sessions (${this.#options.maxSessions}) reached. ` +
+            (this.#options.eviction === 'lru'
+              ? 'All sessions are pinned or busy.'
+              : 'Destroy existing sessions before creating new ones.')
+        );
+      }
+      this.#evict(oldest, 'lru');
+    }
+
     // Merge with defaults
     const sessionOptions = {
       language: options.language || this.#options.defaultLanguage,
       isolation: options.isolation || this.#options.defaultIsolation,
       allowMainAccess: options.allowMainAccess ?? this.#options.defaultAllowMainAccess,
       utilities: options.utilities,
+      interruptGracePeriod: options.interruptGracePeriod,
+      importMap: options.importMap,
+      timeout: options.timeout,
+      parallel: options.parallel,
+      pinned: options.pinned,
+      strictConst: options.strictConst,
+      visible: options.visible,
+      target: options.target,
+      styles: options.styles,
       executorRegistry: options.executorRegistry,
     };
 
@@ -93,6 +143,9 @@ export class SessionManager {
     const session = new Session(id, sessionOptions);
     this.#sessions.set(id, session);
 
+    forwardEvents(session, this);
+    this.dispatchEvent(createEvent('session:created', { sessionId: id, info: session.getInfo() }));
+
     return session;
   }
 
@@ -271,29 +324,27 @@ export class SessionManager {
   // ============================================================================
 
   /**
-   * Destroy sessions that have been inactive for a certain time
+   * Destroy sessions that have been inactive for a certain time. Pinned and
+   * busy sessions are kept.
    * @param {number} maxIdleMs - Maximum idle time in milliseconds
    * @returns {number} Number of sessions destroyed
    */
   cleanupIdle(maxIdleMs) {
     const now = Date.now();
-    const toDestroy = [];
-
-    for (const [id, session] of this.#sessions) {
-      if (now - session.lastActivity.getTime() > maxIdleMs) {
-        toDestroy.push(id);
-      }
-    }
+    const toDestroy = this.#evictable().filter(
+      (session) => now - session.lastActivity.getTime() > maxIdleMs
+    );
 
-    for (const id of toDestroy) {
-      this.destroy(id);
+    for (const session of toDestroy) {
+      this.#evict(session, 'idle');
     }
 
     return toDestroy.length;
   }
 
   /**
-   * Destroy oldest sessions to get under a certain count
+   * Destroy oldest sessions to get under a certain count. Pinned and busy
+   * sessions are kept, so the count may stay above the target.
    * @param {number} targetCount - Target number of sessions
    * @returns {number} Number of sessions destroyed
    */
@@ -302,19 +353,75 @@ export class SessionManager {
       return 0;
     }
 
-    // Sort by last activity (oldest first)
-    const sorted = Array.from(this.#sessions.entries()).sort(
-      ([, a], [, b]) => a.lastActivity.getTime() - b.lastActivity.getTime()
-    );
-
-    const toDestroy = sorted.slice(0, this.#sessions.size - targetCount);
+    const toDestroy = this.#evictable().slice(0, this.#sessions.size - targetCount);
 
-    for (const [id] of toDestroy) {
-      this.destroy(id);
+    for (const session of toDestroy) {
+      this.#evict(session, 'lru');
     }
 
     return toDestroy.length;
   }
+
+  /**
+   * Start evicting idle sessions in the background. Called by the
+   * constructor when `idleTimeout` is set; restarting replaces the
+   * previous sweep.
+   */
+  startIdleSweep() {
+    this.stopIdleSweep();
+
+    const idleTimeout = this.#options.idleTimeout ?? 0;
+    if (idleTimeout <= 0) return;
+
+    const interval = this.#options.sweepInterval ?? Math.min(idleTimeout, MAX_SWEEP_INTERVAL);
+    this.#sweepTimer = setInterval(() => this.cleanupIdle(idleTimeout), interval);
+    // Don't keep Node processes alive just to sweep
+    /** @type {*} */ (this.#sweepTimer).unref?.();
+  }
+
+  /**
+   * Stop the background idle sweep
+   */
+  stopIdleSweep() {
+    if (this.#sweepTimer !== null) {
+      clearInterval(this.#sweepTimer);
+      this.#sweepTimer = null;
+    }
+  }
+
+  /**
+   * Get the sessions that may be evicted, least recently active first
+   * @returns {Session[]}
+   */
+  #evictable() {
+    return Array.from(this.#sessions.values())
+      .filter((session) => !session.pinned && session.status !== 'busy')
+      .sort((a, b) => a.lastActivity.getTime() - b.lastActivity.getTime());
+  }
+
+  /**
+   * Dispatch `session:evicted`, snapshotting first if configured, then
+   * destroy the session
+   * @param {Session} session
+   * @param {EvictionReason} reason
+   */
+  #evict(session, reason) {
+    /** @type {SessionEventDetail} */
+    const detail = { sessionId: session.id, info: session.getInfo(), reason };
+
+    const { snapshotOnEvict } = this.#options;
+    if (snapshotOnEvict) {
+      detail.snapshot = session.snapshot();
+      if (typeof snapshotOnEvict === 'object') {
+        detail.saved = snapshotOnEvict.save(detail.snapshot);
+        // Listeners may ignore the save; don't report its failure as unhandled
+        detail.saved.catch(() => {});
+      }
+    }
+
+    this.dispatchEvent(createEvent('session:evicted', detail));
+    this.destroy(session.id);
+  }
 }
 
 /**
@@ -10,8 +10,23 @@
 
 import { IframeContext } from './context/iframe.js';
 import { MainContext } from './context/main.js';
+import { WorkerContext } from './context/worker.js';
+import { NodeVmContext } from './context/vm.js';
 import { extractDeclaredVariables } from '../transform/extract.js';
+import { DependencyGraph } from './dependencies.js';
+import { captureNamespace, diffNamespace } from './diff.js';
+import { createEvent } from './events.js';
+import { routeOutput, routeStdin } from './execution-router.js';
+import {
+  SNAPSHOT_VERSION,
+  generateSnapshotId,
+  serializeVariable,
+  getRestoreCode,
+} from './snapshot.js';
 import { JavaScriptExecutor } from '../execute/javascript.js';
+import { BaseExecutor, streamExecution } from '../execute/interface.js';
+import { KEYBOARD_INTERRUPT, TIMEOUT_ERROR, CANCELLED_ERROR } from './interrupt.js';
+import { DEFAULT_INTERRUPT_GRACE_PERIOD } from '../constants.js';
 
 // LSP Features
 import { getCompletions } from '../lsp/complete.js';
@@ -37,6 +52,16 @@ import { formatCode } from '../analysis/format.js';
  * @typedef {import('../types/session.js').SessionInfo} SessionInfo
  * @typedef {import('../types/session.js').CreateSessionOptions} CreateSessionOptions
  * @typedef {import('../types/session.js').IsolationMode} IsolationMode
+ * @typedef {import('../types/session.js').HistoryEntry} HistoryEntry
+ * @typedef {import('../types/session.js').HistoryQuery} HistoryQuery
+ * @typedef {import('../types/session.js').DependencyGraphInfo} DependencyGraphInfo
+ * @typedef {import('../types/session.js').SessionSnapshot} SessionSnapshot
+ * @typedef {import('../types/session.js').SnapshotOptions} SnapshotOptions
+ * @typedef {import('../types/session.js').RestoreReport} RestoreReport
+ * @typedef {import('../types/events.js').SessionStatus} SessionStatus
+ * @typedef {import('../types/events.js').RuntimeEventType} RuntimeEventType
+ * @typedef {import('../types/events.js').ExecutionEventDetail} ExecutionEventDetail
+ * @typedef {import('../types/session.js').QueueEntry} QueueEntry
  * @typedef {import('../types/execution.js').ExecuteOptions} ExecuteOptions
  * @typedef {import('../types/execution.js').ExecutionResult} ExecutionResult
  * @typedef {import('../types/execution.js').ExecutionError} ExecutionError
@@ -50,23 +75,84 @@ import { formatCode } from '../analysis/format.js';
  * @typedef {import('../types/variables.js').VariableFilter} VariableFilter
  * @typedef {import('../types/variables.js').VariableInfo} VariableInfo
  * @typedef {import('../types/variables.js').VariableDetailOptions} VariableDetailOptions
+ * @typedef {import('../types/variables.js').SetVariableOptions} SetVariableOptions
  * @typedef {import('../types/variables.js').VariableDetail} VariableDetail
  * @typedef {import('../types/analysis.js').IsCompleteResult} IsCompleteResult
  * @typedef {import('../types/analysis.js').FormatResult} FormatResult
  */
 
+/**
+ * @typedef {Object} RunningExecution
+ * @property {string} execId - Execution ID
+ * @property {AbortController} controller - Aborted on interrupt
+ * @property {number} startTime - performance.now() at start
+ * @property {ReturnType<typeof setTimeout> | null} escalation - Pending hard-kill timer
+ * @property {ReturnType<typeof setTimeout> | null} deadline - Pending timeout timer
+ * @property {number} timeout - Time limit in milliseconds (0 for none)
+ * @property {boolean} timedOut - Whether the time limit interrupted the execution
+ * @property {PartialOutput | null} output - Output collected for a timeout result
+ * @property {Promise<ExecutionResult>} abandoned - Resolves if the execution is given up on
+ * @property {(result: ExecutionResult) => void} abandon - Give up on the execution
+ */
+
+/**
+ * An execution waiting for its turn
+ * @typedef {Object} QueuedExecution
+ * @property {ExecutionEventDetail} execution - Execution description
+ * @property {string} queuedAt - ISO timestamp
+ * @property {(started: boolean) => void} settle - Start (true) or cancel (false) the execution
+ */
+
+/**
+ * Output an execution produced so far
+ * @typedef {Object} PartialOutput
+ * @property {string[]} stdout - Formatted stdout lines
+ * @property {string[]} stderr - Formatted stderr lines
+ * @property {DisplayData[]} displayData - display() outputs
+ * @property {() => void} restore - Stop collecting
+ */
+
+/** Languages run by the built-in JavaScript executor */
+const JAVASCRIPT_LANGUAGES = ['javascript', 'js', 'ecmascript', 'es'];
+
 /**
  * Generate a unique execution ID
  * @returns {string}
  */
-function generateExecId() {
+export function generateExecId() {
   return `exec-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 }
 
 /**
- * Session class - represents an isolated execution context
+ * Describe an execution for getQueue()
+ * @param {ExecutionEventDetail} execution
+ * @param {QueueEntry['status']} status
+ * @param {number} position
+ * @returns {QueueEntry}
  */
-export class Session {
+function describeQueueEntry(execution, status, position) {
+  /** @type {QueueEntry} */
+  const entry = { execId: execution.execId, status, position, language: execution.language };
+  if (execution.cellId !== undefined) entry.cellId = execution.cellId;
+  return entry;
+}
+
+/**
+ * Convert a length to CSS
+ * @param {number | string} length
+ * @returns {string}
+ */
+function toCssLength(length) {
+  return typeof length === 'number' ? `${length}px` : length;
+}
+
+/**
+ * Session class - represents an isolated execution context.
+ *
+ * Dispatches `session:reset`, `session:destroyed`, `execution:*` and
+ * `status` events (see types/events).
+ */
+export class Session extends EventTarget {
   /** @type {string} */
   #id;
 
@@ -94,9 +180,42 @@ export class Session {
   /** @type {JavaScriptExecutor} */
   #defaultJsExecutor;
 
-  /** @type {Map<string, AbortController>} */
+  /** @type {Map<string, RunningExecution>} */
   #runningExecutions = new Map();
 
+  /** @type {QueuedExecution[]} */
+  #queue = [];
+
+  /** @type {Map<string, ExecutionEventDetail>} Executions that got their turn and have not finished */
+  #active = new Map();
+
+  /** @type {boolean} */
+  #parallel;
+
+  /** @type {boolean} */
+  #pinned;
+
+  /** @type {boolean} */
+  #strictConst;
+
+  /** @type {number} */
+  #interruptGracePeriod;
+
+  /** @type {import('../transform/imports.js').ImportMap | undefined} */
+  #importMap;
+
+  /** @type {number} */
+  #timeout;
+
+  /** @type {HistoryEntry[]} */
+  #history = [];
+
+  /** @type {DependencyGraph} */
+  #dependencies = new DependencyGraph();
+
+  /** @type {Set<string>} Cells whose dependencies ran since they last ran */
+  #staleCells = new Set();
+
   /** @type {Map<string, (text: string) => void>} */
   #pendingInputs = new Map();
 
@@ -105,17 +224,24 @@ export class Session {
    * @param {CreateSessionOptions & { executorRegistry?: ExecutorRegistry }} [options]
    */
   constructor(id, options = {}) {
+    super();
     this.#id = id;
     this.#language = options.language || 'javascript';
     this.#isolation = options.isolation || 'iframe';
     this.#created = new Date();
     this.#lastActivity = new Date();
+    this.#interruptGracePeriod = options.interruptGracePeriod ?? DEFAULT_INTERRUPT_GRACE_PERIOD;
+    this.#importMap = options.importMap;
+    this.#timeout = options.timeout ?? 0;
+    this.#parallel = options.parallel ?? false;
+    this.#pinned = options.pinned ?? false;
+    this.#strictConst = options.strictConst ?? false;
 
     // Store executor registry if provided
     this.#executorRegistry = options.executorRegistry || null;
 
-    // Create default JS executor for fallback
-    this.#defaultJsExecutor = new JavaScriptExecutor();
+    // Create default JS executor for fallback (and for strict const mode)
+    this.#defaultJsExecutor = new JavaScriptExecutor({ strictConst: this.#strictConst });
 
     // Create the appropriate context
     this.#context = this.#createContext(options);
@@ -133,10 +259,24 @@ export class Session {
           utilities: options.utilities,
         });
 
+      case 'worker':
+        return new WorkerContext({
+          utilities: options.utilities,
+          name: this.#id,
+        });
+
+      case 'vm':
+        return new NodeVmContext({
+          utilities: options.utilities,
+          name: this.#id,
+        });
+
       case 'iframe':
       default:
         return new IframeContext({
-          visible: false,
+          visible: options.visible ?? false,
+          target: options.target,
+          styles: options.styles,
           allowMainAccess: options.allowMainAccess ?? false,
           utilities: options.utilities,
         });
@@ -177,12 +317,34 @@ export class Session {
     return this.#executionCount;
   }
 
+  /**
+   * Whether the session is protected from idle and LRU eviction
+   * @returns {boolean}
+   */
+  get pinned() {
+    return this.#pinned;
+  }
+
+  /** @param {boolean} value */
+  set pinned(value) {
+    this.#pinned = value;
+  }
+
+  /**
+   * Whether the session is running code
+   * @returns {SessionStatus}
+   */
+  get status() {
+    return this.#active.size > 0 ? 'busy' : 'idle';
+  }
+
   // ============================================================================
   // Execution
   // ============================================================================
 
   /**
-   * Execute code and return result
+   * Execute code and return result. Executions run one at a time in the
+   * order they were requested, unless the session is `parallel`.
    * @param {string} code - Code to execute
    * @param {ExecuteOptions} [options]
    * @returns {Promise<ExecutionResult>}
@@ -194,41 +356,381 @@ export class Session {
     // Update activity
     this.#lastActivity = new Date();
 
+    const event = this.#describeExecution(execId, language, options);
+    if (!(await this.#waitForTurn(event))) {
+      const result = this.#cancelledResult();
+      this.#emit('execution:cancelled', { ...event, result });
+      return result;
+    }
+
+    // Number the cell when it starts so it can refer to itself as In[n]
+    const executionCount = options.storeHistory !== false ? ++this.#executionCount : undefined;
+    if (executionCount !== undefined) event.executionCount = executionCount;
+    const before = captureNamespace(this.#context.getVariables());
+
     // Track execution
-    const abortController = new AbortController();
-    this.#runningExecutions.set(execId, abortController);
+    const run = this.#startExecution(execId, options.timeout ?? this.#timeout);
+    this.#emit('execution:started', { ...event });
 
     try {
       // Get the executor for this language
       const executor = this.#getExecutor(language);
-
-      // Execute using the executor
-      const result = await executor.execute(code, this.#context, {
-        ...options,
-        execId,
-        language,
-      });
-
-      // Update execution count
-      if (options.storeHistory !== false) {
-        this.#executionCount++;
+      if (run.timeout > 0) {
+        run.output = this.#collectOutput(executor, run.execId);
       }
 
-      // Update result with session's execution count
-      result.executionCount = this.#executionCount;
+      // Execute using the executor; an interrupt that cannot stop the code
+      // resolves `abandoned` instead
+      let result = await Promise.race([
+        executor.execute(code, this.#context, {
+          importMap: this.#importMap,
+          ...options,
+          execId,
+          language,
+          executionCount,
+          signal: run.controller.signal,
+          timeout: run.timeout,
+        }),
+        run.abandoned,
+      ]);
+
+      this.#checkDeadline(run, result);
+      if (run.controller.signal.aborted && !result.success) {
+        if (run.timedOut) result = this.#timedOutResult(run, result);
+        result.interrupted = true;
+      }
 
+      this.#completeExecution(code, event, result, before);
       return result;
     } finally {
-      this.#runningExecutions.delete(execId);
+      this.#finishExecution(run);
+      this.#endTurn(execId);
     }
   }
 
+  /**
+   * Describe an execution for its events
+   * @param {string} execId
+   * @param {string} language
+   * @param {ExecuteOptions} options
+   * @returns {ExecutionEventDetail}
+   */
+  #describeExecution(execId, language, options) {
+    /** @type {ExecutionEventDetail} */
+    const detail = { sessionId: this.#id, execId, language };
+    if (options.cellId !== undefined) detail.cellId = options.cellId;
+    return detail;
+  }
+
+  // ============================================================================
+  // Queue
+  // ============================================================================
+
+  /**
+   * Queue an execution and wait until it may start
+   * @param {ExecutionEventDetail} execution
+   * @returns {Promise<boolean>} False if it was cancelled while queued
+   */
+  #waitForTurn(execution) {
+    return new Promise((settle) => {
+      this.#queue.push({ execution, queuedAt: new Date().toISOString(), settle });
+      this.#emit('execution:queued', { ...execution, position: this.#queue.length });
+      this.#startQueued();
+    });
+  }
+
+  /**
+   * Give waiting executions their turn
+   */
+  #startQueued() {
+    while (this.#queue.length > 0 && (this.#parallel || this.#active.size === 0)) {
+      const next = /** @type {QueuedExecution} */ (this.#queue.shift());
+      this.#active.set(next.execution.execId, next.execution);
+      if (this.#active.size === 1) {
+        this.#emit('status', { sessionId: this.#id, status: 'busy' });
+      }
+      next.settle(true);
+    }
+  }
+
+  /**
+   * Release the turn of a finished execution
+   * @param {string} execId
+   */
+  #endTurn(execId) {
+    this.#active.delete(execId);
+    this.#startQueued();
+    if (this.#active.size === 0) {
+      this.#emit('status', { sessionId: this.#id, status: 'idle' });
+    }
+  }
+
+  /**
+   * Get the running and waiting executions, in the order they started or
+   * will start
+   * @returns {QueueEntry[]}
+   *
+   * @example
+   * session.getQueue();
+   * // [{ execId: 'exec-1', status: 'running', position: 0, ... },
+   * //  { execId: 'exec-2', status: 'queued', position: 1, ... }]
+   */
+  getQueue() {
+    /** @type {QueueEntry[]} */
+    const entries = [];
+    for (const execution of this.#active.values()) {
+      entries.push(describeQueueEntry(execution, 'running', 0));
+    }
+    this.#queue.forEach(({ execution, queuedAt }, index) => {
+      entries.push({ ...describeQueueEntry(execution, 'queued', index + 1), queuedAt });
+    });
+    return entries;
+  }
+
+  /**
+   * Cancel an execution that has not started yet. It settles with a
+   * cancelled result.
+   * @param {string} execId
+   * @returns {boolean} Whether a queued execution was cancelled
+   */
+  cancel(execId) {
+    const index = this.#queue.findIndex((queued) => queued.execution.execId === execId);
+    if (index === -1) return false;
+
+    const [queued] = this.#queue.splice(index, 1);
+    queued.settle(false);
+    return true;
+  }
+
+  /**
+   * Build the result of an execution cancelled before it started
+   * @returns {ExecutionResult}
+   */
+  #cancelledResult() {
+    const message = 'Execution cancelled before it started';
+    return {
+      success: false,
+      stdout: '',
+      stderr: `${CANCELLED_ERROR}: ${message}`,
+      error: {
+        type: CANCELLED_ERROR,
+        message,
+      },
+      displayData: [],
+      assets: [],
+      executionCount: 0,
+      duration: 0,
+      cancelled: true,
+    };
+  }
+
+  /**
+   * Record the result of an execution and announce how it ended
+   * @param {string} code
+   * @param {ExecutionEventDetail} execution
+   * @param {ExecutionResult} result
+   * @param {import('./diff.js').NamespaceCapture} before - Namespace when
+   *   the execution started
+   */
+  #completeExecution(code, execution, result, before) {
+    const { execId, language, cellId, executionCount } = execution;
+
+    // Update result with session's execution count
+    result.executionCount = executionCount ?? this.#executionCount;
+    result.variables = diffNamespace(before, this.#context.getVariables());
+    if (executionCount !== undefined) {
+      this.#recordHistory(code, execId, language, result);
+    }
+    if (cellId !== undefined) {
+      this.#recordCell(cellId, code, language);
+    }
+
+    const type = result.interrupted
+      ? 'execution:interrupted'
+      : result.success
+        ? 'execution:finished'
+        : 'execution:errored';
+    this.#emit(type, { ...execution, result });
+  }
+
+  /**
+   * Dispatch a session event
+   * @param {RuntimeEventType} type
+   * @param {Object} detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(createEvent(type, detail));
+  }
+
+  /**
+   * Register a running execution so it can be interrupted
+   * @param {string} execId
+   * @param {number} [timeout=0] - Interrupt the execution after this many
+   *   milliseconds (0 for no limit)
+   * @returns {RunningExecution}
+   */
+  #startExecution(execId, timeout = 0) {
+    /** @type {(result: ExecutionResult) => void} */
+    let abandon = () => {};
+    const abandoned = new Promise((resolve) => {
+      abandon = resolve;
+    });
+
+    /** @type {RunningExecution} */
+    const run = {
+      execId,
+      controller: new AbortController(),
+      startTime: performance.now(),
+      escalation: null,
+      deadline: null,
+      timeout,
+      timedOut: false,
+      output: null,
+      abandoned,
+      abandon,
+    };
+
+    if (timeout > 0) {
+      run.deadline = setTimeout(() => {
+        run.timedOut = true;
+        this.interrupt(execId);
+      }, timeout);
+    }
+
+    this.#runningExecutions.set(execId, run);
+    return run;
+  }
+
+  /**
+   * Treat an execution that failed after its time limit as timed out.
+   * Contexts that stop busy code themselves (vm) fail it before the
+   * deadline timer gets to run.
+   * @param {RunningExecution} run
+   * @param {ExecutionResult} result
+   */
+  #checkDeadline(run, result) {
+    const elapsed = performance.now() - run.startTime;
+    if (run.timeout > 0 && !result.success && !run.controller.signal.aborted && elapsed >= run.timeout) {
+      run.timedOut = true;
+      run.controller.abort();
+    }
+  }
+
+  /**
+   * Unregister a finished execution
+   * @param {RunningExecution} run
+   */
+  #finishExecution(run) {
+    if (run.escalation) {
+      clearTimeout(run.escalation);
+    }
+    if (run.deadline) {
+      clearTimeout(run.deadline);
+    }
+    run.output?.restore();
+    this.#runningExecutions.delete(run.execId);
+  }
+
+  /**
+   * Collect the output of an execution as the context reports it, so a
+   * timeout can report what was produced even if the context is killed
+   * @param {Executor} executor - Executor formatting console entries
+   * @param {string} execId - Execution whose output to collect
+   * @returns {PartialOutput}
+   */
+  #collectOutput(executor, execId) {
+    /** @type {PartialOutput} */
+    const output = {
+      stdout: [],
+      stderr: [],
+      displayData: [],
+      restore: () => {},
+    };
+
+    output.restore = routeOutput(this.#context, execId, (event) => {
+      if (event.type === 'log') {
+        const { stream, text } = executor.formatLogEntry
+          ? executor.formatLogEntry(event.entry)
+          : BaseExecutor.prototype.formatLogEntry(event.entry);
+        output[stream].push(text);
+      } else if (event.type === 'display') {
+        output.displayData.push(event.display);
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Build the result reported for an execution stopped by its timeout,
+   * with the output it produced before it was stopped
+   * @param {RunningExecution} run
+   * @param {ExecutionResult} result - Result of the interrupted execution
+   * @returns {ExecutionResult}
+   */
+  #timedOutResult(run, result) {
+    const message = result.namespaceLost
+      ? `Execution timed out after ${run.timeout}ms; the context was restarted and all variables were lost`
+      : `Execution timed out after ${run.timeout}ms`;
+    const stderr = run.output ? run.output.stderr.join('\n') : result.stderr;
+
+    return {
+      ...result,
+      success: false,
+      stdout: run.output ? run.output.stdout.join('\n') : result.stdout,
+      stderr: [stderr, `${TIMEOUT_ERROR}: ${message}`].filter(Boolean).join('\n'),
+      result: undefined,
+      resultString: undefined,
+      error: {
+        type: TIMEOUT_ERROR,
+        message,
+      },
+      displayData: run.output ? run.output.displayData : result.displayData,
+    };
+  }
+
+  /**
+   * Build the result reported for an execution that was interrupted
+   * before it could finish on its own
+   * @param {RunningExecution} run
+   * @param {boolean} namespaceLost - Whether the context was killed
+   * @returns {ExecutionResult}
+   */
+  #interruptedResult(run, namespaceLost) {
+    const message = namespaceLost
+      ? 'Execution interrupted; the context was restarted and all variables were lost'
+      : 'Execution interrupted';
+
+    return {
+      success: false,
+      stdout: '',
+      stderr: `${KEYBOARD_INTERRUPT}: ${message}`,
+      error: {
+        type: KEYBOARD_INTERRUPT,
+        message,
+      },
+      displayData: [],
+      assets: [],
+      executionCount: 0,
+      duration: performance.now() - run.startTime,
+      interrupted: true,
+      namespaceLost,
+    };
+  }
+
   /**
    * Get the executor for a language
    * @param {string} language
    * @returns {Executor}
    */
   #getExecutor(language) {
+    const lang = language.toLowerCase();
+
+    // Strict const mode needs the session's own JS executor
+    if (this.#strictConst && JAVASCRIPT_LANGUAGES.includes(lang)) {
+      return this.#defaultJsExecutor;
+    }
+
     // Try registry first
     if (this.#executorRegistry) {
       const executor = this.#executorRegistry.get(language);
@@ -236,8 +738,7 @@ export class Session {
     }
 
     // Fall back to default JS executor for JavaScript
-    const lang = language.toLowerCase();
-    if (['javascript', 'js', 'ecmascript', 'es'].includes(lang)) {
+    if (JAVASCRIPT_LANGUAGES.includes(lang)) {
       return this.#defaultJsExecutor;
     }
 
@@ -275,199 +776,283 @@ export class Session {
     // Update activity
     this.#lastActivity = new Date();
 
+    const execution = this.#describeExecution(execId, language, options);
+    if (!(await this.#waitForTurn(execution))) {
+      const result = this.#cancelledResult();
+      this.#emit('execution:cancelled', { ...execution, result });
+      yield /** @type {import('../types/streaming.js').ResultEvent} */ ({ type: 'result', result });
+      yield /** @type {import('../types/streaming.js').DoneEvent} */ ({ type: 'done' });
+      return;
+    }
+
+    // Number the cell when it starts so it can refer to itself as In[n]
+    const executionCount = options.storeHistory !== false ? ++this.#executionCount : undefined;
+    if (executionCount !== undefined) execution.executionCount = executionCount;
+    const before = captureNamespace(this.#context.getVariables());
+
     // Track execution
-    const abortController = new AbortController();
-    this.#runningExecutions.set(execId, abortController);
+    const run = this.#startExecution(execId, options.timeout ?? this.#timeout);
+    const abortController = run.controller;
+    this.#emit('execution:started', { ...execution });
 
     // Event queue for stdin_request events
     /** @type {Array<import('../types/streaming.js').StdinRequestEvent>} */
     const stdinEventQueue = [];
+    /** @type {(() => void) | null} */
     let stdinEventResolve = null;
 
-    // Set up stdin handler on context to capture input requests
-    // and yield stdin_request events
-    const previousHandler = this.#context.getStdinHandler?.();
-
-    if (this.#context.setStdinHandler) {
-      this.#context.setStdinHandler((request) => {
-        return new Promise((resolve, reject) => {
-          // Store the resolver for when sendInput is called
-          this.#pendingInputs.set(request.execId, resolve);
-
-          // Queue the stdin_request event to be yielded
-          stdinEventQueue.push({
-            type: 'stdin_request',
-            prompt: request.prompt,
-            password: request.password,
-            execId: request.execId,
-          });
+    // Answer this execution's input requests by yielding stdin_request
+    // events
+    const stopStdin = routeStdin(this.#context, execId, (request) => {
+      return new Promise((resolve, reject) => {
+        // Store the resolver for when sendInput is called
+        this.#pendingInputs.set(request.execId, resolve);
+
+        // Queue the stdin_request event to be yielded
+        stdinEventQueue.push({
+          type: 'stdin_request',
+          prompt: request.prompt,
+          password: request.password,
+          execId: request.execId,
+        });
 
-          // Wake up the event loop if waiting
-          if (stdinEventResolve) {
-            stdinEventResolve();
-            stdinEventResolve = null;
-          }
+        // Wake up the event loop if waiting
+        if (stdinEventResolve) {
+          stdinEventResolve();
+          stdinEventResolve = null;
+        }
 
-          // Set up abort handling
-          abortController.signal.addEventListener('abort', () => {
-            this.#pendingInputs.delete(request.execId);
-            reject(new Error('Execution aborted'));
-          }, { once: true });
-        });
+        // Set up abort handling
+        abortController.signal.addEventListener('abort', () => {
+          this.#pendingInputs.delete(request.execId);
+          reject(new Error('Execution aborted'));
+        }, { once: true });
       });
-    }
+    });
 
     try {
       // Get the executor for this language
       const executor = this.#getExecutor(language);
+      if (run.timeout > 0) {
+        run.output = this.#collectOutput(executor, run.execId);
+      }
+      const executeOptions = {
+        importMap: this.#importMap,
+        ...options,
+        execId,
+        language,
+        executionCount,
+        signal: abortController.signal,
+        timeout: run.timeout,
+      };
+
+      // Use executor's streaming if available, otherwise wrap execute()
+      const iterator = (
+        executor.executeStream
+          ? executor.executeStream(code, this.#context, executeOptions)
+          : streamExecution(executor, code, this.#context, executeOptions)
+      )[Symbol.asyncIterator]();
+      const abandoned = run.abandoned.then((result) => ({ abandoned: result }));
+
+      /** @type {Promise<IteratorResult<StreamEvent>> | null} */
+      let next = null;
+
+      while (true) {
+        // Yield any pending stdin_request events first
+        while (stdinEventQueue.length > 0) {
+          yield /** @type {import('../types/streaming.js').StdinRequestEvent} */ (stdinEventQueue.shift());
+        }
 
-      // Use executor's streaming if available
-      if (executor.executeStream) {
-        let executionCount = this.#executionCount;
-
-        for await (const event of executor.executeStream(code, this.#context, {
-          ...options,
-          execId,
-          language,
-        })) {
-          // Yield any pending stdin_request events first
-          while (stdinEventQueue.length > 0) {
-            yield /** @type {import('../types/streaming.js').StdinRequestEvent} */ (stdinEventQueue.shift());
-          }
-
-          // Update execution count on result event
-          if (event.type === 'result' && options.storeHistory !== false) {
-            this.#executionCount++;
-            event.result.executionCount = this.#executionCount;
-          }
-          yield event;
+        if (!next) {
+          next = iterator.next();
+          next.catch(() => {});
         }
-      } else {
-        // Fall back to wrapping execute()
-        const timestamp = new Date().toISOString();
 
-        yield /** @type {import('../types/streaming.js').StartEvent} */ ({
-          type: 'start',
-          execId,
-          timestamp,
+        // Wait for the next event, an input request or an abandoned interrupt
+        const stdinArrived = new Promise((resolve) => {
+          stdinEventResolve = () => resolve({ stdin: true });
         });
+        const step =
+          stdinEventQueue.length > 0
+            ? { stdin: true }
+            : await Promise.race([next, abandoned, stdinArrived]);
+        stdinEventResolve = null;
 
-        // Start execution in background so we can yield events
-        const executionPromise = executor.execute(code, this.#context, {
-          ...options,
-          execId,
-          language,
-        });
+        if ('stdin' in step) continue;
 
-        // Poll for stdin events while execution is running
-        let result = null;
-        let error = null;
-        let done = false;
-
-        executionPromise.then(r => {
-          result = r;
-          done = true;
-          if (stdinEventResolve) {
-            stdinEventResolve();
-            stdinEventResolve = null;
-          }
-        }).catch(e => {
-          error = e;
-          done = true;
-          if (stdinEventResolve) {
-            stdinEventResolve();
-            stdinEventResolve = null;
-          }
-        });
+        // Interrupt could not stop the executor: report and stop listening
+        if ('abandoned' in step) {
+          iterator.return?.(undefined)?.catch(() => {});
 
-        // Wait for either stdin events or completion
-        while (!done) {
-          // Yield any pending stdin_request events
-          while (stdinEventQueue.length > 0) {
-            yield /** @type {import('../types/streaming.js').StdinRequestEvent} */ (stdinEventQueue.shift());
-          }
+          const result = run.timedOut ? this.#timedOutResult(run, step.abandoned) : step.abandoned;
+          this.#completeExecution(code, execution, result, before);
 
-          if (!done) {
-            // Wait for next event
-            await new Promise(resolve => {
-              stdinEventResolve = resolve;
-              // Also resolve on short timeout to check done flag
-              setTimeout(resolve, 50);
-            });
-          }
+          yield /** @type {import('../types/streaming.js').ResultEvent} */ ({
+            type: 'result',
+            result,
+          });
+          yield /** @type {import('../types/streaming.js').DoneEvent} */ ({
+            type: 'done',
+          });
+          break;
         }
 
-        // Yield any remaining stdin events
-        while (stdinEventQueue.length > 0) {
-          yield /** @type {import('../types/streaming.js').StdinRequestEvent} */ (stdinEventQueue.shift());
-        }
+        next = null;
+        if (step.done) break;
+        const event = step.value;
 
-        if (error) {
-          yield /** @type {import('../types/streaming.js').ErrorEvent} */ ({
-            type: 'error',
-            error: {
-              type: error instanceof Error ? error.name : 'Error',
-              message: error instanceof Error ? error.message : String(error),
-              traceback: error instanceof Error && error.stack ? error.stack.split('\n') : undefined,
-            },
-          });
-        } else if (result) {
-          if (options.storeHistory !== false) {
-            this.#executionCount++;
-          }
-          result.executionCount = this.#executionCount;
-
-          if (result.stdout) {
-            yield /** @type {import('../types/streaming.js').StdoutEvent} */ ({
-              type: 'stdout',
-              content: result.stdout,
-              accumulated: result.stdout,
-            });
+        // Update execution count on result event
+        if (event.type === 'result') {
+          this.#checkDeadline(run, event.result);
+          if (abortController.signal.aborted && !event.result.success) {
+            if (run.timedOut) event.result = this.#timedOutResult(run, event.result);
+            event.result.interrupted = true;
           }
+          this.#completeExecution(code, execution, event.result, before);
+        }
+        yield event;
+      }
+    } finally {
+      stopStdin();
+      this.#finishExecution(run);
+      this.#endTurn(execId);
+    }
+  }
 
-          if (result.stderr) {
-            yield /** @type {import('../types/streaming.js').StderrEvent} */ ({
-              type: 'stderr',
-              content: result.stderr,
-              accumulated: result.stderr,
-            });
-          }
+  // ============================================================================
+  // Dependencies
+  // ============================================================================
 
-          for (const display of result.displayData) {
-            yield /** @type {import('../types/streaming.js').DisplayEvent} */ ({
-              type: 'display',
-              data: display.data,
-              metadata: display.metadata,
-            });
-          }
+  /**
+   * Record a run of a cell in the dependency graph and mark the cells that
+   * depend on it as stale. Only JavaScript cells are tracked.
+   * @param {string} cellId
+   * @param {string} code
+   * @param {string} language
+   */
+  #recordCell(cellId, code, language) {
+    if (!JAVASCRIPT_LANGUAGES.includes(language.toLowerCase())) return;
 
-          for (const asset of result.assets) {
-            yield /** @type {import('../types/streaming.js').AssetEvent} */ ({
-              type: 'asset',
-              path: asset.path,
-              url: asset.url,
-              mimeType: asset.mimeType,
-              assetType: asset.assetType,
-            });
-          }
+    this.#dependencies.update(cellId, code, language);
+    this.#staleCells.delete(cellId);
+    for (const dependent of this.#dependencies.getDownstream(cellId)) {
+      this.#staleCells.add(dependent);
+    }
+  }
 
-          yield /** @type {import('../types/streaming.js').ResultEvent} */ ({
-            type: 'result',
-            result,
-          });
-        }
+  /**
+   * Get the dependency graph of the cells run with a `cellId`
+   * @returns {DependencyGraphInfo}
+   *
+   * @example
+   * await session.execute('const price = 10', { cellId: 'a' });
+   * await session.execute('price * 2', { cellId: 'b' });
+   * session.getDependencyGraph().cells[1].dependsOn; // ['a']
+   */
+  getDependencyGraph() {
+    return this.#dependencies.toJSON(this.#staleCells);
+  }
 
-        yield /** @type {import('../types/streaming.js').DoneEvent} */ ({
-          type: 'done',
-        });
-      }
-    } finally {
-      // Restore previous stdin handler
-      if (this.#context.setStdinHandler) {
-        this.#context.setStdinHandler(previousHandler || null);
-      }
-      this.#runningExecutions.delete(execId);
+  /**
+   * Get the cells that depend, directly or indirectly, on a cell
+   * @param {string} cellId
+   * @returns {string[]} Cell IDs in the order they should run
+   */
+  getDownstreamCells(cellId) {
+    return this.#dependencies.getDownstream(cellId);
+  }
+
+  /**
+   * Get the cells whose dependencies ran since they last ran
+   * @returns {string[]} Cell IDs in the order they should run
+   */
+  getStaleCells() {
+    return this.#dependencies.sort(this.#staleCells);
+  }
+
+  /**
+   * Get the source and language a cell last ran with
+   * @param {string} cellId
+   * @returns {{ code: string, language: string } | undefined}
+   */
+  getCell(cellId) {
+    const record = this.#dependencies.get(cellId);
+    return record && { code: record.code, language: record.language };
+  }
+
+  /**
+   * Remove a cell from the dependency graph (e.g. when it is deleted from
+   * the notebook). Its variables stay defined.
+   * @param {string} cellId
+   * @returns {boolean} Whether the cell was recorded
+   */
+  removeCell(cellId) {
+    this.#staleCells.delete(cellId);
+    return this.#dependencies.remove(cellId);
+  }
+
+  // ============================================================================
+  // History
+  // ============================================================================
+
+  /**
+   * Record an executed cell in the history
+   * @param {string} code
+   * @param {string} execId
+   * @param {string} language
+   * @param {ExecutionResult} result
+   */
+  #recordHistory(code, execId, language, result) {
+    /** @type {HistoryEntry} */
+    const entry = {
+      executionCount: result.executionCount,
+      execId,
+      language,
+      code,
+      success: result.success,
+      timestamp: new Date().toISOString(),
+      duration: result.duration,
+    };
+    if (result.resultString !== undefined) {
+      entry.resultString = result.resultString;
+    }
+    if (result.error) {
+      entry.error = `${result.error.type}: ${result.error.message}`;
+    }
+    this.#history.push(entry);
+  }
+
+  /**
+   * Get the recorded cells, oldest first. Cells run with
+   * `storeHistory: false` are not recorded.
+   *
+   * @param {HistoryQuery} [query]
+   * @returns {HistoryEntry[]}
+   *
+   * @example
+   * session.getHistory({ range: [-3, -1] });          // last three cells
+   * session.getHistory({ range: [2, 5], search: 'fetch' });
+   */
+  getHistory(query = {}) {
+    let entries = this.#history;
+
+    if (query.range) {
+      const [start, end = start] = query.range.map((n) =>
+        n < 0 ? this.#executionCount + 1 + n : n
+      );
+      entries = entries.filter(
+        (entry) => entry.executionCount >= start && entry.executionCount <= end
+      );
+    }
+
+    const { search } = query;
+    if (search !== undefined) {
+      entries = entries.filter((entry) =>
+        typeof search === 'string' ? entry.code.includes(search) : entry.code.search(search) !== -1
+      );
     }
+
+    return entries.map((entry) => ({ ...entry }));
   }
 
   /**
@@ -494,7 +1079,7 @@ export class Session {
     if (this.#executorRegistry) {
       return this.#executorRegistry.languages();
     }
-    return ['javascript', 'js', 'ecmascript', 'es'];
+    return [...JAVASCRIPT_LANGUAGES];
   }
 
   /**
@@ -514,31 +1099,76 @@ export class Session {
   }
 
   /**
-   * Interrupt a running execution
+   * Interrupt a running execution.
+   *
+   * Pending input(), sleep(), timers and fetches reject with a
+   * KeyboardInterrupt right away. If the code still has not stopped after
+   * the grace period (or immediately with `hard`), contexts that support it
+   * (iframe, worker) are killed and recreated, losing all variables; other
+   * executions are abandoned. Either way the execution settles with an
+   * interrupted result. Queued executions are cancelled instead (all of
+   * them when no `execId` is given).
+   *
    * @param {string} [execId] - Specific execution ID, or all if not provided
+   * @param {{ hard?: boolean }} [options]
    * @returns {boolean} Whether any execution was interrupted
    */
-  interrupt(execId) {
-    if (execId) {
-      const controller = this.#runningExecutions.get(execId);
-      if (controller) {
-        controller.abort();
-        this.#runningExecutions.delete(execId);
-        return true;
+  interrupt(execId, options = {}) {
+    if (execId && this.cancel(execId)) {
+      return true;
+    }
+
+    // Interrupting everything also drops the queue
+    const cancelled = execId ? [] : this.#queue.splice(0);
+    for (const queued of cancelled) {
+      queued.settle(false);
+    }
+
+    const runs = execId
+      ? [this.#runningExecutions.get(execId)].filter((run) => run !== undefined)
+      : Array.from(this.#runningExecutions.values());
+
+    if (runs.length === 0) {
+      return cancelled.length > 0;
+    }
+
+    for (const run of runs) {
+      if (!run.controller.signal.aborted) {
+        run.controller.abort();
+      }
+
+      if (options.hard) {
+        this.#escalateInterrupt(run);
+      } else if (!run.escalation) {
+        run.escalation = setTimeout(() => this.#escalateInterrupt(run), this.#interruptGracePeriod);
       }
-      return false;
     }
 
-    // Interrupt all
-    if (this.#runningExecutions.size > 0) {
-      for (const controller of this.#runningExecutions.values()) {
-        controller.abort();
+    return true;
+  }
+
+  /**
+   * Stop an interrupted execution that did not stop on its own
+   * @param {RunningExecution} run
+   */
+  #escalateInterrupt(run) {
+    if (!this.#runningExecutions.has(run.execId)) return;
+
+    if (run.escalation) {
+      clearTimeout(run.escalation);
+      run.escalation = null;
+    }
+
+    if (typeof this.#context.kill === 'function') {
+      this.#context.kill();
+      // Every execution in the context is gone, not just this one
+      for (const other of this.#runningExecutions.values()) {
+        other.abandon(this.#interruptedResult(other, true));
       }
-      this.#runningExecutions.clear();
-      return true;
+      return;
     }
 
-    return false;
+    run.abandon(this.#interruptedResult(run, false));
   }
 
   // ============================================================================
@@ -596,6 +1226,38 @@ export class Session {
     return lspGetVariableDetail(name, this.#context, options);
   }
 
+  /**
+   * Define a session variable from the host, e.g. an uploaded dataset
+   * @param {string} name
+   * @param {*} value
+   * @param {SetVariableOptions} [options]
+   * @throws {Error} If the context cannot define variables, or the value
+   *   cannot be cloned
+   *
+   * @example
+   * session.setVariable('dataset', rows);
+   * await session.execute('dataset.length');
+   */
+  setVariable(name, value, options = {}) {
+    if (!this.#context.setVariables) {
+      throw new Error(`Session '${this.#id}' cannot define variables from the host`);
+    }
+    this.#context.setVariables({ [name]: value }, { clone: options.clone ?? true });
+    this.#lastActivity = new Date();
+  }
+
+  /**
+   * Delete a session variable, e.g. to free a large intermediate value
+   * without resetting the session
+   * @param {string} name
+   * @returns {boolean} Whether the variable existed
+   */
+  deleteVariable(name) {
+    const deleted = this.#context.deleteVariable?.(name) ?? false;
+    if (deleted) this.#lastActivity = new Date();
+    return deleted;
+  }
+
   // ============================================================================
   // Analysis
   // ============================================================================
@@ -618,6 +1280,155 @@ export class Session {
     return formatCode(code);
   }
 
+  // ============================================================================
+  // Snapshots
+  // ============================================================================
+
+  /**
+   * Serialize the session: every tracked variable, the execution count and
+   * the history. Values are structured-cloned, so the snapshot does not
+   * change with the session; declared functions and classes keep their
+   * source.
+   * @param {SnapshotOptions} [options]
+   * @returns {SessionSnapshot}
+   */
+  snapshot(options = {}) {
+    const variables = Object.entries(this.#context.getVariables()).map(([name, value]) =>
+      serializeVariable(name, value)
+    );
+
+    /** @type {SessionSnapshot} */
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      id: generateSnapshotId(),
+      sessionId: this.#id,
+      language: this.#language,
+      isolation: this.#isolation,
+      created: new Date().toISOString(),
+      executionCount: this.#executionCount,
+      variables,
+      history: this.getHistory(),
+    };
+    if (options.notebook !== undefined) snapshot.notebook = options.notebook;
+    if (options.label !== undefined) snapshot.label = options.label;
+    return snapshot;
+  }
+
+  /**
+   * Rebuild a snapshot's namespace in this session. Values are defined
+   * first, then functions and classes are evaluated from their source.
+   * The execution count and history are taken from the snapshot; `In` and
+   * `Out` inside the session start empty.
+   * @param {SessionSnapshot} snapshot
+   * @returns {Promise<RestoreReport>}
+   */
+  async restore(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+
+    /** @type {RestoreReport} */
+    const report = { restored: [], failed: [] };
+    const context = this.#context;
+
+    for (const variable of snapshot.variables) {
+      if (variable.kind !== 'value') continue;
+      try {
+        if (!context.setVariables) {
+          throw new Error('The session context cannot define variables');
+        }
+        context.setVariables({ [variable.name]: variable.value });
+        report.restored.push(variable.name);
+      } catch (error) {
+        report.failed.push({ name: variable.name, reason: String(error) });
+      }
+    }
+
+    for (const variable of snapshot.variables) {
+      if (variable.kind === 'value') continue;
+      if (variable.kind === 'unserializable') {
+        report.failed.push({
+          name: variable.name,
+          reason: `${variable.type} is not serializable (${variable.preview})`,
+        });
+        continue;
+      }
+
+      // Tracked first, like cell declarations, so the worker mirrors it
+      context.trackVariable(variable.name);
+      const raw = await context.execute(getRestoreCode(variable));
+      if (raw.error) {
+        report.failed.push({ name: variable.name, reason: `${raw.error.name}: ${raw.error.message}` });
+      } else {
+        report.restored.push(variable.name);
+      }
+    }
+
+    this.#executionCount = snapshot.executionCount;
+    this.#history = snapshot.history.map((entry) => ({ ...entry }));
+    this.#lastActivity = new Date();
+    return report;
+  }
+
+  // ============================================================================
+  // Visible Iframe
+  // ============================================================================
+
+  /**
+   * Get the iframe of an iframe session, e.g. to place it in the page.
+   * Hidden iframes are created on first use.
+   * @returns {HTMLIFrameElement | null}
+   */
+  getIframe() {
+    return this.#context instanceof IframeContext ? this.#context.getIframe() : null;
+  }
+
+  /**
+   * Show the session's iframe in an element, making it visible if it was
+   * hidden. Where the browser cannot move an iframe without reloading it
+   * (no `Element#moveBefore`), the session is reset as by {@link reset}.
+   * @param {HTMLElement} target
+   * @returns {boolean} Whether the variables were kept
+   * @throws {Error} If the session does not use iframe isolation
+   */
+  moveIframe(target) {
+    const kept = this.#getIframeContext('move').moveTo(target);
+    if (!kept) this.#clearState();
+    return kept;
+  }
+
+  /**
+   * Resize the session's visible iframe
+   * @param {number | string} [width] - CSS length (numbers are pixels)
+   * @param {number | string} [height] - CSS length (numbers are pixels)
+   * @throws {Error} If the session does not use iframe isolation
+   *
+   * @example
+   * session.resizeIframe(640, 480);
+   * session.resizeIframe('100%');
+   */
+  resizeIframe(width, height) {
+    /** @type {Record<string, string>} */
+    const styles = {};
+    if (width !== undefined) styles.width = toCssLength(width);
+    if (height !== undefined) styles.height = toCssLength(height);
+    this.#getIframeContext('resize').setStyles(styles);
+  }
+
+  /**
+   * Get the iframe context, or throw for other isolation modes
+   * @param {string} action - What was attempted, for the error message
+   * @returns {IframeContext}
+   */
+  #getIframeContext(action) {
+    if (!(this.#context instanceof IframeContext)) {
+      throw new Error(
+        `Cannot ${action} the iframe of session '${this.#id}': it uses ${this.#isolation} isolation`
+      );
+    }
+    return this.#context;
+  }
+
   // ============================================================================
   // Lifecycle
   // ============================================================================
@@ -627,8 +1438,20 @@ export class Session {
    */
   reset() {
     this.#context.reset();
+    this.#clearState();
+  }
+
+  /**
+   * Forget everything recorded about the context's previous namespace,
+   * after the context was reset
+   */
+  #clearState() {
     this.#executionCount = 0;
+    this.#history = [];
+    this.#dependencies.clear();
+    this.#staleCells.clear();
     this.#lastActivity = new Date();
+    this.#emit('session:reset', { sessionId: this.#id, info: this.getInfo() });
   }
 
   /**
@@ -637,9 +1460,14 @@ export class Session {
   destroy() {
     // Cancel any running executions
     this.interrupt();
+    for (const run of this.#runningExecutions.values()) {
+      run.abandon(this.#interruptedResult(run, false));
+      this.#finishExecution(run);
+    }
 
     // Destroy context
     this.#context.destroy();
+    this.#emit('session:destroyed', { sessionId: this.#id, info: this.getInfo() });
   }
 
   /**
@@ -655,6 +1483,8 @@ export class Session {
       executionCount: this.#executionCount,
       variableCount: this.#context.getTrackedVariables().size,
       isolation: this.#isolation,
+      status: this.status,
+      pinned: this.#pinned,
     };
   }
 
@@ -0,0 +1,309 @@
+/**
+ * Session Snapshots
+ *
+ * Serializes a session namespace so it can be stored and rebuilt later,
+ * e.g. after a page reload. Values are copied with structured-clone
+ * semantics; declared functions and classes keep their source and are
+ * re-evaluated when the snapshot is restored. Snapshots can be kept in IndexedDB with
+ * {@link SnapshotStore}.
+ *
+ * @module session/snapshot
+ */
+
+import { formatValueShort, getTypeName, getFunctionSource } from '../lsp/format.js';
+import { tokenize } from '../transform/parse.js';
+
+/**
+ * @typedef {import('../types/session.js').SnapshotVariable} SnapshotVariable
+ * @typedef {import('../types/session.js').SessionSnapshot} SessionSnapshot
+ * @typedef {import('../types/session.js').SnapshotSummary} SnapshotSummary
+ */
+
+/** Current snapshot format version */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Generate a unique snapshot ID
+ * @returns {string}
+ */
+export function generateSnapshotId() {
+  return `snapshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Get the name a function or class declaration binds (`f` for
+ * `async function* f() {}`). Arrow functions, methods and anonymous
+ * functions have none.
+ * @param {string} source
+ * @returns {string | undefined}
+ */
+function getDeclaredName(source) {
+  let tokens;
+  try {
+    tokens = tokenize(source);
+  } catch {
+    return undefined;
+  }
+
+  let i = tokens[0]?.value === 'async' && tokens[1]?.value === 'function' ? 1 : 0;
+  if (tokens[i]?.value === 'class') i++;
+  else if (tokens[i]?.value === 'function') i += tokens[i + 1]?.value === '*' ? 2 : 1;
+  else return undefined;
+  return tokens[i]?.type === 'name' && tokens[i].value !== 'extends' ? tokens[i].value : undefined;
+}
+
+/**
+ * Whether an object has a prototype structured cloning keeps: none, or
+ * the prototype of a built-in type, from any realm
+ * @param {object} value
+ * @returns {boolean}
+ */
+function hasBuiltinPrototype(value) {
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null) return true;
+  if (!Object.hasOwn(proto, 'constructor')) return false;
+  const { constructor } = proto;
+  return typeof constructor === 'function' && constructor.prototype === proto && getFunctionSource(constructor) === undefined;
+}
+
+/**
+ * Whether a value is or holds an instance of a user class (or another
+ * object with a custom prototype), which structured cloning would turn
+ * into a plain object
+ * @param {*} value
+ * @param {Set<object>} [seen]
+ * @returns {boolean}
+ */
+function holdsCustomPrototype(value, seen = new Set()) {
+  if (value === null || typeof value !== 'object' || seen.has(value)) return false;
+  seen.add(value);
+  if (!hasBuiltinPrototype(value)) return true;
+
+  const tag = Object.prototype.toString.call(value);
+  const children =
+    tag === '[object Map]'
+      ? Array.from(/** @type {Map<*, *>} */ (value)).flat()
+      : tag === '[object Set]'
+        ? Array.from(/** @type {Set<*>} */ (value))
+        : ArrayBuffer.isView(value)
+          ? []
+          : Object.values(value);
+  return children.some((child) => holdsCustomPrototype(child, seen));
+}
+
+/**
+ * Serialize a variable for a snapshot. Only declared functions and classes
+ * whose name matches the variable are kept as source: any other function
+ * may close over state that re-evaluating its source would not bring back.
+ * Instances of user classes are not serializable either, since cloning
+ * drops their prototype.
+ * @param {string} name
+ * @param {*} value
+ * @returns {SnapshotVariable}
+ *
+ * @example
+ * serializeVariable('data', [1, 2]);        // { name: 'data', kind: 'value', value: [1, 2] }
+ * serializeVariable('f', function f(x) { return x * 2; });
+ * // { name: 'f', kind: 'function', source: 'function f(x) { return x * 2; }' }
+ * serializeVariable('g', (x) => x * 2);     // { name: 'g', kind: 'unserializable', ... }
+ */
+export function serializeVariable(name, value) {
+  if (typeof value === 'function') {
+    const source = getFunctionSource(value);
+    if (source !== undefined && getDeclaredName(source) === name) {
+      return { name, kind: /^class\b/.test(source) ? 'class' : 'function', source };
+    }
+  } else if (!holdsCustomPrototype(value)) {
+    try {
+      return { name, kind: 'value', value: structuredClone(value) };
+    } catch {
+      // Not cloneable (DOM nodes, objects with methods, symbols, ...)
+    }
+  }
+
+  return { name, kind: 'unserializable', type: getTypeName(value), preview: formatValueShort(value) };
+}
+
+/**
+ * Get the code that defines a snapshot function or class as a global
+ * @param {SnapshotVariable & { source: string }} variable
+ * @returns {string}
+ */
+export function getRestoreCode(variable) {
+  return `globalThis[${JSON.stringify(variable.name)}] = (${variable.source}\n);`;
+}
+
+/**
+ * Summarize a snapshot for listings
+ * @param {SessionSnapshot} snapshot
+ * @returns {SnapshotSummary}
+ */
+export function summarizeSnapshot(snapshot) {
+  /** @type {SnapshotSummary} */
+  const summary = {
+    id: snapshot.id,
+    sessionId: snapshot.sessionId,
+    created: snapshot.created,
+    executionCount: snapshot.executionCount,
+    variableCount: snapshot.variables.length,
+  };
+  if (snapshot.notebook !== undefined) summary.notebook = snapshot.notebook;
+  if (snapshot.label !== undefined) summary.label = snapshot.label;
+  return summary;
+}
+
+// ============================================================================
+// IndexedDB Storage
+// ============================================================================
+
+/** Object store holding the snapshots */
+const STORE_NAME = 'snapshots';
+
+/** Index of the snapshots by notebook */
+const NOTEBOOK_INDEX = 'notebook';
+
+/**
+ * @typedef {Object} SnapshotStoreOptions
+ * @property {string} [name='mrmd-js'] - Database name
+ * @property {IDBFactory} [indexedDB] - IndexedDB implementation (defaults
+ *   to the global one)
+ */
+
+/**
+ * Wait for an IndexedDB request
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Session snapshots stored in IndexedDB
+ *
+ * @example
+ * const store = createSnapshotStore();
+ * await store.save(session.snapshot({ notebook: 'analysis.md' }));
+ *
+ * // After a reload
+ * const [latest] = await store.list('analysis.md');
+ * await runtime.restoreSession(await store.load(latest.id));
+ */
+export class SnapshotStore {
+  /** @type {string} */
+  #name;
+
+  /** @type {IDBFactory | undefined} */
+  #factory;
+
+  /** @type {Promise<IDBDatabase> | null} */
+  #db = null;
+
+  /**
+   * @param {SnapshotStoreOptions} [options]
+   */
+  constructor(options = {}) {
+    this.#name = options.name ?? 'mrmd-js';
+    this.#factory = options.indexedDB ?? globalThis.indexedDB;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  #open() {
+    if (this.#db) return this.#db;
+
+    const factory = this.#factory;
+    if (!factory) {
+      return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+
+    const request = factory.open(this.#name, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex(NOTEBOOK_INDEX, 'notebook');
+    };
+    this.#db = settle(request);
+    this.#db.catch(() => {
+      this.#db = null;
+    });
+    return this.#db;
+  }
+
+  /**
+   * Run a request against the object store
+   * @template T
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest<T>} operation
+   * @returns {Promise<T>}
+   */
+  async #request(mode, operation) {
+    const db = await this.#open();
+    return settle(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  }
+
+  /**
+   * Store a snapshot, replacing one with the same ID
+   * @param {SessionSnapshot} snapshot
+   * @returns {Promise<string>} Snapshot ID
+   */
+  async save(snapshot) {
+    await this.#request('readwrite', (store) => store.put(snapshot));
+    return snapshot.id;
+  }
+
+  /**
+   * Load a snapshot
+   * @param {string} id
+   * @returns {Promise<SessionSnapshot | null>}
+   */
+  async load(id) {
+    return (await this.#request('readonly', (store) => store.get(id))) ?? null;
+  }
+
+  /**
+   * List stored snapshots, newest first
+   * @param {string} [notebook] - Only snapshots of this notebook
+   * @returns {Promise<SnapshotSummary[]>}
+   */
+  async list(notebook) {
+    /** @type {SessionSnapshot[]} */
+    const snapshots = await this.#request('readonly', (store) =>
+      notebook === undefined ? store.getAll() : store.index(NOTEBOOK_INDEX).getAll(notebook)
+    );
+    return snapshots
+      .map(summarizeSnapshot)
+      .sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.#request('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.#db?.then((db) => db.close()).catch(() => {});
+    this.#db = null;
+  }
+}
+
+/**
+ * Create a snapshot store
+ * @param {SnapshotStoreOptions} [options]
+ * @returns {SnapshotStore}
+ */
+export function createSnapshotStore(options) {
+  return new SnapshotStore(options);
+}
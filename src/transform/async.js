@@ -5,6 +5,12 @@
  * @module transform/async
  */
 
+import { parse, applyEdits } from './parse.js';
+
+/** Text before and after the cell code in {@link wrapWithLastExpression} */
+const WRAPPER_START = ';(async function () {\n';
+const WRAPPER_END = '\n})()';
+
 /**
  * Check if code contains top-level await
  * @param {string} code
@@ -104,30 +110,46 @@ ${code}
 /**
  * Wrap code and capture the last expression value
  *
+ * The code runs inline in an async function, so top-level `await` works,
+ * and a final expression statement becomes the return value. The code is
+ * placed on its own lines, after a single wrapper line.
+ *
  * @param {string} code - Source code
- * @returns {string} Wrapped code that returns last expression
+ * @returns {string} Wrapped code that evaluates to a promise of the last expression
+ *
+ * @example
+ * wrapWithLastExpression('const x = await load();\nx.length')
+ * // Returns: ';(async function () {\nconst x = await load();\nreturn (x.length);\n})()'
  */
 export function wrapWithLastExpression(code) {
-  const needsAsync = hasTopLevelAwait(code);
+  return applyEdits(code, getWrapperEdits(code));
+}
+
+/**
+ * Get the edits made by {@link wrapWithLastExpression}, for mapping
+ * positions in the wrapped code back to the cell
+ *
+ * @param {string} code - Source code
+ * @returns {Array<{ start: number, end: number, text: string }>} Edits for `applyEdits`
+ */
+export function getWrapperEdits(code) {
+  const edits = [{ start: 0, end: 0, text: WRAPPER_START }];
 
-  // Find the last expression and make it a return value
-  // This is tricky without AST - we use eval trick instead
-  const wrapped = `
-;(${needsAsync ? 'async ' : ''}function() {
-  let __result__;
   try {
-    __result__ = eval(${JSON.stringify(code)});
-  } catch (e) {
-    if (e instanceof SyntaxError) {
-      // Code might be statements, not expression
-      eval(${JSON.stringify(code)});
-      __result__ = undefined;
-    } else {
-      throw e;
+    const program = parse(code);
+    const last = program.body[program.body.length - 1];
+
+    if (last?.type === 'ExpressionStatement' && last.expression) {
+      const { start, end } = last.expression;
+      edits.push(
+        { start, end: start, text: 'return (' },
+        { start: end, end, text: last.semicolon ? ')' : ');' }
+      );
     }
+  } catch {
+    // Leave the code as is so the engine reports the syntax error
   }
-  return __result__;
-})()`;
 
-  return wrapped.trim();
+  edits.push({ start: code.length, end: code.length, text: WRAPPER_END });
+  return edits;
 }
@@ -1,251 +1,91 @@
 /**
  * Extract Transform
  *
- * Extracts declared variable names from code.
+ * Extracts declared, referenced and assigned variable names from code.
  * @module transform/extract
  */
 
+import { parse, getCellDeclarations, getPatternNames } from './parse.js';
+import { findFreeNames } from './scope.js';
+
 /**
- * Extract all variable names that will be declared by the code.
- * Handles var, let, const, function, and class declarations.
+ * Extract all variable names that will be declared in the session scope by
+ * the code: top-level var, let, const, function and class declarations, and
+ * `var` declarations in nested blocks. Block-scoped declarations and
+ * anything inside functions are not included.
  *
  * @param {string} code - Source code
- * @returns {string[]} Array of declared variable names
+ * @returns {string[]} Array of declared variable names (empty if the code does not parse)
  *
  * @example
- * extractDeclaredVariables('const x = 1; let { a, b } = obj; function foo() {}')
+ * extractDeclaredVariables('const x = 1; let { a, b } = obj; function foo() { let y; }')
  * // Returns: ['x', 'a', 'b', 'foo']
  */
 export function extractDeclaredVariables(code) {
-  const variables = new Set();
-
-  // Remove strings, comments to avoid false matches
-  const cleaned = removeStringsAndComments(code);
-
-  // Match var/let/const declarations
-  // Handles: const x = 1, let x = 1, var x = 1
-  // Handles: const { a, b } = obj, const [a, b] = arr
-  const varPattern = /\b(?:var|let|const)\s+([^=;]+?)(?:\s*=|\s*;|\s*$)/g;
-
-  let match;
-  while ((match = varPattern.exec(cleaned)) !== null) {
-    const declaration = match[1].trim();
-    extractNamesFromPattern(declaration, variables);
-  }
-
-  // Match function declarations
-  const funcPattern = /\bfunction\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
-  while ((match = funcPattern.exec(cleaned)) !== null) {
-    variables.add(match[1]);
-  }
-
-  // Match class declarations
-  const classPattern = /\bclass\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
-  while ((match = classPattern.exec(cleaned)) !== null) {
-    variables.add(match[1]);
-  }
-
-  return Array.from(variables);
-}
-
-/**
- * Extract variable names from a destructuring pattern or simple identifier
- * @param {string} pattern
- * @param {Set<string>} variables
- */
-function extractNamesFromPattern(pattern, variables) {
-  // Simple identifier
-  const simpleMatch = pattern.match(/^([a-zA-Z_$][a-zA-Z0-9_$]*)$/);
-  if (simpleMatch) {
-    variables.add(simpleMatch[1]);
-    return;
-  }
-
-  // Object destructuring { a, b: c, ...rest }
-  if (pattern.startsWith('{')) {
-    const inner = pattern.slice(1, -1);
-    // Split by comma, handling nested braces
-    const parts = splitByComma(inner);
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (!trimmed) continue;
-
-      // Handle rest: ...rest
-      if (trimmed.startsWith('...')) {
-        const name = trimmed.slice(3).trim();
-        if (isValidIdentifier(name)) {
-          variables.add(name);
-        }
-        continue;
-      }
-
-      // Handle rename: key: name or key: pattern
-      const colonIdx = trimmed.indexOf(':');
-      if (colonIdx !== -1) {
-        const value = trimmed.slice(colonIdx + 1).trim();
-        extractNamesFromPattern(value, variables);
-      } else {
-        // Simple: key (which is also the variable name)
-        const name = trimmed.split('=')[0].trim(); // Handle default values
-        if (isValidIdentifier(name)) {
-          variables.add(name);
-        }
-      }
-    }
-    return;
+  let program;
+  try {
+    program = parse(code);
+  } catch {
+    return [];
   }
 
-  // Array destructuring [a, b, ...rest]
-  if (pattern.startsWith('[')) {
-    const inner = pattern.slice(1, -1);
-    const parts = splitByComma(inner);
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (!trimmed) continue;
+  const variables = new Set();
 
-      // Handle rest: ...rest
-      if (trimmed.startsWith('...')) {
-        const name = trimmed.slice(3).trim();
-        if (isValidIdentifier(name)) {
+  for (const { node } of getCellDeclarations(program)) {
+    if (node.type === 'VariableDeclaration') {
+      for (const declarator of node.declarations) {
+        for (const name of getPatternNames(declarator.id)) {
           variables.add(name);
         }
-        continue;
       }
-
-      // Handle nested destructuring or simple name
-      const nameOrPattern = trimmed.split('=')[0].trim();
-      extractNamesFromPattern(nameOrPattern, variables);
+    } else if (node.id) {
+      variables.add(node.id.name);
     }
-    return;
   }
 
-  // Multiple declarations: a, b, c (from var a, b, c)
-  if (pattern.includes(',')) {
-    const parts = splitByComma(pattern);
-    for (const part of parts) {
-      const trimmed = part.trim().split('=')[0].trim();
-      if (isValidIdentifier(trimmed)) {
-        variables.add(trimmed);
-      }
-    }
-  }
+  return Array.from(variables);
 }
 
 /**
- * Split string by commas, respecting nested brackets
- * @param {string} str
- * @returns {string[]}
+ * Extract the free names the code reads: names it uses that are not bound
+ * in the code itself. Scopes are resolved, so the code's own declarations,
+ * function parameters and locals, keywords, property names and member
+ * names do not count.
+ *
+ * @param {string} code - Source code
+ * @returns {string[]} Referenced names in order of first use (empty if the
+ *   code does not tokenize)
+ *
+ * @example
+ * extractReferencedNames('const total = price * qty; console.log(`${total} ${obj.price}`)')
+ * // Returns: ['price', 'qty', 'console', 'obj']
  */
-function splitByComma(str) {
-  const parts = [];
-  let current = '';
-  let depth = 0;
-
-  for (const char of str) {
-    if ((char === '{' || char === '[' || char === '(')) {
-      depth++;
-      current += char;
-    } else if ((char === '}' || char === ']' || char === ')')) {
-      depth--;
-      current += char;
-    } else if (char === ',' && depth === 0) {
-      parts.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
+export function extractReferencedNames(code) {
+  try {
+    return findFreeNames(code).reads;
+  } catch {
+    return [];
   }
-
-  if (current) {
-    parts.push(current);
-  }
-
-  return parts;
 }
 
 /**
- * Check if string is a valid JavaScript identifier
- * @param {string} name
- * @returns {boolean}
- */
-function isValidIdentifier(name) {
-  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name);
-}
-
-/**
- * Remove strings and comments from code
- * @param {string} code
- * @returns {string}
+ * Extract the names the code assigns without declaring them (`x = 1`,
+ * `x += 1`, `x++`, destructuring and `for (x of ...)` targets). Assignments
+ * inside functions do not count, since they only happen if the function is
+ * called.
+ *
+ * @param {string} code - Source code
+ * @returns {string[]} Assigned names in order of first assignment (empty if
+ *   the code does not tokenize)
+ *
+ * @example
+ * extractAssignedNames('price = 20; [a, b] = pair; function f() { c = 1 }')
+ * // Returns: ['price', 'a', 'b']
  */
-function removeStringsAndComments(code) {
-  let result = '';
-  let i = 0;
-
-  while (i < code.length) {
-    // Single-line comment
-    if (code[i] === '/' && code[i + 1] === '/') {
-      while (i < code.length && code[i] !== '\n') i++;
-      continue;
-    }
-
-    // Multi-line comment
-    if (code[i] === '/' && code[i + 1] === '*') {
-      i += 2;
-      while (i < code.length && !(code[i] === '*' && code[i + 1] === '/')) i++;
-      i += 2;
-      continue;
-    }
-
-    // Template literal
-    if (code[i] === '`') {
-      result += ' ';
-      i++;
-      while (i < code.length) {
-        if (code[i] === '\\') {
-          i += 2;
-          continue;
-        }
-        if (code[i] === '`') {
-          i++;
-          break;
-        }
-        if (code[i] === '$' && code[i + 1] === '{') {
-          i += 2;
-          let depth = 1;
-          while (i < code.length && depth > 0) {
-            if (code[i] === '{') depth++;
-            else if (code[i] === '}') depth--;
-            i++;
-          }
-          continue;
-        }
-        i++;
-      }
-      continue;
-    }
-
-    // String
-    if (code[i] === '"' || code[i] === "'") {
-      const quote = code[i];
-      result += ' ';
-      i++;
-      while (i < code.length) {
-        if (code[i] === '\\') {
-          i += 2;
-          continue;
-        }
-        if (code[i] === quote) {
-          i++;
-          break;
-        }
-        i++;
-      }
-      continue;
-    }
-
-    result += code[i];
-    i++;
+export function extractAssignedNames(code) {
+  try {
+    return findFreeNames(code).assigns;
+  } catch {
+    return [];
   }
-
-  return result;
 }
@@ -0,0 +1,70 @@
+/**
+ * History Transform
+ *
+ * IPython-style output history inside the context: `In[n]` holds the
+ * source of cell n, `Out[n]` its result, and `_`, `__`, `___` the last
+ * three results. Cells that evaluate to `undefined` produce no output.
+ *
+ * Like IPython, the `_` names are left alone once user code assigns one of
+ * them (e.g. `import _ from 'lodash'`).
+ *
+ * @module transform/history
+ */
+
+/**
+ * @typedef {Object} HistoryOptions
+ * @property {number} executionCount - Execution count of the cell
+ * @property {string} source - Cell source as written, stored in `In`
+ */
+
+/** Globals maintained by the history code */
+export const HISTORY_GLOBALS = ['In', 'Out', '_', '__', '___'];
+
+/** Global symbol key holding the last three outputs, to detect user-assigned `_` names */
+export const OUTPUTS_KEY = 'mrmd.outputs';
+
+/**
+ * Wrap code that evaluates to a promise of the cell result so the cell is
+ * recorded in `In`/`Out` and the `_` names
+ *
+ * @param {string} code - Wrapped cell code (see wrapWithLastExpression)
+ * @param {HistoryOptions} options
+ * @returns {string}
+ *
+ * @example
+ * wrapWithHistory(';(async function () {\n1 + 1\n})()', { executionCount: 3, source: '1 + 1' })
+ * // Returns: 'void ((globalThis.In ??= [""])[3] = "1 + 1");;(async function () {...})().then(...)'
+ */
+export function wrapWithHistory(code, options) {
+  const [prefix, suffix] = getHistoryEdits(code, options);
+  return prefix.text + code + suffix.text;
+}
+
+/**
+ * Get the edits made by {@link wrapWithHistory}, for mapping positions in
+ * the wrapped code back to the cell
+ *
+ * @param {string} code
+ * @param {HistoryOptions} options
+ * @returns {Array<{ start: number, end: number, text: string }>} Edits for `applyEdits`
+ */
+export function getHistoryEdits(code, { executionCount, source }) {
+  const count = Number(executionCount);
+  const outputs = `Symbol.for(${JSON.stringify(OUTPUTS_KEY)})`;
+
+  // Kept on one line each so the cell lines keep their numbers
+  const recordInput = `void ((globalThis.In ??= [""])[${count}] = ${JSON.stringify(source)});`;
+  const recordOutput =
+    '.then((value) => { if (value !== undefined) { ' +
+    `const g = globalThis, outputs = (g[${outputs}] ??= []); ` +
+    "const own = ['_', '__', '___'].every((name, i) => !(name in g) || g[name] === outputs[i]); " +
+    `(g.Out ??= {})[${count}] = value; ` +
+    'outputs.unshift(value); outputs.length = 3; ' +
+    'if (own) [g._, g.__, g.___] = outputs; ' +
+    '} return value; })';
+
+  return [
+    { start: 0, end: 0, text: recordInput },
+    { start: code.length, end: code.length, text: recordOutput },
+  ];
+}
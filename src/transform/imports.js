@@ -0,0 +1,317 @@
+/**
+ * Import Transform
+ *
+ * Static `import` declarations are only valid in modules, but cells run as
+ * scripts. This transform pulls top-level imports out of a cell and turns
+ * them into a loader that uses dynamic `import()` and stores the bindings
+ * on the global scope, so they persist like other declarations.
+ *
+ * @module transform/imports
+ */
+
+/**
+ * Import map, in the same shape as a browser `<script type="importmap">`
+ * @typedef {Object} ImportMap
+ * @property {Record<string, string>} [imports] - Specifier → URL. Keys ending
+ *   in "/" map every specifier that starts with them.
+ */
+
+/**
+ * A binding introduced by an import declaration
+ * @typedef {Object} ImportBinding
+ * @property {string} imported - Export name ('default' or '*' for namespace)
+ * @property {string} local - Local variable name
+ */
+
+/**
+ * A parsed top-level import declaration
+ * @typedef {Object} ImportDeclaration
+ * @property {string} source - Module specifier as written
+ * @property {ImportBinding[]} bindings - Imported bindings (empty for side-effect imports)
+ * @property {string} [attributes] - Import attributes source, e.g. `{ type: 'json' }`
+ * @property {number} [start] - Start offset of the declaration in the cell
+ * @property {number} [end] - End offset of the declaration in the cell
+ */
+
+/**
+ * Result of extracting imports from a cell
+ * @typedef {Object} ExtractedImports
+ * @property {string} code - Code with import declarations removed (line numbers preserved)
+ * @property {ImportDeclaration[]} imports - Removed declarations, in source order
+ * @property {Array<{ start: number, end: number, text: string }>} edits - Edits
+ *   that turn the original code into `code`, for mapping positions back
+ */
+
+const IMPORT_STATEMENT =
+  /import\s*(?:([a-zA-Z_$][a-zA-Z0-9_$]*)\s*,?\s*)?(?:\*\s*as\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*|\{([^}]*)\}\s*)?(?:from\s*)?(['"])((?:[^'"\\\n]|\\.)*?)\4(?:\s*(?:with|assert)\s*(\{[^}]*\}))?[ \t]*;?/y;
+
+/**
+ * Remove top-level static import declarations from code.
+ *
+ * Dynamic `import()` calls and `import.meta` are left untouched.
+ *
+ * @param {string} code - Source code
+ * @returns {ExtractedImports}
+ *
+ * @example
+ * extractImports('import { a as b } from "./util.js";\nb()')
+ * // Returns: { code: '\nb()', imports: [{ source: './util.js', bindings: [{ imported: 'a', local: 'b' }], start: 0, end: 35 }], edits: [...] }
+ */
+export function extractImports(code) {
+  /** @type {ImportDeclaration[]} */
+  const imports = [];
+  /** @type {ExtractedImports['edits']} */
+  const edits = [];
+  let result = '';
+  let depth = 0;
+  let i = 0;
+  const len = code.length;
+
+  while (i < len) {
+    const char = code[i];
+
+    // Comments
+    if (char === '/' && code[i + 1] === '/') {
+      const start = i;
+      while (i < len && code[i] !== '\n') i++;
+      result += code.slice(start, i);
+      continue;
+    }
+    if (char === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      const stop = end === -1 ? len : end + 2;
+      result += code.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // Strings and template literals
+    if (char === '"' || char === "'" || char === '`') {
+      const stop = skipQuoted(code, i);
+      result += code.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (char === '{' || char === '(' || char === '[') depth++;
+    else if (char === '}' || char === ')' || char === ']') depth = Math.max(0, depth - 1);
+
+    if (depth === 0 && char === 'i' && isImportStatement(code, i)) {
+      IMPORT_STATEMENT.lastIndex = i;
+      const match = IMPORT_STATEMENT.exec(code);
+      if (match) {
+        const end = i + match[0].length;
+        imports.push({ ...toDeclaration(match), start: i, end });
+        // Keep line numbers stable for error reporting
+        const text = match[0].replace(/[^\n]/g, '');
+        edits.push({ start: i, end, text });
+        result += text;
+        i = end;
+        continue;
+      }
+    }
+
+    result += char;
+    i++;
+  }
+
+  return { code: result, imports, edits };
+}
+
+/**
+ * Get the local names bound by import declarations
+ * @param {ImportDeclaration[]} imports
+ * @returns {string[]}
+ */
+export function getImportedNames(imports) {
+  const names = new Set();
+  for (const declaration of imports) {
+    for (const binding of declaration.bindings) {
+      names.add(binding.local);
+    }
+  }
+  return Array.from(names);
+}
+
+/**
+ * Resolve a module specifier through an import map.
+ *
+ * Exact matches win over prefix ("lodash/") matches, and longer prefixes
+ * win over shorter ones. Relative specifiers are resolved against the
+ * document base URL when there is one, so they also work from contexts
+ * with an opaque base (blob workers).
+ *
+ * @param {string} specifier
+ * @param {ImportMap} [importMap]
+ * @returns {string}
+ */
+export function resolveImportSpecifier(specifier, importMap) {
+  const imports = importMap?.imports ?? {};
+
+  if (Object.prototype.hasOwnProperty.call(imports, specifier)) {
+    return imports[specifier];
+  }
+
+  let bestPrefix = '';
+  for (const key of Object.keys(imports)) {
+    if (key.endsWith('/') && specifier.startsWith(key) && key.length > bestPrefix.length) {
+      bestPrefix = key;
+    }
+  }
+  if (bestPrefix) {
+    return imports[bestPrefix] + specifier.slice(bestPrefix.length);
+  }
+
+  if (/^\.{0,2}\//.test(specifier)) {
+    const base =
+      typeof document !== 'undefined' ? document.baseURI : globalThis.location?.href;
+    if (base) {
+      try {
+        return new URL(specifier, base).href;
+      } catch {
+        // Fall through with the specifier unchanged
+      }
+    }
+  }
+
+  return specifier;
+}
+
+/**
+ * Create code that loads the given imports and assigns their bindings
+ * to the global scope. The code evaluates to a promise.
+ *
+ * @param {ImportDeclaration[]} imports
+ * @param {ImportMap} [importMap]
+ * @returns {string}
+ *
+ * @example
+ * createImportLoader([{ source: 'lodash', bindings: [{ imported: 'default', local: '_' }] }])
+ * // (async () => { const __mrmd_import_0__ = await import("lodash"); ... })()
+ */
+export function createImportLoader(imports, importMap) {
+  const lines = imports.map((declaration, index) => {
+    const module = `__mrmd_import_${index}__`;
+    const url = JSON.stringify(resolveImportSpecifier(declaration.source, importMap));
+    const args = declaration.attributes ? `${url}, { with: ${declaration.attributes} }` : url;
+    const statements = [`const ${module} = await import(${args});`];
+
+    for (const { imported, local } of declaration.bindings) {
+      if (imported === '*') {
+        statements.push(`globalThis.${local} = ${module};`);
+        continue;
+      }
+
+      const key = JSON.stringify(imported);
+      const message = JSON.stringify(
+        `The requested module '${declaration.source}' does not provide an export named '${imported}'`
+      );
+      statements.push(
+        `if (!(${key} in ${module})) throw new SyntaxError(${message});`,
+        `globalThis.${local} = ${module}[${key}];`
+      );
+    }
+
+    return statements.map((statement) => `  ${statement}`).join('\n');
+  });
+
+  return `(async () => {\n${lines.join('\n')}\n})()`;
+}
+
+/**
+ * Check whether the `import` keyword at a position starts a static import
+ * declaration (as opposed to `import(...)`, `import.meta` or `foo.import`)
+ * @param {string} code
+ * @param {number} pos
+ * @returns {boolean}
+ */
+function isImportStatement(code, pos) {
+  if (code.slice(pos, pos + 6) !== 'import') return false;
+
+  let before = pos - 1;
+  while (before >= 0 && /[ \t]/.test(code[before])) before--;
+  if (before >= 0 && /[a-zA-Z0-9_$.]/.test(code[before])) return false;
+
+  const after = code[pos + 6];
+  if (after === undefined || /[a-zA-Z0-9_$]/.test(after)) return false;
+
+  const next = code.slice(pos + 6).match(/^\s*(\S)/);
+  return next !== null && next[1] !== '(' && next[1] !== '.';
+}
+
+/**
+ * Skip a string or template literal starting at `start`
+ * @param {string} code
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index after the closing quote
+ */
+function skipQuoted(code, start) {
+  const quote = code[start];
+  let i = start + 1;
+
+  while (i < code.length) {
+    const char = code[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === quote) return i + 1;
+    if (quote === '`' && char === '$' && code[i + 1] === '{') {
+      // Skip the substitution, including nested strings
+      i += 2;
+      let depth = 1;
+      while (i < code.length && depth > 0) {
+        if (code[i] === '"' || code[i] === "'" || code[i] === '`') {
+          i = skipQuoted(code, i);
+          continue;
+        }
+        if (code[i] === '{') depth++;
+        else if (code[i] === '}') depth--;
+        i++;
+      }
+      continue;
+    }
+    if (quote !== '`' && char === '\n') return i;
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Convert an import statement match to a declaration
+ * @param {RegExpExecArray} match
+ * @returns {ImportDeclaration}
+ */
+function toDeclaration(match) {
+  const [, defaultName, namespaceName, named, , source, attributes] = match;
+
+  /** @type {ImportBinding[]} */
+  const bindings = [];
+  if (defaultName) {
+    bindings.push({ imported: 'default', local: defaultName });
+  }
+  if (namespaceName) {
+    bindings.push({ imported: '*', local: namespaceName });
+  }
+  if (named !== undefined) {
+    for (const part of named.split(',')) {
+      const specifier = part.trim();
+      if (!specifier) continue;
+
+      const alias = specifier.match(/^(['"]?)(.+?)\1\s+as\s+([a-zA-Z_$][a-zA-Z0-9_$]*)$/);
+      if (alias) {
+        bindings.push({ imported: alias[2], local: alias[3] });
+      } else {
+        bindings.push({ imported: specifier, local: specifier });
+      }
+    }
+  }
+
+  /** @type {ImportDeclaration} */
+  const declaration = { source, bindings };
+  if (attributes) {
+    declaration.attributes = attributes;
+  }
+  return declaration;
+}
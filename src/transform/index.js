@@ -5,6 +5,14 @@
  * @module transform
  */
 
-export { transformForPersistence } from './persistence.js';
-export { wrapForAsync, wrapWithLastExpression } from './async.js';
-export { extractDeclaredVariables } from './extract.js';
+export { transformForPersistence, getPersistenceEdits } from './persistence.js';
+export { wrapForAsync, wrapWithLastExpression, getWrapperEdits } from './async.js';
+export { extractDeclaredVariables, extractReferencedNames, extractAssignedNames } from './extract.js';
+export { wrapWithHistory, getHistoryEdits, HISTORY_GLOBALS } from './history.js';
+export {
+  extractImports,
+  getImportedNames,
+  resolveImportSpecifier,
+  createImportLoader,
+} from './imports.js';
+export { CellSourceMap } from './source-map.js';
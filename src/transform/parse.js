@@ -0,0 +1,1327 @@
+/**
+ * Cell Parser
+ *
+ * A small JavaScript parser for the cell transforms. It tokenizes the whole
+ * cell (strings, templates, regexes and comments included) and parses the
+ * statement structure, but keeps expressions and function bodies as opaque
+ * source ranges: the transforms only need to know where declarations, their
+ * binding patterns and expression statements are.
+ *
+ * Node shapes follow ESTree where they overlap, with `start`/`end` offsets
+ * into the source.
+ *
+ * @module transform/parse
+ */
+
+/**
+ * @typedef {'name' | 'number' | 'string' | 'template' | 'regex' | 'private' | 'punct'} TokenType
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {TokenType} type - Token type
+ * @property {string} value - Source text of the token
+ * @property {number} start - Start offset
+ * @property {number} end - End offset
+ * @property {boolean} newlineBefore - Whether a line break precedes the token
+ * @property {Token[][]} [expressions] - Tokens of each `${}` substitution (templates)
+ */
+
+/**
+ * Opaque expression source range
+ * @typedef {Object} ExpressionNode
+ * @property {'Expression'} type
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} Identifier
+ * @property {'Identifier'} type
+ * @property {string} name
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Identifier | ObjectPattern | ArrayPattern | AssignmentPattern | RestElement} Pattern
+ */
+
+/**
+ * @typedef {Object} ObjectPattern
+ * @property {'ObjectPattern'} type
+ * @property {Array<PatternProperty | RestElement>} properties
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} PatternProperty
+ * @property {'Property'} type
+ * @property {ExpressionNode} key - Key source range (brackets included when computed)
+ * @property {boolean} shorthand - `{ a }` or `{ a = 1 }`
+ * @property {Pattern} value
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} ArrayPattern
+ * @property {'ArrayPattern'} type
+ * @property {Array<Pattern | null>} elements
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} AssignmentPattern
+ * @property {'AssignmentPattern'} type
+ * @property {Pattern} left
+ * @property {ExpressionNode} right - Default value
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} RestElement
+ * @property {'RestElement'} type
+ * @property {Pattern} argument
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} VariableDeclarator
+ * @property {'VariableDeclarator'} type
+ * @property {Pattern} id
+ * @property {ExpressionNode | null} init
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} VariableDeclaration
+ * @property {'VariableDeclaration'} type
+ * @property {'var' | 'let' | 'const'} kind
+ * @property {VariableDeclarator[]} declarations
+ * @property {boolean} semicolon - Whether the statement ends with an explicit `;`
+ * @property {number} start
+ * @property {number} end - End of the statement (after `;` when present)
+ */
+
+/**
+ * @typedef {Object} Statement
+ * @property {string} type - ESTree statement type
+ * @property {number} start
+ * @property {number} end
+ * @property {Identifier} [id] - Function and class declarations
+ * @property {ExpressionNode} [expression] - Expression statements
+ * @property {boolean} [semicolon] - Expression statements and declarations
+ * @property {Statement[]} [body] - Blocks; for other statements, see `children`
+ * @property {Array<Statement | VariableDeclaration>} [children] - Nested statements
+ *   (not including function bodies) in source order
+ * @property {VariableDeclaration | null} [head] - Declaration in a `for (...)` header
+ */
+
+/**
+ * @typedef {Object} Program
+ * @property {'Program'} type
+ * @property {Statement[]} body
+ * @property {number} start
+ * @property {number} end
+ */
+
+// Keywords after which a `/` starts a regular expression
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await', 'extends',
+]);
+
+// Names that cannot end an expression (they expect an operand or a body)
+const OPERATOR_KEYWORDS = new Set([
+  'new', 'typeof', 'void', 'delete', 'await', 'yield', 'in', 'instanceof',
+  'return', 'throw', 'case', 'else', 'extends', 'do',
+]);
+
+// Names that may be followed directly by an operand (`async x => x`,
+// `function f`, `for (x of y)`, `get x() {}`)
+const PREFIX_NAMES = new Set([
+  'async', 'function', 'class', 'get', 'set', 'static', 'of', 'let',
+]);
+
+// Keywords that join two operands
+const BINARY_KEYWORDS = new Set(['in', 'instanceof', 'of', 'extends']);
+
+// Punctuators that continue an expression on the next line (no ASI before them)
+const CONTINUATION_PUNCTUATORS = new Set([
+  '.', '?.', '(', '[', ',', '?', '=>',
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+  '&=', '|=', '^=', '&&=', '||=', '??=',
+  '+', '-', '*', '/', '%', '**', '<', '>', '<=', '>=', '==', '!=', '===', '!==',
+  '&', '|', '^', '&&', '||', '??', '<<', '>>', '>>>',
+]);
+
+// Closing bracket → opening bracket
+const OPENING_BRACKETS = /** @type {Record<string, string>} */ ({ ')': '(', ']': '[', '}': '{' });
+
+// Punctuators, longest first
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/',
+  '%', '&', '|', '^', '!', '~', '?', ':', '=', '.', '@',
+];
+
+const IDENTIFIER =
+  /(?:[\p{ID_Start}$_]|\\u[0-9a-fA-F]{4}|\\u\{[0-9a-fA-F]+\})(?:[\p{ID_Continue}$\u200c\u200d]|\\u[0-9a-fA-F]{4}|\\u\{[0-9a-fA-F]+\})*/uy;
+const NUMBER =
+  /(?:0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?/y;
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+const WHITESPACE = /[ \t\v\f\u00a0\u1680\u2000-\u200a\u202f\u205f\u3000\ufeff]/;
+
+/**
+ * Split code into tokens, skipping whitespace and comments
+ * @param {string} code
+ * @returns {Token[]}
+ * @throws {SyntaxError} On unterminated strings, templates, regexes or comments
+ */
+export function tokenize(code) {
+  return new Tokenizer(code).tokenize();
+}
+
+/**
+ * Parse a cell into a Program
+ * @param {string} code
+ * @returns {Program}
+ * @throws {SyntaxError} If the code cannot be parsed
+ */
+export function parse(code) {
+  return new Parser(code, tokenize(code)).parseProgram();
+}
+
+/**
+ * Get the names bound by a pattern, in source order
+ * @param {Pattern | null} pattern
+ * @param {string[]} [names]
+ * @returns {string[]}
+ */
+export function getPatternNames(pattern, names = []) {
+  if (!pattern) return names;
+
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        getPatternNames(property.type === 'RestElement' ? property : property.value, names);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) {
+        getPatternNames(element, names);
+      }
+      break;
+    case 'AssignmentPattern':
+      getPatternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      getPatternNames(pattern.argument, names);
+      break;
+  }
+
+  return names;
+}
+
+/**
+ * @typedef {Object} CellDeclaration
+ * @property {VariableDeclaration | Statement} node - Declaration node
+ * @property {boolean} topLevel - Declared directly in the cell (not in a nested statement)
+ * @property {string | null} forHead - Type of the `for` statement whose header
+ *   holds the declaration (ForStatement, ForInStatement, ForOfStatement)
+ */
+
+/**
+ * Find the declarations that bind in the cell scope: every top-level
+ * declaration, plus `var` declarations in nested statements (they are
+ * function-scoped). Function bodies are not searched.
+ *
+ * @param {Program} program
+ * @returns {CellDeclaration[]}
+ */
+export function getCellDeclarations(program) {
+  /** @type {CellDeclaration[]} */
+  const declarations = [];
+
+  /**
+   * @param {Statement | VariableDeclaration} node
+   * @param {boolean} topLevel
+   * @param {string | null} forHead
+   */
+  const visit = (node, topLevel, forHead) => {
+    if (node.type === 'VariableDeclaration') {
+      if (topLevel || node.kind === 'var') {
+        declarations.push({ node, topLevel, forHead });
+      }
+      return;
+    }
+
+    if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') {
+      if (topLevel) declarations.push({ node, topLevel, forHead: null });
+      return;
+    }
+
+    for (const child of node.children ?? []) {
+      visit(child, false, child === node.head ? node.type : null);
+    }
+  };
+
+  for (const statement of program.body) {
+    visit(statement, true, null);
+  }
+
+  return declarations;
+}
+
+/**
+ * Apply text edits to code. Edits are `{ start, end, text }` ranges of the
+ * original code; insertions at the same offset keep their order.
+ *
+ * @param {string} code
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ * @returns {string}
+ */
+export function applyEdits(code, edits) {
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => a.start - b.start || a.end - b.end || a.index - b.index);
+
+  let result = '';
+  let pos = 0;
+  for (const edit of sorted) {
+    result += code.slice(pos, edit.start) + edit.text;
+    pos = Math.max(pos, edit.end);
+  }
+  return result + code.slice(pos);
+}
+
+/**
+ * Map an offset in edited code back to the code the edits were applied to.
+ * Offsets inside inserted text map to the position of the insertion.
+ *
+ * @param {Array<{ start: number, end: number, text: string }>} edits - Edits passed to {@link applyEdits}
+ * @param {number} offset - Offset in the edited code
+ * @returns {{ offset: number, inserted: boolean }} Original offset, and whether
+ *   the edited offset falls in text added by an edit
+ */
+export function mapEditedOffset(edits, offset) {
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => a.start - b.start || a.end - b.end || a.index - b.index);
+
+  let pos = 0;
+  let generated = 0;
+  for (const edit of sorted) {
+    const kept = Math.max(0, edit.start - pos);
+    if (offset < generated + kept) {
+      return { offset: pos + (offset - generated), inserted: false };
+    }
+    generated += kept;
+    if (offset < generated + edit.text.length) {
+      return { offset: Math.max(pos, edit.start), inserted: true };
+    }
+    generated += edit.text.length;
+    pos = Math.max(pos, edit.end);
+  }
+  return { offset: pos + (offset - generated), inserted: false };
+}
+
+/**
+ * Find the first syntax error in a cell.
+ *
+ * Parses in a stricter mode than the transforms use, which also reports
+ * adjacent operands (`a b`), mismatched brackets and `const` without an
+ * initializer. Only meant to locate errors that the engine reports without
+ * a position; the engine's message stays authoritative.
+ *
+ * @param {string} code
+ * @returns {{ message: string, offset: number } | null}
+ */
+export function findSyntaxError(code) {
+  try {
+    new Parser(code, tokenize(code), { diagnose: true }).parseProgram();
+    return null;
+  } catch (error) {
+    const { message, pos } = /** @type {SyntaxError & { pos?: number }} */ (error);
+    return { message, offset: pos ?? code.length };
+  }
+}
+
+/**
+ * Tokenizer
+ */
+class Tokenizer {
+  /** @type {string} */
+  #code;
+
+  /** @type {number} */
+  #pos = 0;
+
+  /** @type {boolean} */
+  #newline = false;
+
+  /**
+   * @param {string} code
+   */
+  constructor(code) {
+    this.#code = code;
+  }
+
+  /**
+   * @returns {Token[]}
+   */
+  tokenize() {
+    /** @type {Token[]} */
+    const tokens = [];
+
+    // Hashbang
+    if (this.#code.startsWith('#!')) {
+      while (this.#pos < this.#code.length && !LINE_TERMINATOR.test(this.#code[this.#pos])) {
+        this.#pos++;
+      }
+    }
+
+    let token;
+    while ((token = this.#readToken(tokens[tokens.length - 1] ?? null))) {
+      tokens.push(token);
+    }
+    return tokens;
+  }
+
+  /**
+   * Skip whitespace and comments, recording line breaks
+   */
+  #skipSpace() {
+    const code = this.#code;
+
+    while (this.#pos < code.length) {
+      const char = code[this.#pos];
+
+      if (LINE_TERMINATOR.test(char)) {
+        this.#newline = true;
+        this.#pos++;
+      } else if (WHITESPACE.test(char)) {
+        this.#pos++;
+      } else if (char === '/' && code[this.#pos + 1] === '/') {
+        while (this.#pos < code.length && !LINE_TERMINATOR.test(code[this.#pos])) {
+          this.#pos++;
+        }
+      } else if (char === '/' && code[this.#pos + 1] === '*') {
+        const end = code.indexOf('*/', this.#pos + 2);
+        if (end === -1) throw syntaxError('Unterminated comment', this.#pos);
+        if (LINE_TERMINATOR.test(code.slice(this.#pos, end))) this.#newline = true;
+        this.#pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next token
+   * @param {Token | null} prev - Previous token, to tell regexes from division
+   * @returns {Token | null}
+   */
+  #readToken(prev) {
+    this.#newline = false;
+    this.#skipSpace();
+
+    const code = this.#code;
+    const start = this.#pos;
+    if (start >= code.length) return null;
+
+    const char = code[start];
+    /** @type {TokenType} */
+    let type;
+    /** @type {Token[][] | undefined} */
+    let expressions;
+
+    const nameStart = char === '#' ? start + 1 : start;
+    IDENTIFIER.lastIndex = nameStart;
+
+    if (IDENTIFIER.test(code)) {
+      type = nameStart === start ? 'name' : 'private';
+      this.#pos = IDENTIFIER.lastIndex;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(code[start + 1] ?? ''))) {
+      NUMBER.lastIndex = start;
+      NUMBER.test(code);
+      type = 'number';
+      this.#pos = NUMBER.lastIndex;
+    } else if (char === '"' || char === "'") {
+      type = 'string';
+      this.#readString(char);
+    } else if (char === '`') {
+      type = 'template';
+      expressions = this.#readTemplate();
+    } else if (char === '/' && regexAllowed(prev)) {
+      type = 'regex';
+      this.#readRegex();
+    } else {
+      const punct = PUNCTUATORS.find((p) => code.startsWith(p, start));
+      if (!punct) throw syntaxError(`Unexpected character '${char}'`, start);
+      // `a?.5:b` is a conditional, not optional chaining
+      type = 'punct';
+      this.#pos += punct === '?.' && /[0-9]/.test(code[start + 2] ?? '') ? 1 : punct.length;
+    }
+
+    /** @type {Token} */
+    const token = {
+      type,
+      value: code.slice(start, this.#pos),
+      start,
+      end: this.#pos,
+      newlineBefore: this.#newline,
+    };
+    if (expressions) token.expressions = expressions;
+    return token;
+  }
+
+  /**
+   * @param {string} quote
+   */
+  #readString(quote) {
+    const code = this.#code;
+    const start = this.#pos++;
+
+    while (this.#pos < code.length) {
+      const char = code[this.#pos];
+      if (char === '\\') {
+        this.#pos += code[this.#pos + 1] === '\r' && code[this.#pos + 2] === '\n' ? 3 : 2;
+        continue;
+      }
+      if (char === quote) {
+        this.#pos++;
+        return;
+      }
+      if (char === '\n' || char === '\r') break;
+      this.#pos++;
+    }
+
+    throw syntaxError('Unterminated string constant', start);
+  }
+
+  /**
+   * @returns {Token[][]} Tokens of each substitution
+   */
+  #readTemplate() {
+    const code = this.#code;
+    const start = this.#pos++;
+    /** @type {Token[][]} */
+    const expressions = [];
+
+    while (this.#pos < code.length) {
+      const char = code[this.#pos];
+      if (char === '\\') {
+        this.#pos += 2;
+        continue;
+      }
+      if (char === '`') {
+        this.#pos++;
+        return expressions;
+      }
+      if (char === '$' && code[this.#pos + 1] === '{') {
+        this.#pos += 2;
+        expressions.push(this.#readSubstitution());
+        continue;
+      }
+      this.#pos++;
+    }
+
+    throw syntaxError('Unterminated template', start);
+  }
+
+  /**
+   * Read tokens up to the `}` closing a template substitution
+   * @returns {Token[]} Tokens before the closing `}`
+   */
+  #readSubstitution() {
+    let depth = 0;
+    /** @type {Token | null} */
+    let prev = null;
+    /** @type {Token[]} */
+    const tokens = [];
+
+    while (true) {
+      const token = this.#readToken(prev);
+      if (!token) throw syntaxError('Unterminated template', this.#code.length);
+      if (token.type === 'punct') {
+        if (token.value === '{') depth++;
+        else if (token.value === '}' && depth-- === 0) return tokens;
+      }
+      tokens.push(token);
+      prev = token;
+    }
+  }
+
+  #readRegex() {
+    const code = this.#code;
+    let inClass = false;
+    const start = this.#pos++;
+
+    while (this.#pos < code.length) {
+      const char = code[this.#pos];
+      if (LINE_TERMINATOR.test(char)) break;
+      if (char === '\\') {
+        this.#pos += 2;
+        continue;
+      }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) {
+        this.#pos++;
+        while (this.#pos < code.length && /[a-zA-Z]/.test(code[this.#pos])) this.#pos++;
+        return;
+      }
+      this.#pos++;
+    }
+
+    throw syntaxError('Unterminated regular expression', start);
+  }
+}
+
+/**
+ * Create a syntax error at a source offset
+ * @param {string} message
+ * @param {number} pos
+ * @returns {SyntaxError & { pos: number }}
+ */
+function syntaxError(message, pos) {
+  const error = /** @type {SyntaxError & { pos: number }} */ (new SyntaxError(message));
+  error.pos = pos;
+  return error;
+}
+
+/**
+ * Whether a token can start an operand, for detecting `a b` in diagnose mode
+ * @param {Token} token
+ * @returns {boolean}
+ */
+function startsOperand(token) {
+  if (token.type === 'name') return !BINARY_KEYWORDS.has(token.value);
+  return token.type === 'number' || token.type === 'string' || token.type === 'regex';
+}
+
+/**
+ * Whether a `/` after this token starts a regular expression
+ * @param {Token | null} prev
+ * @returns {boolean}
+ */
+function regexAllowed(prev) {
+  if (!prev) return true;
+  if (prev.type === 'name') return REGEX_AFTER_KEYWORDS.has(prev.value);
+  if (prev.type === 'punct') return ![')', ']', '++', '--'].includes(prev.value);
+  return false;
+}
+
+/**
+ * Whether an expression can end with this token
+ * @param {Token} token
+ * @returns {boolean}
+ */
+export function endsExpression(token) {
+  if (token.type === 'name') return !OPERATOR_KEYWORDS.has(token.value);
+  if (token.type === 'punct') return [')', ']', '}', '++', '--'].includes(token.value);
+  return true;
+}
+
+/**
+ * Whether a token at the start of a line continues the previous expression
+ * @param {Token} token
+ * @returns {boolean}
+ */
+export function continuesExpression(token) {
+  if (token.type === 'template') return true;
+  if (token.type === 'name') return token.value === 'in' || token.value === 'instanceof';
+  return token.type === 'punct' && CONTINUATION_PUNCTUATORS.has(token.value);
+}
+
+/**
+ * Statement parser over a token list
+ */
+class Parser {
+  /** @type {string} */
+  #code;
+
+  /** @type {Token[]} */
+  #tokens;
+
+  /** @type {number} */
+  #index = 0;
+
+  /** @type {boolean} */
+  #diagnose;
+
+  /**
+   * @param {string} code
+   * @param {Token[]} tokens
+   * @param {{ diagnose?: boolean }} [options] - `diagnose` enables checks
+   *   that the transforms leave to the engine
+   */
+  constructor(code, tokens, { diagnose = false } = {}) {
+    this.#code = code;
+    this.#tokens = tokens;
+    this.#diagnose = diagnose;
+  }
+
+  /**
+   * @returns {Program}
+   */
+  parseProgram() {
+    const body = [];
+    while (this.#peek()) {
+      body.push(this.#parseStatement());
+    }
+    return { type: 'Program', body, start: 0, end: this.#code.length };
+  }
+
+  // ============================================================================
+  // Token helpers
+  // ============================================================================
+
+  /**
+   * @param {number} [offset=0]
+   * @returns {Token | undefined}
+   */
+  #peek(offset = 0) {
+    return this.#tokens[this.#index + offset];
+  }
+
+  /**
+   * @returns {Token}
+   */
+  #next() {
+    const token = this.#tokens[this.#index++];
+    if (!token) throw syntaxError('Unexpected end of input', this.#code.length);
+    return token;
+  }
+
+  /**
+   * @param {string} value
+   * @param {number} [offset=0]
+   * @returns {boolean}
+   */
+  #is(value, offset = 0) {
+    const token = this.#peek(offset);
+    return token !== undefined && (token.type === 'punct' || token.type === 'name') && token.value === value;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {Token}
+   */
+  #expect(value) {
+    const token = this.#next();
+    if (token.value !== value || (token.type !== 'punct' && token.type !== 'name')) {
+      throw syntaxError(`Unexpected token '${token.value}', expected '${value}'`, token.start);
+    }
+    return token;
+  }
+
+  /**
+   * End offset of the last consumed token
+   * @returns {number}
+   */
+  #lastEnd() {
+    return this.#tokens[this.#index - 1]?.end ?? 0;
+  }
+
+  /**
+   * Consume an optional `;`
+   * @returns {boolean} Whether a semicolon was consumed
+   */
+  #semicolon() {
+    if (this.#is(';')) {
+      this.#index++;
+      return true;
+    }
+    return false;
+  }
+
+  // ============================================================================
+  // Statements
+  // ============================================================================
+
+  /**
+   * @returns {Statement | VariableDeclaration}
+   */
+  #parseStatement() {
+    const token = /** @type {Token} */ (this.#peek());
+    const start = token.start;
+
+    if (token.type === 'punct') {
+      if (token.value === ';') {
+        this.#index++;
+        return { type: 'EmptyStatement', start, end: token.end };
+      }
+      if (token.value === '{') {
+        return this.#parseBlock();
+      }
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'var':
+        case 'const':
+          return this.#parseVariableStatement();
+        case 'let':
+          if (this.#startsLetDeclaration()) return this.#parseVariableStatement();
+          break;
+        case 'function':
+          return this.#parseFunctionDeclaration();
+        case 'async':
+          if (this.#is('function', 1) && !this.#peek(1)?.newlineBefore) {
+            return this.#parseFunctionDeclaration();
+          }
+          break;
+        case 'class':
+          return this.#parseClassDeclaration();
+        case 'if':
+          return this.#parseIf();
+        case 'for':
+          return this.#parseFor();
+        case 'while':
+        case 'with': {
+          this.#index++;
+          this.#skipParens();
+          const body = this.#parseStatement();
+          return {
+            type: token.value === 'while' ? 'WhileStatement' : 'WithStatement',
+            children: [body],
+            start,
+            end: body.end,
+          };
+        }
+        case 'do': {
+          this.#index++;
+          const body = this.#parseStatement();
+          this.#expect('while');
+          this.#skipParens();
+          this.#semicolon();
+          return { type: 'DoWhileStatement', children: [body], start, end: this.#lastEnd() };
+        }
+        case 'try':
+          return this.#parseTry();
+        case 'switch':
+          return this.#parseSwitch();
+        case 'return':
+        case 'throw': {
+          this.#index++;
+          if (!this.#atStatementEnd()) this.#skipExpression();
+          this.#semicolon();
+          return {
+            type: token.value === 'return' ? 'ReturnStatement' : 'ThrowStatement',
+            start,
+            end: this.#lastEnd(),
+          };
+        }
+        case 'break':
+        case 'continue': {
+          this.#index++;
+          if (this.#peek()?.type === 'name' && !this.#atStatementEnd()) this.#index++;
+          this.#semicolon();
+          return {
+            type: token.value === 'break' ? 'BreakStatement' : 'ContinueStatement',
+            start,
+            end: this.#lastEnd(),
+          };
+        }
+        case 'debugger':
+          this.#index++;
+          this.#semicolon();
+          return { type: 'DebuggerStatement', start, end: this.#lastEnd() };
+        default:
+          // Labeled statement
+          if (this.#is(':', 1)) {
+            this.#index += 2;
+            const body = this.#parseStatement();
+            return { type: 'LabeledStatement', children: [body], start, end: body.end };
+          }
+      }
+    }
+
+    const expression = this.#skipExpression();
+    const semicolon = this.#semicolon();
+    return {
+      type: 'ExpressionStatement',
+      expression,
+      semicolon,
+      start,
+      end: this.#lastEnd(),
+    };
+  }
+
+  /**
+   * Whether the current position ends a statement for restricted
+   * productions (`return`, `break`, ...)
+   * @returns {boolean}
+   */
+  #atStatementEnd() {
+    const token = this.#peek();
+    return !token || token.newlineBefore || this.#is(';') || this.#is('}');
+  }
+
+  /**
+   * `let` starts a declaration when followed by a binding
+   * @returns {boolean}
+   */
+  #startsLetDeclaration() {
+    const next = this.#peek(1);
+    if (!next) return false;
+    if (next.type === 'name') return next.value !== 'in' && next.value !== 'instanceof';
+    return next.type === 'punct' && (next.value === '[' || next.value === '{');
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseBlock() {
+    const start = this.#expect('{').start;
+    const body = [];
+    while (!this.#is('}')) {
+      if (!this.#peek()) throw syntaxError('Unexpected end of input', this.#code.length);
+      body.push(this.#parseStatement());
+    }
+    this.#index++;
+    return { type: 'BlockStatement', body, children: body, start, end: this.#lastEnd() };
+  }
+
+  /**
+   * @returns {VariableDeclaration}
+   */
+  #parseVariableStatement() {
+    const declaration = this.#parseVariableDeclaration();
+    declaration.semicolon = this.#semicolon();
+    declaration.end = this.#lastEnd();
+    return declaration;
+  }
+
+  /**
+   * Parse a declaration without its terminating semicolon
+   * @returns {VariableDeclaration}
+   */
+  #parseVariableDeclaration() {
+    const keyword = this.#next();
+    const kind = /** @type {'var' | 'let' | 'const'} */ (keyword.value);
+    /** @type {VariableDeclarator[]} */
+    const declarations = [];
+
+    while (true) {
+      const id = this.#parsePattern();
+      let init = null;
+      if (this.#is('=')) {
+        this.#index++;
+        init = this.#skipExpression({ comma: false });
+      } else if (this.#diagnose && kind === 'const' && !this.#is('in') && !this.#is('of')) {
+        throw syntaxError('Missing initializer in const declaration', id.end);
+      }
+      declarations.push({
+        type: 'VariableDeclarator',
+        id,
+        init,
+        start: id.start,
+        end: init ? init.end : id.end,
+      });
+
+      if (!this.#is(',')) break;
+      this.#index++;
+    }
+
+    return {
+      type: 'VariableDeclaration',
+      kind,
+      declarations,
+      semicolon: false,
+      start: keyword.start,
+      end: this.#lastEnd(),
+    };
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseFunctionDeclaration() {
+    const start = /** @type {Token} */ (this.#peek()).start;
+    if (this.#is('async')) this.#index++;
+    this.#expect('function');
+    if (this.#is('*')) this.#index++;
+
+    const name = this.#next();
+    if (name.type !== 'name') throw syntaxError(`Unexpected token '${name.value}'`, name.start);
+
+    this.#skipParens();
+    this.#skipBraces();
+
+    return {
+      type: 'FunctionDeclaration',
+      id: { type: 'Identifier', name: name.value, start: name.start, end: name.end },
+      start,
+      end: this.#lastEnd(),
+    };
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseClassDeclaration() {
+    const start = this.#expect('class').start;
+    const name = this.#next();
+    if (name.type !== 'name') throw syntaxError(`Unexpected token '${name.value}'`, name.start);
+
+    // Heritage expression, up to the class body
+    while (!this.#is('{')) {
+      const token = this.#next();
+      if (token.value === '(' || token.value === '[') {
+        this.#index--;
+        this.#skipBalanced();
+      }
+    }
+    this.#skipBraces();
+
+    return {
+      type: 'ClassDeclaration',
+      id: { type: 'Identifier', name: name.value, start: name.start, end: name.end },
+      start,
+      end: this.#lastEnd(),
+    };
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseIf() {
+    const start = this.#expect('if').start;
+    this.#skipParens();
+    const children = [this.#parseStatement()];
+    if (this.#is('else')) {
+      this.#index++;
+      children.push(this.#parseStatement());
+    }
+    return { type: 'IfStatement', children, start, end: children[children.length - 1].end };
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseFor() {
+    const start = this.#expect('for').start;
+    if (this.#is('await')) this.#index++;
+    this.#expect('(');
+
+    /** @type {VariableDeclaration | null} */
+    let head = null;
+    let type = 'ForStatement';
+
+    if (
+      this.#is('var') ||
+      this.#is('const') ||
+      (this.#is('let') && this.#startsLetDeclaration())
+    ) {
+      head = this.#parseVariableDeclaration();
+      if (this.#is('in') || this.#is('of')) {
+        type = this.#is('in') ? 'ForInStatement' : 'ForOfStatement';
+        this.#index++;
+        this.#skipExpression();
+      }
+    } else if (!this.#is(';')) {
+      this.#skipExpression();
+    }
+
+    if (type === 'ForStatement' && !this.#is(')')) {
+      this.#expect(';');
+      if (!this.#is(';')) this.#skipExpression();
+      this.#expect(';');
+      if (!this.#is(')')) this.#skipExpression();
+    }
+    this.#expect(')');
+
+    const body = this.#parseStatement();
+    const children = head ? [head, body] : [body];
+    return { type, head, children, start, end: body.end };
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseTry() {
+    const start = this.#expect('try').start;
+    const children = [this.#parseBlock()];
+
+    if (this.#is('catch')) {
+      this.#index++;
+      if (this.#is('(')) this.#skipParens();
+      children.push(this.#parseBlock());
+    }
+    if (this.#is('finally')) {
+      this.#index++;
+      children.push(this.#parseBlock());
+    }
+    if (children.length === 1) throw syntaxError('Missing catch or finally after try', this.#lastEnd());
+
+    return { type: 'TryStatement', children, start, end: this.#lastEnd() };
+  }
+
+  /**
+   * @returns {Statement}
+   */
+  #parseSwitch() {
+    const start = this.#expect('switch').start;
+    this.#skipParens();
+    this.#expect('{');
+
+    const children = [];
+    while (!this.#is('}')) {
+      if (this.#is('case')) {
+        this.#index++;
+        this.#skipExpression();
+        this.#expect(':');
+      } else if (this.#is('default')) {
+        this.#index++;
+        this.#expect(':');
+      } else if (!this.#peek()) {
+        throw syntaxError('Unexpected end of input', this.#code.length);
+      } else {
+        children.push(this.#parseStatement());
+      }
+    }
+    this.#index++;
+
+    return { type: 'SwitchStatement', children, start, end: this.#lastEnd() };
+  }
+
+  // ============================================================================
+  // Patterns
+  // ============================================================================
+
+  /**
+   * @returns {Pattern}
+   */
+  #parsePattern() {
+    const token = this.#next();
+
+    if (token.type === 'name') {
+      return { type: 'Identifier', name: token.value, start: token.start, end: token.end };
+    }
+
+    if (token.value === '{') {
+      /** @type {Array<PatternProperty | RestElement>} */
+      const properties = [];
+      while (!this.#is('}')) {
+        properties.push(this.#parsePatternProperty());
+        if (!this.#is('}')) this.#expect(',');
+      }
+      this.#index++;
+      return { type: 'ObjectPattern', properties, start: token.start, end: this.#lastEnd() };
+    }
+
+    if (token.value === '[') {
+      /** @type {Array<Pattern | null>} */
+      const elements = [];
+      while (!this.#is(']')) {
+        if (this.#is(',')) {
+          this.#index++;
+          elements.push(null);
+          continue;
+        }
+        elements.push(this.#is('...') ? this.#parseRest() : this.#parsePatternWithDefault());
+        if (!this.#is(']')) this.#expect(',');
+      }
+      this.#index++;
+      return { type: 'ArrayPattern', elements, start: token.start, end: this.#lastEnd() };
+    }
+
+    throw syntaxError(`Unexpected token '${token.value}'`, token.start);
+  }
+
+  /**
+   * @returns {Pattern}
+   */
+  #parsePatternWithDefault() {
+    const left = this.#parsePattern();
+    if (!this.#is('=')) return left;
+
+    this.#index++;
+    const right = this.#skipExpression({ comma: false });
+    return { type: 'AssignmentPattern', left, right, start: left.start, end: right.end };
+  }
+
+  /**
+   * @returns {RestElement}
+   */
+  #parseRest() {
+    const start = this.#expect('...').start;
+    const argument = this.#parsePattern();
+    return { type: 'RestElement', argument, start, end: argument.end };
+  }
+
+  /**
+   * @returns {PatternProperty | RestElement}
+   */
+  #parsePatternProperty() {
+    if (this.#is('...')) return this.#parseRest();
+
+    const keyToken = /** @type {Token} */ (this.#peek());
+    if (keyToken.value === '[') {
+      this.#skipBalanced();
+    } else {
+      this.#index++;
+    }
+    const key = { type: /** @type {const} */ ('Expression'), start: keyToken.start, end: this.#lastEnd() };
+
+    if (this.#is(':')) {
+      this.#index++;
+      const value = this.#parsePatternWithDefault();
+      return { type: 'Property', key, shorthand: false, value, start: key.start, end: value.end };
+    }
+
+    if (keyToken.type !== 'name') {
+      throw syntaxError(`Unexpected token '${keyToken.value}'`, keyToken.start);
+    }
+
+    /** @type {Pattern} */
+    let value = { type: 'Identifier', name: keyToken.value, start: key.start, end: key.end };
+    if (this.#is('=')) {
+      this.#index++;
+      const right = this.#skipExpression({ comma: false });
+      value = { type: 'AssignmentPattern', left: value, right, start: key.start, end: right.end };
+    }
+    return { type: 'Property', key, shorthand: true, value, start: key.start, end: value.end };
+  }
+
+  // ============================================================================
+  // Expressions (opaque)
+  // ============================================================================
+
+  /**
+   * Skip over an expression, returning its source range. The expression
+   * ends at a `;`, an unbalanced closing bracket, a line break where
+   * automatic semicolon insertion applies, a `:` that does not belong to a
+   * conditional (`case x:`), or optionally a `,`.
+   *
+   * @param {{ comma?: boolean }} [options]
+   * @returns {ExpressionNode}
+   */
+  #skipExpression({ comma = true } = {}) {
+    const first = this.#peek();
+    if (!first) throw syntaxError('Unexpected end of input', this.#code.length);
+
+    let depth = 0;
+    let conditionals = 0;
+    /** @type {Token | null} */
+    let prev = null;
+    // Whether `prev` is a prefix `++`/`--`, which expects an operand
+    let prefix = false;
+    /** @type {string[]} */
+    const brackets = [];
+
+    for (let token = first; token; token = this.#peek()) {
+      if (this.#diagnose && !prefix) this.#checkOperand(prev, token, brackets);
+
+      if (depth === 0) {
+        if (prev && token.newlineBefore && endsExpression(prev) && !continuesExpression(token)) {
+          // `a ? b\n: c` still continues
+          if (!(token.value === ':' && conditionals > 0)) break;
+        }
+        if (token.type === 'punct') {
+          const value = token.value;
+          if (value === ';' || value === ')' || value === ']' || value === '}') break;
+          if (value === ',' && !comma) break;
+          if (value === '?') conditionals++;
+          if (value === ':') {
+            if (conditionals === 0) break;
+            conditionals--;
+          }
+        }
+      }
+
+      if (token.type === 'punct') {
+        if (token.value === '(' || token.value === '[' || token.value === '{') {
+          depth++;
+          brackets.push(token.value);
+        } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+          depth--;
+          if (this.#diagnose && brackets.pop() !== OPENING_BRACKETS[token.value]) {
+            throw syntaxError(`Unexpected token '${token.value}'`, token.start);
+          }
+        }
+      }
+
+      prefix =
+        token.type === 'punct' &&
+        (token.value === '++' || token.value === '--') &&
+        (!prev || token.newlineBefore || prefix || !endsExpression(prev));
+      prev = token;
+      this.#index++;
+    }
+
+    if (!prev) {
+      throw syntaxError(`Unexpected token '${first.value}'`, first.start);
+    }
+    if (depth > 0) {
+      throw syntaxError('Unexpected end of input', this.#code.length);
+    }
+
+    return { type: 'Expression', start: first.start, end: prev.end };
+  }
+
+  /**
+   * Report two operands in a row outside object literals and blocks, where
+   * the engine would need an operator, `,` or `;` between them
+   * @param {Token | null} prev
+   * @param {Token} token
+   * @param {string[]} brackets - Open brackets of the expression
+   */
+  #checkOperand(prev, token, brackets) {
+    if (!prev || token.newlineBefore || brackets[brackets.length - 1] === '{') return;
+    if (prev.type === 'name' && PREFIX_NAMES.has(prev.value)) return;
+    if (prev.type === 'name' && BINARY_KEYWORDS.has(prev.value)) return;
+    if (endsExpression(prev) && startsOperand(token)) {
+      throw syntaxError(`Unexpected ${token.type === 'name' ? 'identifier' : token.type} '${token.value}'`, token.start);
+    }
+  }
+
+  /**
+   * Skip a parenthesized group
+   */
+  #skipParens() {
+    if (!this.#is('(')) {
+      const token = this.#peek();
+      throw syntaxError(`Unexpected token '${token?.value ?? 'end of input'}', expected '('`, token?.start ?? this.#code.length);
+    }
+    this.#skipBalanced();
+  }
+
+  /**
+   * Skip a braced group
+   */
+  #skipBraces() {
+    if (!this.#is('{')) {
+      const token = this.#peek();
+      throw syntaxError(`Unexpected token '${token?.value ?? 'end of input'}', expected '{'`, token?.start ?? this.#code.length);
+    }
+    this.#skipBalanced();
+  }
+
+  /**
+   * Skip a balanced bracket group starting at the current token
+   */
+  #skipBalanced() {
+    let depth = 0;
+    do {
+      const token = this.#next();
+      if (token.type !== 'punct') continue;
+      if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+      else if (token.value === ')' || token.value === ']' || token.value === '}') depth--;
+    } while (depth > 0);
+  }
+}
@@ -1,176 +1,197 @@
 /**
  * Persistence Transform
  *
- * Transforms const/let declarations to var for persistence across executions.
- * In a REPL, we want variables to persist between cells. const/let are
- * block-scoped and would be lost; var attaches to the global scope.
+ * Rewrites the declarations of a cell into assignments on the global scope
+ * so they persist across executions. In a REPL, we want variables to persist
+ * between cells, but cells run inside a function wrapper where declarations
+ * would be local.
+ *
+ * Only declarations that bind in the cell scope are rewritten: top-level
+ * `const`/`let`/`class`/`function`, and `var` anywhere outside functions.
+ * Block-scoped declarations (`for (let i ...)`, `{ let x }`) keep their
+ * meaning. Line breaks are preserved so positions map back to the cell.
+ *
+ * With `strictConst`, top-level declarations define global properties
+ * instead of assigning them: `const` bindings become accessors whose setter
+ * throws, like a real module scope, while re-running a declaration (of any
+ * kind) replaces the binding.
  *
  * @module transform/persistence
  */
 
+import { parse, getCellDeclarations, applyEdits } from './parse.js';
+
+/**
+ * @typedef {import('./parse.js').Pattern} Pattern
+ * @typedef {import('./parse.js').VariableDeclaration} VariableDeclaration
+ * @typedef {{ start: number, end: number, text: string }} Edit
+ */
+
+/**
+ * @typedef {Object} PersistenceOptions
+ * @property {boolean} [strictConst=false] - Make top-level `const` bindings
+ *   read-only for code outside their declaration
+ */
+
+/** Local variable holding the binder of a declaration in strict const mode */
+const BINDER = '__mrmd_bind__';
+
+/** Default assignment target for declarations */
+const GLOBAL_TARGET = 'globalThis.';
+
 /**
- * Transform const/let declarations to var for persistence.
+ * Transform cell declarations into global assignments for persistence.
+ *
+ * Code that cannot be parsed is returned unchanged, so the engine reports
+ * the syntax error.
  *
  * @param {string} code - Source code
+ * @param {PersistenceOptions} [options]
  * @returns {string} Transformed code
  *
  * @example
- * transformForPersistence('const x = 1; let y = 2;')
- * // Returns: 'var x = 1; var y = 2;'
+ * transformForPersistence('const { a, b: [c] } = obj;\nfor (let i = 0; i < 3; i++) {}')
+ * // Returns: 'void ({ a: globalThis.a, b: [globalThis.c] } = obj);\nfor (let i = 0; i < 3; i++) {}'
  */
-export function transformForPersistence(code) {
-  // Use a state machine approach to avoid transforming inside strings/comments
-  let result = '';
-  let i = 0;
-  const len = code.length;
-
-  while (i < len) {
-    // Check for single-line comment
-    if (code[i] === '/' && code[i + 1] === '/') {
-      const start = i;
-      i += 2;
-      while (i < len && code[i] !== '\n') i++;
-      result += code.slice(start, i);
-      continue;
-    }
+export function transformForPersistence(code, options = {}) {
+  return applyEdits(code, getPersistenceEdits(code, options));
+}
 
-    // Check for multi-line comment
-    if (code[i] === '/' && code[i + 1] === '*') {
-      const start = i;
-      i += 2;
-      while (i < len && !(code[i] === '*' && code[i + 1] === '/')) i++;
-      i += 2;
-      result += code.slice(start, i);
-      continue;
-    }
+/**
+ * Get the edits made by {@link transformForPersistence}, for mapping
+ * positions in the transformed code back to the cell
+ *
+ * @param {string} code - Source code
+ * @param {PersistenceOptions} [options]
+ * @returns {Edit[]} Edits for `applyEdits` (none if the code cannot be parsed)
+ */
+export function getPersistenceEdits(code, options = {}) {
+  const strictConst = options.strictConst ?? false;
 
-    // Check for template literal
-    if (code[i] === '`') {
-      const start = i;
-      i++;
-      while (i < len) {
-        if (code[i] === '\\') {
-          i += 2;
-          continue;
-        }
-        if (code[i] === '`') {
-          i++;
-          break;
-        }
-        // Handle ${...} - need to track nested braces
-        if (code[i] === '$' && code[i + 1] === '{') {
-          i += 2;
-          let braceDepth = 1;
-          while (i < len && braceDepth > 0) {
-            if (code[i] === '{') braceDepth++;
-            else if (code[i] === '}') braceDepth--;
-            i++;
-          }
-          continue;
-        }
-        i++;
-      }
-      result += code.slice(start, i);
-      continue;
-    }
+  let program;
+  try {
+    program = parse(code);
+  } catch {
+    return [];
+  }
 
-    // Check for string (single or double quote)
-    if (code[i] === '"' || code[i] === "'") {
-      const quote = code[i];
-      const start = i;
-      i++;
-      while (i < len) {
-        if (code[i] === '\\') {
-          i += 2;
-          continue;
-        }
-        if (code[i] === quote) {
-          i++;
-          break;
-        }
-        i++;
-      }
-      result += code.slice(start, i);
+  /** @type {Edit[]} */
+  const edits = [];
+
+  for (const { node, topLevel, forHead } of getCellDeclarations(program)) {
+    // Bind through a define-property proxy so earlier constants can be replaced
+    const bind = strictConst && topLevel;
+    const constant = node.type === 'VariableDeclaration' && node.kind === 'const';
+    const prefix = bind ? `var ${BINDER} = ${createBinder(constant)}; ` : '';
+    const target = bind ? `${BINDER}.` : GLOBAL_TARGET;
+
+    if (node.type === 'VariableDeclaration') {
+      if (prefix) edits.push({ start: node.start, end: node.start, text: prefix });
+      declarationEdits(code, /** @type {VariableDeclaration} */ (node), forHead, target, edits);
       continue;
     }
 
-    // Check for regex (simple heuristic)
-    if (code[i] === '/' && i > 0) {
-      const prev = code[i - 1];
-      // Regex can follow: ( = : [ ! & | ? { } ; , \n
-      if ('(=:[!&|?{};,\n'.includes(prev) || /\s/.test(prev)) {
-        const start = i;
-        i++;
-        while (i < len) {
-          if (code[i] === '\\') {
-            i += 2;
-            continue;
-          }
-          if (code[i] === '/') {
-            i++;
-            // Skip flags
-            while (i < len && /[gimsuy]/.test(code[i])) i++;
-            break;
-          }
-          if (code[i] === '\n') break; // Invalid regex
-          i++;
-        }
-        result += code.slice(start, i);
-        continue;
-      }
-    }
+    const name = /** @type {import('./parse.js').Identifier} */ (node.id).name;
 
-    // Check for const/let keywords
-    if (isWordBoundary(code, i)) {
-      if (code.slice(i, i + 5) === 'const' && isWordBoundary(code, i + 5)) {
-        result += 'var';
-        i += 5;
-        continue;
-      }
-      if (code.slice(i, i + 3) === 'let' && isWordBoundary(code, i + 3)) {
-        result += 'var';
-        i += 3;
-        continue;
-      }
+    if (node.type === 'FunctionDeclaration') {
+      // Keep the declaration so it is still hoisted within the cell
+      edits.push({ start: node.end, end: node.end, text: ` ${prefix}void (${target}${name} = ${name});` });
+    } else {
+      edits.push(
+        { start: node.start, end: node.start, text: `${prefix}void (${target}${name} = ` },
+        { start: node.end, end: node.end, text: ');' }
+      );
     }
-
-    result += code[i];
-    i++;
   }
 
-  return result;
+  return edits;
 }
 
 /**
- * Check if position is at a word boundary
+ * Create an expression for a proxy whose property assignments define
+ * properties on the global scope
+ * @param {boolean} constant - Define read-only accessors
+ * @returns {string}
+ */
+function createBinder(constant) {
+  const descriptor = constant
+    ? "{ get: () => value, set() { throw new TypeError('Assignment to constant variable.'); }, configurable: true, enumerable: true }"
+    : '{ value, writable: true, configurable: true, enumerable: true }';
+  return `new Proxy({}, { set: (_, name, value) => Reflect.defineProperty(globalThis, name, ${descriptor}) })`;
+}
+
+/**
+ * Edits turning a variable declaration into assignments
  * @param {string} code
- * @param {number} pos
- * @returns {boolean}
+ * @param {VariableDeclaration} node
+ * @param {string | null} forHead - Enclosing for statement type, for header declarations
+ * @param {string} target - Prefix of the assignment targets
+ * @param {Edit[]} edits
  */
-function isWordBoundary(code, pos) {
-  if (pos === 0) return true;
-  if (pos >= code.length) return true;
+function declarationEdits(code, node, forHead, target, edits) {
+  const first = node.declarations[0];
+  const last = node.declarations[node.declarations.length - 1];
 
-  const before = code[pos - 1];
-  const after = code[pos];
+  // Drop the keyword, keeping any line breaks between it and the binding
+  const lineBreaks = code.slice(node.start, first.start).replace(/[^\n]/g, '');
+  edits.push({ start: node.start, end: first.start, text: (forHead ? '' : 'void (') + lineBreaks });
 
-  const isWordChar = (c) => /[a-zA-Z0-9_$]/.test(c);
+  for (const declarator of node.declarations) {
+    patternEdits(declarator.id, target, edits);
 
-  // Boundary if previous char is not a word char
-  if (pos > 0 && isWordChar(before)) return false;
-  // Or if position is at end and next char is not word char
-  if (pos < code.length && !isWordChar(after)) return true;
+    // `var x` keeps an existing value; `let x` resets it. For-in/of heads
+    // are assigned by the loop.
+    if (!declarator.init && forHead !== 'ForInStatement' && forHead !== 'ForOfStatement') {
+      const name = /** @type {import('./parse.js').Identifier} */ (declarator.id).name;
+      const value = node.kind === 'var' ? `${GLOBAL_TARGET}${name}` : 'undefined';
+      edits.push({ start: declarator.end, end: declarator.end, text: ` = ${value}` });
+    }
+  }
 
-  return true;
+  if (!forHead) {
+    edits.push({ start: last.end, end: last.end, text: node.semicolon ? ')' : ');' });
+  }
 }
 
 /**
- * Check if position after keyword is a word boundary
- * @param {string} code
- * @param {number} pos - Position after the keyword
- * @returns {boolean}
+ * Edits turning a binding pattern into an assignment pattern
+ * @param {Pattern} pattern
+ * @param {string} target - Prefix of the assignment targets
+ * @param {Edit[]} edits
  */
-function isWordBoundaryAfter(code, pos) {
-  if (pos >= code.length) return true;
-  return !/[a-zA-Z0-9_$]/.test(code[pos]);
+function patternEdits(pattern, target, edits) {
+  switch (pattern.type) {
+    case 'Identifier':
+      edits.push({ start: pattern.start, end: pattern.start, text: target });
+      break;
+
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        if (property.type === 'RestElement') {
+          patternEdits(property, target, edits);
+        } else if (property.shorthand) {
+          // `{ a = 1 }` → `{ a: globalThis.a = 1 }`
+          const id = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+          const name = /** @type {import('./parse.js').Identifier} */ (id).name;
+          edits.push({ start: id.start, end: id.start, text: `${name}: ${target}` });
+        } else {
+          patternEdits(property.value, target, edits);
+        }
+      }
+      break;
+
+    case 'ArrayPattern':
+      for (const element of pattern.elements) {
+        if (element) patternEdits(element, target, edits);
+      }
+      break;
+
+    case 'AssignmentPattern':
+      patternEdits(pattern.left, target, edits);
+      break;
+
+    case 'RestElement':
+      patternEdits(pattern.argument, target, edits);
+      break;
+  }
 }
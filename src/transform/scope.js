@@ -0,0 +1,1012 @@
+/**
+ * Scope Analysis
+ *
+ * Finds the free names of a cell: the names it reads or assigns that are
+ * not bound inside the cell. Identifiers are resolved against the bindings
+ * of the functions, blocks, classes and catch clauses around them, so
+ * parameters, locals, keywords, property names and class or object member
+ * names never count.
+ *
+ * Like the cell parser, this works on the token list and reads only as much
+ * expression structure as binding needs: functions and arrow functions,
+ * class and object literal members, and destructuring patterns.
+ *
+ * @module transform/scope
+ */
+
+import { tokenize, endsExpression, continuesExpression } from './parse.js';
+
+/**
+ * @typedef {import('./parse.js').Token} Token
+ */
+
+/**
+ * @typedef {Object} FreeNames
+ * @property {string[]} reads - Free names the code reads, in order of first use
+ * @property {string[]} assigns - Free names the code assigns outside of
+ *   functions, in order of first assignment
+ */
+
+/**
+ * A use of a name, passed up to enclosing scopes until a binding is found
+ * @typedef {Object} Reference
+ * @property {string} name
+ * @property {boolean} read - The value is read
+ * @property {boolean} assign - The name is assigned outside of functions
+ */
+
+/**
+ * @typedef {Object} Scope
+ * @property {Scope | null} parent
+ * @property {boolean} isFunction - Whether `var` declarations stop here
+ * @property {Set<string>} names - Names bound in the scope
+ * @property {Reference[]} references - Uses not resolved yet
+ */
+
+/** Reserved words and literals, which are never variable references */
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export',
+  'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+  'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch',
+  'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+  'with', 'yield',
+]);
+
+/** Words that may precede a class or object member name */
+const MEMBER_MODIFIERS = new Set(['static', 'async', 'get', 'set', 'accessor']);
+
+/** Assignment operators that also read the target */
+const COMPOUND_ASSIGNMENTS = new Set([
+  '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+  '&=', '|=', '^=', '&&=', '||=', '??=',
+]);
+
+/**
+ * Find the free names of some code
+ * @param {string} code - Source code
+ * @returns {FreeNames}
+ * @throws {SyntaxError} If the code does not tokenize
+ */
+export function findFreeNames(code) {
+  return new ScopeWalker(tokenize(code)).walk();
+}
+
+/**
+ * Whether a token is a name that can be bound
+ * @param {Token | undefined} token
+ * @returns {boolean}
+ */
+function isBindingName(token) {
+  return token !== undefined && token.type === 'name' && !RESERVED_WORDS.has(token.value);
+}
+
+/**
+ * Whether a token can start a class or object member name
+ * @param {Token | undefined} token
+ * @returns {boolean}
+ */
+function startsMemberName(token) {
+  if (!token) return false;
+  if (token.type === 'punct') return token.value === '[' || token.value === '*';
+  return token.type !== 'template' && token.type !== 'regex';
+}
+
+/**
+ * Resolves names over a token list. The walk is lenient: code it does not
+ * understand is skipped rather than rejected.
+ */
+class ScopeWalker {
+  /** @type {Token[]} */
+  #tokens;
+
+  /** @type {number} */
+  #index = 0;
+
+  /** @type {Scope} */
+  #scope = { parent: null, isFunction: true, names: new Set(), references: [] };
+
+  /** @type {number} Function bodies entered, where assignments do not define */
+  #functionDepth = 0;
+
+  /**
+   * @param {Token[]} tokens
+   */
+  constructor(tokens) {
+    this.#tokens = tokens;
+  }
+
+  /**
+   * @returns {FreeNames}
+   */
+  walk() {
+    while (this.#peek()) {
+      this.#statement();
+    }
+
+    /** @type {Set<string>} */
+    const reads = new Set();
+    /** @type {Set<string>} */
+    const assigns = new Set();
+    for (const reference of this.#scope.references) {
+      if (this.#scope.names.has(reference.name)) continue;
+      if (reference.read) reads.add(reference.name);
+      if (reference.assign) assigns.add(reference.name);
+    }
+    return { reads: Array.from(reads), assigns: Array.from(assigns) };
+  }
+
+  // ============================================================================
+  // Token helpers
+  // ============================================================================
+
+  /**
+   * @param {number} [offset=0]
+   * @returns {Token | undefined}
+   */
+  #peek(offset = 0) {
+    return this.#tokens[this.#index + offset];
+  }
+
+  /**
+   * @param {string} value
+   * @param {number} [offset=0]
+   * @returns {boolean}
+   */
+  #is(value, offset = 0) {
+    const token = this.#peek(offset);
+    return token !== undefined && (token.type === 'punct' || token.type === 'name') && token.value === value;
+  }
+
+  /**
+   * Index of the bracket closing the one at `index`
+   * @param {number} index
+   * @returns {number}
+   */
+  #matching(index) {
+    let depth = 0;
+    for (let i = index; i < this.#tokens.length; i++) {
+      const token = this.#tokens[i];
+      if (token.type !== 'punct') continue;
+      if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+      else if (token.value === ')' || token.value === ']' || token.value === '}') depth--;
+      if (depth === 0) return i;
+    }
+    return this.#tokens.length;
+  }
+
+  /**
+   * Whether the bracket at the current token is followed by one of `values`
+   * once closed
+   * @param {string[]} values
+   * @returns {boolean}
+   */
+  #closedBefore(values) {
+    const after = this.#tokens[this.#matching(this.#index) + 1];
+    return after !== undefined && (after.type === 'punct' || after.type === 'name') && values.includes(after.value);
+  }
+
+  /**
+   * Consume an optional `;`
+   */
+  #semicolon() {
+    if (this.#is(';')) this.#index++;
+  }
+
+  // ============================================================================
+  // Scopes
+  // ============================================================================
+
+  /**
+   * @param {boolean} isFunction
+   */
+  #enter(isFunction) {
+    this.#scope = { parent: this.#scope, isFunction, names: new Set(), references: [] };
+  }
+
+  /**
+   * Leave the current scope, passing unresolved uses to its parent
+   */
+  #exit() {
+    const scope = this.#scope;
+    const parent = /** @type {Scope} */ (scope.parent);
+    for (const reference of scope.references) {
+      if (!scope.names.has(reference.name)) parent.references.push(reference);
+    }
+    this.#scope = parent;
+  }
+
+  /**
+   * Bind a name in the current scope
+   * @param {string} name
+   */
+  #bind(name) {
+    this.#scope.names.add(name);
+  }
+
+  /**
+   * Bind a `var` name in the enclosing function scope
+   * @param {string} name
+   */
+  #bindVar(name) {
+    let scope = this.#scope;
+    while (!scope.isFunction && scope.parent) scope = scope.parent;
+    scope.names.add(name);
+  }
+
+  /**
+   * Record a use of a name
+   * @param {string} name
+   * @param {{ read?: boolean, assign?: boolean }} [use]
+   */
+  #use(name, { read = true, assign = false } = {}) {
+    this.#scope.references.push({ name, read, assign: assign && this.#functionDepth === 0 });
+  }
+
+  /**
+   * Record an assignment target
+   * @param {string} name
+   */
+  #assign(name) {
+    this.#use(name, { read: false, assign: true });
+  }
+
+  // ============================================================================
+  // Statements
+  // ============================================================================
+
+  #statement() {
+    const start = this.#index;
+    this.#parseStatement();
+    // Skip what could not be read at all (stray closing brackets, ...)
+    if (this.#index === start) this.#index++;
+  }
+
+  #parseStatement() {
+    const token = /** @type {Token} */ (this.#peek());
+
+    if (this.#is('{')) {
+      this.#block();
+      return;
+    }
+    if (this.#is(';')) {
+      this.#index++;
+      return;
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'var':
+        case 'const':
+          this.#declaration();
+          this.#semicolon();
+          return;
+        case 'let':
+          if (this.#startsLetDeclaration()) {
+            this.#declaration();
+            this.#semicolon();
+            return;
+          }
+          break;
+        case 'function':
+          this.#function(true);
+          return;
+        case 'async':
+          if (this.#is('function', 1) && !this.#peek(1)?.newlineBefore) {
+            this.#function(true);
+            return;
+          }
+          break;
+        case 'class':
+          this.#class(true);
+          return;
+        case 'import':
+          if (!this.#is('(', 1) && !this.#is('.', 1)) {
+            this.#import();
+            return;
+          }
+          break;
+        case 'export':
+          this.#index++;
+          if (this.#is('default')) this.#index++;
+          return;
+        case 'if':
+          this.#index++;
+          this.#parens();
+          this.#statement();
+          if (this.#is('else')) {
+            this.#index++;
+            this.#statement();
+          }
+          return;
+        case 'while':
+        case 'with':
+          this.#index++;
+          this.#parens();
+          this.#statement();
+          return;
+        case 'do':
+          this.#index++;
+          this.#statement();
+          if (this.#is('while')) {
+            this.#index++;
+            this.#parens();
+          }
+          this.#semicolon();
+          return;
+        case 'for':
+          this.#for();
+          return;
+        case 'try':
+          this.#try();
+          return;
+        case 'switch':
+          this.#switch();
+          return;
+        case 'return':
+        case 'throw': {
+          this.#index++;
+          const next = this.#peek();
+          if (next && !next.newlineBefore && !this.#is(';') && !this.#is('}')) this.#expression();
+          this.#semicolon();
+          return;
+        }
+        case 'break':
+        case 'continue':
+          this.#index++;
+          if (this.#peek()?.type === 'name' && !this.#peek()?.newlineBefore) this.#index++;
+          this.#semicolon();
+          return;
+        default:
+          // Labeled statement
+          if (this.#is(':', 1) && !RESERVED_WORDS.has(token.value)) {
+            this.#index += 2;
+            this.#statement();
+            return;
+          }
+      }
+    }
+
+    this.#expression();
+    this.#semicolon();
+  }
+
+  /**
+   * `let` starts a declaration when followed by a binding
+   * @returns {boolean}
+   */
+  #startsLetDeclaration() {
+    const next = this.#peek(1);
+    if (!next) return false;
+    if (next.type === 'name') return next.value !== 'in' && next.value !== 'instanceof';
+    return next.type === 'punct' && (next.value === '[' || next.value === '{');
+  }
+
+  #block() {
+    this.#enter(false);
+    this.#body();
+    this.#exit();
+  }
+
+  /**
+   * Statements between braces, in the current scope
+   */
+  #body() {
+    this.#index++;
+    while (this.#peek() && !this.#is('}')) {
+      this.#statement();
+    }
+    if (this.#is('}')) this.#index++;
+  }
+
+  /**
+   * A declaration without its terminating semicolon
+   */
+  #declaration() {
+    const kind = /** @type {Token} */ (this.#peek()).value;
+    const bind = kind === 'var' ? (/** @type {string} */ name) => this.#bindVar(name) : (/** @type {string} */ name) => this.#bind(name);
+    this.#index++;
+
+    while (true) {
+      this.#pattern(bind);
+      if (this.#is('=')) {
+        this.#index++;
+        this.#expression({ comma: false });
+      }
+      if (!this.#is(',')) break;
+      this.#index++;
+    }
+  }
+
+  /**
+   * A static import: binds its local names
+   */
+  #import() {
+    this.#index++;
+    while (this.#peek() && this.#peek()?.type !== 'string' && !this.#is(';')) {
+      const token = /** @type {Token} */ (this.#peek());
+      this.#index++;
+      // `{ name as local }` binds `local`
+      if (isBindingName(token) && token.value !== 'from' && token.value !== 'as' && !this.#is('as')) {
+        this.#bind(token.value);
+      }
+    }
+    if (this.#peek()?.type === 'string') this.#index++;
+    if (this.#is('with') && this.#is('{', 1)) {
+      this.#index = this.#matching(this.#index + 1) + 1;
+    }
+    this.#semicolon();
+  }
+
+  /**
+   * A parenthesized expression (`if (...)`, `while (...)`)
+   */
+  #parens() {
+    if (!this.#is('(')) return;
+    this.#index++;
+    this.#expression();
+    if (this.#is(')')) this.#index++;
+  }
+
+  #for() {
+    this.#index++;
+    if (this.#is('await')) this.#index++;
+    if (!this.#is('(')) return;
+    this.#index++;
+
+    this.#enter(false);
+    const token = this.#peek();
+    if (this.#is('var') || this.#is('const') || (this.#is('let') && this.#startsLetDeclaration())) {
+      this.#declaration();
+    } else if (isBindingName(token) && (this.#is('of', 1) || this.#is('in', 1))) {
+      // `for (x of items)` assigns x
+      this.#index++;
+      this.#assign(/** @type {Token} */ (token).value);
+    } else if ((this.#is('[') || this.#is('{')) && this.#closedBefore(['of', 'in'])) {
+      this.#pattern((name) => this.#assign(name), true);
+    } else if (!this.#is(';')) {
+      this.#expression();
+    }
+
+    if (this.#is('of') || this.#is('in')) {
+      this.#index++;
+      this.#expression();
+    } else {
+      if (this.#is(';')) {
+        this.#index++;
+        if (!this.#is(';')) this.#expression();
+      }
+      if (this.#is(';')) {
+        this.#index++;
+        if (!this.#is(')')) this.#expression();
+      }
+    }
+    if (this.#is(')')) this.#index++;
+
+    this.#statement();
+    this.#exit();
+  }
+
+  #try() {
+    this.#index++;
+    if (this.#is('{')) this.#block();
+
+    if (this.#is('catch')) {
+      this.#index++;
+      this.#enter(false);
+      if (this.#is('(')) {
+        this.#index++;
+        this.#pattern((name) => this.#bind(name));
+        if (this.#is(')')) this.#index++;
+      }
+      if (this.#is('{')) this.#block();
+      this.#exit();
+    }
+
+    if (this.#is('finally')) {
+      this.#index++;
+      if (this.#is('{')) this.#block();
+    }
+  }
+
+  #switch() {
+    this.#index++;
+    this.#parens();
+    if (!this.#is('{')) return;
+    this.#index++;
+
+    this.#enter(false);
+    while (this.#peek() && !this.#is('}')) {
+      if (this.#is('case')) {
+        this.#index++;
+        this.#expression();
+        if (this.#is(':')) this.#index++;
+      } else if (this.#is('default') && this.#is(':', 1)) {
+        this.#index += 2;
+      } else {
+        this.#statement();
+      }
+    }
+    if (this.#is('}')) this.#index++;
+    this.#exit();
+  }
+
+  // ============================================================================
+  // Functions and classes
+  // ============================================================================
+
+  /**
+   * A function declaration or expression, from `async` or `function`
+   * @param {boolean} declaration
+   */
+  #function(declaration) {
+    if (this.#is('async')) this.#index++;
+    this.#index++;
+    if (this.#is('*')) this.#index++;
+
+    const name = isBindingName(this.#peek()) ? /** @type {Token} */ (this.#peek()).value : null;
+    if (name) this.#index++;
+    if (name && declaration) this.#bind(name);
+
+    this.#enter(true);
+    this.#functionDepth++;
+    // A named function expression sees its own name
+    if (name && !declaration) this.#bind(name);
+    if (this.#is('(')) this.#params();
+    if (this.#is('{')) this.#body();
+    this.#functionDepth--;
+    this.#exit();
+  }
+
+  /**
+   * An arrow function, from its parameters
+   */
+  #arrow() {
+    this.#enter(true);
+    this.#functionDepth++;
+
+    if (this.#is('(')) {
+      this.#params();
+    } else {
+      this.#bind(/** @type {Token} */ (this.#peek()).value);
+      this.#index++;
+    }
+    if (this.#is('=>')) this.#index++;
+
+    if (this.#is('{')) {
+      this.#body();
+    } else {
+      this.#expression({ comma: false });
+    }
+
+    this.#functionDepth--;
+    this.#exit();
+  }
+
+  /**
+   * A parameter list, bound in the current scope
+   */
+  #params() {
+    this.#index++;
+    while (this.#peek() && !this.#is(')')) {
+      const start = this.#index;
+      if (this.#is('...')) this.#index++;
+      this.#patternWithDefault((name) => this.#bind(name));
+      if (this.#is(',')) this.#index++;
+      else if (this.#index === start) this.#index++;
+    }
+    if (this.#is(')')) this.#index++;
+  }
+
+  /**
+   * A class declaration or expression
+   * @param {boolean} declaration
+   */
+  #class(declaration) {
+    this.#index++;
+
+    const name = isBindingName(this.#peek()) && !this.#is('extends') ? /** @type {Token} */ (this.#peek()).value : null;
+    if (name) this.#index++;
+    if (name && declaration) this.#bind(name);
+
+    this.#enter(false);
+    // The class body sees the class name
+    if (name) this.#bind(name);
+    if (this.#is('extends')) {
+      this.#index++;
+      this.#expression({ comma: false });
+    }
+    if (this.#is('{')) this.#classBody();
+    this.#exit();
+  }
+
+  #classBody() {
+    this.#index++;
+    while (this.#peek() && !this.#is('}')) {
+      const start = this.#index;
+      if (this.#is(';')) {
+        this.#index++;
+      } else if (this.#is('static') && this.#is('{', 1)) {
+        // Static initialization block
+        this.#index++;
+        this.#enter(true);
+        this.#functionDepth++;
+        this.#body();
+        this.#functionDepth--;
+        this.#exit();
+      } else {
+        this.#member(true);
+      }
+      if (this.#index === start) this.#index++;
+    }
+    if (this.#is('}')) this.#index++;
+  }
+
+  /**
+   * An object literal, from its `{`
+   */
+  #object() {
+    this.#index++;
+    while (this.#peek() && !this.#is('}')) {
+      const start = this.#index;
+      if (this.#is('...')) {
+        this.#index++;
+        this.#expression({ comma: false });
+      } else {
+        this.#member(false);
+      }
+      if (this.#is(',')) this.#index++;
+      else if (this.#index === start) this.#index++;
+    }
+    if (this.#is('}')) this.#index++;
+  }
+
+  /**
+   * A class member or object literal property. Member names are not
+   * references, except for shorthand properties (`{ a }`).
+   * @param {boolean} inClass
+   */
+  #member(inClass) {
+    while (
+      this.#peek()?.type === 'name' &&
+      MEMBER_MODIFIERS.has(/** @type {Token} */ (this.#peek()).value) &&
+      startsMemberName(this.#peek(1)) &&
+      !this.#peek(1)?.newlineBefore
+    ) {
+      this.#index++;
+    }
+    if (this.#is('*')) this.#index++;
+
+    const key = this.#peek();
+    if (!key || this.#is('}')) return;
+    if (this.#is('[')) {
+      // Computed name
+      this.#index++;
+      this.#expression();
+      if (this.#is(']')) this.#index++;
+    } else {
+      this.#index++;
+    }
+
+    if (this.#is('(')) {
+      // Method
+      this.#enter(true);
+      this.#functionDepth++;
+      this.#params();
+      if (this.#is('{')) this.#body();
+      this.#functionDepth--;
+      this.#exit();
+    } else if (inClass) {
+      // Field; initializers run when an instance is created
+      if (this.#is('=')) {
+        this.#index++;
+        this.#functionDepth++;
+        this.#expression({ comma: false });
+        this.#functionDepth--;
+      }
+      this.#semicolon();
+    } else if (this.#is(':')) {
+      this.#index++;
+      this.#expression({ comma: false });
+    } else if (isBindingName(key)) {
+      // Shorthand property
+      this.#use(key.value);
+    }
+  }
+
+  // ============================================================================
+  // Patterns
+  // ============================================================================
+
+  /**
+   * A binding pattern, or the target of a destructuring assignment
+   * @param {(name: string) => void} bind - Called with each bound or assigned name
+   * @param {boolean} [assignment=false] - Targets may be member expressions
+   */
+  #pattern(bind, assignment = false) {
+    const token = this.#peek();
+    if (!token) return;
+
+    if (this.#is('[')) {
+      this.#index++;
+      while (this.#peek() && !this.#is(']')) {
+        const start = this.#index;
+        if (this.#is(',')) {
+          this.#index++;
+          continue;
+        }
+        if (this.#is('...')) this.#index++;
+        this.#patternWithDefault(bind, assignment);
+        if (this.#is(',')) this.#index++;
+        else if (this.#index === start) this.#index++;
+      }
+      if (this.#is(']')) this.#index++;
+      return;
+    }
+
+    if (this.#is('{')) {
+      this.#index++;
+      while (this.#peek() && !this.#is('}')) {
+        const start = this.#index;
+        if (this.#is('...')) {
+          this.#index++;
+          this.#pattern(bind, assignment);
+        } else {
+          const key = /** @type {Token} */ (this.#peek());
+          if (this.#is('[')) {
+            this.#index++;
+            this.#expression();
+            if (this.#is(']')) this.#index++;
+          } else {
+            this.#index++;
+          }
+
+          if (this.#is(':')) {
+            this.#index++;
+            this.#patternWithDefault(bind, assignment);
+          } else {
+            if (isBindingName(key)) bind(key.value);
+            this.#default();
+          }
+        }
+        if (this.#is(',')) this.#index++;
+        else if (this.#index === start) this.#index++;
+      }
+      if (this.#is('}')) this.#index++;
+      return;
+    }
+
+    const next = this.#peek(1);
+    const simple = !next || next.type !== 'punct' || [',', ']', '}', ')', '=', ';'].includes(next.value);
+    if (isBindingName(token) && (simple || !assignment)) {
+      this.#index++;
+      bind(token.value);
+    } else if (assignment) {
+      // Member expression target (`[obj.a, arr[0]] = ...`)
+      this.#expression({ comma: false });
+    } else {
+      this.#index++;
+    }
+  }
+
+  /**
+   * A pattern with an optional default value
+   * @param {(name: string) => void} bind
+   * @param {boolean} [assignment=false]
+   */
+  #patternWithDefault(bind, assignment = false) {
+    this.#pattern(bind, assignment);
+    this.#default();
+  }
+
+  /**
+   * An optional `= default`
+   */
+  #default() {
+    if (this.#is('=')) {
+      this.#index++;
+      this.#expression({ comma: false });
+    }
+  }
+
+  // ============================================================================
+  // Expressions
+  // ============================================================================
+
+  /**
+   * Read an expression. It ends like the cell parser's expressions: at a
+   * `;`, an unbalanced closing bracket, a line break where automatic
+   * semicolon insertion applies, a `:` that does not belong to a
+   * conditional, or optionally a `,`.
+   *
+   * @param {{ comma?: boolean }} [options]
+   */
+  #expression({ comma = true } = {}) {
+    let conditionals = 0;
+    /** @type {Token | null} */
+    let prev = null;
+
+    for (let token = this.#peek(); token; token = this.#peek()) {
+      if (prev && token.newlineBefore && endsExpression(prev) && !continuesExpression(token)) {
+        // `a ? b\n: c` still continues
+        if (!(token.value === ':' && conditionals > 0)) break;
+      }
+      if (token.type === 'punct') {
+        const value = token.value;
+        if (value === ';' || value === ')' || value === ']' || value === '}') break;
+        if (value === ',' && !comma) break;
+        // A block after an operand (`class A extends B {`)
+        if (value === '{' && prev && endsExpression(prev)) break;
+        if (value === '?') conditionals++;
+        if (value === ':') {
+          if (conditionals === 0) break;
+          conditionals--;
+        }
+      }
+
+      this.#term(token, prev === null || !endsExpression(prev));
+      prev = this.#tokens[this.#index - 1];
+    }
+  }
+
+  /**
+   * Read one operand or operator of an expression
+   * @param {Token} token - Current token
+   * @param {boolean} operand - Whether an operand is expected here
+   */
+  #term(token, operand) {
+    if (token.type === 'template') {
+      this.#index++;
+      if (token.expressions) this.#template(token.expressions);
+      return;
+    }
+
+    if (token.type === 'name') {
+      if (!operand) {
+        // Operator words (`of`, `as`)
+        this.#index++;
+        return;
+      }
+      this.#name(token);
+      return;
+    }
+
+    if (token.type !== 'punct') {
+      this.#index++;
+      return;
+    }
+
+    switch (token.value) {
+      case '(':
+        if (operand && this.#closedBefore(['=>'])) {
+          this.#arrow();
+        } else {
+          this.#list(')');
+        }
+        return;
+      case '[':
+        if (operand && this.#closedBefore(['='])) {
+          this.#pattern((name) => this.#assign(name), true);
+        } else {
+          this.#list(']');
+        }
+        return;
+      case '{':
+        if (this.#closedBefore(['='])) {
+          this.#pattern((name) => this.#assign(name), true);
+        } else {
+          this.#object();
+        }
+        return;
+      case '.':
+      case '?.': {
+        this.#index++;
+        // Property names are not references
+        const next = this.#peek();
+        if (next && (next.type === 'name' || next.type === 'private')) this.#index++;
+        return;
+      }
+      case '++':
+      case '--': {
+        this.#index++;
+        const next = this.#peek();
+        if (operand && isBindingName(next) && !this.#is('.', 1) && !this.#is('?.', 1) && !this.#is('[', 1)) {
+          this.#index++;
+          this.#use(/** @type {Token} */ (next).value, { assign: true });
+        }
+        return;
+      }
+      default:
+        this.#index++;
+    }
+  }
+
+  /**
+   * A name in operand position
+   * @param {Token} token
+   */
+  #name(token) {
+    switch (token.value) {
+      case 'function':
+        this.#function(false);
+        return;
+      case 'class':
+        this.#class(false);
+        return;
+      case 'async':
+        if (this.#is('function', 1) && !this.#peek(1)?.newlineBefore) {
+          this.#function(false);
+          return;
+        }
+        if (isBindingName(this.#peek(1)) && this.#is('=>', 2)) {
+          this.#index++;
+          this.#arrow();
+          return;
+        }
+        if (this.#is('(', 1) && this.#tokens[this.#matching(this.#index + 1) + 1]?.value === '=>') {
+          this.#index++;
+          this.#arrow();
+          return;
+        }
+        break;
+    }
+
+    if (RESERVED_WORDS.has(token.value)) {
+      this.#index++;
+      return;
+    }
+
+    const next = this.#peek(1);
+    if (next?.type === 'punct' && next.value === '=>') {
+      this.#arrow();
+      return;
+    }
+
+    this.#index++;
+    if (next?.type === 'punct' && next.value === '=') {
+      this.#assign(token.value);
+    } else if (next?.type === 'punct' && COMPOUND_ASSIGNMENTS.has(next.value)) {
+      this.#use(token.value, { assign: true });
+    } else if (next?.type === 'punct' && (next.value === '++' || next.value === '--') && !next.newlineBefore) {
+      this.#use(token.value, { assign: true });
+    } else {
+      this.#use(token.value);
+    }
+  }
+
+  /**
+   * A bracketed list of expressions (arguments, array elements, grouping)
+   * @param {string} close - Closing bracket
+   */
+  #list(close) {
+    this.#index++;
+    while (this.#peek() && !this.#is(close)) {
+      const start = this.#index;
+      this.#expression();
+      if (this.#index === start) this.#index++;
+    }
+    if (this.#is(close)) this.#index++;
+  }
+
+  /**
+   * The substitutions of a template literal
+   * @param {Token[][]} substitutions
+   */
+  #template(substitutions) {
+    const outer = this.#tokens;
+    const index = this.#index;
+
+    for (const tokens of substitutions) {
+      this.#tokens = tokens;
+      this.#index = 0;
+      while (this.#peek()) {
+        const start = this.#index;
+        this.#expression();
+        if (this.#index === start) this.#index++;
+      }
+    }
+
+    this.#tokens = outer;
+    this.#index = index;
+  }
+}
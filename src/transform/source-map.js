@@ -0,0 +1,198 @@
+/**
+ * Cell Source Map
+ *
+ * Cells go through several transforms before they run (import extraction,
+ * persistence, the async wrapper). Each transform is a list of text edits,
+ * so positions in the final code can be mapped back through every stage to
+ * the cell the user wrote.
+ *
+ * @module transform/source-map
+ */
+
+import { applyEdits, mapEditedOffset } from './parse.js';
+
+/**
+ * @typedef {{ start: number, end: number, text: string }} Edit
+ */
+
+/**
+ * A 1-based line and column
+ * @typedef {Object} SourcePosition
+ * @property {number} line
+ * @property {number} column
+ */
+
+/** Lines of context shown around the error line in a code frame */
+const FRAME_CONTEXT = 2;
+
+/**
+ * Maps positions in transformed cell code back to the cell source
+ */
+export class CellSourceMap {
+  /** @type {string} */
+  #source;
+
+  /** @type {Edit[][]} */
+  #stages = [];
+
+  /** @type {string[]} */
+  #outputs = [];
+
+  /**
+   * @param {string} source - Cell source as written
+   */
+  constructor(source) {
+    this.#source = source;
+  }
+
+  /**
+   * Cell source as written
+   * @returns {string}
+   */
+  get source() {
+    return this.#source;
+  }
+
+  /**
+   * Code after all stages
+   * @returns {string}
+   */
+  get code() {
+    return this.#outputs[this.#outputs.length - 1] ?? this.#source;
+  }
+
+  /**
+   * Code after the given number of stages
+   * @param {number} stage
+   * @returns {string}
+   */
+  codeAt(stage) {
+    return stage === 0 ? this.#source : this.#outputs[stage - 1];
+  }
+
+  /**
+   * Apply a transform stage to the current code
+   * @param {Edit[]} edits - Edits against the current code
+   * @returns {string} Code after the stage
+   */
+  apply(edits) {
+    const output = applyEdits(this.code, edits);
+    this.#stages.push(edits);
+    this.#outputs.push(output);
+    return output;
+  }
+
+  /**
+   * Map an offset back to the cell source
+   * @param {number} offset - Offset in the output of `stage`
+   * @param {number} [stage] - Number of stages applied to the code the
+   *   offset refers to (defaults to all of them)
+   * @returns {{ offset: number, inserted: boolean }} Source offset, and
+   *   whether the position is in text added by a transform
+   */
+  originalOffset(offset, stage = this.#stages.length) {
+    let inserted = false;
+    for (let i = stage - 1; i >= 0; i--) {
+      const mapped = mapEditedOffset(this.#stages[i], offset);
+      offset = mapped.offset;
+      inserted ||= mapped.inserted;
+    }
+    return { offset, inserted };
+  }
+
+  /**
+   * Map a position in the final code back to the cell source
+   * @param {number} line - 1-based line
+   * @param {number} column - 1-based column
+   * @returns {SourcePosition | null} Null for positions in lines added by
+   *   transforms
+   */
+  originalPosition(line, column) {
+    let offset = getOffset(this.code, line, column);
+    if (offset === null) return null;
+
+    // Text added in front of source on the same line belongs to it: V8
+    // reports a failing last expression at the `return (` before it
+    const lineEnd = this.code.indexOf('\n', offset);
+    const end = lineEnd === -1 ? this.code.length : lineEnd;
+    for (; offset < end; offset++) {
+      const mapped = this.originalOffset(offset);
+      if (!mapped.inserted) return getPosition(this.#source, mapped.offset);
+    }
+    return null;
+  }
+
+  /**
+   * Get the source position of a source offset
+   * @param {number} offset
+   * @returns {SourcePosition}
+   */
+  positionAt(offset) {
+    return getPosition(this.#source, offset);
+  }
+
+  /**
+   * Render the source around a position, marking the column
+   * @param {number} line - 1-based line
+   * @param {number} column - 1-based column
+   * @returns {string}
+   *
+   * @example
+   * map.codeFrame(2, 7)
+   * //   1 | const a = 1;
+   * // > 2 | a.foo.bar
+   * //     |       ^
+   */
+  codeFrame(line, column) {
+    const lines = this.#source.split('\n');
+    const first = Math.max(1, line - FRAME_CONTEXT);
+    const last = Math.min(lines.length, line + FRAME_CONTEXT);
+    const width = String(last).length;
+
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+      const text = lines[number - 1].replace(/\r$/, '');
+      const gutter = String(number).padStart(width);
+      frame.push(`${number === line ? '>' : ' '} ${gutter} | ${text}`.trimEnd());
+
+      if (number === line) {
+        // Keep tabs so the caret lines up with the source
+        const indent = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+        frame.push(`  ${' '.repeat(width)} | ${indent}^`);
+      }
+    }
+    return frame.join('\n');
+  }
+}
+
+/**
+ * Get the 1-based line and column of an offset
+ * @param {string} code
+ * @param {number} offset
+ * @returns {SourcePosition}
+ */
+export function getPosition(code, offset) {
+  const before = code.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return {
+    line: before.split('\n').length,
+    column: offset - lineStart + 1,
+  };
+}
+
+/**
+ * Get the offset of a 1-based line and column
+ * @param {string} code
+ * @param {number} line
+ * @param {number} column
+ * @returns {number | null} Null if the line does not exist
+ */
+export function getOffset(code, line, column) {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    const next = code.indexOf('\n', offset);
+    if (next === -1) return null;
+    offset = next + 1;
+  }
+  return offset + column - 1;
+}
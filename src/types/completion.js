@@ -42,6 +42,8 @@
  * @property {string} [valuePreview] - Live value preview (from runtime)
  * @property {string} [type] - Type string
  * @property {number} [sortPriority] - Sort priority (lower = higher)
+ * @property {CompletionSource} [source] - Where the item came from, if not
+ *   the runtime
  */
 
 export {};
@@ -0,0 +1,66 @@
+/**
+ * Event Types
+ *
+ * Types for lifecycle and execution events dispatched by Session,
+ * SessionManager and MrpRuntime (as `CustomEvent`s with a `detail`).
+ * @module types/events
+ */
+
+/**
+ * @typedef {'busy' | 'idle'} SessionStatus
+ */
+
+/**
+ * @typedef {'session:created' | 'session:reset' | 'session:evicted' | 'session:destroyed'} SessionEventType
+ */
+
+/**
+ * @typedef {'execution:queued' | 'execution:started' | 'execution:finished' | 'execution:errored' | 'execution:interrupted' | 'execution:cancelled'} ExecutionEventType
+ */
+
+/**
+ * @typedef {SessionEventType | ExecutionEventType | 'status'} RuntimeEventType
+ */
+
+/**
+ * Detail of `session:*` events
+ * @typedef {Object} SessionEventDetail
+ * @property {string} sessionId
+ * @property {import('./session.js').SessionInfo} info - Session info at the time of the event
+ * @property {EvictionReason} [reason] - Why the session was evicted (`session:evicted`)
+ * @property {import('./session.js').SessionSnapshot} [snapshot] - Snapshot taken
+ *   before eviction (`session:evicted`, with `snapshotOnEvict`)
+ * @property {Promise<string>} [saved] - Resolves with the snapshot ID once
+ *   stored (`session:evicted`, with a snapshot store)
+ */
+
+/**
+ * - `idle`: inactive for longer than the idle timeout
+ * - `lru`: least recently used when a new session needed room
+ * @typedef {'idle' | 'lru'} EvictionReason
+ */
+
+/**
+ * Detail of `execution:*` events. Every execution is queued, then either
+ * cancelled, or started and ended with exactly one of finished, errored or
+ * interrupted.
+ * @typedef {Object} ExecutionEventDetail
+ * @property {string} sessionId
+ * @property {string} execId
+ * @property {string} language
+ * @property {string} [cellId]
+ * @property {number} [position] - Place in the session queue (`execution:queued`)
+ * @property {number} [executionCount] - Assigned when the execution starts;
+ *   absent for `storeHistory: false` runs
+ * @property {import('./execution.js').ExecutionResult} [result] - On the final event
+ */
+
+/**
+ * Detail of `status` events, dispatched when a session starts running
+ * (busy) and when it has finished everything it was asked to run (idle)
+ * @typedef {Object} StatusEventDetail
+ * @property {string} sessionId
+ * @property {SessionStatus} status
+ */
+
+export {};
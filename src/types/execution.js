@@ -14,6 +14,14 @@
  * @property {string} [execId] - Unique execution identifier
  * @property {string} [cellId] - Cell identifier (for linking)
  * @property {Record<string, *>} [cellMeta] - Metadata from code fence
+ * @property {AbortSignal} [signal] - Aborted when the execution is interrupted
+ * @property {import('../transform/imports.js').ImportMap} [importMap] - Resolves bare
+ *   specifiers of static imports (set by the session)
+ * @property {number} [executionCount] - Execution count the cell is recorded
+ *   under in `In`/`Out` (set by the session when history is stored)
+ * @property {number} [timeout] - Milliseconds the execution may run before it
+ *   is interrupted and fails with a TimeoutError (defaults to the session's
+ *   timeout; 0 for no limit)
  */
 
 /**
@@ -29,15 +37,34 @@
  * @property {number} executionCount - Execution count in session
  * @property {number} duration - Execution duration in milliseconds
  * @property {string[]} [imports] - Detected imports
+ * @property {boolean} [interrupted] - Whether the execution was interrupted
+ * @property {boolean} [namespaceLost] - Whether the context was restarted by
+ *   a hard interrupt, losing all session variables
+ * @property {boolean} [cancelled] - Whether the execution was cancelled
+ *   while queued, before it started
+ * @property {import('./variables.js').VariableDiff} [variables] - Session
+ *   variables the execution added, changed or removed (absent for
+ *   cancelled executions)
+ * @property {RerunResult[]} [rerun] - Downstream cells re-run after this
+ *   cell (runtime `reactive: 'run'` mode)
+ */
+
+/**
+ * A cell re-run because a cell it depends on ran
+ * @typedef {Object} RerunResult
+ * @property {string} cellId - Cell identifier
+ * @property {ExecutionResult} result - Result of the re-run
  */
 
 /**
  * @typedef {Object} ExecutionError
  * @property {string} type - Error type/class name
  * @property {string} message - Error message
- * @property {string[]} [traceback] - Stack trace lines
- * @property {number} [line] - Line number where error occurred
- * @property {number} [column] - Column number where error occurred
+ * @property {string[]} [traceback] - Stack trace lines, with cell positions
+ *   mapped back to the cell source and runtime wrapper frames removed
+ * @property {number} [line] - Line in the cell where the error occurred (1-based)
+ * @property {number} [column] - Column in the cell where the error occurred (1-based)
+ * @property {string} [excerpt] - Code frame of the cell around the error position
  */
 
 /**
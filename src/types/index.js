@@ -14,3 +14,4 @@ export * from './completion.js';
 export * from './inspection.js';
 export * from './variables.js';
 export * from './analysis.js';
+export * from './events.js';
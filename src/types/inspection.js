@@ -34,6 +34,9 @@
  * @property {string} [type] - Type string
  * @property {string} [value] - Value preview
  * @property {string} [signature] - Function signature
+ * @property {string} [documentation] - Documentation (markdown)
+ * @property {'runtime' | 'lsp' | 'static'} [source] - Where info came from,
+ *   if not the runtime
  */
 
 export {};
@@ -6,7 +6,7 @@
  */
 
 /**
- * @typedef {'iframe' | 'worker' | 'none'} IsolationMode
+ * @typedef {'iframe' | 'worker' | 'vm' | 'none'} IsolationMode
  */
 
 /**
@@ -18,6 +18,8 @@
  * @property {number} executionCount - Number of executions
  * @property {number} variableCount - Number of variables in namespace
  * @property {IsolationMode} isolation - Session isolation mode
+ * @property {import('./events.js').SessionStatus} status - Whether code is running
+ * @property {boolean} pinned - Whether the session is protected from eviction
  */
 
 /**
@@ -27,6 +29,175 @@
  * @property {IsolationMode} [isolation='iframe'] - Isolation mode
  * @property {boolean} [allowMainAccess=false] - Allow access to main document
  * @property {Record<string, *>} [utilities] - Custom utilities to inject
+ * @property {number} [interruptGracePeriod=1000] - Milliseconds an interrupted
+ *   execution gets to stop before the context is killed (iframe, worker) or
+ *   the execution is abandoned (main)
+ * @property {import('../transform/imports.js').ImportMap} [importMap] - Import map
+ *   used to resolve bare specifiers in `import` statements
+ * @property {number} [timeout] - Default per-execution time limit in
+ *   milliseconds (no limit if not set)
+ * @property {boolean} [parallel=false] - Run executions as soon as they are
+ *   requested instead of one at a time. Streamed output and input() requests
+ *   go to the execution that started most recently and is still running, so
+ *   output printed after an `await` can land in another execution.
+ * @property {boolean} [pinned=false] - Never evict the session (idle
+ *   timeout, LRU eviction)
+ * @property {boolean} [strictConst=false] - Keep `const` semantics across
+ *   cells: assigning to a top-level constant from another cell throws (see
+ *   `JavaScriptExecutor`). JavaScript then runs on the session's own
+ *   executor, not the registry's.
+ * @property {boolean} [visible=false] - Show the session's iframe in
+ *   `target` instead of hiding it (iframe isolation)
+ * @property {HTMLElement} [target] - Element a visible iframe is added to
+ * @property {Partial<CSSStyleDeclaration>} [styles] - Styles of a visible
+ *   iframe (defaults: full width and height, no border)
+ * @property {VariableImport[]} [imports] - Variables to transfer from other
+ *   sessions when the session is created (runtime `createSession` only)
+ */
+
+/**
+ * - `clone`: structured-clone the value into the target session's realm
+ * - `reference`: share the same object (iframe and main sessions only)
+ * @typedef {'clone' | 'reference'} TransferMode
+ */
+
+/**
+ * @typedef {Object} TransferOptions
+ * @property {TransferMode} [mode='clone'] - How the value is transferred
+ * @property {string} [as] - Name in the target session (defaults to the
+ *   source name)
+ */
+
+/**
+ * A variable a new session takes from another session
+ * @typedef {Object} VariableImport
+ * @property {string} from - Source session ID
+ * @property {string} name - Variable name in the source session
+ * @property {string} [as] - Name in the new session
+ * @property {TransferMode} [mode='clone'] - How the value is transferred
+ */
+
+/**
+ * A cell recorded in the session history
+ * @typedef {Object} HistoryEntry
+ * @property {number} executionCount - Execution count (`In[n]`/`Out[n]` index)
+ * @property {string} execId - Execution ID
+ * @property {string} language - Language the cell ran as
+ * @property {string} code - Cell source
+ * @property {boolean} success - Whether the cell completed without error
+ * @property {string} [resultString] - String representation of the result
+ * @property {string} [error] - Error as `Type: message`
+ * @property {string} timestamp - ISO timestamp of completion
+ * @property {number} duration - Duration in milliseconds
+ */
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {[number, number?]} [range] - Inclusive execution count range;
+ *   negative numbers count back from the latest cell (-1 is the latest)
+ * @property {string | RegExp} [search] - Only cells whose source contains
+ *   the string or matches the pattern
+ */
+
+/**
+ * A cell in the session dependency graph
+ * @typedef {Object} CellDependencies
+ * @property {string} cellId - Cell identifier
+ * @property {string} language - Language the cell last ran as
+ * @property {string[]} defines - Top-level names the cell declares
+ * @property {string[]} reads - Names the cell refers to (a superset of the
+ *   names it reads from other cells)
+ * @property {string[]} dependsOn - Cells that define names this cell reads
+ * @property {string[]} dependents - Cells that read names this cell defines
+ * @property {boolean} stale - Whether a cell this cell depends on ran since
+ *   this cell last ran
+ */
+
+/**
+ * @typedef {Object} DependencyGraphInfo
+ * @property {CellDependencies[]} cells - Cells in the order they were first run
+ */
+
+/**
+ * Notification that cells depend on a cell that just ran
+ * @typedef {Object} StaleEvent
+ * @property {string} sessionId - Session the cells belong to
+ * @property {string} cellId - Cell that ran
+ * @property {string[]} stale - Cells now stale, in execution order
+ */
+
+/**
+ * A variable in a session snapshot. Values are stored as structured clones;
+ * declared functions and classes as their source, re-evaluated on restore;
+ * anything else (other functions, class instances, ...) is kept only as a
+ * preview and cannot be restored.
+ * @typedef {{ name: string, kind: 'value', value: * }
+ *   | { name: string, kind: 'function' | 'class', source: string }
+ *   | { name: string, kind: 'unserializable', type: string, preview: string }} SnapshotVariable
+ */
+
+/**
+ * @typedef {Object} SessionSnapshot
+ * @property {number} version - Snapshot format version
+ * @property {string} id - Snapshot ID
+ * @property {string} sessionId - Session the snapshot was taken from
+ * @property {string} [notebook] - Notebook the session belongs to
+ * @property {string} [label] - Description shown in snapshot lists
+ * @property {string} language - Session language
+ * @property {IsolationMode} isolation - Session isolation mode
+ * @property {string} created - ISO timestamp of the snapshot
+ * @property {number} executionCount - Execution count at the snapshot
+ * @property {SnapshotVariable[]} variables - Tracked variables
+ * @property {HistoryEntry[]} history - Recorded cells
+ */
+
+/**
+ * @typedef {Object} SnapshotOptions
+ * @property {string} [notebook] - Notebook the session belongs to, for
+ *   listing its snapshots
+ * @property {string} [label] - Description shown in snapshot lists
+ */
+
+/**
+ * Stored snapshot, without its variables and history
+ * @typedef {Object} SnapshotSummary
+ * @property {string} id
+ * @property {string} sessionId
+ * @property {string} [notebook]
+ * @property {string} [label]
+ * @property {string} created
+ * @property {number} executionCount
+ * @property {number} variableCount
+ */
+
+/**
+ * Outcome of restoring a snapshot
+ * @typedef {Object} RestoreReport
+ * @property {string[]} restored - Variables defined in the session
+ * @property {Array<{ name: string, reason: string }>} failed - Variables
+ *   that could not be restored
+ */
+
+/**
+ * Outcome of forking a session
+ * @typedef {Object} ForkReport
+ * @property {string[]} copied - Variables deep-copied from the source
+ * @property {Array<{ name: string, reason: string }>} uncopied - Variables
+ *   that could not be copied
+ * @property {string[]} replayed - Uncopied variables rebuilt by re-running
+ *   the recorded cells that declare them
+ */
+
+/**
+ * An execution in a session's queue
+ * @typedef {Object} QueueEntry
+ * @property {string} execId - Execution ID
+ * @property {'running' | 'queued'} status
+ * @property {number} position - 0 while running, otherwise the place in
+ *   line (1 starts next)
+ * @property {string} language - Language
+ * @property {string} [cellId] - Cell identifier
+ * @property {string} [queuedAt] - ISO timestamp (queued executions)
  */
 
 export {};
@@ -25,6 +25,33 @@
  * @property {string[]} [keys] - Keys for objects/maps
  */
 
+/**
+ * @typedef {Object} SetVariableOptions
+ * @property {boolean} [clone=true] - Copy the value into the session
+ *   (structured clone). Without copying, iframe and main sessions share the
+ *   host's object, which avoids copying large data but lets either side
+ *   mutate it; worker sessions always receive a copy.
+ */
+
+/**
+ * A variable added, changed or removed by an execution
+ * @typedef {Object} VariableChange
+ * @property {string} name - Variable name
+ * @property {string} type - Type string (before removal for removed variables)
+ * @property {string} [before] - Value preview before the execution
+ *   (changed and removed variables)
+ * @property {string} [after] - Value preview after the execution
+ *   (added and changed variables)
+ */
+
+/**
+ * Variables an execution added, changed or removed, each sorted by name
+ * @typedef {Object} VariableDiff
+ * @property {VariableChange[]} added
+ * @property {VariableChange[]} changed
+ * @property {VariableChange[]} removed
+ */
+
 /**
  * @typedef {Object} VariableDetailOptions
  * @property {string} [session] - Session ID
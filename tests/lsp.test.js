@@ -1,10 +1,12 @@
 /**
  * LSP Feature Tests
  *
- * Tests for parsing, formatting, completions, hover, and inspection.
+ * Tests for parsing, formatting, completions, hover, inspection, and the
+ * language service fallback.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRuntime } from '../src/runtime.js';
 
 // Parse utilities
 import {
@@ -256,3 +258,124 @@ describe('LSP integration (via mock context)', () => {
     });
   });
 });
+
+/**
+ * In-process stand-in for a language server behind a WebSocket: answers
+ * completion and hover requests for `greet` in the open document
+ * @param {string[]} received - Collects the methods the server receives
+ */
+function createFakeLanguageServer(received) {
+  return class FakeWebSocket extends EventTarget {
+    /** @type {Map<string, string>} */
+    #documents = new Map();
+
+    constructor() {
+      super();
+      setTimeout(() => this.dispatchEvent(new Event('open')));
+    }
+
+    /** @param {string} data */
+    send(data) {
+      const message = JSON.parse(data);
+      received.push(message.method);
+      const params = message.params;
+      if (message.method === 'textDocument/didOpen') {
+        this.#documents.set(params.textDocument.uri, params.textDocument.text);
+      } else if (message.method === 'textDocument/didChange') {
+        this.#documents.set(params.textDocument.uri, params.contentChanges[0].text);
+      }
+      if (message.id === undefined) return;
+
+      const text = this.#documents.get(params?.textDocument?.uri) ?? '';
+      let result = null;
+      if (message.method === 'textDocument/completion') {
+        result = { isIncomplete: false, items: [{ label: 'greet', kind: 3, detail: '(name: string) => string' }] };
+      } else if (message.method === 'textDocument/hover' && text.includes('greet')) {
+        result = {
+          contents: { kind: 'markdown', value: '```typescript\nfunction greet(name: string): string\n```\nSays hello.' },
+          range: { start: { line: params.position.line, character: 0 }, end: { line: params.position.line, character: 5 } },
+        };
+      }
+      const reply = new MessageEvent('message', { data: JSON.stringify({ jsonrpc: '2.0', id: message.id, result }) });
+      setTimeout(() => this.dispatchEvent(reply));
+    }
+
+    close() {
+      this.dispatchEvent(new Event('close'));
+    }
+  };
+}
+
+describe('language service fallback', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+  /** @type {string[]} */
+  let received;
+
+  afterEach(() => {
+    runtime.destroy();
+  });
+
+  it('should ask the language service for completions the runtime does not have', async () => {
+    received = [];
+    runtime = createRuntime({
+      lspFallback: { url: 'ws://lsp.test', WebSocket: /** @type {*} */ (createFakeLanguageServer(received)) },
+    });
+    expect(runtime.getCapabilities().lspFallback).toBe('ws://lsp.test');
+
+    const fallback = await runtime.complete('gre', 3);
+    expect(fallback.source).toBe('lsp');
+    expect(fallback.matches.find((match) => match.label === 'greet')).toMatchObject({
+      kind: 'function',
+      detail: '(name: string) => string',
+      source: 'lsp',
+    });
+    expect(received.slice(0, 4)).toEqual(['initialize', 'initialized', 'textDocument/didOpen', 'textDocument/completion']);
+
+    await runtime.execute('const greeting = "hi";');
+    const result = runtime.complete('gre', 3);
+    expect(result).not.toBeInstanceOf(Promise);
+    expect(/** @type {*} */ (result).matches.map((/** @type {*} */ match) => match.label)).toEqual(['greeting']);
+    expect(received.filter((method) => method === 'textDocument/completion')).toHaveLength(1);
+  });
+
+  it('should fall back for hover and inspect when the runtime finds nothing', async () => {
+    received = [];
+    runtime = createRuntime({
+      lspFallback: { url: 'ws://lsp.test', WebSocket: /** @type {*} */ (createFakeLanguageServer(received)) },
+    });
+
+    expect(await runtime.hover('greet("Ada")', 2)).toEqual({
+      found: true,
+      source: 'lsp',
+      name: 'greet',
+      signature: 'function greet(name: string): string',
+      documentation: 'Says hello.',
+    });
+    expect(await runtime.inspect('greet("Ada")', 2, { detail: 1 })).toMatchObject({
+      found: true,
+      source: 'lsp',
+      docstring: 'Says hello.',
+    });
+    expect(received).toContain('textDocument/didChange');
+
+    await runtime.execute('const answer = 42;');
+    expect(await runtime.hover('answer', 2)).toMatchObject({ found: true, value: '42' });
+  });
+
+  it('should answer from the runtime when the language service is unreachable', async () => {
+    class FailingWebSocket extends EventTarget {
+      constructor() {
+        super();
+        setTimeout(() => this.dispatchEvent(new Event('error')));
+      }
+      send() {}
+      close() {}
+    }
+    runtime = createRuntime({ lspFallback: { url: 'ws://down.test', WebSocket: /** @type {*} */ (FailingWebSocket) } });
+
+    await runtime.execute('const total = 1;');
+    expect((await runtime.complete('tot', 3)).matches.map((match) => match.label)).toContain('total');
+    expect(await runtime.hover('missing', 2)).toEqual({ found: false });
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Remote Runtime Tests
+ *
+ * Tests for the MRP clients, against an in-process mrmd-js server or a
+ * runtime on the other end of a MessageChannel.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { createRuntime } from '../src/runtime.js';
+import { createNodeListener, createMrpHandler } from '../src/server/index.js';
+import { JavaScriptExecutor } from '../src/execute/index.js';
+import { formatValue } from '../src/lsp/format.js';
+import { RemoteRuntime, createRemoteRuntime, exposeRuntime, connectRuntime } from '../src/remote/index.js';
+
+describe('RemoteRuntime', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let server;
+  /** @type {import('node:http').Server} */
+  let http;
+  /** @type {RemoteRuntime} */
+  let remote;
+
+  beforeEach(async () => {
+    server = createRuntime();
+    http = createServer(createNodeListener(server, { basePath: '/mrp/v1' }));
+    await new Promise((resolve) => http.listen(0, '127.0.0.1', () => resolve(undefined)));
+    const { port } = /** @type {import('node:net').AddressInfo} */ (http.address());
+    remote = createRemoteRuntime({ url: `http://127.0.0.1:${port}/mrp/v1/` });
+  });
+
+  afterEach(async () => {
+    remote.destroy();
+    await new Promise((resolve) => http.close(resolve));
+    server.destroy();
+  });
+
+  it('should manage sessions on the server', async () => {
+    expect((await remote.getCapabilities()).languages).toContain('javascript');
+
+    const session = await remote.createSession({ id: 'nb' });
+    expect(session.id).toBe('nb');
+    expect(server.getSession('nb')).toBeDefined();
+    expect((await remote.listSessions()).map((info) => info.id)).toEqual(['nb']);
+    await expect(remote.createSession({ id: 'nb' })).rejects.toThrow(
+      "MRP POST /sessions failed (400): Session with ID 'nb' already exists"
+    );
+
+    expect(await remote.getSession('missing')).toBeUndefined();
+    expect((await remote.getOrCreateSession('nb')).id).toBe('nb');
+    expect(await session.destroy()).toBe(true);
+    expect(await remote.destroySession('nb')).toBe(false);
+  });
+
+  it('should execute code and query the live namespace', async () => {
+    const session = await remote.createSession({ id: 'nb' });
+    const result = await session.execute('const rows = [3, 1, 2]; rows.length');
+    expect(result).toMatchObject({ success: true, resultString: '3', executionCount: 1 });
+
+    expect((await remote.execute('rows.sort()[0]', { session: 'nb' })).resultString).toBe('1');
+    expect((await session.complete('ro', 2)).matches.map((match) => match.label)).toContain('rows');
+    expect((await session.hover('rows', 1)).found).toBe(true);
+    expect((await session.listVariables()).map((variable) => variable.name)).toEqual(['rows']);
+    expect((await session.getVariable('rows'))?.type).toBe('Array');
+    expect(await session.getVariable('missing')).toBeNull();
+    expect((await session.isComplete('rows.map((x) =>')).status).toBe('incomplete');
+
+    expect(await session.reset()).toBe(true);
+    expect(await session.listVariables()).toEqual([]);
+  });
+
+  it('should stream output and answer input requests', async () => {
+    const session = await remote.createSession({ id: 'nb' });
+    /** @type {string[]} */
+    const types = [];
+    let answer;
+
+    for await (const event of session.executeStream('console.log("hi"); await input("name?")')) {
+      types.push(event.type);
+      if (event.type === 'stdin_request') expect(await session.sendInput(event.execId, 'ada\n')).toBe(true);
+      if (event.type === 'result') answer = event.result.resultString;
+    }
+
+    expect(types[0]).toBe('start');
+    expect(types).toContain('stdout');
+    expect(types.at(-1)).toBe('done');
+    expect(answer).toBe('ada');
+  });
+
+  it('should interrupt remote executions', async () => {
+    const session = await remote.createSession({ id: 'nb' });
+    const running = session.execute('await sleep(60000)');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(await session.interrupt()).toBe(true);
+    const result = await running;
+    expect(result.success).toBe(false);
+    expect(result.interrupted).toBe(true);
+  });
+});
+
+describe('Language routing', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let python;
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  beforeEach(() => {
+    // Stand-in Python server: an in-process mrmd-js runtime serving 'python'
+    python = createRuntime();
+    python.getExecutorRegistry().registerLanguage('python', new JavaScriptExecutor());
+    const handle = createMrpHandler(python);
+    const remote = createRemoteRuntime({
+      url: 'http://python.test',
+      fetch: (input, init) => handle(new Request(input, init)),
+    });
+
+    runtime = createRuntime();
+    runtime.routeLanguage('python', remote, ['py']);
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    python.destroy();
+  });
+
+  it('should merge routed languages into the capabilities', () => {
+    const { languages } = runtime.getCapabilities();
+    expect(languages).toEqual(expect.arrayContaining(['javascript', 'css', 'python', 'py']));
+
+    expect(runtime.unrouteLanguage('py')).toBe(true);
+    expect(runtime.getCapabilities().languages).not.toContain('python');
+  });
+
+  it('should run routed languages on their runtime', async () => {
+    const result = await runtime.execute('const answer = 42; answer', { language: 'py' });
+    expect(result.resultString).toBe('42');
+    expect(python.getSession('python')).toBeDefined();
+
+    const local = await runtime.execute('typeof answer', { language: 'javascript' });
+    expect(local.result).toBe('undefined');
+    const sessions = await runtime.listSessions();
+    expect(sessions.map((info) => info.id)).toEqual(['default', 'python']);
+    expect(/** @type {*} */ (sessions[1]).backend).toBeDefined();
+    expect(/** @type {*} */ (sessions[0]).backend).toBeUndefined();
+    expect(python.listSessions()).toHaveLength(1);
+
+    const completions = await runtime.complete('ans', 3, { session: 'python' });
+    expect(completions.matches.map((match) => match.label)).toContain('answer');
+    expect((await runtime.hover('answer', 1, 'python')).value).toBe('42');
+    expect((await runtime.listVariables(undefined, 'python')).map((variable) => variable.name)).toEqual([
+      'answer',
+    ]);
+  });
+
+  it('should create, stream, interrupt and destroy routed sessions', async () => {
+    const session = await runtime.createSession({ id: 'nb-python', language: 'python' });
+    expect(python.getSession('nb-python')?.language).toBe('python');
+
+    /** @type {string[]} */
+    const types = [];
+    for await (const event of runtime.executeStream('print("hi")', { session: 'nb-python' })) {
+      types.push(event.type);
+    }
+    expect(types).toEqual(['start', 'stdout', 'result', 'done']);
+
+    const running = session.execute('await sleep(60000)');
+    await vi.waitFor(() => expect(python.getSession('nb-python')?.status).toBe('busy'));
+    expect(await runtime.interrupt()).toBe(true);
+    expect((await running).interrupted).toBe(true);
+
+    expect(await runtime.destroySession('nb-python')).toBe(true);
+    expect(python.getSession('nb-python')).toBeUndefined();
+  });
+
+  it('should keep local and routed sessions apart', async () => {
+    await runtime.execute('1');
+    await expect(runtime.execute('1', { session: 'default', language: 'python' })).rejects.toThrow(
+      "Session 'default' is a local session; run python in a session of its own"
+    );
+
+    await runtime.execute('1', { language: 'python' });
+    expect(() => runtime.createSession({ id: 'python' })).toThrow(
+      "Session with ID 'python' already exists on a remote runtime"
+    );
+  });
+
+  it('should give back the session ID when the routed runtime fails to create it', async () => {
+    const failing = createRemoteRuntime({
+      url: 'http://ruby.test',
+      fetch: () => Promise.reject(new Error('connection refused')),
+    });
+    runtime.routeLanguage('ruby', failing);
+
+    await expect(runtime.execute('1', { language: 'ruby' })).rejects.toThrow('connection refused');
+    await expect(runtime.getOrCreateSession('nb', { language: 'ruby' })).rejects.toThrow('connection refused');
+    const stream = runtime.executeStream('1', { session: 'gems', language: 'ruby' });
+    await expect(stream.next()).rejects.toThrow('connection refused');
+
+    for (const id of ['ruby', 'nb', 'gems']) {
+      expect(/** @type {*} */ (runtime.createSession({ id })).id).toBe(id);
+    }
+  });
+
+  it('should report interrupts as booleans', async () => {
+    expect(runtime.interrupt()).toBe(false);
+
+    const running = runtime.execute('await sleep(60000)');
+    await vi.waitFor(() => expect(runtime.getSession('default')?.status).toBe('busy'));
+    expect(runtime.interrupt()).toBe(true);
+    expect((await running).interrupted).toBe(true);
+
+    await runtime.execute('1', { language: 'python' });
+    expect(await runtime.interrupt()).toBe(false);
+  });
+});
+
+describe('MessagePort bridge', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let host;
+  /** @type {MessageChannel} */
+  let channel;
+  /** @type {() => void} */
+  let stop;
+  /** @type {import('../src/remote/index.js').PortRuntime} */
+  let runtime;
+
+  beforeEach(() => {
+    host = createRuntime({ reactive: 'notify' });
+    channel = new MessageChannel();
+    stop = exposeRuntime(host, channel.port1);
+    runtime = connectRuntime(channel.port2);
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    stop();
+    channel.port1.close();
+    channel.port2.close();
+    host.destroy();
+  });
+
+  it('should call runtime methods and forward events', async () => {
+    /** @type {string[]} */
+    const events = [];
+    runtime.addEventListener('execution:finished', (event) => {
+      events.push(/** @type {CustomEvent} */ (event).detail.result.resultString);
+    });
+
+    const session = await runtime.createSession({ id: 'nb' });
+    expect(session.id).toBe('nb');
+    expect((await runtime.listSessions()).map((info) => info.id)).toEqual(['nb']);
+
+    const result = await session.execute('const total = 40 + 2; total');
+    expect(result).toMatchObject({ success: true, resultString: '42' });
+    expect(result).not.toHaveProperty('result');
+    expect((await session.hover('total', 2)).value).toBe('42');
+    expect((await runtime.complete('tot', 3, { session: 'nb' })).matches.map((match) => match.label)).toContain(
+      'total'
+    );
+    await vi.waitFor(() => expect(events).toEqual(['42']));
+
+    await expect(runtime.createSession({ id: 'nb' })).rejects.toThrow("Session with ID 'nb' already exists");
+  });
+
+  it('should stream output and answer input requests', async () => {
+    /** @type {string[]} */
+    const types = [];
+    let answer;
+
+    for await (const event of runtime.executeStream('console.log("hi"); await input("name?")')) {
+      types.push(event.type);
+      if (event.type === 'stdin_request') {
+        expect(await runtime.sendInput('default', event.execId, 'ada\n')).toBe(true);
+      }
+      if (event.type === 'result') answer = event.result.resultString;
+    }
+
+    expect(types[0]).toBe('start');
+    expect(types).toContain('stdout');
+    expect(types.at(-1)).toBe('done');
+    expect(answer).toBe('ada');
+  });
+
+  it('should format results the executor left unformatted like the LSP views', async () => {
+    const value = new Map([['rows', [1, 2]]]);
+    host.getExecutorRegistry().register({
+      languages: ['table'],
+      async execute() {
+        return { success: true, stdout: '', stderr: '', result: value, displayData: [], assets: [], executionCount: 0, duration: 0 };
+      },
+    });
+
+    const result = await runtime.execute('rows', { language: 'table' });
+    expect(result).not.toHaveProperty('result');
+    expect(result.resultString).toBe(formatValue(value));
+  });
+
+  it('should interrupt executions when aborted or abandoned', async () => {
+    const controller = new AbortController();
+    const running = runtime.execute('await sleep(60000)', { signal: controller.signal });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    controller.abort();
+    expect(await running).toMatchObject({ success: false, interrupted: true });
+
+    for await (const event of runtime.executeStream('await sleep(60000)')) {
+      if (event.type === 'start') break;
+    }
+    await vi.waitFor(() => expect(host.getSession('default')?.getInfo().status).toBe('idle'));
+  });
+
+  it('should only cancel the abandoned execution while it is queued', async () => {
+    const running = runtime.execute('await sleep(200); "first"');
+    const queued = new AbortController();
+    const execution = runtime.execute('"second"', { signal: queued.signal });
+    const streamed = new AbortController();
+    const next = runtime.executeStream('"third"', { signal: streamed.signal }).next();
+    await vi.waitFor(() => expect(host.getSession('default')?.getQueue()).toHaveLength(3));
+
+    queued.abort();
+    streamed.abort();
+    await expect(next).rejects.toThrow('Execution aborted');
+    await vi.waitFor(() => expect(host.getSession('default')?.getQueue()).toHaveLength(1));
+    expect((await running).resultString).toBe('first');
+    expect((await execution).success).toBe(false);
+  });
+
+  it('should forward stale cells', async () => {
+    const events = [];
+    runtime.onStale((event) => events.push(event));
+
+    await runtime.execute('let n = 1;', { cellId: 'n' });
+    await runtime.execute('n + 1', { cellId: 'next' });
+    await runtime.execute('let n = 2;', { cellId: 'n' });
+
+    await vi.waitFor(() => expect(events).toEqual([{ sessionId: 'default', cellId: 'n', stale: ['next'] }]));
+    const rerun = await runtime.runStale();
+    expect(rerun.map(({ cellId, result }) => [cellId, result.resultString])).toEqual([['next', '3']]);
+  });
+});
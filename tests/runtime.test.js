@@ -88,11 +88,9 @@ describe('MrpRuntime', () => {
   });
 
   describe('completions', () => {
-    it.skip('should get completions (requires browser environment)', () => {
-      // This test requires a browser environment with document defined
-      // The session needs to be created first which may require iframe
+    it('should get completions', () => {
       const result = runtime.complete('con', 3);
-      expect(result.items).toBeDefined();
+      expect(result.matches.map((match) => match.label)).toContain('console');
     });
   });
 
@@ -107,6 +105,16 @@ describe('MrpRuntime', () => {
       const manager = runtime.getSessionManager();
       expect(manager).toBeDefined();
     });
+
+    it('should extend the import map', () => {
+      const withMap = createRuntime({ importMap: { imports: { a: 'https://x.dev/a.js' } } });
+      withMap.addImports({ b: 'https://x.dev/b.js' });
+      expect(withMap.getImportMap().imports).toEqual({
+        a: 'https://x.dev/a.js',
+        b: 'https://x.dev/b.js',
+      });
+      withMap.destroy();
+    });
   });
 });
 
@@ -0,0 +1,194 @@
+/**
+ * Server Tests
+ *
+ * Tests for serving the MRP endpoints over HTTP.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { createRuntime } from '../src/runtime.js';
+import { createMrpHandler, createNodeListener } from '../src/server/index.js';
+
+/**
+ * Read a Server-Sent Events body as stream events
+ * @param {Response} response
+ * @param {(event: *) => void | Promise<void>} [onEvent]
+ * @returns {Promise<Array<*>>}
+ */
+async function readEvents(response, onEvent) {
+  const events = [];
+  let buffer = '';
+  for await (const chunk of /** @type {*} */ (response.body).pipeThrough(new TextDecoderStream())) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const [typeLine, dataLine] = buffer.slice(0, end).split('\n');
+      buffer = buffer.slice(end + 2);
+      const event = { type: typeLine.slice('event: '.length), ...JSON.parse(dataLine.slice('data: '.length)) };
+      events.push(event);
+      await onEvent?.(event);
+    }
+  }
+  return events;
+}
+
+describe('MRP handler', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+  /** @type {(path: string, body?: *, method?: string) => Promise<Response>} */
+  let request;
+
+  beforeEach(() => {
+    runtime = createRuntime();
+    const handle = createMrpHandler(runtime, { basePath: '/mrp/v1' });
+    request = (path, body, method = body === undefined ? 'GET' : 'POST') =>
+      handle(
+        new Request(`http://localhost/mrp/v1${path}`, {
+          method,
+          body: body === undefined ? undefined : JSON.stringify(body),
+        })
+      );
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+  });
+
+  it('should serve capabilities and sessions', async () => {
+    expect((await (await request('/capabilities')).json()).languages).toContain('javascript');
+
+    const created = await request('/sessions', { id: 'nb' });
+    expect(created.status).toBe(201);
+    expect((await created.json()).id).toBe('nb');
+    expect((await request('/sessions', { id: 'nb' })).status).toBe(400);
+    expect((await (await request('/sessions')).json()).map((info) => info.id)).toEqual(['nb']);
+
+    expect((await request('/sessions/nb/reset', {})).status).toBe(200);
+    expect((await request('/sessions/nb', undefined, 'DELETE')).status).toBe(204);
+    expect((await request('/sessions/nb')).status).toBe(404);
+  });
+
+  it('should only accept session options that are safe over the wire', async () => {
+    const unknown = await request('/sessions', { id: 'nb', utilities: { secret: 1 }, strictConst: true });
+    expect(unknown.status).toBe(400);
+    expect(await unknown.json()).toEqual({ error: 'Unsupported session options: utilities, strictConst' });
+
+    const main = await request('/sessions', { id: 'nb', isolation: 'none' });
+    expect(main.status).toBe(400);
+    expect(await main.json()).toEqual({ error: "Invalid 'isolation': expected one of iframe, worker, vm" });
+    expect((await request('/sessions', { id: 42 })).status).toBe(400);
+    expect((await request('/sessions', { id: 'nb', timeout: '1s' })).status).toBe(400);
+    expect(runtime.listSessions()).toEqual([]);
+
+    const created = await request('/sessions', { id: 'nb', language: 'js', isolation: 'vm', timeout: 1000 });
+    expect(created.status).toBe(201);
+    expect(await created.json()).toMatchObject({ id: 'nb', isolation: 'vm' });
+  });
+
+  it('should only allow the configured isolation modes', async () => {
+    const handle = createMrpHandler(runtime, { isolation: ['vm'] });
+    /** @param {*} body */
+    const create = (body) =>
+      handle(new Request('http://localhost/sessions', { method: 'POST', body: JSON.stringify(body) }));
+
+    expect((await create({ id: 'worker', isolation: 'worker' })).status).toBe(400);
+    const created = await create({ id: 'vm', isolation: 'vm' });
+    expect(created.status).toBe(201);
+    expect((await created.json()).isolation).toBe('vm');
+  });
+
+  it('should execute code and answer LSP requests', async () => {
+    const result = await (await request('/execute', { code: 'const total = 40 + 2; total' })).json();
+    expect(result).toMatchObject({ success: true, resultString: '42', executionCount: 1 });
+    expect(result).not.toHaveProperty('result');
+
+    const completions = await (await request('/complete', { code: 'tot', cursor: 3 })).json();
+    expect(completions.matches.map((match) => match.label)).toContain('total');
+    expect((await (await request('/hover', { code: 'total', cursor: 2 })).json()).value).toBe('42');
+    expect((await (await request('/variables', {})).json()).map((variable) => variable.name)).toEqual(['total']);
+    expect((await (await request('/variables/total', {})).json()).value).toBe('42');
+    expect((await (await request('/is_complete', { code: 'if (x) {' })).json()).status).toBe('incomplete');
+  });
+
+  it('should answer bad requests with JSON errors', async () => {
+    const missing = await request('/execute', {});
+    expect(missing.status).toBe(400);
+    expect(await missing.json()).toEqual({ error: "Missing 'code': expected a string" });
+
+    expect((await request('/complete', { code: 'x' })).status).toBe(400);
+    expect((await request('/variables/nope', {})).status).toBe(404);
+    expect((await request('/nope')).status).toBe(404);
+  });
+
+  it('should stream execution events with stdin round trips', async () => {
+    const response = await request('/execute/stream', {
+      code: 'console.log("asking"); const name = await input("name?"); name.toUpperCase()',
+    });
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+
+    const events = await readEvents(response, async (event) => {
+      if (event.type === 'stdin_request') {
+        const reply = await request('/input', { execId: event.execId, text: 'ada\n' });
+        expect(await reply.json()).toEqual({ accepted: true });
+      }
+    });
+
+    expect(events[0].type).toBe('start');
+    expect(events.map((event) => event.type)).toContain('stdout');
+    expect(events.at(-2)).toMatchObject({ type: 'result', result: { resultString: 'ADA' } });
+    expect(events.at(-1)).toEqual({ type: 'done' });
+  });
+});
+
+describe('Node listener', () => {
+  it('should serve over node:http and interrupt streams the client drops', async () => {
+    const runtime = createRuntime();
+    const server = createServer(createNodeListener(runtime, { cors: true }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+    const { port } = /** @type {import('node:net').AddressInfo} */ (server.address());
+    const url = `http://127.0.0.1:${port}`;
+
+    try {
+      const executed = await fetch(`${url}/execute`, {
+        method: 'POST',
+        body: JSON.stringify({ code: '6 * 7' }),
+      });
+      expect(executed.headers.get('Access-Control-Allow-Origin')).toBe('*');
+      expect((await executed.json()).resultString).toBe('42');
+
+      const streaming = await fetch(`${url}/execute/stream`, {
+        method: 'POST',
+        body: JSON.stringify({ code: 'await sleep(60000)' }),
+      });
+      const reader = /** @type {ReadableStream} */ (streaming.body).getReader();
+      await reader.read();
+      await reader.cancel();
+
+      await vi.waitFor(() => {
+        expect(runtime.getSession('default')?.getInfo().status).toBe('idle');
+      });
+    } finally {
+      server.close();
+      runtime.destroy();
+    }
+  });
+
+  it('should only cancel the dropped execution while it is queued', async () => {
+    const runtime = createRuntime();
+    const handle = createMrpHandler(runtime);
+    const running = runtime.execute('await sleep(200); "first"');
+
+    const streaming = await handle(
+      new Request('http://localhost/execute/stream', { method: 'POST', body: JSON.stringify({ code: '"second"' }) })
+    );
+    await vi.waitFor(() => expect(runtime.getSession('default')?.getQueue()).toHaveLength(2));
+    await /** @type {ReadableStream} */ (streaming.body).cancel();
+
+    try {
+      expect(runtime.getSession('default')?.getQueue()).toHaveLength(1);
+      expect((await running).resultString).toBe('first');
+    } finally {
+      runtime.destroy();
+    }
+  });
+});
@@ -5,8 +5,22 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { Session, SessionManager, createSessionManager } from '../src/session/index.js';
-import { createDefaultExecutorRegistry } from '../src/execute/index.js';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+import { resolveObjectURL } from 'node:buffer';
+import {
+  Session,
+  SessionManager,
+  createSessionManager,
+  WorkerContext,
+  InterruptTracker,
+  createSnapshotStore,
+  RUNTIME_EVENT_TYPES,
+} from '../src/session/index.js';
+import { enableHostImports } from '../src/session/context/vm.js';
+import { createDefaultExecutorRegistry, JavaScriptExecutor } from '../src/execute/index.js';
+import { createRuntime } from '../src/runtime.js';
+import { captureNamespace, diffNamespace } from '../src/session/diff.js';
 
 // Note: These tests run in Node.js/jsdom environment.
 // Full browser-specific tests (iframe isolation) require browser environment.
@@ -169,3 +183,1730 @@ describe('SessionManager', () => {
     });
   });
 });
+
+/**
+ * Minimal Web Worker stand-in: runs the worker script in a separate
+ * vm context on the same thread and exchanges cloned messages. Imports
+ * in executed code go to the host, as in vm sessions.
+ */
+class FakeWorker {
+  onmessage = null;
+  onerror = null;
+  terminated = false;
+
+  constructor(url) {
+    const noop = () => {};
+    this.sandbox = vm.createContext({
+      console: { log: noop, info: noop, warn: noop, error: noop },
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      AbortController,
+      structuredClone,
+      performance,
+    });
+    vm.runInContext('var self = globalThis;', this.sandbox);
+    this.redirectImports = enableHostImports(vm.runInContext('globalThis', this.sandbox));
+    this.sandbox.postMessage = (data) => {
+      const cloned = structuredClone(data);
+      setTimeout(() => {
+        if (!this.terminated) this.onmessage?.({ data: cloned });
+      });
+    };
+    this.ready = resolveObjectURL(url)
+      .text()
+      .then((source) => vm.runInContext(source, this.sandbox));
+  }
+
+  postMessage(data) {
+    const cloned = structuredClone(data);
+    if (cloned.type === 'execute') cloned.code = this.redirectImports(cloned.code);
+    this.ready.then(() => {
+      if (!this.terminated) this.sandbox.onmessage({ data: cloned });
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('WorkerContext', () => {
+  /** @type {WorkerContext} */
+  let context;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    context = new WorkerContext();
+  });
+
+  afterEach(() => {
+    context.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should execute code and return the result', async () => {
+    const raw = await context.execute('console.log("hi"); 1 + 2');
+    expect(raw.result).toBe(3);
+    expect(raw.logs).toHaveLength(1);
+    expect(raw.logs[0].args).toEqual(['hi']);
+  });
+
+  it('should mirror tracked variables after execution', async () => {
+    context.trackVariable('user');
+    await context.execute('var user = { name: "Ada", greet() { return 1; } }');
+
+    const user = context.getVariable('user');
+    expect(user.name).toBe('Ada');
+    expect(typeof user.greet).toBe('function');
+    expect(user.greet.name).toBe('greet');
+    expect(context.hasVariable('user')).toBe(true);
+    expect(Object.keys(context.getVariables())).toEqual(['user']);
+  });
+
+  it('should only send back the variables an execution may have changed', async () => {
+    context.trackVariable('a');
+    context.trackVariable('b');
+    await context.execute('var a = 1; var b = [1];');
+
+    const worker = /** @type {*} */ (context.getWorker());
+    const handle = worker.onmessage;
+    /** @type {string[][]} */
+    const sent = [];
+    worker.onmessage = (/** @type {*} */ event) => {
+      if (event.data.type === 'result') sent.push(Object.keys(event.data.variables));
+      handle(event);
+    };
+
+    await context.execute('b.push(2)');
+    await context.execute('1 + 1');
+    context.trackVariable('add');
+    await context.execute('var add = () => b.push(3);');
+    await context.execute('add()');
+    expect(sent).toEqual([['b'], [], ['b', 'add'], ['a', 'b', 'add']]);
+    expect(context.getVariable('a')).toBe(1);
+    expect(context.getVariable('b')).toEqual([1, 2, 3]);
+  });
+
+  it('should keep the output of overlapping executions apart', async () => {
+    const first = context.execute('(async () => { console.log("a1"); display("a"); await sleep(20); console.log("a2"); })()');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await context.execute('console.log("b"); display("b");');
+
+    expect(second.logs.map((log) => log.args[0])).toEqual(['b']);
+    expect(context.getDisplayQueue()).toEqual([{ data: { 'text/plain': 'b' }, metadata: {} }]);
+    expect((await first).logs.map((log) => log.args[0])).toEqual(['a1', 'a2']);
+    expect(context.getDisplayQueue()).toEqual([{ data: { 'text/plain': 'a' }, metadata: {} }]);
+  });
+
+  it('should return errors from the worker', async () => {
+    const raw = await context.execute('null.foo');
+    expect(raw.error).toBeInstanceOf(Error);
+    expect(raw.error.name).toBe('TypeError');
+  });
+
+  it('should collect display data', async () => {
+    await context.execute('display({ a: 1 })');
+    expect(context.getDisplayQueue()).toEqual([
+      { data: { 'application/json': '{\n  "a": 1\n}' }, metadata: {} },
+    ]);
+  });
+
+  it('should route input() through the stdin handler', async () => {
+    const handler = vi.fn(async () => 'Ada\n');
+    context.setStdinHandler(handler);
+
+    const raw = await context.execute('input("Name?")', { execId: 'exec-1' });
+    expect(raw.result).toBe('Ada');
+    expect(handler).toHaveBeenCalledWith({ prompt: 'Name?', password: false, execId: 'exec-1' });
+  });
+
+  it('should settle pending executions when terminated', async () => {
+    const pending = context.execute('new Promise(() => {})');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    context.terminate();
+    const raw = await pending;
+    expect(raw.error?.message).toBe('Worker terminated');
+  });
+
+  it('should back sessions created with worker isolation', async () => {
+    const manager = createSessionManager();
+    const session = manager.create({ isolation: 'worker' });
+
+    const result = await session.execute('21 * 2');
+    expect(result.success).toBe(true);
+    expect(result.resultString).toBe('42');
+    expect(session.getInfo().isolation).toBe('worker');
+
+    manager.destroyAll();
+  });
+});
+
+describe('InterruptTracker', () => {
+  /** @type {*} */
+  let global;
+  /** @type {InterruptTracker} */
+  let tracker;
+
+  beforeEach(() => {
+    global = { Error, setTimeout, clearTimeout, setInterval, clearInterval };
+    tracker = new InterruptTracker(global);
+    tracker.install();
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+  });
+
+  it('should define KeyboardInterrupt in the realm', () => {
+    const error = new global.KeyboardInterrupt();
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('KeyboardInterrupt');
+  });
+
+  it('should reject pending sleep() calls', async () => {
+    tracker.begin();
+    const pending = tracker.sleep(60_000);
+    tracker.interrupt();
+
+    await expect(pending).rejects.toMatchObject({ name: 'KeyboardInterrupt' });
+    tracker.end();
+  });
+
+  it('should clear timers started during an execution', async () => {
+    const callback = vi.fn();
+    tracker.begin();
+    global.setTimeout(callback, 5);
+    tracker.interrupt();
+    tracker.end();
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should leave timers from finished executions alone', async () => {
+    const callback = vi.fn();
+    tracker.begin();
+    global.setTimeout(callback, 5);
+    tracker.end();
+
+    tracker.begin();
+    tracker.interrupt();
+    tracker.end();
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(callback).toHaveBeenCalled();
+  });
+});
+
+describe('Session interrupt', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker', interruptGracePeriod: 20 });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should reject a pending sleep() with KeyboardInterrupt', async () => {
+    const pending = session.execute('sleep(60000)', { execId: 'exec-sleep' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(session.interrupt('exec-sleep')).toBe(true);
+    const result = await pending;
+
+    expect(result.success).toBe(false);
+    expect(result.interrupted).toBe(true);
+    expect(result.error?.type).toBe('KeyboardInterrupt');
+    expect(result.namespaceLost).toBeUndefined();
+  });
+
+  it('should reject a pending input() with KeyboardInterrupt', async () => {
+    session.getContext().setStdinHandler(() => new Promise(() => {}));
+    const pending = session.execute('input("Name?")', { execId: 'exec-input' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    session.interrupt();
+    const result = await pending;
+    expect(result.error?.type).toBe('KeyboardInterrupt');
+  });
+
+  it('should kill the context when code does not stop', async () => {
+    const pending = session.execute('new Promise(() => {})', { execId: 'exec-stuck' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    session.interrupt('exec-stuck');
+    const result = await pending;
+
+    expect(result.interrupted).toBe(true);
+    expect(result.namespaceLost).toBe(true);
+    expect(result.error?.type).toBe('KeyboardInterrupt');
+
+    // The session keeps working with a fresh context
+    const next = await session.execute('1 + 1');
+    expect(next.resultString).toBe('2');
+  });
+
+  it('should kill immediately on hard interrupt', async () => {
+    const pending = session.execute('new Promise(() => {})', { execId: 'exec-hard' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    session.interrupt('exec-hard', { hard: true });
+    const result = await pending;
+    expect(result.namespaceLost).toBe(true);
+  });
+
+  it('should return false when nothing is running', () => {
+    expect(session.interrupt()).toBe(false);
+  });
+});
+
+describe('Session timeout', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker', interruptGracePeriod: 20 });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should stop the cell and keep the output produced so far', async () => {
+    const result = await session.execute(
+      'console.log("step 1");\ndisplay("chart");\nawait sleep(60000);\nconsole.log("step 2");',
+      { timeout: 30 }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.interrupted).toBe(true);
+    expect(result.error).toEqual({ type: 'TimeoutError', message: 'Execution timed out after 30ms' });
+    expect(result.stdout).toBe('step 1');
+    expect(result.displayData.map((d) => d.data['text/plain'])).toEqual(['chart']);
+    expect(result.namespaceLost).toBeUndefined();
+  });
+
+  it('should kill code that does not stop and report its output', async () => {
+    const events = [];
+    for await (const event of session.executeStream(
+      'console.log("started");\nawait new Promise(() => {});',
+      { timeout: 30 }
+    )) {
+      events.push(event);
+    }
+
+    const { result } = events.find((event) => event.type === 'result');
+    expect(result.error.type).toBe('TimeoutError');
+    expect(result.namespaceLost).toBe(true);
+    expect(result.stdout).toBe('started');
+    expect(events.some((event) => event.type === 'stdout' && event.content === 'started\n')).toBe(true);
+  });
+
+  it('should use the session default and leave fast cells alone', async () => {
+    const limited = manager.create({ isolation: 'worker', interruptGracePeriod: 20, timeout: 30 });
+
+    expect((await limited.execute('await sleep(1); 42')).result).toBe(42);
+    expect((await limited.execute('await sleep(60000)')).error.type).toBe('TimeoutError');
+    expect((await limited.execute('await sleep(60)', { timeout: 0 })).success).toBe(true);
+  });
+});
+
+describe('Session executeStream', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker' });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should stream console output as it happens', async () => {
+    const code = 'console.log("a"); sleep(20).then(() => { console.log("b"); display("<b>hi</b>", "text/html"); return 1; })';
+    const events = [];
+    for await (const event of session.executeStream(code)) {
+      events.push(event);
+    }
+
+    expect(events.map((e) => e.type)).toEqual([
+      'start',
+      'stdout',
+      'stdout',
+      'display',
+      'result',
+      'done',
+    ]);
+    expect(events[1]).toMatchObject({ content: 'a\n', accumulated: 'a\n' });
+    expect(events[2]).toMatchObject({ content: 'b\n', accumulated: 'a\nb\n' });
+    expect(events[3].data).toEqual({ 'text/html': '<b>hi</b>' });
+    expect(events[4].result.stdout).toBe('a\nb');
+    expect(events[4].result.executionCount).toBe(1);
+  });
+
+  it('should yield stdin requests while execution waits for input', async () => {
+    const events = [];
+    for await (const event of session.executeStream('input("Name?")', { execId: 'exec-in' })) {
+      events.push(event);
+      if (event.type === 'stdin_request') {
+        expect(session.sendInput(event.execId, 'Ada')).toBe(true);
+      }
+    }
+
+    const request = events.find((e) => e.type === 'stdin_request');
+    expect(request).toMatchObject({ prompt: 'Name?', execId: 'exec-in' });
+    expect(events.find((e) => e.type === 'result').result.result).toBe('Ada');
+  });
+});
+
+describe('Session imports', () => {
+  /** @type {SessionManager} */
+  let manager;
+
+  const moduleUrl = `data:text/javascript,${encodeURIComponent(
+    'export default function greet(name) { return `hi ${name}`; }\nexport const answer = 42;'
+  )}`;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should persist bindings of static imports', async () => {
+    const session = manager.create({ isolation: 'worker' });
+
+    const first = await session.execute(`import greet, { answer as n } from '${moduleUrl}';\nn`);
+    expect(first.success).toBe(true);
+    expect(first.result).toBe(42);
+
+    const second = await session.execute('greet("Ada")');
+    expect(second.result).toBe('hi Ada');
+    expect(session.listVariables().map((v) => v.name)).toEqual(
+      expect.arrayContaining(['greet', 'n'])
+    );
+  });
+
+  it('should resolve bare specifiers through the import map', async () => {
+    const session = manager.create({
+      isolation: 'worker',
+      importMap: { imports: { greetings: moduleUrl } },
+    });
+
+    const result = await session.execute("import { answer } from 'greetings';\nanswer + 1");
+    expect(result.result).toBe(43);
+  });
+
+  it('should report missing exports without running the cell', async () => {
+    const session = manager.create({ isolation: 'worker' });
+
+    const result = await session.execute(
+      `import { nope } from '${moduleUrl}';\nconsole.log('ran')`
+    );
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('SyntaxError');
+    expect(result.stdout).toBe('');
+  });
+});
+
+describe('Session variable persistence', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker' });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should persist top-level declarations across cells', async () => {
+    await session.execute('const x = 2; let { y } = { y: 3 }; function mul(a, b) { return a * b; }');
+    const result = await session.execute('mul(x, y)');
+    expect(result.result).toBe(6);
+  });
+
+  it('should keep per-iteration bindings of let loops', async () => {
+    const result = await session.execute(
+      'const fns = [];\nfor (let i = 0; i < 3; i++) fns.push(() => i);\nfns.map((f) => f())'
+    );
+    expect(result.result).toEqual([0, 1, 2]);
+  });
+
+  it('should not leak block-scoped variables', async () => {
+    await session.execute('let value = "outer";\n{ let value = "inner"; }');
+    const result = await session.execute('typeof i === "undefined" ? value : "leaked"');
+    expect(result.result).toBe('outer');
+    expect(session.listVariables().map((v) => v.name)).not.toContain('i');
+  });
+
+  it('should support top-level await', async () => {
+    const result = await session.execute('const v = await sleep(1).then(() => 5);\nv + 1');
+    expect(result.result).toBe(6);
+  });
+});
+
+describe('Strict const mode', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const executorRegistry = createDefaultExecutorRegistry();
+    executorRegistry.register(new JavaScriptExecutor({ strictConst: true }));
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker', executorRegistry });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should reject assignment to constants from other cells', async () => {
+    await session.execute('const config = { retries: 3 };');
+
+    const result = await session.execute('config = null');
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('TypeError');
+    expect(result.error.message).toBe('Assignment to constant variable.');
+    expect((await session.execute('config.retries')).result).toBe(3);
+  });
+
+  it('should allow re-running and redeclaring constants', async () => {
+    await session.execute('const limit = 1, double = limit * 2;');
+    await session.execute('const limit = 5;');
+    expect((await session.execute('limit')).result).toBe(5);
+
+    await session.execute('let limit = 7;\nlimit += 1');
+    expect((await session.execute('limit')).result).toBe(8);
+    expect((await session.execute('double')).result).toBe(2);
+  });
+
+  it('should be turned on for runtime and session options', async () => {
+    const runtime = createRuntime({ strictConst: true, defaultIsolation: 'worker' });
+    const loose = createRuntime({ defaultIsolation: 'worker' });
+    try {
+      for (const strict of [runtime.createSession(), loose.createSession({ strictConst: true })]) {
+        await strict.execute('const limit = 1;');
+        expect((await strict.execute('limit = 2')).error?.message).toBe('Assignment to constant variable.');
+      }
+
+      const relaxed = runtime.createSession({ strictConst: false });
+      await relaxed.execute('const limit = 1;');
+      expect((await relaxed.execute('limit = 2')).success).toBe(true);
+    } finally {
+      runtime.destroy();
+      loose.destroy();
+    }
+  });
+});
+
+describe('Error positions', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker' });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should report runtime errors at their position in the cell', async () => {
+    const result = await session.execute(
+      'import "data:text/javascript,";\nconst a = { b: null };\nconst c = a.b.d;'
+    );
+
+    expect(result.error.type).toBe('TypeError');
+    expect(result.error.line).toBe(3);
+    expect(result.error.column).toBe(15);
+    expect(result.error.excerpt).toBe(
+      [
+        '  1 | import "data:text/javascript,";',
+        '  2 | const a = { b: null };',
+        '> 3 | const c = a.b.d;',
+        '    |               ^',
+      ].join('\n')
+    );
+  });
+
+  it('should map frames and drop runtime frames from the traceback', async () => {
+    await session.execute('function fail() {\n  throw new Error("boom");\n}');
+    const result = await session.execute('const items = [1];\nitems.map(() => fail())');
+
+    expect(result.error.line).toBe(2);
+    expect(result.error.column).toBe(17);
+
+    const [header, ...frames] = result.error.traceback;
+    expect(header).toBe('Error: boom');
+    expect(frames[0]).toMatch(/at fail \(mrmd-cell-\d+\.js:2:9\)$/);
+    expect(frames.at(-1)).toMatch(/mrmd-cell-\d+\.js:2:7\)$/);
+    expect(frames.some((frame) => frame.includes('Array.map'))).toBe(true);
+    expect(frames.every((frame) => frame.includes('mrmd-cell-') || frame.includes('Array.map'))).toBe(true);
+  });
+
+  it('should report errors in the last expression of the cell', async () => {
+    const result = await session.execute('const a = 1;\nmissing(a)');
+
+    expect(result.error.type).toBe('ReferenceError');
+    expect(result.error.line).toBe(2);
+    expect(result.error.column).toBe(1);
+    expect(result.error.traceback).toHaveLength(2);
+    expect(result.error.traceback[1]).toMatch(/mrmd-cell-\d+\.js:2:1\)?$/);
+  });
+
+  it('should locate syntax errors', async () => {
+    const result = await session.execute('const a = 1;\nconst b = a a;');
+
+    expect(result.error.type).toBe('SyntaxError');
+    expect(result.error.line).toBe(2);
+    expect(result.error.column).toBe(13);
+    expect(result.error.traceback).toEqual([`SyntaxError: ${result.error.message}`]);
+  });
+
+  it('should report failed imports at the import declaration', async () => {
+    const result = await session.execute(
+      'const x = 1;\nimport { missing } from "data:text/javascript,export const a = 1";'
+    );
+
+    expect(result.error.type).toBe('SyntaxError');
+    expect(result.error.line).toBe(2);
+    expect(result.error.column).toBe(1);
+  });
+});
+
+describe('Session history', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker' });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should expose In, Out and the last results', async () => {
+    await session.execute('1 + 1');
+    await session.execute('const ignored = 0;');
+    await session.execute('"three"');
+    await session.execute('[4]');
+
+    expect((await session.execute('[_, __, ___]')).result).toEqual([[4], 'three', 2]);
+    expect((await session.execute('Out[1] + Out[3]')).result).toBe('2three');
+    expect((await session.execute('In[2]')).result).toBe('const ignored = 0;');
+    expect((await session.execute('In[8]')).result).toBe('In[8]');
+    expect((await session.execute('2 in Out')).result).toBe(false);
+  });
+
+  it('should leave user-assigned underscore names alone', async () => {
+    await session.execute('const _ = "mine";');
+    await session.execute('5');
+    expect((await session.execute('_')).result).toBe('mine');
+  });
+
+  it('should record the history and query it', async () => {
+    await session.execute('const data = [1, 2, 3];');
+    await session.execute('data.map((x) => x * 2)');
+    await session.execute('hidden()', { storeHistory: false });
+    await session.execute('missing()');
+
+    const history = session.getHistory();
+    expect(history.map((entry) => entry.executionCount)).toEqual([1, 2, 3]);
+    expect(history[1]).toMatchObject({ code: 'data.map((x) => x * 2)', success: true });
+    expect(history[2]).toMatchObject({ success: false, error: 'ReferenceError: missing is not defined' });
+
+    expect(session.getHistory({ range: [2, 3] }).map((e) => e.executionCount)).toEqual([2, 3]);
+    expect(session.getHistory({ range: [-1] }).map((e) => e.code)).toEqual(['missing()']);
+    expect(session.getHistory({ search: 'data' })).toHaveLength(2);
+    expect(session.getHistory({ search: /^data\./ })).toHaveLength(1);
+
+    session.reset();
+    expect(session.getHistory()).toEqual([]);
+  });
+});
+
+describe('Cell dependencies', () => {
+  /** @type {SessionManager} */
+  let manager;
+  /** @type {Session} */
+  let session;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+    session = manager.create({ isolation: 'worker' });
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should record what cells define and read', async () => {
+    await session.execute('const price = 10; const qty = 2;', { cellId: 'inputs' });
+    await session.execute('const total = price * qty;', { cellId: 'total' });
+    await session.execute('`Total: ${total}`', { cellId: 'label' });
+    await session.execute('price', { cellId: 'other', language: 'html' });
+
+    const { cells } = session.getDependencyGraph();
+    expect(cells.map((cell) => cell.cellId)).toEqual(['inputs', 'total', 'label']);
+    expect(cells[0]).toMatchObject({ defines: ['price', 'qty'], dependents: ['total'] });
+    expect(cells[1]).toMatchObject({ defines: ['total'], dependsOn: ['inputs'], dependents: ['label'] });
+    expect(cells[2]).toMatchObject({ dependsOn: ['total'], stale: false });
+  });
+
+  it('should mark downstream cells stale until they run again', async () => {
+    await session.execute('let a = 1;', { cellId: 'a' });
+    await session.execute('let b = a + 1;', { cellId: 'b' });
+    await session.execute('let c = b + a;', { cellId: 'c' });
+    await session.execute('let d = 0;', { cellId: 'd' });
+
+    await session.execute('let a = 5;', { cellId: 'a' });
+    expect(session.getStaleCells()).toEqual(['b', 'c']);
+
+    await session.execute('let b = a + 1;', { cellId: 'b' });
+    expect(session.getStaleCells()).toEqual(['c']);
+
+    session.removeCell('c');
+    expect(session.getStaleCells()).toEqual([]);
+
+    session.reset();
+    expect(session.getDependencyGraph().cells).toEqual([]);
+  });
+
+  it('should take names from the cell that defined them last', async () => {
+    await session.execute('let x = 1;', { cellId: 'first' });
+    await session.execute('x * 2', { cellId: 'reader' });
+    await session.execute('let x = 2;', { cellId: 'second' });
+
+    expect(session.getDownstreamCells('first')).toEqual([]);
+    expect(session.getDownstreamCells('second')).toEqual(['reader']);
+  });
+
+  it('should treat assignments as definitions and ignore local names', async () => {
+    await session.execute('let price = 10;', { cellId: 'price' });
+    await session.execute('let total = 0;\nfor (let i = 0; i < 2; i++) total += price;', { cellId: 'total' });
+    await session.execute('const fmt = (value) => `${value}`;', { cellId: 'fmt' });
+
+    const { cells } = session.getDependencyGraph();
+    expect(cells[1].reads).toEqual(['price']);
+    expect(cells[2].reads).toEqual([]);
+
+    await session.execute('price = 20', { cellId: 'update' });
+    expect(session.getStaleCells()).toEqual(['total']);
+  });
+});
+
+describe('Reactive runtime', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should notify listeners of stale cells', async () => {
+    runtime = createRuntime({ defaultIsolation: 'worker', reactive: 'notify' });
+    const events = [];
+    const unsubscribe = runtime.onStale((event) => events.push(event));
+
+    await runtime.execute('let n = 1;', { cellId: 'n' });
+    await runtime.execute('n + 1', { cellId: 'next' });
+    await runtime.execute('let n = 2;', { cellId: 'n' });
+    unsubscribe();
+    await runtime.execute('let n = 3;', { cellId: 'n' });
+
+    expect(events).toEqual([{ sessionId: 'default', cellId: 'n', stale: ['next'] }]);
+
+    const rerun = await runtime.runStale();
+    expect(rerun.map(({ cellId, result }) => [cellId, result.result])).toEqual([['next', 4]]);
+    expect(runtime.getSession('default')?.getStaleCells()).toEqual([]);
+  });
+
+  it('should re-run downstream cells in dependency order', async () => {
+    runtime = createRuntime({ defaultIsolation: 'worker', reactive: 'run' });
+
+    await runtime.execute('let base = 1;', { cellId: 'base' });
+    await runtime.execute('let total = double + base;', { cellId: 'total' });
+    await runtime.execute('let double = base * 2;', { cellId: 'double' });
+    await runtime.execute('total', { cellId: 'show' });
+
+    const result = await runtime.execute('let base = 10;', { cellId: 'base' });
+    expect(result.rerun?.map(({ cellId }) => cellId)).toEqual(['double', 'total', 'show']);
+    expect(result.rerun?.[2].result.result).toBe(30);
+  });
+});
+
+/**
+ * Minimal in-memory IndexedDB: object stores with a key path and
+ * single-property indexes
+ */
+function createFakeIndexedDB() {
+  /** @type {Map<string, *>} */
+  const databases = new Map();
+
+  const request = (run) => {
+    const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+    setTimeout(() => {
+      try {
+        req.result = run();
+        req.onsuccess?.();
+      } catch (error) {
+        req.error = error;
+        req.onerror?.();
+      }
+    });
+    return req;
+  };
+
+  const createDatabase = () => {
+    const stores = new Map();
+    return {
+      createObjectStore(name, { keyPath }) {
+        const store = { keyPath, records: new Map(), indexes: new Map() };
+        stores.set(name, store);
+        return { createIndex: (index, property) => store.indexes.set(index, property) };
+      },
+      transaction(name) {
+        const store = stores.get(name);
+        const all = () => [...store.records.values()];
+        return {
+          objectStore: () => ({
+            put: (value) => request(() => store.records.set(value[store.keyPath], structuredClone(value))),
+            get: (key) => request(() => structuredClone(store.records.get(key))),
+            getAll: () => request(() => structuredClone(all())),
+            delete: (key) => request(() => store.records.delete(key)),
+            index: (index) => ({
+              getAll: (key) =>
+                request(() => structuredClone(all().filter((r) => r[store.indexes.get(index)] === key))),
+            }),
+          }),
+        };
+      },
+      close() {},
+    };
+  };
+
+  return {
+    open(name) {
+      const req = { result: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        req.result = databases.get(name);
+        if (!req.result) {
+          req.result = createDatabase();
+          databases.set(name, req.result);
+          req.onupgradeneeded?.();
+        }
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+describe('Session snapshots', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    runtime = createRuntime({ defaultIsolation: 'worker' });
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should serialize values, functions and classes', async () => {
+    const session = runtime.createSession({ id: 'source' });
+    await session.execute('const data = { rows: [1, 2], when: new Date(0), tags: new Set(["a"]) };');
+    await session.execute('function double(x) { return x * 2; }');
+    await session.execute('class Point { constructor(x) { this.x = x; } }');
+    await session.execute('const api = { get: () => 1 };');
+
+    const snapshot = session.snapshot({ notebook: 'nb.md', label: 'before' });
+    expect(snapshot).toMatchObject({ sessionId: 'source', notebook: 'nb.md', executionCount: 4 });
+    expect(snapshot.variables).toEqual([
+      { name: 'data', kind: 'value', value: { rows: [1, 2], when: new Date(0), tags: new Set(['a']) } },
+      { name: 'double', kind: 'function', source: 'function double(x) { return x * 2; }' },
+      { name: 'Point', kind: 'class', source: 'class Point { constructor(x) { this.x = x; } }' },
+      { name: 'api', kind: 'unserializable', type: 'Object', preview: '{get}' },
+    ]);
+  });
+
+  it('should restore a snapshot into a new session', async () => {
+    const session = runtime.createSession({ id: 'source' });
+    await session.execute('let rows = [1, 2, 3];');
+    await session.execute('function total(list) { return list.reduce((a, b) => a + b, 0); }');
+    await session.execute('const api = { get: () => 1 };');
+    const snapshot = session.snapshot();
+    runtime.destroySession('source');
+
+    const { session: restored, restored: names, failed } = await runtime.restoreSession(snapshot);
+    expect(restored.id).toBe('source');
+    expect(names).toEqual(['rows', 'total']);
+    expect(failed).toEqual([{ name: 'api', reason: 'Object is not serializable ({get})' }]);
+
+    expect((await restored.execute('total(rows)')).result).toBe(6);
+    expect(restored.getHistory().map((entry) => entry.code)).toHaveLength(4);
+    expect(restored.executionCount).toBe(4);
+  });
+
+  it('should name the type of generator objects', async () => {
+    const session = runtime.createSession({ id: 'source', isolation: 'vm' });
+    await session.execute('const gen = (function* () { yield 1; })();');
+    const snapshot = session.snapshot();
+    runtime.destroySession('source');
+
+    const { failed } = await runtime.restoreSession(snapshot);
+    expect(failed).toEqual([{ name: 'gen', reason: 'Generator is not serializable ({})' }]);
+  });
+
+  it('should only keep the source of declared functions and classes', async () => {
+    for (const isolation of /** @type {const} */ (['vm', 'worker'])) {
+      const session = runtime.createSession({ id: `source-${isolation}`, isolation });
+      await session.execute('function make() { let c = 0; return () => ++c; }\nconst counter = make();');
+      await session.execute('const shapes = { area(r) { return 3 * r * r; } }; const area = shapes.area;');
+      await session.execute('const alias = make;');
+
+      const { restored, failed } = await session.restore(session.snapshot());
+      expect(restored).toEqual(['make']);
+      expect(failed.map((variable) => variable.name)).toEqual(['counter', 'shapes', 'area', 'alias']);
+    }
+  });
+
+  it('should not restore class instances as plain objects', async () => {
+    for (const isolation of /** @type {const} */ (['vm', 'worker'])) {
+      const session = runtime.createSession({ id: `source-${isolation}`, isolation });
+      await session.execute('class P { constructor() { this.x = 1; } }\nlet inst = new P(); let list = [new P()];');
+      await session.execute('const plain = { when: new Date(0), tags: new Set([1]) };');
+
+      const snapshot = session.snapshot();
+      expect(snapshot.variables.map((variable) => [variable.name, variable.kind])).toEqual([
+        ['P', 'class'],
+        ['inst', 'unserializable'],
+        ['list', 'unserializable'],
+        ['plain', 'value'],
+      ]);
+      const { failed } = await session.restore(snapshot);
+      expect(failed[0]).toEqual({ name: 'inst', reason: 'P is not serializable (P)' });
+    }
+  });
+
+  it('should store snapshots in IndexedDB and list them per notebook', async () => {
+    const store = createSnapshotStore({ indexedDB: createFakeIndexedDB() });
+    const session = runtime.createSession({ id: 'source' });
+    await session.execute('const answer = 42;');
+
+    const first = session.snapshot({ notebook: 'a.md' });
+    await store.save(first);
+    await store.save(session.snapshot({ notebook: 'b.md', label: 'other' }));
+
+    expect((await store.list('a.md')).map((summary) => summary.id)).toEqual([first.id]);
+    expect(await store.list()).toHaveLength(2);
+    expect((await store.load(first.id))?.variables).toEqual([
+      { name: 'answer', kind: 'value', value: 42 },
+    ]);
+
+    await store.delete(first.id);
+    expect(await store.load(first.id)).toBeNull();
+    store.close();
+  });
+});
+
+describe('Session fork', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    runtime = createRuntime({ defaultIsolation: 'worker' });
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should copy the namespace, count and history into an independent session', async () => {
+    const source = runtime.createSession({ id: 'main' });
+    await source.execute('const data = [1, 2, 3];');
+    await source.execute('function sum() { return data.reduce((a, b) => a + b, 0); }');
+
+    const { session: fork, copied, uncopied } = await runtime.forkSession('main', { id: 'copy' });
+    expect(fork.id).toBe('copy');
+    expect(copied).toEqual(['data', 'sum']);
+    expect(uncopied).toEqual([]);
+    expect(fork.executionCount).toBe(2);
+    expect(fork.getHistory()).toEqual(source.getHistory());
+
+    await fork.execute('data.push(4);');
+    expect((await fork.execute('sum()')).result).toBe(10);
+    expect((await source.execute('sum()')).result).toBe(6);
+  });
+
+  it('should re-run the cells declaring values that cannot be copied', async () => {
+    const source = runtime.createSession({ id: 'main' });
+    await source.execute('let counter = { n: 1, next() { return ++this.n; } };');
+    await source.execute('counter.next();');
+    await source.execute('let counter = { n: 10, next() { return ++this.n; } };');
+
+    const { session: fork, uncopied, replayed } = await runtime.forkSession('main');
+    expect(fork.id).not.toBe('main');
+    expect(uncopied.map((variable) => variable.name)).toEqual(['counter']);
+    expect(replayed).toEqual(['counter']);
+    expect((await fork.execute('counter.next()')).result).toBe(11);
+    expect(fork.executionCount).toBe(4);
+  });
+
+  it('should keep the copied values of variables a re-run cell overwrites', async () => {
+    const source = runtime.createSession({ id: 'main', isolation: 'vm' });
+    await source.execute('let counter = 0; const items = [1]; const gen = (function* () {})();');
+    await source.execute('counter = 5; items.push(2);');
+
+    const { session: fork, copied, replayed } = await runtime.forkSession('main');
+    expect(copied).toEqual(expect.arrayContaining(['counter', 'items']));
+    expect(replayed).toEqual(['gen']);
+    expect((await fork.execute('[counter, items.length, typeof gen.next]')).result).toEqual([5, 2, 'function']);
+  });
+
+  it('should re-run the cells creating closures and class instances', async () => {
+    const source = runtime.createSession({ id: 'main' });
+    await source.execute('function make() { let c = 0; return () => ++c; }\nconst counter = make();');
+    await source.execute('class P { get twice() { return this.x * 2; } }\nconst inst = Object.assign(new P(), { x: 2 });');
+
+    const { session: fork, copied, replayed } = await runtime.forkSession('main');
+    expect(copied).toEqual(['make', 'P']);
+    expect(replayed).toEqual(['counter', 'inst']);
+    expect((await fork.execute('counter()')).result).toBe(1);
+    expect((await fork.execute('[inst instanceof P, inst.twice]')).result).toEqual([true, 4]);
+  });
+
+  it('should reject unknown sessions', async () => {
+    await expect(runtime.forkSession('missing')).rejects.toThrow("Session 'missing' not found");
+  });
+});
+
+describe('Session events', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+  /** @type {Array<{ type: string, detail: * }>} */
+  let events;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    runtime = createRuntime({ defaultIsolation: 'worker' });
+    events = [];
+    for (const type of RUNTIME_EVENT_TYPES) {
+      runtime.addEventListener(type, (event) => events.push({ type, detail: event.detail }));
+    }
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should report the session lifecycle', async () => {
+    const session = runtime.createSession({ id: 'lab' });
+    session.reset();
+    runtime.destroySession('lab');
+
+    expect(events.map((event) => event.type)).toEqual([
+      'session:created',
+      'session:reset',
+      'session:destroyed',
+    ]);
+    expect(events[0].detail).toMatchObject({ sessionId: 'lab', info: { id: 'lab', status: 'idle' } });
+  });
+
+  it('should report executions and the busy/idle status', async () => {
+    const session = runtime.createSession({ id: 'lab' });
+    const seen = [];
+    session.addEventListener('status', (event) => seen.push(event.detail.status));
+
+    await runtime.execute('1 + 1', { session: 'lab', cellId: 'c1' });
+    await session.execute('missing()', { storeHistory: false });
+
+    expect(events.slice(1).map((event) => event.type)).toEqual([
+      'execution:queued',
+      'status',
+      'execution:started',
+      'execution:finished',
+      'status',
+      'execution:queued',
+      'status',
+      'execution:started',
+      'execution:errored',
+      'status',
+    ]);
+    expect(seen).toEqual(['busy', 'idle', 'busy', 'idle']);
+    expect(events[4].detail).toMatchObject({
+      sessionId: 'lab',
+      cellId: 'c1',
+      executionCount: 1,
+      language: 'javascript',
+      result: { success: true, result: 2 },
+    });
+    expect(events[9].detail).not.toHaveProperty('executionCount');
+  });
+
+  it('should report interrupted executions', async () => {
+    const session = runtime.createSession({ id: 'lab' });
+    const running = session.execute('await sleep(5000)');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(session.status).toBe('busy');
+
+    session.interrupt();
+    await running;
+    expect(events.map((event) => event.type)).toContain('execution:interrupted');
+    expect(session.getInfo().status).toBe('idle');
+  });
+});
+
+describe('Session queue', () => {
+  /** @type {SessionManager} */
+  let manager;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should run executions one at a time in order', async () => {
+    const session = manager.create({ isolation: 'worker' });
+    const first = session.execute('await sleep(50); console.log("first"); 1', { execId: 'e1' });
+    const second = session.execute('console.log("second"); 2', { execId: 'e2', cellId: 'c2' });
+
+    expect(session.getQueue()).toMatchObject([
+      { execId: 'e1', status: 'running', position: 0 },
+      { execId: 'e2', status: 'queued', position: 1, cellId: 'c2' },
+    ]);
+
+    const results = await Promise.all([first, second]);
+    expect(results.map((result) => [result.stdout, result.executionCount])).toEqual([
+      ['first', 1],
+      ['second', 2],
+    ]);
+    expect(session.getQueue()).toEqual([]);
+  });
+
+  it('should cancel queued executions by execId', async () => {
+    const session = manager.create({ isolation: 'worker' });
+    const events = [];
+    session.addEventListener('execution:cancelled', (event) => events.push(event.detail.execId));
+
+    const first = session.execute('await sleep(30); 1');
+    const second = session.execute('globalThis.ran = true', { execId: 'skip' });
+    expect(session.cancel('skip')).toBe(true);
+    expect(session.cancel('skip')).toBe(false);
+
+    const cancelled = await second;
+    expect(cancelled).toMatchObject({ success: false, cancelled: true, error: { type: 'CancelledError' } });
+    expect(events).toEqual(['skip']);
+
+    await first;
+    expect((await session.execute('typeof ran')).result).toBe('undefined');
+    expect(session.executionCount).toBe(2);
+  });
+
+  it('should run executions side by side when parallel', async () => {
+    const session = manager.create({ isolation: 'worker', parallel: true });
+    const first = session.execute('await sleep(30); 1');
+    const second = session.execute('2');
+
+    expect(session.getQueue().map((entry) => entry.status)).toEqual(['running', 'running']);
+    expect((await second).result).toBe(2);
+    expect((await first).result).toBe(1);
+  });
+
+  it('should keep the output and input of parallel executions apart', async () => {
+    const session = manager.create({ isolation: 'worker', parallel: true, timeout: 1000 });
+    const context = session.getContext();
+    const handler = vi.fn();
+    context.setOutputHandler(handler);
+
+    const run = async (code, execId) => {
+      let stdout = '';
+      let result;
+      for await (const event of session.executeStream(code, { execId })) {
+        if (event.type === 'stdout') stdout += event.content;
+        if (event.type === 'stdin_request') session.sendInput(event.execId, `to ${event.execId}`);
+        if (event.type === 'result') result = event.result.result;
+      }
+      return [stdout, result];
+    };
+
+    const first = run('console.log("a1"); await sleep(40); console.log("a2"); await input("a?")', 'a');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const second = run('console.log("b1"); await input("b?")', 'b');
+
+    expect(await second).toEqual(['b1\nb?\n', 'to b']);
+    expect(await first).toEqual(['a1\na2\na?\n', 'to a']);
+    expect(handler).toHaveBeenCalledTimes(5);
+    expect(context.getOutputHandler()).toBe(handler);
+    expect(context.getStdinHandler()).toBeNull();
+  });
+});
+
+describe('Session eviction', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  afterEach(() => {
+    runtime.destroy();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should evict the least recently active unpinned session when full', () => {
+    vi.useFakeTimers();
+    runtime = createRuntime({ maxSessions: 2, eviction: 'lru' });
+    const evicted = [];
+    runtime.addEventListener('session:evicted', (event) => evicted.push(event.detail));
+
+    runtime.createSession({ id: 'a', pinned: true });
+    vi.advanceTimersByTime(10);
+    runtime.createSession({ id: 'b' });
+    vi.advanceTimersByTime(10);
+    runtime.createSession({ id: 'c' });
+
+    expect(runtime.listSessions().map((info) => info.id)).toEqual(['a', 'c']);
+    expect(evicted).toMatchObject([{ sessionId: 'b', reason: 'lru', info: { id: 'b' } }]);
+
+    runtime.pinSession('c');
+    expect(() => runtime.createSession({ id: 'd' })).toThrow(/pinned or busy/);
+
+    runtime.unpinSession('a');
+    runtime.createSession({ id: 'd' });
+    expect(runtime.getSession('a')).toBeUndefined();
+  });
+
+  it('should evict idle sessions in the background', () => {
+    vi.useFakeTimers();
+    runtime = createRuntime({ idleTimeout: 1000, sweepInterval: 100 });
+    const evicted = [];
+    runtime.addEventListener('session:evicted', (event) => evicted.push(event.detail.sessionId));
+
+    runtime.createSession({ id: 'idle' });
+    runtime.createSession({ id: 'kept', pinned: true });
+    vi.advanceTimersByTime(900);
+    runtime.createSession({ id: 'recent' });
+
+    vi.advanceTimersByTime(600);
+    expect(evicted).toEqual(['idle']);
+    expect(runtime.listSessions().map((info) => [info.id, info.pinned])).toEqual([
+      ['kept', true],
+      ['recent', false],
+    ]);
+
+    vi.advanceTimersByTime(1000);
+    expect(evicted).toEqual(['idle', 'recent']);
+  });
+
+  it('should not evict busy sessions', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    runtime = createRuntime({ defaultIsolation: 'worker' });
+    const manager = runtime.getSessionManager();
+    const session = runtime.createSession({ id: 'busy' });
+    runtime.createSession({ id: 'free' });
+
+    const running = session.execute('await sleep(30); 1');
+    await vi.waitFor(() => expect(session.status).toBe('busy'));
+    expect(manager.trimToCount(0)).toBe(1);
+    expect(manager.ids).toEqual(['busy']);
+    expect((await running).result).toBe(1);
+  });
+
+  it('should snapshot sessions into a store before evicting them', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const store = createSnapshotStore({ indexedDB: createFakeIndexedDB() });
+    runtime = createRuntime({ defaultIsolation: 'worker', snapshotOnEvict: store });
+    /** @type {Array<import('../src/types/events.js').SessionEventDetail>} */
+    const evicted = [];
+    runtime.addEventListener('session:evicted', (event) => evicted.push(event.detail));
+
+    const session = runtime.createSession({ id: 'old' });
+    await session.execute('const answer = 42;');
+    runtime.getSessionManager().cleanupIdle(-1);
+
+    expect(evicted[0].snapshot?.variables).toEqual([{ name: 'answer', kind: 'value', value: 42 }]);
+    const id = await evicted[0].saved;
+    expect((await store.load(/** @type {string} */ (id)))?.sessionId).toBe('old');
+    store.close();
+  });
+});
+
+describe('Variable diff', () => {
+  /** @type {SessionManager} */
+  let manager;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should report the variables an execution added and changed', async () => {
+    const session = manager.create({ isolation: 'worker' });
+
+    expect((await session.execute('let count = 1; const rows = [1, 2]; const opts = { k: 1 };')).variables).toEqual({
+      added: [
+        { name: 'count', type: 'number', after: '1' },
+        { name: 'opts', type: 'Object', after: '{k}' },
+        { name: 'rows', type: 'Array', after: 'Array(2)' },
+      ],
+      changed: [],
+      removed: [],
+    });
+
+    expect((await session.execute('count = 2')).variables).toEqual({
+      added: [],
+      changed: [{ name: 'count', type: 'number', before: '1', after: '2' }],
+      removed: [],
+    });
+
+    const mutated = await session.execute('rows.push(3); opts.k = 2;');
+    expect(mutated.variables?.changed.map((change) => [change.name, change.before, change.after])).toEqual([
+      ['opts', '{k}', '{k}'],
+      ['rows', 'Array(2)', 'Array(3)'],
+    ]);
+
+    expect((await session.execute('count')).variables?.changed).toEqual([]);
+  });
+
+  it('should include the diff in the streamed result', async () => {
+    const session = manager.create({ isolation: 'worker' });
+    let result;
+    for await (const event of session.executeStream('const name = "mrmd"')) {
+      if (event.type === 'result') result = event.result;
+    }
+    expect(result?.variables?.added).toEqual([{ name: 'name', type: 'string', after: '"mrmd"' }]);
+  });
+
+  it('should report removed variables and compare values structurally', () => {
+    const cyclic = { id: 1 };
+    cyclic.self = cyclic;
+    const before = captureNamespace({ gone: 1, cyclic, when: new Date(0), tags: new Map([['a', [1]]]) });
+
+    const copy = { id: 1 };
+    copy.self = copy;
+    const diff = diffNamespace(before, { cyclic: copy, when: new Date(0), tags: new Map([['a', [2]]]) });
+    expect(diff.removed).toEqual([{ name: 'gone', type: 'number', before: '1' }]);
+    expect(diff.changed.map((change) => change.name)).toEqual(['tags']);
+  });
+});
+
+describe('Visible iframe sessions', () => {
+  /** @type {JSDOM} */
+  let dom;
+  /** @type {SessionManager} */
+  let manager;
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="left"></div><div id="right"></div>');
+    // jsdom does not implement iframe.sandbox
+    Object.defineProperty(dom.window.HTMLIFrameElement.prototype, 'sandbox', {
+      get() {
+        return { add: (token) => this.setAttribute('sandbox', `${this.getAttribute('sandbox') ?? ''} ${token}`.trim()) };
+      },
+    });
+    vi.stubGlobal('document', dom.window.document);
+    vi.stubGlobal('window', dom.window);
+    manager = createSessionManager();
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+    dom.window.close();
+  });
+
+  const element = (id) => /** @type {HTMLElement} */ (dom.window.document.getElementById(id));
+
+  it('should show the iframe in the target right away', () => {
+    const session = manager.create({
+      visible: true,
+      target: element('left'),
+      styles: { height: '300px', backgroundColor: 'white' },
+    });
+
+    const iframe = session.getIframe();
+    expect(iframe?.parentElement).toBe(element('left'));
+    expect(iframe?.style.width).toBe('100%');
+    expect(iframe?.style.height).toBe('300px');
+    expect(iframe?.style.backgroundColor).toBe('white');
+    expect(iframe?.style.display).toBe('block');
+
+    session.resizeIframe(640, '50vh');
+    expect([iframe?.style.width, iframe?.style.height]).toEqual(['640px', '50vh']);
+  });
+
+  it('should keep hidden iframes hidden until moved into a target', () => {
+    const session = manager.create();
+    expect(session.getIframe()).toBeNull();
+
+    session.getContext().getGlobal();
+    expect(session.getIframe()?.style.display).toBe('none');
+
+    session.moveIframe(element('right'));
+    const iframe = session.getIframe();
+    expect(iframe?.parentElement).toBe(element('right'));
+    expect(iframe?.style.display).toBe('block');
+  });
+
+  it('should move the iframe with its variables where moveBefore is supported', () => {
+    const session = manager.create({ visible: true, target: element('left') });
+    const iframe = session.getIframe();
+    session.getContext().setVariables({ kept: 1 });
+
+    const target = element('right');
+    target.moveBefore = (node, child) => target.insertBefore(node, child);
+    expect(session.moveIframe(target)).toBe(true);
+    expect(session.getIframe()).toBe(iframe);
+    expect(session.getContext().getVariables()).toEqual({ kept: 1 });
+
+    expect(session.moveIframe(element('left'))).toBe(false);
+    expect(session.getIframe()?.parentElement).toBe(element('left'));
+    expect(session.getContext().getVariables()).toEqual({});
+  });
+
+  it('should reset the session when moving reloads the iframe', async () => {
+    const session = manager.create({ visible: true, target: element('left') });
+    await session.execute('var counter = 1', { cellId: 'a' });
+    const resets = [];
+    session.addEventListener('session:reset', (event) => resets.push(event.detail.sessionId));
+
+    expect(session.moveIframe(element('right'))).toBe(false);
+    expect(resets).toEqual([session.id]);
+    expect(session.getInfo()).toMatchObject({ executionCount: 0, variableCount: 0 });
+    expect(session.getHistory()).toEqual([]);
+    expect(session.getDependencyGraph().cells).toEqual([]);
+  });
+
+  it('should restore the iframe timers when the session is destroyed', () => {
+    const session = manager.create();
+    const win = /** @type {*} */ (session.getContext().getGlobal());
+    const tracked = win.setTimeout;
+
+    manager.destroy(session.id);
+    expect(win.setTimeout).not.toBe(tracked);
+  });
+
+  it('should replace the page sleep() in sessions without isolation until destroyed', async () => {
+    const pageSleep = () => 'page';
+    /** @type {*} */ (dom.window).sleep = pageSleep;
+    const session = manager.create({ isolation: 'none' });
+    await session.execute('1');
+    expect(/** @type {*} */ (dom.window).sleep).not.toBe(pageSleep);
+
+    manager.destroy(session.id);
+    expect(/** @type {*} */ (dom.window).sleep).toBe(pageSleep);
+  });
+
+  it('should refuse to move the iframe of other isolation modes', () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const session = manager.create({ isolation: 'worker' });
+    expect(session.getIframe()).toBeNull();
+    expect(() => session.resizeIframe(100, 100)).toThrow(/uses worker isolation/);
+  });
+});
+
+describe('Host variables', () => {
+  /** @type {SessionManager} */
+  let manager;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    manager = createSessionManager();
+  });
+
+  afterEach(() => {
+    manager.destroyAll();
+    vi.unstubAllGlobals();
+  });
+
+  it('should inject copies of host values', async () => {
+    const session = manager.create({ isolation: 'worker' });
+    const rows = [{ id: 1 }, { id: 2 }];
+    session.setVariable('rows', rows);
+    rows.push({ id: 3 });
+
+    expect((await session.execute('rows.length')).result).toBe(2);
+    expect(session.listVariables().map((variable) => variable.name)).toEqual(['rows']);
+    expect(() => session.setVariable('api', { get: () => 1 })).toThrow();
+  });
+
+  it('should delete variables and stop tracking them', async () => {
+    const session = manager.create({ isolation: 'worker' });
+    await session.execute('const big = new Array(1000).fill(0); const keep = 1;');
+
+    expect(session.deleteVariable('big')).toBe(true);
+    expect(session.deleteVariable('big')).toBe(false);
+    expect(session.deleteVariable('print')).toBe(false);
+    expect(session.listVariables().map((variable) => variable.name)).toEqual(['keep']);
+    expect((await session.execute('typeof big')).result).toBe('undefined');
+    expect((await session.execute('typeof print')).result).toBe('function');
+  });
+
+  it('should share host objects with iframe sessions when not cloning', () => {
+    const dom = new JSDOM('');
+    vi.stubGlobal('document', dom.window.document);
+    vi.stubGlobal('window', dom.window);
+    Object.defineProperty(dom.window.HTMLIFrameElement.prototype, 'sandbox', {
+      get: () => ({ add() {} }),
+    });
+
+    const session = manager.create();
+    const shared = { count: 1 };
+    session.setVariable('shared', shared, { clone: false });
+    session.setVariable('copied', shared);
+    shared.count = 2;
+
+    const global = /** @type {*} */ (session.getContext().getGlobal());
+    expect(global.shared).toBe(shared);
+    expect(global.copied).toEqual({ count: 1 });
+
+    expect(session.deleteVariable('shared')).toBe(true);
+    expect('shared' in global).toBe(false);
+    expect(session.getInfo().variableCount).toBe(1);
+    dom.window.close();
+  });
+});
+
+describe('Sharing variables', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    runtime = createRuntime({ defaultIsolation: 'worker' });
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should copy variables between sessions', async () => {
+    const data = runtime.createSession({ id: 'data' });
+    const viz = runtime.createSession({ id: 'viz' });
+    await data.execute('const summary = { mean: 2, rows: [1, 2, 3] };');
+
+    runtime.transferVariable('data', 'viz', 'summary');
+    runtime.transferVariable('data', 'viz', 'summary', { as: 'stats' });
+    await viz.execute('summary.rows.push(4)');
+
+    expect((await viz.execute('[summary.rows.length, stats.mean]')).result).toEqual([4, 2]);
+    expect((await data.execute('summary.rows.length')).result).toBe(3);
+  });
+
+  it('should import variables when a session is created', async () => {
+    const data = runtime.createSession({ id: 'data' });
+    await data.execute('const rows = [1, 2]; const label = "sales";');
+
+    const viz = runtime.createSession({
+      id: 'viz',
+      imports: [
+        { from: 'data', name: 'rows' },
+        { from: 'data', name: 'label', as: 'title' },
+      ],
+    });
+    expect((await viz.execute('`${title}: ${rows.length}`')).result).toBe('sales: 2');
+  });
+
+  it('should report variables that cannot be transferred', async () => {
+    const data = runtime.createSession({ id: 'data' });
+    runtime.createSession({ id: 'viz' });
+    await data.execute('const format = (x) => x.toFixed(2); const n = 1;');
+
+    expect(() => runtime.transferVariable('data', 'viz', 'missing')).toThrow(
+      "Variable 'missing' not found in session 'data'"
+    );
+    expect(() => runtime.transferVariable('data', 'nope', 'n')).toThrow("Session 'nope' not found");
+    expect(() => runtime.transferVariable('data', 'viz', 'format')).toThrow(
+      /Cannot transfer 'format' from session 'data': function is not cloneable/
+    );
+    expect(() => runtime.transferVariable('data', 'viz', 'n', { mode: 'reference' })).toThrow(
+      /worker session 'data'/
+    );
+
+    expect(() => runtime.createSession({ id: 'broken', imports: [{ from: 'data', name: 'format' }] })).toThrow(
+      /not cloneable/
+    );
+    expect(runtime.getSession('broken')).toBeUndefined();
+
+    const failure = new TypeError('target is gone');
+    vi.spyOn(/** @type {*} */ (runtime.getSession('viz')), 'setVariable').mockImplementation(() => {
+      throw failure;
+    });
+    expect(() => runtime.transferVariable('data', 'viz', 'n')).toThrow(failure);
+  });
+
+  it('should share references between iframe sessions', () => {
+    const dom = new JSDOM('');
+    vi.stubGlobal('document', dom.window.document);
+    vi.stubGlobal('window', dom.window);
+    Object.defineProperty(dom.window.HTMLIFrameElement.prototype, 'sandbox', {
+      get: () => ({ add() {} }),
+    });
+
+    const data = runtime.createSession({ id: 'data', isolation: 'iframe' });
+    const table = { rows: [1, 2], format: (x) => String(x) };
+    data.setVariable('table', table, { clone: false });
+
+    const viz = runtime.createSession({
+      id: 'viz',
+      isolation: 'iframe',
+      imports: [{ from: 'data', name: 'table', mode: 'reference' }],
+    });
+    expect(/** @type {*} */ (viz.getContext().getGlobal()).table).toBe(table);
+    dom.window.close();
+  });
+});
+
+describe('Node vm sessions', () => {
+  /** @type {ReturnType<typeof createRuntime>} */
+  let runtime;
+
+  beforeEach(() => {
+    runtime = createRuntime();
+  });
+
+  afterEach(() => {
+    runtime.destroy();
+  });
+
+  it('should default to vm isolation under Node', async () => {
+    const session = runtime.createSession();
+    expect(session.isolation).toBe('vm');
+
+    await session.execute('const rows = [1, 2, 3];');
+    const result = await session.execute('console.log("rows:", rows.length); rows.map((x) => x * 2)');
+    expect(result.success).toBe(true);
+    expect(result.stdout).toBe('rows: 3');
+    expect(result.result).toEqual([2, 4, 6]);
+  });
+
+  it('should display values and import Node modules', async () => {
+    const session = runtime.createSession();
+    const shown = await session.execute('display({ a: 1 })');
+    expect(shown.displayData).toHaveLength(1);
+
+    const imported = await session.execute('import path from "node:path";\npath.join("a", "b")');
+    expect(imported.success).toBe(true);
+    expect(imported.result).toBe(`a${(await import('node:path')).sep}b`);
+  });
+
+  it('should report error positions', async () => {
+    const session = runtime.createSession();
+    const result = await session.execute('const y = 1;\nnull.foo');
+    expect(result.success).toBe(false);
+    expect(result.error?.type).toBe('TypeError');
+    expect(result.error?.line).toBe(2);
+  });
+
+  it('should request input while streaming', async () => {
+    const session = runtime.createSession({ id: 'node' });
+    const blocked = await session.execute('await input("name?")');
+    expect(blocked.error?.message).toMatch(/no stdin handler/);
+
+    let answer;
+    for await (const event of session.executeStream('const who = await input("who?"); who')) {
+      if (event.type === 'stdin_request') runtime.sendInput('node', event.execId, 'ada\n');
+      if (event.type === 'result') answer = event.result.result;
+    }
+    expect(answer).toBe('ada');
+  });
+
+  it('should interrupt, reset and manage host variables', async () => {
+    const session = runtime.createSession();
+    const running = session.execute('await sleep(10000)');
+    setTimeout(() => session.interrupt(), 20);
+    expect((await running).success).toBe(false);
+
+    session.setVariable('config', { retries: 3 });
+    expect((await session.execute('config.retries')).result).toBe(3);
+    expect(session.deleteVariable('config')).toBe(true);
+    expect((await session.execute('typeof config')).result).toBe('undefined');
+
+    await session.execute('const kept = 1;');
+    session.reset();
+    expect(session.listVariables()).toEqual([]);
+    expect((await session.execute('typeof kept')).result).toBe('undefined');
+  });
+
+  it('should time out busy synchronous code', async () => {
+    const session = runtime.createSession({ timeout: 100 });
+    await session.execute('let ticks = 0;');
+
+    const result = await session.execute('while (true) { ticks++; }');
+    expect(result.success).toBe(false);
+    expect(result.interrupted).toBe(true);
+    expect(result.error?.type).toBe('TimeoutError');
+    expect((await session.execute('ticks > 0')).result).toBe(true);
+  });
+});
@@ -0,0 +1,413 @@
+/**
+ * Transform Tests
+ *
+ * Tests for the cell code transforms.
+ */
+
+import { describe, it, expect } from 'vitest';
+import vm from 'node:vm';
+import {
+  parse,
+  tokenize,
+  applyEdits,
+  mapEditedOffset,
+  findSyntaxError,
+} from '../src/transform/parse.js';
+import { transformForPersistence, getPersistenceEdits } from '../src/transform/persistence.js';
+import { extractDeclaredVariables, extractReferencedNames, extractAssignedNames } from '../src/transform/extract.js';
+import { wrapWithLastExpression, getWrapperEdits } from '../src/transform/async.js';
+import { CellSourceMap } from '../src/transform/source-map.js';
+import { wrapWithHistory } from '../src/transform/history.js';
+import {
+  extractImports,
+  getImportedNames,
+  resolveImportSpecifier,
+  createImportLoader,
+} from '../src/transform/imports.js';
+
+describe('tokenize', () => {
+  it('should tell regular expressions from division', () => {
+    const tokens = tokenize('a = b / c / d; re = /[/]}/g.test(s)');
+    expect(tokens.filter((t) => t.type === 'regex').map((t) => t.value)).toEqual(['/[/]}/g']);
+  });
+
+  it('should read template literals with nested substitutions as one token', () => {
+    const tokens = tokenize('`a ${ {b: `c${d}`}.b } e` + 1');
+    expect(tokens.map((t) => t.type)).toEqual(['template', 'punct', 'number']);
+  });
+});
+
+describe('parse', () => {
+  it('should split statements using automatic semicolon insertion', () => {
+    const program = parse('a = 1\nb\n  .map(f)\nc = () => {\n}\n++d\nlabel: for (;;) break label');
+    expect(program.body.map((s) => s.type)).toEqual([
+      'ExpressionStatement',
+      'ExpressionStatement',
+      'ExpressionStatement',
+      'ExpressionStatement',
+      'LabeledStatement',
+    ]);
+  });
+
+  it('should throw on unbalanced code', () => {
+    expect(() => parse('if (a) {')).toThrow(SyntaxError);
+    expect(() => parse('const s = "abc')).toThrow(SyntaxError);
+  });
+});
+
+describe('transformForPersistence', () => {
+  it('should turn top-level declarations into global assignments', () => {
+    expect(transformForPersistence('const x = 1, y = x + 1;')).toBe(
+      'void (globalThis.x = 1, globalThis.y = x + 1);'
+    );
+    expect(transformForPersistence('let z\nvar w')).toBe(
+      'void (globalThis.z = undefined);\nvoid (globalThis.w = globalThis.w);'
+    );
+  });
+
+  it('should turn destructuring into assignment patterns', () => {
+    expect(transformForPersistence('const { a, b: [c = 1, ...d], e = 2, ...f } = obj;')).toBe(
+      'void ({ a: globalThis.a, b: [globalThis.c = 1, ...globalThis.d], e: globalThis.e = 2, ...globalThis.f } = obj);'
+    );
+  });
+
+  it('should assign functions and classes', () => {
+    expect(transformForPersistence('function f() {}\nclass A {}')).toBe(
+      'function f() {} void (globalThis.f = f);\nvoid (globalThis.A = class A {});'
+    );
+  });
+
+  it('should leave block-scoped and function-local declarations alone', () => {
+    const code = [
+      'for (let i = 0; i < 3; i++) { const sq = i * i; }',
+      '{ let shadow = 1; }',
+      'function g() { const local = 1; var alsoLocal = 2; }',
+      'const h = () => { let inner; };',
+    ].join('\n');
+
+    expect(transformForPersistence(code)).toBe(
+      [
+        'for (let i = 0; i < 3; i++) { const sq = i * i; }',
+        '{ let shadow = 1; }',
+        'function g() { const local = 1; var alsoLocal = 2; } void (globalThis.g = g);',
+        'void (globalThis.h = () => { let inner; });',
+      ].join('\n')
+    );
+  });
+
+  it('should hoist var declarations out of blocks and loop headers', () => {
+    expect(transformForPersistence('if (a) { var b = 1 }\nfor (var k in o) {}')).toBe(
+      'if (a) { void (globalThis.b = 1); }\nfor (globalThis.k in o) {}'
+    );
+  });
+
+  it('should not touch declarations in strings, comments and templates', () => {
+    const code = '"const a = 1"; // let b = 2\n`${`const c = 3`}`';
+    expect(transformForPersistence(code)).toBe(code);
+  });
+
+  it('should define read-only constants in strict const mode', () => {
+    const scope = {};
+    const code = transformForPersistence('const a = 1, { b } = { b: 2 };\nlet c = 3;', {
+      strictConst: true,
+    });
+    new Function('globalThis', code)(scope);
+
+    expect(scope).toEqual({ a: 1, b: 2, c: 3 });
+    expect(() => {
+      scope.a = 2;
+    }).toThrow('Assignment to constant variable.');
+    scope.c = 4;
+    expect(scope.c).toBe(4);
+  });
+
+  it('should return code it cannot parse unchanged', () => {
+    expect(transformForPersistence('const x = (1')).toBe('const x = (1');
+  });
+});
+
+describe('extractDeclaredVariables', () => {
+  it('should list names declared in the cell scope only', () => {
+    const code = [
+      'const x = 1; let { a, b: [c] } = obj;',
+      'function foo() { let y; }',
+      'class Bar {}',
+      'for (let i = 0; i < 1; i++) { let z; var v; }',
+    ].join('\n');
+
+    expect(extractDeclaredVariables(code)).toEqual(['x', 'a', 'c', 'foo', 'Bar', 'v']);
+  });
+});
+
+describe('extractReferencedNames', () => {
+  it('should skip keywords, property names and object keys', () => {
+    const code = 'if (ready) return { key: value, other, ...rest }.key?.deep + obj[index] // skip';
+    expect(extractReferencedNames(code)).toEqual(['ready', 'value', 'other', 'rest', 'obj', 'index']);
+  });
+
+  it('should include names in template substitutions', () => {
+    expect(extractReferencedNames('`a ${b} ${`${c.d}`} ${{ e: f }.e}`')).toEqual(['b', 'c', 'f']);
+  });
+
+  it('should skip names bound inside the code', () => {
+    const code = [
+      'let total = 0;',
+      'for (const item of items) total += item.price;',
+      'const scale = async (x, { by = factor } = {}) => x * by;',
+      'function sum(a) { let local = a; return local + offset; }',
+      'try { risky(); } catch (err) { report(err); }',
+    ].join('\n');
+
+    expect(extractReferencedNames(code)).toEqual(['items', 'factor', 'offset', 'risky', 'report']);
+  });
+
+  it('should skip class and object member names', () => {
+    const code = 'class A extends Base { static count = 0; name = init; async *gen(a) { yield a; } }\n' +
+      '({ async load() { return source; }, get size() { return 1; }, shorthand })';
+    expect(extractReferencedNames(code)).toEqual(['Base', 'init', 'source', 'shorthand']);
+  });
+});
+
+describe('extractAssignedNames', () => {
+  it('should return names assigned outside functions', () => {
+    const code = 'price = 20; [a, b] = pair; ({ c, d: e.f } = obj); count++; for (key in obj) {}\n' +
+      'let own; own = 1; function set() { inner = 1; }';
+    expect(extractAssignedNames(code)).toEqual(['price', 'a', 'b', 'c', 'count', 'key']);
+  });
+});
+
+describe('wrapWithLastExpression', () => {
+  it('should return the last expression statement', async () => {
+    const wrapped = wrapWithLastExpression('const n = await Promise.resolve(2)\nn * 21');
+    expect(wrapped).toBe(
+      ';(async function () {\nconst n = await Promise.resolve(2)\nreturn (n * 21);\n})()'
+    );
+    expect(await (0, eval)(wrapWithLastExpression('await Promise.resolve(2) * 21'))).toBe(42);
+  });
+
+  it('should return undefined when the cell ends with a statement', async () => {
+    expect(await (0, eval)(wrapWithLastExpression('1; if (true) {}'))).toBeUndefined();
+  });
+});
+
+describe('extractImports', () => {
+  it('should extract default, named and namespace imports', () => {
+    const { code, imports } = extractImports(
+      [
+        "import a from 'mod-a';",
+        'import { b, c as d, default as e } from "mod-b";',
+        "import * as ns from './ns.js'",
+        "import f, { g } from 'mod-c';",
+        'a + d;',
+      ].join('\n')
+    );
+
+    expect(code).toBe('\n\n\n\na + d;');
+    expect(imports).toMatchObject([
+      { source: 'mod-a', bindings: [{ imported: 'default', local: 'a' }] },
+      {
+        source: 'mod-b',
+        bindings: [
+          { imported: 'b', local: 'b' },
+          { imported: 'c', local: 'd' },
+          { imported: 'default', local: 'e' },
+        ],
+      },
+      { source: './ns.js', bindings: [{ imported: '*', local: 'ns' }] },
+      {
+        source: 'mod-c',
+        bindings: [
+          { imported: 'default', local: 'f' },
+          { imported: 'g', local: 'g' },
+        ],
+      },
+    ]);
+    expect(getImportedNames(imports)).toEqual(['a', 'b', 'd', 'e', 'ns', 'f', 'g']);
+  });
+
+  it('should extract side-effect imports and import attributes', () => {
+    const { imports } = extractImports(
+      "import './setup.js';\nimport data from './data.json' with { type: 'json' };"
+    );
+
+    expect(imports).toMatchObject([
+      { source: './setup.js', bindings: [] },
+      {
+        source: './data.json',
+        bindings: [{ imported: 'default', local: 'data' }],
+        attributes: "{ type: 'json' }",
+      },
+    ]);
+  });
+
+  it('should leave dynamic imports, strings and nested code alone', () => {
+    const source = [
+      "const m = await import('mod');",
+      'const meta = import.meta;',
+      "const s = 'import x from \"y\"';",
+      '// import z from "z"',
+      "function f() { return `import ${'a'} from 'b'`; }",
+    ].join('\n');
+
+    const { code, imports } = extractImports(source);
+
+    expect(code).toBe(source);
+    expect(imports).toEqual([]);
+  });
+});
+
+describe('resolveImportSpecifier', () => {
+  const importMap = {
+    imports: {
+      lodash: 'https://esm.sh/lodash',
+      'lodash/': 'https://esm.sh/lodash/',
+      'lib/': 'https://cdn.example.com/lib/',
+      'lib/special/': 'https://special.example.com/',
+    },
+  };
+
+  it('should resolve exact and prefix matches', () => {
+    expect(resolveImportSpecifier('lodash', importMap)).toBe('https://esm.sh/lodash');
+    expect(resolveImportSpecifier('lodash/fp', importMap)).toBe('https://esm.sh/lodash/fp');
+    expect(resolveImportSpecifier('lib/special/x.js', importMap)).toBe(
+      'https://special.example.com/x.js'
+    );
+  });
+
+  it('should leave unmapped specifiers unchanged', () => {
+    expect(resolveImportSpecifier('react', importMap)).toBe('react');
+    expect(resolveImportSpecifier('https://x.dev/a.js')).toBe('https://x.dev/a.js');
+  });
+});
+
+describe('createImportLoader', () => {
+  it('should assign imported bindings to the global scope', async () => {
+    const { imports } = extractImports(
+      'import * as ns from "mod"; import def, { named as alias } from "mod";'
+    );
+    const loader = createImportLoader(imports, { imports: { mod: 'mapped-mod' } });
+
+    const module = { default: 'D', named: 'N' };
+    const scope = {};
+    // `import(...)` is syntax, so swap it for a stub before evaluating
+    const run = new Function(
+      'globalThis',
+      '__import__',
+      `return ${loader.replaceAll('await import(', 'await __import__(')};`
+    );
+    const requested = [];
+    await run(scope, async (url) => {
+      requested.push(url);
+      return module;
+    });
+
+    expect(requested).toEqual(['mapped-mod', 'mapped-mod']);
+    expect(scope).toEqual({ ns: module, def: 'D', alias: 'N' });
+  });
+
+  it('should fail for missing named exports', async () => {
+    const { imports } = extractImports('import { missing } from "mod";');
+    const loader = createImportLoader(imports);
+    const run = new Function(
+      'globalThis',
+      '__import__',
+      `return ${loader.replaceAll('await import(', 'await __import__(')};`
+    );
+
+    await expect(run({}, async () => ({}))).rejects.toThrow(
+      "The requested module 'mod' does not provide an export named 'missing'"
+    );
+  });
+});
+
+describe('mapEditedOffset', () => {
+  it('should map kept and inserted text back to the original', () => {
+    const edits = [
+      { start: 0, end: 0, text: 'XX' },
+      { start: 2, end: 4, text: 'Y' },
+    ];
+    expect(applyEdits('abcdef', edits)).toBe('XXabYef');
+
+    expect(mapEditedOffset(edits, 1)).toEqual({ offset: 0, inserted: true });
+    expect(mapEditedOffset(edits, 3)).toEqual({ offset: 1, inserted: false });
+    expect(mapEditedOffset(edits, 4)).toEqual({ offset: 2, inserted: true });
+    expect(mapEditedOffset(edits, 6)).toEqual({ offset: 5, inserted: false });
+  });
+});
+
+describe('findSyntaxError', () => {
+  it('should locate errors the transforms leave to the engine', () => {
+    expect(findSyntaxError('const a = 1;\nconst b = a a;')).toEqual({
+      message: "Unexpected identifier 'a'",
+      offset: 25,
+    });
+    expect(findSyntaxError('f([1, 2)')?.offset).toBe(7);
+    expect(findSyntaxError('const x;')?.message).toBe('Missing initializer in const declaration');
+    expect(findSyntaxError('x = "open')?.offset).toBe(4);
+    expect(findSyntaxError('a++ b')?.offset).toBe(4);
+  });
+
+  it('should accept valid code', () => {
+    const valid = [
+      'for (const k of o) {}',
+      'for (x of y) {}',
+      'const f = async x => x',
+      'class A extends B { get a() { return 1; } static b = 2 }',
+      'x = a in b ? typeof y : new Foo()',
+      'x = 1 / 2 / 3',
+      'a\nb',
+      'a\n++b',
+      'x = ++y + --z',
+      'f(--n)',
+    ];
+    for (const code of valid) {
+      expect(findSyntaxError(code)).toBeNull();
+    }
+  });
+});
+
+describe('CellSourceMap', () => {
+  it('should map positions through every transform stage', () => {
+    const source = 'import x from "m";\nconst a = x.b.c;\na';
+    const map = new CellSourceMap(source);
+    const body = map.apply(extractImports(source).edits);
+    const transformed = map.apply(getPersistenceEdits(body));
+    const wrapped = map.apply(getWrapperEdits(transformed));
+
+    expect(wrapped).toBe(wrapWithLastExpression(transformForPersistence(body)));
+    expect(map.codeAt(1)).toBe(body);
+
+    // `.c` in `void (globalThis.a = x.b.c);` on line 3 of the wrapped code
+    const line = wrapped.split('\n')[2];
+    expect(map.originalPosition(3, line.indexOf('.c') + 1)).toEqual({ line: 2, column: 14 });
+
+    // Lines added by the wrapper have no source position; text added in
+    // front of source maps to the source after it
+    expect(map.originalPosition(1, 3)).toBeNull();
+    expect(map.originalPosition(3, 2)).toEqual({ line: 2, column: 7 });
+    expect(map.originalPosition(4, 1)).toEqual({ line: 3, column: 1 });
+  });
+
+  it('should render a code frame', () => {
+    const map = new CellSourceMap('const a = 1;\n\ta.foo.bar');
+    expect(map.codeFrame(2, 3)).toBe(
+      ['  1 | const a = 1;', '> 2 | \ta.foo.bar', '    | \t ^'].join('\n')
+    );
+  });
+});
+
+describe('wrapWithHistory', () => {
+  it('should record inputs and outputs without changing the result', async () => {
+    const scope = vm.createContext({});
+    const run = (code, executionCount) =>
+      vm.runInContext(wrapWithHistory(code, { executionCount, source: code }), scope);
+
+    expect(await run('Promise.resolve(1)', 1)).toBe(1);
+    expect(await run('Promise.resolve(undefined)', 2)).toBeUndefined();
+    expect(await run('Promise.resolve("x")', 3)).toBe('x');
+
+    expect([...scope.In]).toEqual(['', 'Promise.resolve(1)', 'Promise.resolve(undefined)', 'Promise.resolve("x")']);
+    expect({ ...scope.Out }).toEqual({ 1: 1, 3: 'x' });
+    expect([scope._, scope.__, scope.___]).toEqual(['x', 1, undefined]);
+  });
+});